@@ -1,5 +1,15 @@
 const express = require("express");
 const cors = require("cors");
+const { createStore } = require("./storage");
+const { createPushDispatcher, createDueNotifier } = require("./lib/push");
+const { createAuth } = require("./lib/auth");
+const { createRealtimeHub } = require("./lib/realtime");
+const { createTrashPurger } = require("./lib/trash");
+const createAuthRouter = require("./routes/auth");
+const createTaskRouter = require("./routes/tasks");
+const createSyncRouter = require("./routes/sync");
+const createPushRouter = require("./routes/push");
+const createProjectRouter = require("./routes/projects");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -8,178 +18,126 @@ const corsOptions = {
   origin: process.env.ALLOWED_ORIGINS
     ? process.env.ALLOWED_ORIGINS.split(",")
     : "*",
-  credentials: true,
+  //Tokens travel in the Authorization header, never in cookies
+  exposedHeaders: ["ETag"],
 };
 
 app.use(cors(corsOptions));
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
-let tasks = [];
+const store = createStore();
+const storeReady = store.init();
+app.locals.store = store;
 
-app.get("/api/health", (req, res) => {
-  res.json({
-    status: "ok",
-    message: "TaskTracker API is running",
-    tasksCount: tasks.length,
-  });
-});
+const push = createPushDispatcher(store);
+app.locals.push = push;
 
-app.get("/api/tasks", (req, res) => {
-  res.json(tasks);
-});
+const auth = createAuth(store);
+app.locals.auth = auth;
+
+const realtime = createRealtimeHub(store);
+app.locals.realtime = realtime;
 
-app.post("/api/tasks", (req, res) => {
+const trashPurger = createTrashPurger(store);
+app.locals.trashPurger = trashPurger;
+
+const dueNotifier = createDueNotifier(store, push);
+app.locals.dueNotifier = dueNotifier;
+
+//If the store fails to open, requests report it; the background jobs just
+//never start
+storeReady.then(
+  () => {
+    trashPurger.start();
+    dueNotifier.start();
+  },
+  () => {}
+);
+
+//Every request waits for the store (and its migrations) on cold start
+app.use(async (req, res, next) => {
   try {
-    const { title, description, priority = "medium", image, photo } = req.body;
-
-    if (!title) {
-      return res.status(400).json({ error: "Title is required" });
-    }
-
-    //Process image if provided (support both 'image' and 'photo' fields)
-    const imageData =
-      image || (photo ? { data: photo, type: "image/jpeg" } : null);
-    let processedImage = null;
-    if (imageData && imageData.data) {
-      //Validate image size (max 5MB base64)
-      const imageSizeBytes = (imageData.data.length * 3) / 4; //Approximate base64 size
-      if (imageSizeBytes > 5 * 1024 * 1024) {
-        return res
-          .status(400)
-          .json({ error: "Image too large. Maximum size is 5MB." });
-      }
-
-      processedImage = {
-        data: imageData.data.replace(/^data:image\/[a-z]+;base64,/, ""),
-        type: imageData.type || "image/jpeg",
-      };
-    }
-
-    const task = {
-      id: Date.now().toString(),
-      title,
-      description: description || "",
-      completed: false,
-      priority,
-      image: processedImage,
-      //Add photo field for compatibility with IndexedDB
-      photo: processedImage
-        ? `data:image/jpeg;base64,${processedImage.data}`
-        : null,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      synced: true,
-    };
-
-    tasks.push(task);
-    res.status(201).json(task);
+    await storeReady;
+    next();
   } catch (error) {
-    console.error("Error creating task:", error);
-    res.status(500).json({ error: "Error creating task" });
+    console.error("Error initializing storage:", error);
+    res.status(503).json({ error: "Storage unavailable" });
   }
 });
 
-app.put("/api/tasks/:id", (req, res) => {
+app.get("/api/health", async (req, res) => {
   try {
-    const { id } = req.params;
-    const { title, description, completed, priority, image, photo } = req.body;
-
-    const taskIndex = tasks.findIndex((t) => t.id === id);
-    if (taskIndex === -1) {
-      return res.status(404).json({ error: "Task not found" });
-    }
-
-    const existingTask = tasks[taskIndex];
-
-    //Process image if provided (support both 'image' and 'photo' fields)
-    const imageData =
-      image !== undefined
-        ? image
-        : photo !== undefined
-        ? photo
-          ? { data: photo, type: "image/jpeg" }
-          : null
-        : undefined;
-    let processedImage = existingTask.image;
-    if (imageData !== undefined) {
-      if (imageData === null) {
-        processedImage = null;
-      } else if (imageData && imageData.data) {
-        //Validate image size
-        const imageSizeBytes = (imageData.data.length * 3) / 4;
-        if (imageSizeBytes > 5 * 1024 * 1024) {
-          return res
-            .status(400)
-            .json({ error: "Image too large. Maximum size is 5MB." });
-        }
-
-        processedImage = {
-          data: imageData.data.replace(/^data:image\/[a-z]+;base64,/, ""),
-          type: imageData.type || "image/jpeg",
-        };
-      }
-    }
-
-    const updatedTask = {
-      ...existingTask,
-      ...(title !== undefined && { title }),
-      ...(description !== undefined && { description }),
-      ...(completed !== undefined && { completed }),
-      ...(priority !== undefined && { priority }),
-      image: processedImage,
-      //Add photo field for compatibility with IndexedDB
-      photo: processedImage
-        ? `data:image/jpeg;base64,${processedImage.data}`
-        : null,
-      updatedAt: new Date().toISOString(),
-      synced: true,
-    };
-
-    tasks[taskIndex] = updatedTask;
-    res.json(updatedTask);
+    res.json({
+      status: "ok",
+      message: "TaskTracker API is running",
+      storage: store.driver,
+      tasksCount: await store.countTasks(),
+    });
   } catch (error) {
-    console.error("Error updating task:", error);
-    res.status(500).json({ error: "Error updating task" });
+    console.error("Error checking health:", error);
+    res.status(500).json({ error: "Error checking health" });
   }
 });
 
-app.delete("/api/tasks/:id", (req, res) => {
-  const { id } = req.params;
-  const taskIndex = tasks.findIndex((t) => t.id === id);
-
-  if (taskIndex === -1) {
-    return res.status(404).json({ error: "Task not found" });
-  }
-
-  tasks.splice(taskIndex, 1);
-  res.json({ message: "Task deleted successfully" });
-});
-
-app.get("/api/stats", (req, res) => {
-  const total = tasks.length;
-  const completed = tasks.filter((t) => t.completed).length;
-
-  res.json({
-    total,
-    completed,
-    pending: total - completed,
-    highPriority: tasks.filter((t) => t.priority === "high" && !t.completed)
-      .length,
-  });
-});
+app.use("/api", createAuthRouter(auth));
+
+//Everything below works on the signed-in user's data through `req.store`
+app.use(
+  [
+    "/api/tasks",
+    "/api/stats",
+    "/api/sync",
+    "/api/projects",
+    "/api/push/subscriptions",
+  ],
+  auth.requireUser
+);
+
+app.use("/api", createTaskRouter(push, realtime));
+app.use("/api", createSyncRouter(push));
+app.use("/api", createPushRouter(push));
+app.use("/api", createProjectRouter(push));
 
 // Solo iniciar el servidor si este archivo se ejecuta directamente
 if (require.main === module) {
   app.listen(PORT, () => {
     console.log(`🚀 TaskTracker API running on port ${PORT}`);
+    console.log(`Storage: ${store.driver}`);
     console.log("Available endpoints:");
     console.log("- GET /api/health");
+    console.log("- POST /api/auth/register");
+    console.log("- POST /api/auth/login");
+    console.log("- POST /api/auth/refresh");
+    console.log("- POST /api/auth/logout");
+    console.log("- GET /api/auth/me");
     console.log("- GET /api/tasks");
+    console.log("- GET /api/tasks/changes?since=<cursor>");
+    console.log("- GET /api/tasks/stream?since=<cursor>");
+    console.log("- GET /api/tasks/trash");
+    console.log("- GET /api/tasks/:id");
     console.log("- POST /api/tasks");
     console.log("- PUT /api/tasks/:id");
-    console.log("- DELETE /api/tasks/:id");
+    console.log("- DELETE /api/tasks/:id[?permanent=true]");
+    console.log("- POST /api/tasks/:id/restore");
+    console.log("- POST /api/tasks/:id/snooze");
+    console.log("- PUT /api/tasks/:id/checklist/:itemId");
+    console.log("- DELETE /api/tasks/:id/checklist/:itemId");
+    console.log("- GET /api/tasks/:id/history");
+    console.log("- POST /api/tasks/:id/history/:version/restore");
     console.log("- GET /api/stats");
+    console.log("- GET /api/projects");
+    console.log("- GET /api/projects/:id");
+    console.log("- POST /api/projects");
+    console.log("- PUT /api/projects/:id");
+    console.log("- DELETE /api/projects/:id");
+    console.log("- POST /api/projects/:id/members");
+    console.log("- PUT /api/projects/:id/members/:userId");
+    console.log("- DELETE /api/projects/:id/members/:userId");
+    console.log("- POST /api/sync");
+    console.log("- GET /api/push/public-key");
+    console.log("- POST /api/push/subscriptions");
+    console.log("- DELETE /api/push/subscriptions");
   });
 }
 
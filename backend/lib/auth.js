@@ -0,0 +1,250 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { v4: uuidv4 } = require("uuid");
+const { HttpError } = require("./errors");
+
+const scrypt = promisify(crypto.scrypt);
+
+const SECRET_SETTING_KEY = "authSecret";
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const KEY_LENGTH = 64;
+
+//Stored as `scrypt$<salt>$<hash>`, both base64
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+};
+
+const verifyPassword = async (password, passwordHash) => {
+  const [scheme, salt, hash] = passwordHash.split("$");
+  if (scheme !== "scrypt") return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(
+    password,
+    Buffer.from(salt, "base64"),
+    KEY_LENGTH
+  );
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+const sign = (data, secret) =>
+  crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+//JWTs signed with HS256. `exp` is in seconds, like every JWT library expects.
+const signToken = (payload, secret, ttlSeconds) => {
+  const now = Math.floor(Date.now() / 1000);
+  const data = `${base64url(
+    JSON.stringify({ alg: "HS256", typ: "JWT" })
+  )}.${base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }))}`;
+  return `${data}.${sign(data, secret)}`;
+};
+
+//Resolves to the payload, or null for a token that is malformed, forged or
+//expired
+const verifyToken = (token, secret) => {
+  if (typeof token !== "string") return null;
+
+  const [header, payload, signature] = token.split(".");
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return claims.exp > Date.now() / 1000 ? claims : null;
+  } catch {
+    return null;
+  }
+};
+
+//The signing secret comes from AUTH_SECRET. Without it one is generated once
+//and kept in the store, so tokens stay valid across restarts.
+const loadSecret = async (store) => {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+
+  const stored = await store.getSetting(SECRET_SETTING_KEY);
+  if (stored) return stored;
+
+  console.warn("AUTH_SECRET not configured, generating a new one");
+  const secret = crypto.randomBytes(32).toString("base64");
+  await store.setSetting(SECRET_SETTING_KEY, secret);
+  return secret;
+};
+
+const parseCredentials = (body = {}) => {
+  const { email, password } = body;
+
+  if (typeof email !== "string" || !EMAIL_PATTERN.test(email.trim())) {
+    throw new HttpError(400, "A valid email is required");
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new HttpError(
+      400,
+      `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    throw new HttpError(
+      400,
+      `Passwords are limited to ${MAX_PASSWORD_LENGTH} characters`
+    );
+  }
+
+  return { email: email.trim().toLowerCase(), password };
+};
+
+const formatUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  createdAt: user.createdAt,
+});
+
+//Short-lived access tokens go with every request; refresh tokens only buy a
+//new pair and are single use, each one recorded so it can be revoked
+const createAuth = (store) => {
+  let secret = null;
+
+  const getSecret = () => {
+    secret = secret || loadSecret(store);
+    return secret;
+  };
+
+  const issueTokens = async (user) => {
+    const key = await getSecret();
+    const refreshTokenId = uuidv4();
+    const now = new Date();
+
+    await store.saveRefreshToken({
+      id: refreshTokenId,
+      userId: user.id,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(
+        now.getTime() + REFRESH_TOKEN_TTL_SECONDS * 1000
+      ).toISOString(),
+    });
+
+    return {
+      user: formatUser(user),
+      accessToken: signToken(
+        { sub: user.id, type: "access" },
+        key,
+        ACCESS_TOKEN_TTL_SECONDS
+      ),
+      refreshToken: signToken(
+        { sub: user.id, type: "refresh", jti: refreshTokenId },
+        key,
+        REFRESH_TOKEN_TTL_SECONDS
+      ),
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    };
+  };
+
+  const readRefreshToken = async (token) => {
+    const claims = verifyToken(token, await getSecret());
+    if (!claims || claims.type !== "refresh") {
+      throw new HttpError(401, "Invalid refresh token");
+    }
+    return claims;
+  };
+
+  //The first user to register also gets the tasks stored before there were
+  //accounts
+  const register = async (body) => {
+    const { email, password } = parseCredentials(body);
+    const passwordHash = await hashPassword(password);
+
+    return store.transaction(async () => {
+      if (await store.getUserByEmail(email)) {
+        throw new HttpError(409, "Email already registered");
+      }
+
+      const isFirstUser = (await store.countUsers()) === 0;
+      const user = await store.createUser({
+        id: uuidv4(),
+        email,
+        passwordHash,
+        createdAt: new Date().toISOString(),
+      });
+      if (isFirstUser) await store.claimUnownedData(user.id);
+
+      return issueTokens(user);
+    });
+  };
+
+  const login = async (body) => {
+    const { email, password } = parseCredentials(body);
+    const user = await store.getUserByEmail(email);
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      throw new HttpError(401, "Invalid email or password");
+    }
+    return issueTokens(user);
+  };
+
+  //Trades a refresh token for a new pair; the old one stops working
+  const refresh = async (token) => {
+    const claims = await readRefreshToken(token);
+    const stored = await store.getRefreshToken(claims.jti);
+    if (!stored || stored.userId !== claims.sub) {
+      throw new HttpError(401, "Invalid refresh token");
+    }
+    if (!(await store.revokeRefreshToken(stored.id))) {
+      throw new HttpError(401, "Refresh token already used");
+    }
+
+    const user = await store.getUser(stored.userId);
+    if (!user) throw new HttpError(401, "Invalid refresh token");
+    return issueTokens(user);
+  };
+
+  const logout = async (token) => {
+    const claims = await readRefreshToken(token);
+    await store.revokeRefreshToken(claims.jti);
+  };
+
+  //Middleware for the routes that need a signed-in user. Sets `req.user` and
+  //`req.store`, the store seen through that user's eyes.
+  const requireUser = async (req, res, next) => {
+    try {
+      const [scheme, token] = (req.get("Authorization") || "").split(" ");
+      const claims =
+        scheme === "Bearer" ? verifyToken(token, await getSecret()) : null;
+      const user =
+        claims && claims.type === "access"
+          ? await store.getUser(claims.sub)
+          : null;
+
+      if (!user) {
+        return res
+          .status(401)
+          .set("WWW-Authenticate", "Bearer")
+          .json({ error: "Authentication required" });
+      }
+
+      req.user = formatUser(user);
+      req.store = store.forUser(user.id);
+      next();
+    } catch (error) {
+      console.error("Error authenticating request:", error);
+      res.status(500).json({ error: "Error authenticating request" });
+    }
+  };
+
+  return { register, login, refresh, logout, requireUser };
+};
+
+module.exports = { createAuth };
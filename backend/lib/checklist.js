@@ -0,0 +1,160 @@
+const { v4: uuidv4, validate: isUuid } = require("uuid");
+const { HttpError } = require("./errors");
+const { assertCanEditTask } = require("./sharing");
+const { assertNotTrashed } = require("./trash");
+
+const MAX_ITEMS = 200;
+const MAX_TEXT_LENGTH = 500;
+
+//Validates and copies the fields present in `body`; absent ones are kept
+const applyItemFields = (item, { text, done, position }) => {
+  if (text !== undefined) {
+    if (typeof text !== "string" || !text.trim()) {
+      throw new HttpError(400, "Checklist item text is required");
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      throw new HttpError(
+        400,
+        `Checklist item text is limited to ${MAX_TEXT_LENGTH} characters`
+      );
+    }
+    item.text = text.trim();
+  }
+  if (done !== undefined) {
+    if (typeof done !== "boolean") {
+      throw new HttpError(400, "Checklist item done must be a boolean");
+    }
+    item.done = done;
+  }
+  if (position !== undefined) {
+    if (typeof position !== "number" || !Number.isFinite(position)) {
+      throw new HttpError(400, "Checklist item position must be a number");
+    }
+    item.position = position;
+  }
+  return item;
+};
+
+const assertItemId = (id) => {
+  if (!isUuid(id)) {
+    throw new HttpError(400, "Checklist item id must be a UUID");
+  }
+};
+
+//Like tasks, items get their UUID from the client; `position` defaults to
+//the end of the list
+const buildChecklistItem = (body, position) => {
+  if (body.id !== undefined) assertItemId(body.id);
+  if (body.text === undefined) {
+    throw new HttpError(400, "Checklist item text is required");
+  }
+
+  const now = new Date().toISOString();
+  const item = {
+    id: body.id ? body.id.toLowerCase() : uuidv4(),
+    text: "",
+    done: false,
+    position,
+    createdAt: now,
+    updatedAt: now,
+  };
+  return applyItemFields(item, body);
+};
+
+//Ties (two devices adding an item at the same time) fall back to the id so
+//every client shows the same order
+const compareItems = (a, b) =>
+  a.position - b.position || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+//Items sent along with a new task
+const buildChecklist = (checklist) => {
+  if (checklist === undefined || checklist === null) return [];
+  if (!Array.isArray(checklist)) {
+    throw new HttpError(400, "checklist must be an array");
+  }
+  if (checklist.length > MAX_ITEMS) {
+    throw new HttpError(400, `A checklist holds at most ${MAX_ITEMS} items`);
+  }
+
+  const items = checklist.map((item, index) =>
+    buildChecklistItem(item || {}, index)
+  );
+  if (new Set(items.map((item) => item.id)).size !== items.length) {
+    throw new HttpError(400, "Checklist item ids must be unique");
+  }
+  return items.sort(compareItems);
+};
+
+//After creation, items change one at a time: an upsert only touches the
+//fields it carries and leaves the task's version alone, so two devices
+//ticking different items never conflict. Resolves to the task, the item and
+//whether it is new.
+const saveChecklistItem = (store, taskId, itemId, body = {}) =>
+  store.transaction(async () => {
+    assertItemId(itemId);
+    const task = await store.getTask(taskId);
+    if (!task) throw new HttpError(404, "Task not found");
+    await assertCanEditTask(store, task);
+    assertNotTrashed(task);
+
+    const id = itemId.toLowerCase();
+    const existingItem = task.checklist.find((item) => item.id === id);
+    let item;
+
+    if (existingItem) {
+      item = applyItemFields(
+        { ...existingItem, updatedAt: new Date().toISOString() },
+        body
+      );
+    } else {
+      //Without text this is an edit of an item someone else already removed
+      if (body.text === undefined) {
+        throw new HttpError(404, "Checklist item not found");
+      }
+      if (task.checklist.length >= MAX_ITEMS) {
+        throw new HttpError(
+          400,
+          `A checklist holds at most ${MAX_ITEMS} items`
+        );
+      }
+
+      const last = task.checklist[task.checklist.length - 1];
+      item = buildChecklistItem(
+        { ...body, id },
+        last ? Math.floor(last.position) + 1 : 0
+      );
+    }
+
+    await store.saveChecklistItem(taskId, item);
+    return {
+      task: await store.getTask(taskId),
+      item,
+      created: !existingItem,
+    };
+  });
+
+//Resolves to the task without the item
+const deleteChecklistItem = (store, taskId, itemId) =>
+  store.transaction(async () => {
+    assertItemId(itemId);
+    const task = await store.getTask(taskId);
+    if (task) {
+      await assertCanEditTask(store, task);
+      assertNotTrashed(task);
+    }
+
+    const deleted = await store.deleteChecklistItem(
+      taskId,
+      itemId.toLowerCase()
+    );
+    if (!deleted) throw new HttpError(404, "Checklist item not found");
+
+    return store.getTask(taskId);
+  });
+
+module.exports = {
+  buildChecklist,
+  compareItems,
+  saveChecklistItem,
+  deleteChecklistItem,
+};
@@ -0,0 +1,11 @@
+//Error with an HTTP status, for failures the client caused and can act on
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = { HttpError };
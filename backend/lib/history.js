@@ -0,0 +1,87 @@
+const { HttpError } = require("./errors");
+const { assertCanEditTask } = require("./sharing");
+const { assertNotTrashed } = require("./trash");
+const {
+  buildTaskUpdate,
+  assertVersion,
+  createNextOccurrence,
+} = require("./tasks");
+
+//Fields a revision keeps. The image is left out, since it would copy up to
+//5 MB into every revision, and so is the checklist, whose items change on
+//their own.
+const REVISION_FIELDS = [
+  "title",
+  "description",
+  "completed",
+  "priority",
+  "dueDate",
+  "tags",
+  "projectId",
+  "recurrence",
+  "timeZone",
+];
+
+const pickRevisionFields = (task) => ({
+  title: task.title === undefined ? null : task.title,
+  description: task.description === undefined ? null : task.description,
+  completed: Boolean(task.completed),
+  priority: task.priority || null,
+  dueDate: task.dueDate || null,
+  tags: [...(task.tags || [])].sort(),
+  projectId: task.projectId || null,
+  recurrence: task.recurrence || null,
+  timeZone: task.timeZone || null,
+});
+
+//`{ field: { from, to } }` for each field that differs between two
+//snapshots; a new task is compared against an empty one
+const diffRevision = (before, after) => {
+  const from = before || pickRevisionFields({});
+  const changes = {};
+  for (const field of REVISION_FIELDS) {
+    if (JSON.stringify(from[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: from[field], to: after[field] };
+    }
+  }
+  return changes;
+};
+
+const parseRevisionVersion = (version) => {
+  const parsed = Number(version);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new HttpError(400, "Invalid version");
+  }
+  return parsed;
+};
+
+//Restoring writes the revision's fields over the task as a new version, so
+//the history only ever grows and a restore can be undone like any edit
+const restoreRevision = (store, id, version, baseVersion) =>
+  store.transaction(async () => {
+    const existingTask = await store.getTask(id);
+    if (!existingTask) throw new HttpError(404, "Task not found");
+    await assertCanEditTask(store, existingTask);
+    assertNotTrashed(existingTask);
+    assertVersion(existingTask, baseVersion);
+
+    const history = await store.getTaskHistory(id);
+    const revision = history.find((r) => r.version === version);
+    if (!revision) throw new HttpError(404, "Revision not found");
+
+    const updatedTask = await store.updateTask(
+      id,
+      await buildTaskUpdate(store, existingTask, revision.snapshot),
+      { restoredFrom: version }
+    );
+    const next = await createNextOccurrence(store, existingTask, updatedTask);
+    return { updatedTask, next };
+  });
+
+module.exports = {
+  REVISION_FIELDS,
+  pickRevisionFields,
+  diffRevision,
+  parseRevisionVersion,
+  restoreRevision,
+};
@@ -0,0 +1,151 @@
+const { v4: uuidv4, validate: isUuid } = require("uuid");
+const { HttpError } = require("./errors");
+const { hasRole, assertCanEditTasks } = require("./sharing");
+
+const MAX_NAME_LENGTH = 100;
+const DEFAULT_COLOR = "#3b82f6";
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/;
+
+//Validates and copies the fields present in `body`; absent ones are kept
+const applyProjectFields = (project, { name, color, position }) => {
+  if (name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) {
+      throw new HttpError(400, "Project name is required");
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+      throw new HttpError(
+        400,
+        `Project names are limited to ${MAX_NAME_LENGTH} characters`
+      );
+    }
+    project.name = name.trim();
+  }
+  if (color !== undefined) {
+    const normalized = typeof color === "string" ? color.toLowerCase() : "";
+    if (!COLOR_PATTERN.test(normalized)) {
+      throw new HttpError(400, "Project color must be a #rrggbb hex color");
+    }
+    project.color = normalized;
+  }
+  if (position !== undefined) {
+    if (typeof position !== "number" || !Number.isFinite(position)) {
+      throw new HttpError(400, "Project position must be a number");
+    }
+    project.position = position;
+  }
+  return project;
+};
+
+//Projects are ordered by position, then by name
+const compareProjects = (a, b) =>
+  a.position - b.position || a.name.localeCompare(b.name);
+
+//`projectId` on a task: a project's UUID, or null for no project
+const parseProjectId = (projectId) => {
+  if (projectId === null) return null;
+  if (typeof projectId !== "string" || !isUuid(projectId)) {
+    throw new HttpError(400, "projectId must be a UUID or null");
+  }
+  return projectId.toLowerCase();
+};
+
+//`?project=<id>` scopes a listing to one project and `?project=none` to the
+//tasks without one. Resolves to undefined when there is no filter.
+const parseProjectFilter = (project) => {
+  if (project === undefined || project === "") return undefined;
+  if (project === "none") return null;
+  if (typeof project !== "string" || !isUuid(project)) {
+    throw new HttpError(400, "Invalid project filter");
+  }
+  return project.toLowerCase();
+};
+
+//A task that points at a project deleted in the meantime (typically a
+//change made offline), or no longer shared with the user, lands outside any
+//project instead of failing. Lists shared as viewer don't take new tasks.
+const resolveProjectId = async (store, projectId) => {
+  if (!projectId) return null;
+
+  const project = await store.getProject(projectId);
+  if (!project) return null;
+
+  assertCanEditTasks(project);
+  return projectId;
+};
+
+//Like tasks, projects may get their UUID from the client; a repeated create
+//returns the stored copy. New projects go to the end of the list.
+const createProject = (store, body = {}) =>
+  store.transaction(async () => {
+    if (body.id !== undefined && !isUuid(body.id)) {
+      throw new HttpError(400, "Project id must be a UUID");
+    }
+    if (body.name === undefined) {
+      throw new HttpError(400, "Project name is required");
+    }
+
+    const id = body.id ? body.id.toLowerCase() : uuidv4();
+    const existingProject = await store.getProject(id);
+    if (existingProject) return { project: existingProject, created: false };
+
+    const projects = await store.listProjects();
+    const last = projects[projects.length - 1];
+    const now = new Date().toISOString();
+    const project = applyProjectFields(
+      {
+        id,
+        name: "",
+        color: DEFAULT_COLOR,
+        position: last ? Math.floor(last.position) + 1 : 0,
+        createdAt: now,
+        updatedAt: now,
+      },
+      body
+    );
+
+    const createdProject = await store.createProject(project);
+    //Ids are global, and this one belongs to someone else's project
+    if (!createdProject) throw new HttpError(409, "Project id already in use");
+
+    return { project: createdProject, created: true };
+  });
+
+const updateProject = (store, id, body = {}) =>
+  store.transaction(async () => {
+    const existingProject = await store.getProject(id);
+    if (!existingProject) throw new HttpError(404, "Project not found");
+    if (!hasRole(existingProject, "admin")) {
+      throw new HttpError(403, "Only the owner and admins can edit this list");
+    }
+
+    return store.updateProject(
+      id,
+      applyProjectFields(
+        { ...existingProject, updatedAt: new Date().toISOString() },
+        body
+      )
+    );
+  });
+
+//Only the owner deletes a list; members who no longer want it can leave it.
+//Resolves to the tasks that were in it.
+const deleteProject = (store, id) =>
+  store.transaction(async () => {
+    const existingProject = await store.getProject(id);
+    if (!existingProject) throw new HttpError(404, "Project not found");
+    if (existingProject.role !== "owner") {
+      throw new HttpError(403, "Only the owner can delete this list");
+    }
+
+    return store.deleteProject(id);
+  });
+
+module.exports = {
+  compareProjects,
+  parseProjectId,
+  parseProjectFilter,
+  resolveProjectId,
+  createProject,
+  updateProject,
+  deleteProject,
+};
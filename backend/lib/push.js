@@ -0,0 +1,350 @@
+const webpush = require("web-push");
+
+const VAPID_SETTING_KEY = "vapidKeys";
+const DUE_SETTING_KEY = "dueNotifiedUntil";
+const DEFAULT_SUBJECT = "mailto:admin@tasktracker.local";
+//Push services drop messages that can't be delivered within the TTL
+const PUSH_TTL_SECONDS = 60 * 60;
+//How long a push service gets to accept a message
+const PUSH_TIMEOUT_MS = 10 * 1000;
+//How often the due notifier looks for tasks that just fell due
+const DUE_CHECK_INTERVAL_MS = 60 * 1000;
+//After the server was down, tasks that fell due longer ago than this are
+//left to the "Vencidas" filter instead of arriving as a burst of pushes
+const MAX_DUE_CATCH_UP_MS = 24 * 60 * 60 * 1000;
+//Hosts of the browsers' push services, and their subdomains
+const PUSH_SERVICE_HOSTS = [
+  "fcm.googleapis.com",
+  "updates.push.services.mozilla.com",
+  "push.apple.com",
+  "notify.windows.com",
+];
+
+//The server POSTs to whatever endpoint a subscription names, so only the
+//browsers' push services are accepted, over https on the default port.
+//PUSH_ALLOWED_ORIGINS adds more, comma separated: a local push sink, say.
+const isAllowedPushEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+
+  const allowedOrigins = (process.env.PUSH_ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+  if (allowedOrigins.includes(url.origin)) return true;
+
+  return (
+    url.protocol === "https:" &&
+    url.port === "" &&
+    PUSH_SERVICE_HOSTS.some(
+      (host) => url.hostname === host || url.hostname.endsWith(`.${host}`)
+    )
+  );
+};
+
+//VAPID keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY. Without them a
+//pair is generated once and kept in the store, so subscriptions made against
+//it stay valid across restarts.
+const loadVapidKeys = async (store) => {
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    return {
+      publicKey: process.env.VAPID_PUBLIC_KEY,
+      privateKey: process.env.VAPID_PRIVATE_KEY,
+    };
+  }
+
+  const stored = await store.getSetting(VAPID_SETTING_KEY);
+  if (stored) return stored;
+
+  console.warn("VAPID keys not configured, generating a new pair");
+  const keys = webpush.generateVAPIDKeys();
+  await store.setSetting(VAPID_SETTING_KEY, keys);
+  return keys;
+};
+
+//Sends with fetch instead of webpush.sendNotification so an allowed http
+//origin works too, like a local stand-in push service. Redirects are not
+//followed: they could lead anywhere.
+const deliver = async ({ endpoint, method, headers, body }) => {
+  const response = await fetch(endpoint, {
+    method,
+    headers,
+    body,
+    redirect: "manual",
+    signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+  });
+  return response.status;
+};
+
+const describeChange = ({ type, task }) => {
+  switch (type) {
+    case "created":
+      return `Nueva tarea: ${task.title}`;
+    case "trashed":
+      return `"${task.title}" se movió a la papelera`;
+    case "restored":
+      return `"${task.title}" se recuperó de la papelera`;
+    case "deleted":
+      return "Se eliminó una tarea";
+    default:
+      return `"${task.title}" se actualizó`;
+  }
+};
+
+//Sends Web Push messages to a user's subscriptions. Sending never throws:
+//failures are logged, and subscriptions the push service reports as gone
+//(404/410) are removed.
+const createPushDispatcher = (store, { send = deliver } = {}) => {
+  let vapidKeys = null;
+
+  const getVapidKeys = () => {
+    vapidKeys = vapidKeys || loadVapidKeys(store);
+    return vapidKeys;
+  };
+
+  const sendToSubscription = async (userId, subscription, payload, keys) => {
+    //Saved before endpoints were checked, or with an origin no longer allowed
+    if (!isAllowedPushEndpoint(subscription.endpoint)) {
+      await store.deletePushSubscription(userId, subscription.endpoint);
+      return "expired";
+    }
+
+    const request = webpush.generateRequestDetails(
+      subscription,
+      JSON.stringify(payload),
+      {
+        TTL: PUSH_TTL_SECONDS,
+        vapidDetails: {
+          subject: process.env.VAPID_SUBJECT || DEFAULT_SUBJECT,
+          publicKey: keys.publicKey,
+          privateKey: keys.privateKey,
+        },
+      }
+    );
+
+    const status = await send(request);
+    if (status === 404 || status === 410) {
+      await store.deletePushSubscription(userId, subscription.endpoint);
+      return "expired";
+    }
+    if (status < 200 || status >= 300) {
+      throw new Error(`Push service responded with ${status}`);
+    }
+    return "sent";
+  };
+
+  //Sends to the devices of one user. `excludeDeviceId` skips the device that
+  //caused the event; `deviceId` sends only to that device, or to all of them
+  //if it has no subscription.
+  const dispatch = async (
+    userId,
+    payload,
+    { excludeDeviceId = null, deviceId = null } = {}
+  ) => {
+    const summary = { sent: 0, expired: 0, failed: 0 };
+
+    try {
+      const keys = await getVapidKeys();
+      let subscriptions = (await store.listPushSubscriptions(userId)).filter(
+        (subscription) =>
+          !excludeDeviceId || subscription.deviceId !== excludeDeviceId
+      );
+      if (
+        deviceId &&
+        subscriptions.some((subscription) => subscription.deviceId === deviceId)
+      ) {
+        subscriptions = subscriptions.filter(
+          (subscription) => subscription.deviceId === deviceId
+        );
+      }
+
+      const results = await Promise.allSettled(
+        subscriptions.map((subscription) =>
+          sendToSubscription(userId, subscription, payload, keys)
+        )
+      );
+
+      for (const result of results) {
+        if (result.status === "fulfilled") {
+          summary[result.value] += 1;
+        } else {
+          summary.failed += 1;
+          console.error("Error sending push notification:", result.reason);
+        }
+      }
+    } catch (error) {
+      console.error("Error dispatching push notifications:", error);
+    }
+
+    return summary;
+  };
+
+  return {
+    getPublicKey: async () => (await getVapidKeys()).publicKey,
+
+    dispatch,
+
+    //`changes` are `{ type, task }` pairs from one request or sync batch
+    notifyTasksChanged(userId, changes, originDeviceId) {
+      if (changes.length === 0) return Promise.resolve(null);
+
+      const [first] = changes;
+      return dispatch(
+        userId,
+        {
+          title: "TaskTracker",
+          body:
+            changes.length === 1
+              ? `${describeChange(first)} en otro dispositivo`
+              : `${changes.length} tareas cambiaron en otro dispositivo`,
+          tag: "task-changes",
+          data: {
+            type: "task-changed",
+            taskId:
+              changes.length === 1 && first.type !== "deleted"
+                ? first.task.id
+                : null,
+          },
+        },
+        { excludeDeviceId: originDeviceId }
+      );
+    },
+
+    notifyTaskDue(userId, task) {
+      return dispatch(userId, {
+        title: "🚨 Tarea Vencida",
+        body: `Tarea vencida: ${task.title}`,
+        tag: `task-due-${task.id}`,
+        data: { type: "task-due", taskId: task.id },
+      });
+    },
+
+    //A reminder snoozed from a notification, back on the device it was
+    //snoozed on. Same shape as the reminders the app shows itself.
+    notifyTaskReminder(userId, task, deviceId) {
+      return dispatch(
+        userId,
+        {
+          title: "⏰ Recordatorio de Tarea",
+          body: `No olvides: ${task.title}`,
+          tag: `reminder-${task.id}`,
+          data: { type: "task-reminder", taskId: task.id, title: task.title },
+        },
+        { deviceId }
+      );
+    },
+
+    //Members of a shared list hear about the tasks someone else adds to it
+    async notifyListMembers(user, changes) {
+      try {
+        const scopedStore = store.forUser(user.id);
+        for (const { type, task } of changes) {
+          if (type !== "created" || !task.projectId) continue;
+
+          const project = await scopedStore.getProject(task.projectId);
+          for (const member of project ? project.members : []) {
+            if (member.userId !== user.id) {
+              await this.notifyTaskShared(member.userId, task, user.email);
+            }
+          }
+        }
+      } catch (error) {
+        console.error("Error notifying list members:", error);
+      }
+    },
+
+    notifyProjectShared(userId, project, sharedBy) {
+      return dispatch(userId, {
+        title: "📋 Lista compartida",
+        body: `${sharedBy} compartió contigo la lista ${project.name}`,
+        tag: `project-shared-${project.id}`,
+        data: { type: "project-shared", projectId: project.id },
+      });
+    },
+
+    notifyTaskShared(userId, task, sharedBy) {
+      return dispatch(userId, {
+        title: "📋 Tarea compartida",
+        body: sharedBy
+          ? `${sharedBy} compartió contigo: ${task.title}`
+          : `Se compartió contigo: ${task.title}`,
+        tag: `task-shared-${task.id}`,
+        data: { type: "task-shared", taskId: task.id },
+      });
+    },
+  };
+};
+
+//Sends `notifyTaskDue` to everyone who sees a pending task once its due date
+//passes, checking every minute. The time it has checked up to is kept in the
+//store, so a restart neither repeats a task nor skips one. Snoozed reminders
+//that are over go out in the same check. Checking never throws.
+const createDueNotifier = (
+  store,
+  push,
+  { intervalMs = DUE_CHECK_INTERVAL_MS } = {}
+) => {
+  let timer = null;
+
+  //Resolves to how many tasks fell due since the last check
+  const check = async (now = Date.now()) => {
+    try {
+      const until = new Date(now).toISOString();
+      const earliest = new Date(now - MAX_DUE_CATCH_UP_MS).toISOString();
+      const checkedUntil = await store.getSetting(DUE_SETTING_KEY);
+      //The first check only sets the starting point
+      const after =
+        checkedUntil && checkedUntil < earliest
+          ? earliest
+          : checkedUntil || until;
+
+      const due = await store.listTasksDueBetween(after, until);
+      await store.setSetting(DUE_SETTING_KEY, until);
+
+      for (const { task, userIds } of due) {
+        for (const userId of userIds) {
+          await push.notifyTaskDue(userId, task);
+        }
+      }
+
+      const reminders = await store.takeSnoozedReminders(until);
+      for (const { userId, deviceId, fireAt, task } of reminders) {
+        if (fireAt >= earliest) {
+          await push.notifyTaskReminder(userId, task, deviceId);
+        }
+      }
+      return due.length;
+    } catch (error) {
+      console.error("Error notifying due tasks:", error);
+      return 0;
+    }
+  };
+
+  return {
+    check,
+
+    start() {
+      if (timer) return;
+      check();
+      timer = setInterval(check, intervalMs);
+      //Waiting for the next check shouldn't keep the process alive
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+};
+
+module.exports = {
+  createPushDispatcher,
+  createDueNotifier,
+  loadVapidKeys,
+  isAllowedPushEndpoint,
+};
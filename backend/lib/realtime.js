@@ -0,0 +1,96 @@
+const { getChangeFeed } = require("./tasks");
+
+const PAGE_SIZE = 500;
+//A comment line now and then keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+//How long EventSource-style clients wait before reconnecting after a drop
+const RETRY_MS = 3000;
+
+const writeEvent = (res, feed) => {
+  res.write(
+    `id: ${feed.cursor}\nevent: changes\ndata: ${JSON.stringify(feed)}\n\n`
+  );
+};
+
+//Streams each user's change feed over Server-Sent Events. Every connection
+//keeps its own cursor: it first gets what happened after the cursor the
+//client resumed from, then each new change as soon as it commits.
+const createRealtimeHub = (store) => {
+  //userId -> open connections of that user
+  const connections = new Map();
+
+  //Pages go out one after another, so the client sees cursors in order
+  const sendChanges = (connection) => {
+    connection.sending = connection.sending
+      .then(async () => {
+        let hasMore = true;
+        while (hasMore && !connection.closed) {
+          const feed = await getChangeFeed(
+            connection.store,
+            connection.cursor,
+            PAGE_SIZE
+          );
+          hasMore = feed.hasMore;
+          connection.cursor = feed.cursor;
+          //A notification queued behind a page that already carried its
+          //change finds nothing new; don't send an empty event for it
+          if (feed.changes.length > 0 || feed.reset) {
+            writeEvent(connection.res, feed);
+          }
+        }
+      })
+      .catch((error) => {
+        console.error("Error streaming task changes:", error);
+        connection.res.end();
+      });
+  };
+
+  store.onChanges((userIds) => {
+    for (const userId of userIds) {
+      for (const connection of connections.get(userId) || []) {
+        sendChanges(connection);
+      }
+    }
+  });
+
+  return {
+    //Takes over the response of an authenticated request
+    connect(req, res, since) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        //Tells nginx and similar proxies not to buffer the stream
+        "X-Accel-Buffering": "no",
+      });
+      res.write(`retry: ${RETRY_MS}\n\n`);
+
+      const connection = {
+        store: req.store,
+        cursor: since,
+        res,
+        sending: Promise.resolve(),
+        closed: false,
+      };
+      const userConnections = connections.get(req.user.id) || new Set();
+      userConnections.add(connection);
+      connections.set(req.user.id, userConnections);
+
+      const heartbeat = setInterval(
+        () => res.write(": ping\n\n"),
+        HEARTBEAT_MS
+      );
+
+      req.on("close", () => {
+        connection.closed = true;
+        clearInterval(heartbeat);
+        userConnections.delete(connection);
+        if (userConnections.size === 0) connections.delete(req.user.id);
+      });
+
+      sendChanges(connection);
+    },
+  };
+};
+
+module.exports = { createRealtimeHub };
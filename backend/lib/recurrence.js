@@ -0,0 +1,283 @@
+const { v5: uuidv5 } = require("uuid");
+const { HttpError } = require("./errors");
+
+//Subset of iCalendar RRULE: FREQ, INTERVAL, BYDAY (DAILY/WEEKLY), COUNT and
+//UNTIL. The same rules live in frontend/src/utils/recurrence.js; both sides
+//must agree on the next occurrence so an offline client and the server
+//create the same task.
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+//Index matches Date#getUTCDay()
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+//Monday first, as RRULE's default WKST
+const WEEKDAY_ORDER = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+//Upper bound on candidates tried before giving up on a rule that never matches
+const MAX_STEPS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+//Next occurrence ids are derived from the completed task's id, so whichever
+//side generates it first wins and the other's create is a duplicate
+const OCCURRENCE_NAMESPACE = "8f0d6a52-3c1e-4f8b-9a57-2d4b6c1e7a90";
+
+const getNextOccurrenceId = (taskId) => uuidv5(taskId, OCCURRENCE_NAMESPACE);
+
+const invalidRule = (reason) =>
+  new HttpError(400, `Invalid recurrence: ${reason}`);
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(
+    value
+  );
+  if (!match) throw invalidRule("UNTIL must look like 20261231T235959Z");
+
+  const [, year, month, day, hour = "23", minute = "59", second = "59"] = match;
+  const until = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (Number.isNaN(until.getTime())) throw invalidRule("UNTIL is not a date");
+  return until;
+};
+
+const formatUntil = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+//"FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4" -> { freq, interval, byDay, count, until }
+const parseRule = (rule) => {
+  if (typeof rule !== "string" || !rule.trim()) {
+    throw invalidRule("rule must be a non-empty string");
+  }
+
+  const parts = {};
+  const source = rule.trim().replace(/^RRULE:/i, "");
+  for (const part of source.split(";")) {
+    if (!part) continue;
+    const [key, value] = part.split("=");
+    if (!value) throw invalidRule(`"${part}" has no value`);
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const { FREQ, INTERVAL, BYDAY, COUNT, UNTIL, ...rest } = parts;
+  const unsupported = Object.keys(rest);
+  if (unsupported.length > 0) {
+    throw invalidRule(`${unsupported.join(", ")} not supported`);
+  }
+
+  if (!FREQUENCIES.includes(FREQ)) {
+    throw invalidRule(`FREQ must be one of ${FREQUENCIES.join(", ")}`);
+  }
+
+  const interval = INTERVAL === undefined ? 1 : Number(INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw invalidRule("INTERVAL must be a positive integer");
+  }
+
+  let byDay = null;
+  if (BYDAY !== undefined) {
+    if (FREQ !== "DAILY" && FREQ !== "WEEKLY") {
+      throw invalidRule("BYDAY is only supported with DAILY or WEEKLY");
+    }
+    byDay = [...new Set(BYDAY.split(","))];
+    if (byDay.some((day) => !WEEKDAYS.includes(day))) {
+      throw invalidRule("BYDAY days must be MO, TU, WE, TH, FR, SA or SU");
+    }
+    byDay.sort((a, b) => WEEKDAY_ORDER.indexOf(a) - WEEKDAY_ORDER.indexOf(b));
+  }
+
+  if (COUNT !== undefined && UNTIL !== undefined) {
+    throw invalidRule("COUNT and UNTIL can't be combined");
+  }
+
+  const count = COUNT === undefined ? null : Number(COUNT);
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    throw invalidRule("COUNT must be a positive integer");
+  }
+
+  return {
+    freq: FREQ,
+    interval,
+    byDay,
+    count,
+    until: UNTIL === undefined ? null : parseUntil(UNTIL),
+  };
+};
+
+//Canonical form, so client and server store the exact same string
+const formatRule = ({ freq, interval, byDay, count, until }) =>
+  [
+    `FREQ=${freq}`,
+    interval > 1 && `INTERVAL=${interval}`,
+    byDay && byDay.length > 0 && `BYDAY=${byDay.join(",")}`,
+    count && `COUNT=${count}`,
+    until && `UNTIL=${formatUntil(until)}`,
+  ]
+    .filter(Boolean)
+    .join(";");
+
+const normalizeRecurrence = (rule) => formatRule(parseRule(rule));
+
+const assertTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch (error) {
+    throw new HttpError(400, `Unknown time zone: ${timeZone}`);
+  }
+};
+
+//--- Wall-clock arithmetic ---
+//Occurrences repeat at the same local time in the task's time zone, across
+//DST changes. Calendar math runs on plain { year, month, day } values.
+
+const getWallClock = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  }).formatToParts(date);
+
+  const wall = {};
+  for (const { type, value } of parts) {
+    if (type !== "literal") wall[type] = Number(value);
+  }
+  return wall;
+};
+
+const wallToUtcMs = ({ year, month, day, hour = 0, minute = 0, second = 0 }) =>
+  Date.UTC(year, month - 1, day, hour, minute, second);
+
+//Finds the instant showing `wall` in `timeZone`; two passes settle the offset
+const wallToDate = (wall, timeZone) => {
+  const target = wallToUtcMs(wall);
+  let guess = target;
+  for (let pass = 0; pass < 2; pass += 1) {
+    const offset = wallToUtcMs(getWallClock(new Date(guess), timeZone)) - guess;
+    guess = target - offset;
+  }
+  return new Date(guess);
+};
+
+const addDays = (wall, days) => {
+  const date = new Date(wallToUtcMs({ ...wall, hour: 0 }) + days * DAY_MS);
+  return {
+    ...wall,
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  };
+};
+
+const getWeekday = (wall) =>
+  WEEKDAYS[new Date(wallToUtcMs({ ...wall, hour: 0 })).getUTCDay()];
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const nextDaily = ({ interval, byDay }, wall) => {
+  for (let step = 1; step <= MAX_STEPS; step += 1) {
+    const candidate = addDays(wall, step * interval);
+    if (!byDay || byDay.includes(getWeekday(candidate))) return candidate;
+  }
+  return null;
+};
+
+//With BYDAY, every listed day of each INTERVAL-th week (weeks start Monday)
+const nextWeekly = ({ interval, byDay }, wall) => {
+  if (!byDay) return addDays(wall, 7 * interval);
+
+  const weekStart = addDays(wall, -WEEKDAY_ORDER.indexOf(getWeekday(wall)));
+  for (let step = 1; step <= 7 * interval + 7; step += 1) {
+    const candidate = addDays(wall, step);
+    const weeks = Math.floor(
+      (wallToUtcMs({ ...candidate, hour: 0 }) -
+        wallToUtcMs({ ...weekStart, hour: 0 })) /
+        (7 * DAY_MS)
+    );
+    if (weeks % interval === 0 && byDay.includes(getWeekday(candidate))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+//Months (or years) lacking the day, like the 31st or Feb 29, are skipped
+const nextMonthly = ({ interval }, wall, monthsPerStep = 1) => {
+  for (let step = 1; step <= MAX_STEPS; step += 1) {
+    const months = wall.month - 1 + step * interval * monthsPerStep;
+    const year = wall.year + Math.floor(months / 12);
+    const month = (months % 12) + 1;
+    if (wall.day <= daysInMonth(year, month)) return { ...wall, year, month };
+  }
+  return null;
+};
+
+const STEPPERS = {
+  DAILY: nextDaily,
+  WEEKLY: nextWeekly,
+  MONTHLY: nextMonthly,
+  YEARLY: (rule, wall) => nextMonthly(rule, wall, 12),
+};
+
+//Due date and rule for the occurrence after `task`, or null when the series
+//ends. COUNT counts down on each generated task, so the rule stays stateless.
+const getNextOccurrence = ({ recurrence, dueDate, timeZone }) => {
+  if (!recurrence || !dueDate) return null;
+
+  const rule = parseRule(recurrence);
+  if (rule.count === 1) return null;
+
+  const zone = timeZone || "UTC";
+  const wall = getWallClock(new Date(dueDate), zone);
+  const nextWall = STEPPERS[rule.freq](rule, wall);
+  if (!nextWall) return null;
+
+  const next = wallToDate(nextWall, zone);
+  if (rule.until && next > rule.until) return null;
+
+  return {
+    dueDate: next.toISOString(),
+    recurrence: formatRule({
+      ...rule,
+      count: rule.count ? rule.count - 1 : null,
+    }),
+  };
+};
+
+//Body for the next occurrence of a task that was just completed
+const buildNextOccurrence = (task) => {
+  const next = getNextOccurrence(task);
+  if (!next) return null;
+
+  return {
+    id: getNextOccurrenceId(task.id),
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    tags: task.tags,
+    projectId: task.projectId,
+    dueDate: next.dueDate,
+    recurrence: next.recurrence,
+    timeZone: task.timeZone,
+    //Items start unticked, with ids derived like the task's own
+    checklist: (task.checklist || []).map((item) => ({
+      id: getNextOccurrenceId(item.id),
+      text: item.text,
+      done: false,
+      position: item.position,
+    })),
+  };
+};
+
+module.exports = {
+  parseRule,
+  formatRule,
+  normalizeRecurrence,
+  assertTimeZone,
+  getNextOccurrence,
+  getNextOccurrenceId,
+  buildNextOccurrence,
+};
@@ -0,0 +1,121 @@
+const { HttpError } = require("./errors");
+
+//Roles a list can be shared with, from least to most access. The owner is
+//not one of them: it is whoever created the list, and never changes.
+const MEMBER_ROLES = ["viewer", "editor", "admin"];
+const ROLE_RANK = { viewer: 0, editor: 1, admin: 2, owner: 3 };
+
+//Whether the user's role in `project` (as returned by the store) is at
+//least `role`
+const hasRole = (project, role) =>
+  Boolean(project && project.role) &&
+  ROLE_RANK[project.role] >= ROLE_RANK[role];
+
+const parseRole = (role) => {
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new HttpError(400, `role must be one of ${MEMBER_ROLES.join(", ")}`);
+  }
+  return role;
+};
+
+//Viewers read a list's tasks; editors and up also change them
+const assertCanEditTasks = (project) => {
+  if (!hasRole(project, "editor")) {
+    throw new HttpError(403, "This list is shared with you as a viewer");
+  }
+};
+
+//A task outside any list is only visible to its owner, who can always edit it
+const assertCanEditTask = async (store, task) => {
+  if (!task.projectId) return;
+  assertCanEditTasks(await store.getProject(task.projectId));
+};
+
+const assertCanManageMembers = (project) => {
+  if (!hasRole(project, "admin")) {
+    throw new HttpError(
+      403,
+      "Only the owner and admins can manage who has access to this list"
+    );
+  }
+};
+
+const getSharedProject = async (store, projectId) => {
+  const project = await store.getProject(projectId);
+  if (!project) throw new HttpError(404, "Project not found");
+  return project;
+};
+
+//Finds a non-owner member of the list, or fails with a 404
+const findMember = (project, memberId) => {
+  const member = project.members.find(
+    (m) => m.userId === memberId && m.role !== "owner"
+  );
+  if (!member) throw new HttpError(404, "Member not found");
+  return member;
+};
+
+//Shares the list with a registered user, or changes the role they already
+//have. Resolves to the member and whether they are new.
+const shareProject = (store, projectId, body = {}) =>
+  store.transaction(async () => {
+    const project = await getSharedProject(store, projectId);
+    assertCanManageMembers(project);
+
+    const { email } = body;
+    if (typeof email !== "string" || !email.trim()) {
+      throw new HttpError(400, "email is required");
+    }
+    const role = parseRole(body.role);
+
+    const user = await store.getUserByEmail(email.trim().toLowerCase());
+    if (!user) throw new HttpError(404, "No user with that email");
+    if (user.id === project.ownerId) {
+      throw new HttpError(400, "The owner already has full access");
+    }
+    if (user.id === store.userId) {
+      throw new HttpError(400, "You can't change your own role");
+    }
+
+    const created = await store.saveProjectMember(projectId, {
+      userId: user.id,
+      role,
+      createdAt: new Date().toISOString(),
+    });
+    return { member: { userId: user.id, email: user.email, role }, created };
+  });
+
+const updateMemberRole = (store, projectId, memberId, body = {}) =>
+  store.transaction(async () => {
+    const project = await getSharedProject(store, projectId);
+    assertCanManageMembers(project);
+
+    const member = findMember(project, memberId);
+    if (member.userId === store.userId) {
+      throw new HttpError(400, "You can't change your own role");
+    }
+
+    const role = parseRole(body.role);
+    await store.saveProjectMember(projectId, { userId: memberId, role });
+    return { ...member, role };
+  });
+
+//Members can always leave a list; removing someone else takes an admin
+const removeMember = (store, projectId, memberId) =>
+  store.transaction(async () => {
+    const project = await getSharedProject(store, projectId);
+    if (memberId !== store.userId) assertCanManageMembers(project);
+
+    findMember(project, memberId);
+    await store.deleteProjectMember(projectId, memberId);
+  });
+
+module.exports = {
+  MEMBER_ROLES,
+  hasRole,
+  assertCanEditTasks,
+  assertCanEditTask,
+  shareProject,
+  updateMemberRole,
+  removeMember,
+};
@@ -0,0 +1,344 @@
+const { v4: uuidv4, validate: isUuid } = require("uuid");
+const { HttpError } = require("./errors");
+const {
+  normalizeRecurrence,
+  assertTimeZone,
+  buildNextOccurrence,
+} = require("./recurrence");
+const { buildChecklist } = require("./checklist");
+const { parseProjectId, resolveProjectId } = require("./projects");
+const { getPurgeAt } = require("./trash");
+
+const PRIORITIES = ["low", "medium", "high"];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+//Normalizes an `{ data, type }` image, accepting data URLs as well. Empty
+//data means no image.
+const processImage = (imageData) => {
+  if (
+    !imageData ||
+    typeof imageData !== "object" ||
+    Array.isArray(imageData) ||
+    typeof imageData.data !== "string"
+  ) {
+    throw new HttpError(400, "image must be an object with base64 data");
+  }
+  if (imageData.type !== undefined && typeof imageData.type !== "string") {
+    throw new HttpError(400, "image type must be a string");
+  }
+  if (!imageData.data) return null;
+
+  //Validate image size (max 5MB base64)
+  const imageSizeBytes = (imageData.data.length * 3) / 4; //Approximate base64 size
+  if (imageSizeBytes > MAX_IMAGE_BYTES) {
+    throw new HttpError(400, "Image too large. Maximum size is 5MB.");
+  }
+
+  return {
+    data: imageData.data.replace(/^data:image\/[a-z]+;base64,/, ""),
+    type: imageData.type || "image/jpeg",
+  };
+};
+
+//Field checks shared by creates and updates. SQLite would store anything
+//else as text, so both adapters only ever see these types.
+const parseTitle = (title) => {
+  if (typeof title !== "string" || !title) {
+    throw new HttpError(400, "Title is required");
+  }
+  return title;
+};
+
+//null clears the description
+const parseDescription = (description) => {
+  if (description === null) return "";
+  if (typeof description !== "string") {
+    throw new HttpError(400, "description must be a string");
+  }
+  return description;
+};
+
+const parsePriority = (priority) => {
+  if (!PRIORITIES.includes(priority)) {
+    throw new HttpError(
+      400,
+      `priority must be one of ${PRIORITIES.join(", ")}`
+    );
+  }
+  return priority;
+};
+
+const parseCompleted = (completed) => {
+  if (typeof completed !== "boolean") {
+    throw new HttpError(400, "completed must be a boolean");
+  }
+  return completed;
+};
+
+//Due dates are stored as UTC ISO strings so they compare (and sort) as text.
+//null clears the date.
+const parseDueDate = (dueDate) => {
+  if (dueDate === null || dueDate === "") return null;
+
+  const date = new Date(dueDate);
+  if (typeof dueDate !== "string" || Number.isNaN(date.getTime())) {
+    throw new HttpError(400, "dueDate must be an ISO 8601 date");
+  }
+  return date.toISOString();
+};
+
+//Tags are case-insensitive labels, so "  #Work " and "work" are the same
+//tag. Commas separate tags in the client's input and can't be part of one.
+const normalizeTag = (tag) => {
+  if (typeof tag !== "string") {
+    throw new HttpError(400, "Tags must be strings");
+  }
+
+  const normalized = tag
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+  if (!normalized || normalized.includes(",")) {
+    throw new HttpError(400, `Invalid tag: "${tag}"`);
+  }
+  if (normalized.length > MAX_TAG_LENGTH) {
+    throw new HttpError(
+      400,
+      `Tags are limited to ${MAX_TAG_LENGTH} characters`
+    );
+  }
+  return normalized;
+};
+
+//Sorted and without duplicates, so equal sets of tags compare equal
+const parseTags = (tags) => {
+  if (tags === null) return [];
+  if (!Array.isArray(tags)) {
+    throw new HttpError(400, "tags must be an array of strings");
+  }
+
+  const normalized = [...new Set(tags.map(normalizeTag))].sort();
+  if (normalized.length > MAX_TAGS) {
+    throw new HttpError(400, `A task holds at most ${MAX_TAGS} tags`);
+  }
+  return normalized;
+};
+
+//A repeating task needs a due date to count occurrences from. The time zone
+//(IANA name, e.g. "Europe/Madrid") keeps occurrences at the same local time.
+const applyRecurrence = (task, { recurrence, timeZone }) => {
+  if (recurrence !== undefined) {
+    task.recurrence = recurrence ? normalizeRecurrence(recurrence) : null;
+  }
+  if (timeZone !== undefined) {
+    if (timeZone) assertTimeZone(timeZone);
+    task.timeZone = timeZone || null;
+  }
+
+  if (task.recurrence && !task.dueDate) {
+    throw new HttpError(400, "A recurring task needs a dueDate");
+  }
+  return task;
+};
+
+//Builds a new task record from a POST body. Clients generate the UUID so a
+//task keeps the same id offline and online; the server only fills it in
+//for clients that don't send one. `checklist` is only read here: later the
+//items change one by one (see lib/checklist.js).
+const buildTask = (body = {}) => {
+  const {
+    id,
+    title,
+    description,
+    priority = "medium",
+    dueDate,
+    tags,
+    projectId,
+    checklist,
+    image,
+    photo,
+  } = body;
+
+  if (id !== undefined && !isUuid(id)) {
+    throw new HttpError(400, "Task id must be a UUID");
+  }
+
+  //Process image if provided (support both 'image' and 'photo' fields)
+  const imageData =
+    image ?? (photo ? { data: photo, type: "image/jpeg" } : null);
+
+  const task = {
+    id: id ? id.toLowerCase() : uuidv4(),
+    title: parseTitle(title),
+    description: description === undefined ? "" : parseDescription(description),
+    completed: false,
+    priority: parsePriority(priority),
+    dueDate: dueDate === undefined ? null : parseDueDate(dueDate),
+    tags: tags === undefined ? [] : parseTags(tags),
+    projectId: projectId === undefined ? null : parseProjectId(projectId),
+    recurrence: null,
+    timeZone: null,
+    checklist: buildChecklist(checklist),
+    image: imageData === null ? null : processImage(imageData),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+
+  return applyRecurrence(task, body);
+};
+
+//Applies a PUT body over an existing task; absent fields are kept
+const applyTaskUpdate = (existingTask, body = {}) => {
+  const {
+    title,
+    description,
+    completed,
+    priority,
+    dueDate,
+    tags,
+    projectId,
+    image,
+    photo,
+  } = body;
+
+  //Process image if provided (support both 'image' and 'photo' fields)
+  const imageData =
+    image !== undefined
+      ? image
+      : photo !== undefined
+      ? photo
+        ? { data: photo, type: "image/jpeg" }
+        : null
+      : undefined;
+  let processedImage = existingTask.image;
+  if (imageData !== undefined) {
+    processedImage = imageData === null ? null : processImage(imageData);
+  }
+
+  const updatedTask = {
+    ...existingTask,
+    ...(title !== undefined && { title: parseTitle(title) }),
+    ...(description !== undefined && {
+      description: parseDescription(description),
+    }),
+    ...(completed !== undefined && { completed: parseCompleted(completed) }),
+    ...(priority !== undefined && { priority: parsePriority(priority) }),
+    ...(dueDate !== undefined && { dueDate: parseDueDate(dueDate) }),
+    ...(tags !== undefined && { tags: parseTags(tags) }),
+    ...(projectId !== undefined && { projectId: parseProjectId(projectId) }),
+    image: processedImage,
+    updatedAt: new Date().toISOString(),
+  };
+
+  return applyRecurrence(updatedTask, body);
+};
+
+//`applyTaskUpdate` plus the checks that need the store
+const buildTaskUpdate = async (store, existingTask, body) => {
+  const task = applyTaskUpdate(existingTask, body);
+  return { ...task, projectId: await resolveProjectId(store, task.projectId) };
+};
+
+//Stored tasks keep only `image`; clients also expect `photo` and `synced`,
+//and tasks in the trash the date they leave it in `purgeAt`
+const formatTask = (task) => ({
+  ...task,
+  photo: task.image ? `data:image/jpeg;base64,${task.image.data}` : null,
+  purgeAt: task.deletedAt ? getPurgeAt(task.deletedAt) : null,
+  synced: true,
+});
+
+//One page of the change feed after the `since` cursor, as served by
+//GET /tasks/changes and the realtime stream
+const getChangeFeed = async (store, since, limit) => {
+  //A cursor ahead of the log means the server lost its data; make the
+  //client start over instead of waiting for changes that never come
+  const latestSeq = await store.getLatestSeq();
+  const reset = since > latestSeq;
+  const changes = await store.getChanges(reset ? 0 : since, limit);
+  const hasMore = changes.length === limit;
+
+  return {
+    cursor: hasMore ? changes[changes.length - 1].seq : latestSeq,
+    hasMore,
+    reset,
+    changes: changes.map((change) => ({
+      ...change,
+      task: change.task ? formatTask(change.task) : null,
+    })),
+  };
+};
+
+const getETag = (task) => `"${task.version}"`;
+
+//Reads the expected version from `If-Match` ("3" or W/"3") or `baseVersion`
+const getBaseVersion = (ifMatch, baseVersion) => {
+  const raw =
+    ifMatch !== undefined
+      ? String(ifMatch).replace(/^W\//, "").replace(/"/g, "")
+      : baseVersion;
+  if (raw === undefined || raw === null || raw === "*") return undefined;
+
+  const version = Number(raw);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new HttpError(400, "Invalid version");
+  }
+  return version;
+};
+
+//A write based on an older version would silently drop someone else's
+//change, so it gets a 409 carrying the current copy to resolve against
+const assertVersion = (task, baseVersion) => {
+  if (baseVersion !== undefined && baseVersion !== task.version) {
+    throw new HttpError(409, "Version conflict", {
+      currentVersion: task.version,
+      task: formatTask(task),
+    });
+  }
+};
+
+//Creating a task whose id already exists returns the stored copy instead,
+//so a retried create never duplicates it
+const createTask = (store, body) =>
+  store.transaction(async () => {
+    const task = buildTask(body);
+    const existingTask = await store.getTask(task.id);
+    if (existingTask) return { task: existingTask, created: false };
+
+    task.projectId = await resolveProjectId(store, task.projectId);
+    const createdTask = await store.createTask(task);
+    //Ids are global, and this one belongs to someone else's task
+    if (!createdTask) throw new HttpError(409, "Task id already in use");
+
+    return { task: createdTask, created: true };
+  });
+
+//Completing an occurrence of a recurring task creates the next one. Its id
+//is derived from the completed task, so when an offline client already
+//created it, one of the two creates is just a duplicate.
+const createNextOccurrence = async (store, previousTask, task) => {
+  if (previousTask.completed || !task.completed || !task.recurrence) {
+    return null;
+  }
+
+  const nextTask = buildNextOccurrence(task);
+  return nextTask ? createTask(store, nextTask) : null;
+};
+
+module.exports = {
+  normalizeTag,
+  parseTags,
+  buildTask,
+  createTask,
+  createNextOccurrence,
+  applyTaskUpdate,
+  buildTaskUpdate,
+  formatTask,
+  getChangeFeed,
+  getETag,
+  getBaseVersion,
+  assertVersion,
+};
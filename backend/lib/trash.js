@@ -0,0 +1,118 @@
+const { HttpError } = require("./errors");
+const { assertCanEditTask } = require("./sharing");
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+//How often the purger looks for tasks past the retention period
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+//TRASH_RETENTION_DAYS sets how long deleted tasks wait in the trash
+const getRetentionDays = () => {
+  if (process.env.TRASH_RETENTION_DAYS === undefined) {
+    return DEFAULT_RETENTION_DAYS;
+  }
+
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  if (!Number.isFinite(days) || days <= 0) {
+    console.warn(
+      `Invalid TRASH_RETENTION_DAYS, keeping deleted tasks ${DEFAULT_RETENTION_DAYS} days`
+    );
+    return DEFAULT_RETENTION_DAYS;
+  }
+  return days;
+};
+
+const RETENTION_DAYS = getRetentionDays();
+
+//When a task deleted at `deletedAt` leaves the trash for good
+const getPurgeAt = (deletedAt) =>
+  new Date(
+    new Date(deletedAt).getTime() + RETENTION_DAYS * DAY_MS
+  ).toISOString();
+
+//A task in the trash can only be restored or deleted for good: anything
+//else that would change it has to wait until it is restored
+const assertNotTrashed = (task) => {
+  if (task.deletedAt) {
+    throw new HttpError(409, "Task is in the trash; restore it first");
+  }
+};
+
+const getEditableTask = async (store, id) => {
+  const task = await store.getTask(id);
+  if (!task) throw new HttpError(404, "Task not found");
+  await assertCanEditTask(store, task);
+  return task;
+};
+
+//Moving a task to the trash and back are idempotent, so a retried request
+//(or one from a device that didn't know) just gets the task as it is
+const trashTask = (store, id) =>
+  store.transaction(async () => {
+    const task = await getEditableTask(store, id);
+    if (task.deletedAt) return { task, changed: false };
+
+    return { task: await store.setTaskTrashed(id, true), changed: true };
+  });
+
+const restoreTask = (store, id) =>
+  store.transaction(async () => {
+    const task = await getEditableTask(store, id);
+    if (!task.deletedAt) return { task, changed: false };
+
+    return { task: await store.setTaskTrashed(id, false), changed: true };
+  });
+
+//Resolves to the task as it was before it was deleted
+const deleteTaskPermanently = (store, id) =>
+  store.transaction(async () => {
+    const task = await getEditableTask(store, id);
+    await store.deleteTask(id);
+    return task;
+  });
+
+//Deletes the tasks that have been in the trash longer than the retention
+//period, once on start and then every hour. Purging never throws.
+const createTrashPurger = (store, { intervalMs = PURGE_INTERVAL_MS } = {}) => {
+  let timer = null;
+
+  const purge = async (now = Date.now()) => {
+    try {
+      const purged = await store.purgeTrash(
+        new Date(now - RETENTION_DAYS * DAY_MS).toISOString()
+      );
+      if (purged > 0) console.log(`Purged ${purged} tasks from the trash`);
+      return purged;
+    } catch (error) {
+      console.error("Error purging the trash:", error);
+      return 0;
+    }
+  };
+
+  return {
+    purge,
+
+    start() {
+      if (timer) return;
+      purge();
+      timer = setInterval(purge, intervalMs);
+      //Waiting for the next purge shouldn't keep the process alive
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  getPurgeAt,
+  assertNotTrashed,
+  trashTask,
+  restoreTask,
+  deleteTaskPermanently,
+  createTrashPurger,
+};
@@ -0,0 +1,57 @@
+const express = require("express");
+const { HttpError } = require("../lib/errors");
+
+module.exports = (auth) => {
+  const router = express.Router();
+
+  //Sends the error for a failed auth call; the rest are logged as a 500
+  const handleError = (res, error, message) => {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message });
+  };
+
+  //Register and login answer with `{ user, accessToken, refreshToken,
+  //expiresIn }`; the access token goes in `Authorization: Bearer <token>`
+  router.post("/auth/register", async (req, res) => {
+    try {
+      res.status(201).json(await auth.register(req.body));
+    } catch (error) {
+      handleError(res, error, "Error registering user");
+    }
+  });
+
+  router.post("/auth/login", async (req, res) => {
+    try {
+      res.json(await auth.login(req.body));
+    } catch (error) {
+      handleError(res, error, "Error logging in");
+    }
+  });
+
+  //Each refresh token works once: the response carries the next one
+  router.post("/auth/refresh", async (req, res) => {
+    try {
+      res.json(await auth.refresh((req.body || {}).refreshToken));
+    } catch (error) {
+      handleError(res, error, "Error refreshing token");
+    }
+  });
+
+  router.post("/auth/logout", async (req, res) => {
+    try {
+      await auth.logout((req.body || {}).refreshToken);
+      res.json({ message: "Logged out successfully" });
+    } catch (error) {
+      handleError(res, error, "Error logging out");
+    }
+  });
+
+  router.get("/auth/me", auth.requireUser, (req, res) => {
+    res.json(req.user);
+  });
+
+  return router;
+};
@@ -0,0 +1,150 @@
+const express = require("express");
+const { HttpError } = require("../lib/errors");
+const {
+  createProject,
+  updateProject,
+  deleteProject,
+} = require("../lib/projects");
+const {
+  shareProject,
+  updateMemberRole,
+  removeMember,
+} = require("../lib/sharing");
+const { formatTask } = require("../lib/tasks");
+
+module.exports = (push) => {
+  const router = express.Router();
+
+  //In display order
+  router.get("/projects", async (req, res) => {
+    try {
+      res.json(await req.store.listProjects());
+    } catch (error) {
+      console.error("Error fetching projects:", error);
+      res.status(500).json({ error: "Error fetching projects" });
+    }
+  });
+
+  router.get("/projects/:id", async (req, res) => {
+    try {
+      const project = await req.store.getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+
+      res.json(project);
+    } catch (error) {
+      console.error("Error fetching project:", error);
+      res.status(500).json({ error: "Error fetching project" });
+    }
+  });
+
+  router.post("/projects", async (req, res) => {
+    try {
+      const { project, created } = await createProject(req.store, req.body);
+      res.status(created ? 201 : 200).json(project);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error creating project:", error);
+      res.status(500).json({ error: "Error creating project" });
+    }
+  });
+
+  //Renames, recolors or reorders; absent fields are kept
+  router.put("/projects/:id", async (req, res) => {
+    try {
+      res.json(await updateProject(req.store, req.params.id, req.body));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error updating project:", error);
+      res.status(500).json({ error: "Error updating project" });
+    }
+  });
+
+  //The project's tasks are not deleted: they stay without a project, and the
+  //user's other devices hear about them like about any other update
+  router.delete("/projects/:id", async (req, res) => {
+    try {
+      const movedTasks = await deleteProject(req.store, req.params.id);
+
+      push.notifyTasksChanged(
+        req.user.id,
+        movedTasks.map((task) => ({ type: "updated", task })),
+        req.get("X-Device-Id")
+      );
+      res.json({
+        message: "Project deleted successfully",
+        tasks: movedTasks.map(formatTask),
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error deleting project:", error);
+      res.status(500).json({ error: "Error deleting project" });
+    }
+  });
+
+  //Shares the list with a registered user by email, or changes the role of
+  //someone it is already shared with
+  router.post("/projects/:id/members", async (req, res) => {
+    try {
+      const { member, created } = await shareProject(
+        req.store,
+        req.params.id,
+        req.body
+      );
+
+      if (created) {
+        const project = await req.store.getProject(req.params.id);
+        push.notifyProjectShared(member.userId, project, req.user.email);
+      }
+      res.status(created ? 201 : 200).json(member);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error sharing project:", error);
+      res.status(500).json({ error: "Error sharing project" });
+    }
+  });
+
+  router.put("/projects/:id/members/:userId", async (req, res) => {
+    try {
+      res.json(
+        await updateMemberRole(
+          req.store,
+          req.params.id,
+          req.params.userId,
+          req.body
+        )
+      );
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error updating member:", error);
+      res.status(500).json({ error: "Error updating member" });
+    }
+  });
+
+  //Removes a member; members remove themselves to leave the list
+  router.delete("/projects/:id/members/:userId", async (req, res) => {
+    try {
+      await removeMember(req.store, req.params.id, req.params.userId);
+      res.json({ message: "Member removed successfully" });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error removing member:", error);
+      res.status(500).json({ error: "Error removing member" });
+    }
+  });
+
+  return router;
+};
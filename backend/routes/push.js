@@ -0,0 +1,68 @@
+const express = require("express");
+const { isAllowedPushEndpoint } = require("../lib/push");
+
+const isValidSubscription = (subscription) =>
+  Boolean(subscription) &&
+  typeof subscription.endpoint === "string" &&
+  isAllowedPushEndpoint(subscription.endpoint) &&
+  Boolean(subscription.keys) &&
+  typeof subscription.keys.p256dh === "string" &&
+  typeof subscription.keys.auth === "string";
+
+module.exports = (push) => {
+  const router = express.Router();
+
+  //Browsers need the VAPID public key as `applicationServerKey` to subscribe
+  router.get("/push/public-key", async (req, res) => {
+    try {
+      res.json({ publicKey: await push.getPublicKey() });
+    } catch (error) {
+      console.error("Error fetching VAPID public key:", error);
+      res.status(500).json({ error: "Error fetching VAPID public key" });
+    }
+  });
+
+  //Body is a PushSubscription as serialized by the browser (`toJSON()`).
+  //The device id lets the dispatcher skip the device that made a change.
+  router.post("/push/subscriptions", async (req, res) => {
+    const { subscription, deviceId } = req.body || {};
+    if (!isValidSubscription(subscription)) {
+      return res.status(400).json({ error: "Invalid push subscription" });
+    }
+
+    try {
+      const created = await req.store.savePushSubscription({
+        endpoint: subscription.endpoint,
+        keys: subscription.keys,
+        deviceId: deviceId || req.get("X-Device-Id") || null,
+      });
+      res
+        .status(created ? 201 : 200)
+        .json({ endpoint: subscription.endpoint });
+    } catch (error) {
+      console.error("Error saving push subscription:", error);
+      res.status(500).json({ error: "Error saving push subscription" });
+    }
+  });
+
+  router.delete("/push/subscriptions", async (req, res) => {
+    const { endpoint } = req.body || {};
+    if (typeof endpoint !== "string" || !endpoint) {
+      return res.status(400).json({ error: "endpoint is required" });
+    }
+
+    try {
+      const deleted = await req.store.deletePushSubscription(endpoint);
+      if (!deleted) {
+        return res.status(404).json({ error: "Subscription not found" });
+      }
+
+      res.json({ message: "Subscription deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting push subscription:", error);
+      res.status(500).json({ error: "Error deleting push subscription" });
+    }
+  });
+
+  return router;
+};
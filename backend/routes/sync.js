@@ -0,0 +1,222 @@
+const express = require("express");
+const { HttpError } = require("../lib/errors");
+const {
+  createTask,
+  createNextOccurrence,
+  buildTaskUpdate,
+  formatTask,
+  getBaseVersion,
+  assertVersion,
+} = require("../lib/tasks");
+const { saveChecklistItem, deleteChecklistItem } = require("../lib/checklist");
+const { assertCanEditTask } = require("../lib/sharing");
+const {
+  assertNotTrashed,
+  trashTask,
+  restoreTask,
+  deleteTaskPermanently,
+} = require("../lib/trash");
+
+const MAX_OPERATIONS = 500;
+const OPERATION_TYPES = [
+  "create",
+  "update",
+  "delete",
+  "restore",
+  "purge",
+  "checklist-upsert",
+  "checklist-delete",
+];
+const CHECKLIST_OPERATION_TYPES = ["checklist-upsert", "checklist-delete"];
+//Operations whose `data` carries the fields of the task or checklist item
+const DATA_OPERATION_TYPES = ["create", "update", "checklist-upsert"];
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const validateOperations = (operations) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return "operations must be a non-empty array";
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    return `At most ${MAX_OPERATIONS} operations per batch`;
+  }
+
+  for (const [index, operation] of operations.entries()) {
+    if (!operation || typeof operation.opId !== "string" || !operation.opId) {
+      return `Operation ${index} is missing opId`;
+    }
+    if (!OPERATION_TYPES.includes(operation.type)) {
+      return `Operation ${index} has an unknown type`;
+    }
+    //Creates may omit taskId and let the server generate one
+    if (operation.type !== "create" && !operation.taskId) {
+      return `Operation ${index} is missing taskId`;
+    }
+    if (
+      CHECKLIST_OPERATION_TYPES.includes(operation.type) &&
+      !operation.itemId
+    ) {
+      return `Operation ${index} is missing itemId`;
+    }
+  }
+
+  return null;
+};
+
+//Operation type -> change type reported to the user's other devices.
+//`delete` moves the task to the trash, like DELETE /tasks/:id.
+const CHANGE_TYPES = {
+  create: "created",
+  update: "updated",
+  delete: "trashed",
+  restore: "restored",
+  purge: "deleted",
+  "checklist-upsert": "updated",
+  "checklist-delete": "updated",
+};
+
+module.exports = (push) => {
+  const router = express.Router();
+
+  const applyOperation = async (
+    store,
+    { type, taskId, itemId, baseVersion, data }
+  ) => {
+    if (DATA_OPERATION_TYPES.includes(type) && !isPlainObject(data)) {
+      throw new HttpError(400, "data must be an object");
+    }
+
+    switch (type) {
+      case "create": {
+        const { task, created } = await createTask(store, {
+          ...data,
+          ...(taskId && { id: taskId }),
+        });
+        return {
+          status: created ? "applied" : "duplicate",
+          taskId: task.id,
+          task: formatTask(task),
+        };
+      }
+      case "update": {
+        const existingTask = await store.getTask(taskId);
+        if (!existingTask) throw new HttpError(404, "Task not found");
+        await assertCanEditTask(store, existingTask);
+        assertNotTrashed(existingTask);
+
+        assertVersion(existingTask, getBaseVersion(undefined, baseVersion));
+        const task = await store.updateTask(
+          taskId,
+          await buildTaskUpdate(store, existingTask, data)
+        );
+        //The next occurrence reaches the client through the changes feed
+        await createNextOccurrence(store, existingTask, task);
+        return { status: "applied", taskId, task: formatTask(task) };
+      }
+      case "delete": {
+        const { task } = await trashTask(store, taskId);
+        return { status: "applied", taskId, task: formatTask(task) };
+      }
+      case "restore": {
+        const { task } = await restoreTask(store, taskId);
+        return { status: "applied", taskId, task: formatTask(task) };
+      }
+      case "purge": {
+        await deleteTaskPermanently(store, taskId);
+        return { status: "applied", taskId, task: null };
+      }
+      //Checklist items are not versioned: each operation carries only the
+      //fields that changed on the client
+      case "checklist-upsert": {
+        const { task, item } = await saveChecklistItem(
+          store,
+          taskId,
+          itemId,
+          data
+        );
+        return {
+          status: "applied",
+          taskId,
+          itemId: item.id,
+          item,
+          task: formatTask(task),
+        };
+      }
+      case "checklist-delete": {
+        const task = await deleteChecklistItem(store, taskId, itemId);
+        return { status: "applied", taskId, itemId, task: formatTask(task) };
+      }
+    }
+  };
+
+  //Replays an ordered offline log. The whole batch runs in one transaction;
+  //operations the client got wrong fail individually, each behind its own
+  //savepoint, and anything else rolls the batch back. Applied opIds are
+  //remembered so a retried batch only reports them as duplicates.
+  router.post("/sync", async (req, res) => {
+    const { operations } = req.body || {};
+    const validationError = validateOperations(operations);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const results = await req.store.transaction(async () => {
+        const results = [];
+
+        for (const operation of operations) {
+          const { opId, type } = operation;
+
+          const previous = await req.store.getSyncOperation(opId);
+          if (previous) {
+            results.push({ ...previous, opId, type, status: "duplicate" });
+            continue;
+          }
+
+          try {
+            //A failed operation leaves nothing behind, not even the writes
+            //it made before failing (an update whose next occurrence can't
+            //be created, say)
+            const result = await req.store.savepoint(async () => {
+              const result = await applyOperation(req.store, operation);
+              await req.store.saveSyncOperation(opId, result);
+              return result;
+            });
+            results.push({ opId, type, ...result });
+          } catch (error) {
+            if (!(error instanceof HttpError)) throw error;
+
+            results.push({
+              opId,
+              type,
+              taskId: operation.taskId || null,
+              status: "failed",
+              statusCode: error.status,
+              error: error.message,
+              ...error.details,
+            });
+          }
+        }
+
+        return results;
+      });
+
+      const changes = results
+        .filter((result) => result.status === "applied")
+        .map((result) => ({
+          type: CHANGE_TYPES[result.type],
+          task: result.task,
+        }));
+      push.notifyTasksChanged(req.user.id, changes, req.get("X-Device-Id"));
+      push.notifyListMembers(req.user, changes);
+
+      res.json({ results, cursor: await req.store.getLatestSeq() });
+    } catch (error) {
+      console.error("Error applying sync batch:", error);
+      res.status(500).json({ error: "Error applying sync batch" });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,351 @@
+const express = require("express");
+const { HttpError } = require("../lib/errors");
+const {
+  normalizeTag,
+  createTask,
+  createNextOccurrence,
+  buildTaskUpdate,
+  formatTask,
+  getChangeFeed,
+  getETag,
+  getBaseVersion,
+  assertVersion,
+} = require("../lib/tasks");
+const { saveChecklistItem, deleteChecklistItem } = require("../lib/checklist");
+const { parseProjectFilter } = require("../lib/projects");
+const { assertCanEditTask } = require("../lib/sharing");
+const { parseRevisionVersion, restoreRevision } = require("../lib/history");
+const {
+  assertNotTrashed,
+  trashTask,
+  restoreTask,
+  deleteTaskPermanently,
+} = require("../lib/trash");
+
+const MAX_SNOOZE_MINUTES = 24 * 60;
+
+module.exports = (push, realtime) => {
+  const router = express.Router();
+
+  //Tell the user's other devices, and the members of shared lists about new
+  //tasks; the response never waits for the push
+  const notifyOtherDevices = (req, changes) => {
+    push.notifyTasksChanged(req.user.id, changes, req.get("X-Device-Id"));
+    push.notifyListMembers(req.user, changes);
+  };
+
+  //`?tag=work&tag=home` keeps only the tasks tagged with both, and
+  //`?project=<id>` (or `none`) the ones in that project
+  router.get("/tasks", async (req, res) => {
+    try {
+      const tags = [
+        ...new Set([].concat(req.query.tag || []).map(normalizeTag)),
+      ];
+      const projectId = parseProjectFilter(req.query.project);
+      const tasks = await req.store.listTasks({ tags, projectId });
+      res.json(tasks.map(formatTask));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error fetching tasks:", error);
+      res.status(500).json({ error: "Error fetching tasks" });
+    }
+  });
+
+  //Change feed: everything created, updated or deleted after the `since` cursor
+  router.get("/tasks/changes", async (req, res) => {
+    try {
+      const since =
+        req.query.since === undefined ? 0 : Number(req.query.since);
+      const limit =
+        req.query.limit === undefined ? 500 : Number(req.query.limit);
+
+      if (!Number.isInteger(since) || since < 0) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+      if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({ error: "Invalid limit" });
+      }
+
+      res.json(await getChangeFeed(req.store, since, Math.min(limit, 1000)));
+    } catch (error) {
+      console.error("Error fetching task changes:", error);
+      res.status(500).json({ error: "Error fetching task changes" });
+    }
+  });
+
+  //The same feed as Server-Sent Events, pushed as changes happen. A client
+  //that reconnects resumes from `Last-Event-ID` or `?since`.
+  router.get("/tasks/stream", (req, res) => {
+    const rawSince = req.get("Last-Event-ID") || req.query.since;
+    const since = rawSince === undefined ? 0 : Number(rawSince);
+
+    if (!Number.isInteger(since) || since < 0) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+    realtime.connect(req, res, since);
+  });
+
+  //Tasks in the trash, which `GET /tasks` leaves out
+  router.get("/tasks/trash", async (req, res) => {
+    try {
+      const tasks = await req.store.listTasks({ trashed: true });
+      res.json(tasks.map(formatTask));
+    } catch (error) {
+      console.error("Error fetching trash:", error);
+      res.status(500).json({ error: "Error fetching trash" });
+    }
+  });
+
+  router.get("/tasks/:id", async (req, res) => {
+    try {
+      const task = await req.store.getTask(req.params.id);
+      if (!task) {
+        return res.status(404).json({ error: "Task not found" });
+      }
+
+      res.set("ETag", getETag(task)).json(formatTask(task));
+    } catch (error) {
+      console.error("Error fetching task:", error);
+      res.status(500).json({ error: "Error fetching task" });
+    }
+  });
+
+  //Revisions of the task, newest first
+  router.get("/tasks/:id/history", async (req, res) => {
+    try {
+      const revisions = await req.store.getTaskHistory(req.params.id);
+      if (!revisions) {
+        return res.status(404).json({ error: "Task not found" });
+      }
+
+      res.json(revisions);
+    } catch (error) {
+      console.error("Error fetching task history:", error);
+      res.status(500).json({ error: "Error fetching task history" });
+    }
+  });
+
+  //Conditional like PUT /tasks/:id: If-Match or `baseVersion` guard against
+  //restoring over an edit the client hasn't seen
+  router.post("/tasks/:id/history/:version/restore", async (req, res) => {
+    try {
+      const baseVersion = getBaseVersion(
+        req.get("If-Match"),
+        req.body.baseVersion
+      );
+      const { updatedTask, next } = await restoreRevision(
+        req.store,
+        req.params.id,
+        parseRevisionVersion(req.params.version),
+        baseVersion
+      );
+
+      notifyOtherDevices(req, [
+        { type: "updated", task: updatedTask },
+        ...(next && next.created ? [{ type: "created", task: next.task }] : []),
+      ]);
+      res.set("ETag", getETag(updatedTask)).json(formatTask(updatedTask));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ error: error.message, ...error.details });
+      }
+      console.error("Error restoring task revision:", error);
+      res.status(500).json({ error: "Error restoring task revision" });
+    }
+  });
+
+  router.post("/tasks", async (req, res) => {
+    try {
+      const { task, created } = await createTask(req.store, req.body);
+      if (created) notifyOtherDevices(req, [{ type: "created", task }]);
+      res
+        .set("ETag", getETag(task))
+        .status(created ? 201 : 200)
+        .json(formatTask(task));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error creating task:", error);
+      res.status(500).json({ error: "Error creating task" });
+    }
+  });
+
+  //Conditional when the client sends If-Match or `baseVersion`; a stale
+  //version gets a 409 with the current server copy
+  router.put("/tasks/:id", async (req, res) => {
+    try {
+      const { id } = req.params;
+      const baseVersion = getBaseVersion(
+        req.get("If-Match"),
+        req.body.baseVersion
+      );
+
+      const { updatedTask, next } = await req.store.transaction(async () => {
+        const existingTask = await req.store.getTask(id);
+        if (!existingTask) throw new HttpError(404, "Task not found");
+        await assertCanEditTask(req.store, existingTask);
+        assertNotTrashed(existingTask);
+
+        assertVersion(existingTask, baseVersion);
+        const updatedTask = await req.store.updateTask(
+          id,
+          await buildTaskUpdate(req.store, existingTask, req.body)
+        );
+        const next = await createNextOccurrence(
+          req.store,
+          existingTask,
+          updatedTask
+        );
+        return { updatedTask, next };
+      });
+
+      notifyOtherDevices(req, [
+        { type: "updated", task: updatedTask },
+        ...(next && next.created ? [{ type: "created", task: next.task }] : []),
+      ]);
+      res.set("ETag", getETag(updatedTask)).json(formatTask(updatedTask));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res
+          .status(error.status)
+          .json({ error: error.message, ...error.details });
+      }
+      console.error("Error updating task:", error);
+      res.status(500).json({ error: "Error updating task" });
+    }
+  });
+
+  //Moves the task to the trash; `?permanent=true` deletes it for good,
+  //whether it is in the trash or not
+  router.delete("/tasks/:id", async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (req.query.permanent === "true") {
+        const task = await deleteTaskPermanently(req.store, id);
+        notifyOtherDevices(req, [{ type: "deleted", task }]);
+        return res.json({ message: "Task deleted successfully" });
+      }
+
+      const { task, changed } = await trashTask(req.store, id);
+      if (changed) notifyOtherDevices(req, [{ type: "trashed", task }]);
+      res.json({ message: "Task moved to trash", task: formatTask(task) });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error deleting task:", error);
+      res.status(500).json({ error: "Error deleting task" });
+    }
+  });
+
+  router.post("/tasks/:id/restore", async (req, res) => {
+    try {
+      const { task, changed } = await restoreTask(req.store, req.params.id);
+      if (changed) notifyOtherDevices(req, [{ type: "restored", task }]);
+      res.set("ETag", getETag(task)).json(formatTask(task));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error restoring task:", error);
+      res.status(500).json({ error: "Error restoring task" });
+    }
+  });
+
+  //Reminders live on each device, but a device with no tab open has nothing
+  //to wake it once a snooze is over, so the due notifier pushes the reminder
+  //back to it. Snoozing again moves the time.
+  router.post("/tasks/:id/snooze", async (req, res) => {
+    try {
+      const minutes = req.body.minutes;
+      if (
+        !Number.isInteger(minutes) ||
+        minutes < 1 ||
+        minutes > MAX_SNOOZE_MINUTES
+      ) {
+        throw new HttpError(
+          400,
+          `minutes must be an integer from 1 to ${MAX_SNOOZE_MINUTES}`
+        );
+      }
+
+      const task = await req.store.getTask(req.params.id);
+      if (!task) throw new HttpError(404, "Task not found");
+      assertNotTrashed(task);
+      if (task.completed) throw new HttpError(409, "Task is completed");
+
+      const fireAt = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+      await req.store.snoozeReminder(task.id, {
+        fireAt,
+        deviceId: req.get("X-Device-Id") || null,
+      });
+      res.status(201).json({ taskId: task.id, fireAt });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error snoozing reminder:", error);
+      res.status(500).json({ error: "Error snoozing reminder" });
+    }
+  });
+
+  //Creates the item, or edits only the fields sent. 201 when it is new.
+  router.put("/tasks/:id/checklist/:itemId", async (req, res) => {
+    try {
+      const { id, itemId } = req.params;
+      const { task, item, created } = await saveChecklistItem(
+        req.store,
+        id,
+        itemId,
+        req.body
+      );
+
+      notifyOtherDevices(req, [{ type: "updated", task }]);
+      res.status(created ? 201 : 200).json(item);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error saving checklist item:", error);
+      res.status(500).json({ error: "Error saving checklist item" });
+    }
+  });
+
+  router.delete("/tasks/:id/checklist/:itemId", async (req, res) => {
+    try {
+      const { id, itemId } = req.params;
+      const task = await deleteChecklistItem(req.store, id, itemId);
+
+      notifyOtherDevices(req, [{ type: "updated", task }]);
+      res.json({ message: "Checklist item deleted successfully" });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error deleting checklist item:", error);
+      res.status(500).json({ error: "Error deleting checklist item" });
+    }
+  });
+
+  //`?project=` scopes the numbers like in GET /tasks
+  router.get("/stats", async (req, res) => {
+    try {
+      const projectId = parseProjectFilter(req.query.project);
+      res.json(await req.store.getStats({ projectId }));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Error fetching stats:", error);
+      res.status(500).json({ error: "Error fetching stats" });
+    }
+  });
+
+  return router;
+};
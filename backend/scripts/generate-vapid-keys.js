@@ -0,0 +1,9 @@
+//Prints a fresh VAPID key pair as env lines for .env or the Vercel dashboard.
+//Changing the pair invalidates every existing push subscription.
+const webpush = require("web-push");
+
+const { publicKey, privateKey } = webpush.generateVAPIDKeys();
+
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+console.log("VAPID_SUBJECT=mailto:admin@tasktracker.local");
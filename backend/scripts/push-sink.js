@@ -0,0 +1,58 @@
+//Local stand-in for a browser push service, to try Web Push without a
+//browser. It prints a subscription to register with
+//`POST /api/push/subscriptions`, then decrypts and logs every message the API
+//sends to it. Endpoints under /gone/ answer 410, like an expired subscription.
+//The API only accepts it with PUSH_ALLOWED_ORIGINS=http://localhost:<port>.
+const http = require("http");
+const crypto = require("crypto");
+const ece = require("http_ece");
+
+const PORT = process.env.PUSH_SINK_PORT || 3002;
+
+const receiver = crypto.createECDH("prime256v1");
+receiver.generateKeys();
+const authSecret = crypto.randomBytes(16);
+
+const subscription = {
+  endpoint: `http://localhost:${PORT}/push/${crypto.randomUUID()}`,
+  keys: {
+    p256dh: receiver.getPublicKey("base64url"),
+    auth: authSecret.toString("base64url"),
+  },
+};
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    if (req.method !== "POST") {
+      res.writeHead(405).end();
+      return;
+    }
+    if (req.url.startsWith("/gone/")) {
+      console.log(`410 ${req.url}`);
+      res.writeHead(410).end();
+      return;
+    }
+
+    try {
+      const payload = ece.decrypt(Buffer.concat(chunks), {
+        version: "aes128gcm",
+        privateKey: receiver,
+        authSecret: authSecret.toString("base64url"),
+      });
+      console.log(`Push ${req.url} (TTL ${req.headers.ttl}):`);
+      console.log(payload.toString("utf8"));
+      res.writeHead(201).end();
+    } catch (error) {
+      console.error("Could not decrypt push message:", error.message);
+      res.writeHead(400).end();
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Push sink listening on port ${PORT}`);
+  console.log("Subscription:");
+  console.log(JSON.stringify({ subscription, deviceId: "push-sink" }));
+});
@@ -0,0 +1,39 @@
+//Tells listeners which users have new entries in their change feed. Users
+//are collected while a transaction is open and only announced once it
+//commits, so a listener that reads the feed right away finds the changes.
+const createChangeNotifier = () => {
+  const listeners = new Set();
+  let pending = new Set();
+
+  return {
+    //Resolves to a function that removes the listener
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    add(userIds) {
+      for (const userId of userIds) pending.add(userId);
+    },
+
+    flush() {
+      const userIds = [...pending];
+      pending = new Set();
+      if (userIds.length === 0) return;
+
+      for (const listener of listeners) {
+        try {
+          listener(userIds);
+        } catch (error) {
+          console.error("Error notifying task changes:", error);
+        }
+      }
+    },
+
+    discard() {
+      pending = new Set();
+    },
+  };
+};
+
+module.exports = createChangeNotifier;
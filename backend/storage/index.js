@@ -0,0 +1,25 @@
+const path = require("path");
+const MemoryTaskStore = require("./memoryStore");
+const SqliteTaskStore = require("./sqliteStore");
+
+//Vercel only allows writes under /tmp
+const defaultDatabasePath = process.env.VERCEL
+  ? "/tmp/tasktracker.db"
+  : path.join(__dirname, "..", "data", "tasktracker.db");
+
+//Picks the adapter from STORAGE_DRIVER ("sqlite" by default, or "memory")
+const createStore = ({
+  driver = process.env.STORAGE_DRIVER || "sqlite",
+  filename = process.env.DATABASE_PATH || defaultDatabasePath,
+} = {}) => {
+  switch (driver) {
+    case "memory":
+      return new MemoryTaskStore();
+    case "sqlite":
+      return new SqliteTaskStore(filename);
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+module.exports = { createStore, MemoryTaskStore, SqliteTaskStore };
@@ -0,0 +1,717 @@
+const createTransactionQueue = require("./transactionQueue");
+const createSavepointRunner = require("./savepoint");
+const createChangeNotifier = require("./changeNotifier");
+const { forUser } = require("./userStore");
+const { compareItems } = require("../lib/checklist");
+const { compareProjects } = require("../lib/projects");
+const { pickRevisionFields, diffRevision } = require("../lib/history");
+
+//Same filter as the SQL `project_id` conditions: undefined keeps every task
+const inProject = (task, projectId) =>
+  projectId === undefined || (task.projectId || null) === projectId;
+
+const isTrashed = (task) => Boolean(task.deletedAt);
+
+//Records keep their owner in `userId`, which callers never see, like the
+//`user_id` column in SQLite
+const withoutOwner = ({ userId, ...record }) => record;
+
+//Non-persistent adapter. Data lives as long as the process, which is what the
+//original API did and is handy for tests and local experiments.
+class MemoryTaskStore {
+  constructor() {
+    this.driver = "memory";
+    this.users = [];
+    this.refreshTokens = new Map();
+    this.tasks = [];
+    this.projects = [];
+    this.projectMembers = [];
+    this.changes = [];
+    this.revisions = [];
+    this.seq = 0;
+    this.syncOperations = new Map();
+    this.pushSubscriptions = new Map();
+    this.snoozedReminders = new Map();
+    this.settings = new Map();
+    this.changeNotifier = createChangeNotifier();
+
+    let snapshot = null;
+    this.transaction = createTransactionQueue({
+      begin: () => {
+        snapshot = this.takeSnapshot();
+      },
+      commit: () => {
+        snapshot = null;
+        this.changeNotifier.flush();
+      },
+      rollback: () => {
+        Object.assign(this, snapshot);
+        snapshot = null;
+        this.changeNotifier.discard();
+      },
+    });
+    //A savepoint is one more snapshot, taken inside the transaction
+    this.savepoint = createSavepointRunner(this.transaction, {
+      save: () => this.takeSnapshot(),
+      release: () => {},
+      rollbackTo: (savepoint) => {
+        Object.assign(this, savepoint);
+      },
+    });
+  }
+
+  takeSnapshot() {
+    return {
+      users: [...this.users],
+      refreshTokens: new Map(this.refreshTokens),
+      tasks: this.tasks.map((task) => ({ ...task })),
+      projects: this.projects.map((project) => ({ ...project })),
+      projectMembers: this.projectMembers.map((member) => ({ ...member })),
+      changes: [...this.changes],
+      revisions: [...this.revisions],
+      seq: this.seq,
+      syncOperations: new Map(this.syncOperations),
+      pushSubscriptions: new Map(this.pushSubscriptions),
+      snoozedReminders: new Map(this.snoozedReminders),
+      settings: new Map(this.settings),
+    };
+  }
+
+  forUser(userId) {
+    return forUser(this, userId);
+  }
+
+  onChanges(listener) {
+    return this.changeNotifier.subscribe(listener);
+  }
+
+  //Each user in `audience` gets the change in their own feed
+  recordChange(taskId, type, audience) {
+    const changedAt = new Date().toISOString();
+    for (const userId of new Set(audience)) {
+      this.seq += 1;
+      this.changes.push({ seq: this.seq, userId, taskId, type, changedAt });
+    }
+    this.changeNotifier.add(audience);
+  }
+
+  //Every write that changes a task's fields leaves a revision with the new
+  //state; an update that changes none (a repeated one, say) doesn't. Moves
+  //in and out of the trash change no field but are recorded all the same.
+  recordRevision(
+    userId,
+    before,
+    after,
+    type,
+    { restoredFrom = null, changedAt = after.updatedAt } = {}
+  ) {
+    const snapshot = pickRevisionFields(after);
+    const changes = diffRevision(
+      before && pickRevisionFields(before),
+      snapshot
+    );
+    if (type === "updated" && Object.keys(changes).length === 0) return;
+
+    this.revisions.push({
+      taskId: after.id,
+      version: after.version,
+      type,
+      changedAt,
+      changedBy: userId,
+      changes,
+      snapshot,
+      restoredFrom,
+    });
+  }
+
+  isMember(userId, projectId) {
+    return this.projectMembers.some(
+      (member) => member.projectId === projectId && member.userId === userId
+    );
+  }
+
+  //Same as `visibleTo` in SQLite: own tasks and those in shared lists
+  canSee(userId, task) {
+    return task.userId === userId || this.isMember(userId, task.projectId);
+  }
+
+  getTaskAudience(task) {
+    return [
+      task.userId,
+      ...this.projectMembers
+        .filter((member) => member.projectId === task.projectId)
+        .map((member) => member.userId),
+    ];
+  }
+
+  //Tasks in a list belong to the list's owner, whoever created them
+  getTaskOwnerId(userId, projectId) {
+    const project = this.projects.find((p) => p.id === projectId);
+    return project ? project.userId : userId;
+  }
+
+  async init() {}
+
+  async close() {}
+
+  findTaskIndex(userId, id) {
+    return this.tasks.findIndex((t) => t.id === id && this.canSee(userId, t));
+  }
+
+  findProjectIndex(userId, id) {
+    return this.projects.findIndex(
+      (p) => p.id === id && (p.userId === userId || this.isMember(userId, p.id))
+    );
+  }
+
+  //Adds `members` (the owner first) and `role`, the user's own role
+  withMembers(userId, { userId: ownerId, ...project }) {
+    const member = (id, role) => {
+      const user = this.users.find((u) => u.id === id);
+      return { userId: id, email: user ? user.email : null, role };
+    };
+    const members = [
+      member(ownerId, "owner"),
+      ...this.projectMembers
+        .filter((m) => m.projectId === project.id)
+        .map((m) => member(m.userId, m.role)),
+    ];
+    const self = members.find((m) => m.userId === userId);
+
+    return {
+      ...project,
+      ownerId,
+      role: self ? self.role : null,
+      members,
+    };
+  }
+
+  async listTasks(userId, { tags = [], projectId, trashed = false } = {}) {
+    return this.tasks
+      .filter((task) => this.canSee(userId, task))
+      .filter((task) => isTrashed(task) === trashed)
+      .filter((task) => tags.every((tag) => (task.tags || []).includes(tag)))
+      .filter((task) => inProject(task, projectId))
+      .map(withoutOwner);
+  }
+
+  async countTasks() {
+    return this.tasks.length;
+  }
+
+  async getTask(userId, id) {
+    const taskIndex = this.findTaskIndex(userId, id);
+    return taskIndex === -1 ? null : withoutOwner(this.tasks[taskIndex]);
+  }
+
+  //Resolves to null when another user already has a task with that id
+  createTask(userId, task) {
+    return this.transaction(async () => {
+      if (this.tasks.some((t) => t.id === task.id)) return null;
+
+      const created = {
+        ...task,
+        projectId: task.projectId || null,
+        userId: this.getTaskOwnerId(userId, task.projectId),
+        createdBy: userId,
+        updatedBy: userId,
+        completedBy: task.completed ? userId : null,
+        deletedAt: null,
+        deletedBy: null,
+        checklist: task.checklist || [],
+        version: 1,
+      };
+      this.tasks.push(created);
+      this.recordChange(task.id, "created", this.getTaskAudience(created));
+      this.recordRevision(userId, null, created, "created");
+      return withoutOwner(created);
+    });
+  }
+
+  //`restoredFrom` marks the revision as a restore of that version
+  updateTask(userId, id, task, { restoredFrom = null } = {}) {
+    return this.transaction(async () => {
+      const taskIndex = this.findTaskIndex(userId, id);
+      if (taskIndex === -1) return null;
+
+      const existing = this.tasks[taskIndex];
+      const audience = this.getTaskAudience(existing);
+      this.tasks[taskIndex] = {
+        ...task,
+        id,
+        projectId: task.projectId || null,
+        userId: this.getTaskOwnerId(userId, task.projectId),
+        createdBy: existing.createdBy,
+        updatedBy: userId,
+        completedBy: !task.completed
+          ? null
+          : existing.completed
+            ? existing.completedBy
+            : userId,
+        deletedAt: existing.deletedAt,
+        deletedBy: existing.deletedBy,
+        checklist: existing.checklist,
+        version: existing.version + 1,
+      };
+      this.recordChange(id, "updated", [
+        ...audience,
+        ...this.getTaskAudience(this.tasks[taskIndex]),
+      ]);
+      this.recordRevision(
+        userId,
+        existing,
+        this.tasks[taskIndex],
+        restoredFrom === null ? "updated" : "restored",
+        { restoredFrom }
+      );
+      return withoutOwner(this.tasks[taskIndex]);
+    });
+  }
+
+  //Newest first; null when the user can't see the task
+  async getTaskHistory(userId, taskId) {
+    if (this.findTaskIndex(userId, taskId) === -1) return null;
+
+    return this.revisions
+      .filter((revision) => revision.taskId === taskId)
+      .sort((a, b) => b.version - a.version)
+      .map((revision) => {
+        const author = this.users.find((u) => u.id === revision.changedBy);
+        return {
+          version: revision.version,
+          type: revision.type,
+          changedAt: revision.changedAt,
+          author: revision.changedBy
+            ? { id: revision.changedBy, email: author ? author.email : null }
+            : null,
+          changes: revision.changes,
+          snapshot: revision.snapshot,
+          restoredFrom: revision.restoredFrom,
+        };
+      });
+  }
+
+  deleteTask(userId, id) {
+    return this.transaction(async () => {
+      const taskIndex = this.findTaskIndex(userId, id);
+      if (taskIndex === -1) return false;
+
+      const audience = this.getTaskAudience(this.tasks[taskIndex]);
+      this.tasks.splice(taskIndex, 1);
+      this.revisions = this.revisions.filter(
+        (revision) => revision.taskId !== id
+      );
+      this.recordChange(id, "deleted", audience);
+      return true;
+    });
+  }
+
+  //Moves the task to the trash, or takes it out of it. Everyone who sees the
+  //task keeps seeing it, in the trash, so they all get the change.
+  setTaskTrashed(userId, id, trashed) {
+    return this.transaction(async () => {
+      const taskIndex = this.findTaskIndex(userId, id);
+      if (taskIndex === -1) return null;
+
+      const task = this.tasks[taskIndex];
+      const now = new Date().toISOString();
+      this.tasks[taskIndex] = {
+        ...task,
+        deletedAt: trashed ? now : null,
+        deletedBy: trashed ? userId : null,
+        version: task.version + 1,
+      };
+      this.recordRevision(
+        userId,
+        task,
+        this.tasks[taskIndex],
+        trashed ? "trashed" : "untrashed",
+        { changedAt: now }
+      );
+      this.recordChange(id, "updated", this.getTaskAudience(task));
+      return withoutOwner(this.tasks[taskIndex]);
+    });
+  }
+
+  //Deletes, whoever they belong to, the tasks trashed before `before`.
+  //Resolves to how many there were.
+  purgeTrash(before) {
+    return this.transaction(async () => {
+      const expired = this.tasks.filter(
+        (task) => isTrashed(task) && task.deletedAt < before
+      );
+      for (const task of expired) {
+        this.tasks = this.tasks.filter((t) => t.id !== task.id);
+        this.revisions = this.revisions.filter(
+          (revision) => revision.taskId !== task.id
+        );
+        this.recordChange(task.id, "deleted", this.getTaskAudience(task));
+      }
+      return expired.length;
+    });
+  }
+
+  async listTasksDueBetween(after, until) {
+    return this.tasks
+      .filter(
+        (task) =>
+          !task.completed &&
+          !isTrashed(task) &&
+          Boolean(task.dueDate) &&
+          task.dueDate > after &&
+          task.dueDate <= until
+      )
+      .sort((a, b) => (a.dueDate < b.dueDate ? -1 : 1))
+      .map((task) => ({
+        task: withoutOwner(task),
+        userIds: [...new Set(this.getTaskAudience(task))],
+      }));
+  }
+
+  async listProjects(userId) {
+    return this.projects
+      .filter(
+        (project) =>
+          project.userId === userId || this.isMember(userId, project.id)
+      )
+      .sort(compareProjects)
+      .map((project) => this.withMembers(userId, project));
+  }
+
+  async getProject(userId, id) {
+    const projectIndex = this.findProjectIndex(userId, id);
+    return projectIndex === -1
+      ? null
+      : this.withMembers(userId, this.projects[projectIndex]);
+  }
+
+  //Resolves to null when another user already has a project with that id
+  createProject(userId, project) {
+    return this.transaction(async () => {
+      if (this.projects.some((p) => p.id === project.id)) return null;
+
+      this.projects.push({ ...project, userId });
+      return this.getProject(userId, project.id);
+    });
+  }
+
+  updateProject(userId, id, project) {
+    return this.transaction(async () => {
+      const projectIndex = this.findProjectIndex(userId, id);
+      if (projectIndex === -1) return null;
+
+      const { ownerId, role, members, ...fields } = project;
+      this.projects[projectIndex] = {
+        ...fields,
+        id,
+        userId: this.projects[projectIndex].userId,
+      };
+      return this.getProject(userId, id);
+    });
+  }
+
+  deleteProject(userId, id) {
+    return this.transaction(async () => {
+      const projectIndex = this.findProjectIndex(userId, id);
+      if (projectIndex === -1) return null;
+
+      const updatedAt = new Date().toISOString();
+      const moved = [];
+      this.tasks = this.tasks.map((task) => {
+        if (task.projectId !== id) return task;
+
+        const updated = {
+          ...task,
+          projectId: null,
+          updatedAt,
+          updatedBy: userId,
+          version: task.version + 1,
+        };
+        //The members stop seeing the task, so they hear about it too
+        this.recordChange(task.id, "updated", this.getTaskAudience(task));
+        this.recordRevision(userId, task, updated, "updated");
+        moved.push(withoutOwner(updated));
+        return updated;
+      });
+      this.projects.splice(projectIndex, 1);
+      this.projectMembers = this.projectMembers.filter(
+        (member) => member.projectId !== id
+      );
+      return moved;
+    });
+  }
+
+  //Adds a member, or changes their role. Resolves to true when they are new;
+  //the list's tasks then show up in their change feed.
+  saveProjectMember(userId, projectId, { userId: memberId, role, createdAt }) {
+    return this.transaction(async () => {
+      const memberIndex = this.projectMembers.findIndex(
+        (m) => m.projectId === projectId && m.userId === memberId
+      );
+      if (memberIndex !== -1) {
+        this.projectMembers[memberIndex] = {
+          ...this.projectMembers[memberIndex],
+          role,
+        };
+        return false;
+      }
+
+      this.projectMembers.push({
+        projectId,
+        userId: memberId,
+        role,
+        invitedBy: userId,
+        createdAt,
+      });
+      for (const task of this.tasks) {
+        if (task.projectId === projectId) {
+          this.recordChange(task.id, "updated", [memberId]);
+        }
+      }
+      return true;
+    });
+  }
+
+  //The list's tasks leave the former member's feed as deleted
+  deleteProjectMember(userId, projectId, memberId) {
+    return this.transaction(async () => {
+      if (!this.isMember(memberId, projectId)) return false;
+
+      this.projectMembers = this.projectMembers.filter(
+        (m) => !(m.projectId === projectId && m.userId === memberId)
+      );
+      for (const task of this.tasks) {
+        if (task.projectId === projectId) {
+          this.recordChange(task.id, "deleted", [memberId]);
+        }
+      }
+      return true;
+    });
+  }
+
+  //Checklists are replaced rather than mutated, so the shallow snapshot taken
+  //by `transaction` is enough to roll them back
+  saveChecklistItem(userId, taskId, item) {
+    return this.transaction(async () => {
+      const task = this.tasks[this.findTaskIndex(userId, taskId)];
+      task.checklist = [
+        ...task.checklist.filter((existing) => existing.id !== item.id),
+        { ...item },
+      ].sort(compareItems);
+      this.recordChange(taskId, "updated", this.getTaskAudience(task));
+      return { ...item };
+    });
+  }
+
+  deleteChecklistItem(userId, taskId, itemId) {
+    return this.transaction(async () => {
+      const task = this.tasks[this.findTaskIndex(userId, taskId)];
+      if (!task || !task.checklist.some((item) => item.id === itemId)) {
+        return false;
+      }
+
+      task.checklist = task.checklist.filter((item) => item.id !== itemId);
+      this.recordChange(taskId, "updated", this.getTaskAudience(task));
+      return true;
+    });
+  }
+
+  async getLatestSeq(userId) {
+    const changes = this.changes.filter((change) => change.userId === userId);
+    return changes.length > 0 ? changes[changes.length - 1].seq : 0;
+  }
+
+  async getChanges(userId, since, limit) {
+    const latestByTask = new Map();
+    const createdInRange = new Set();
+
+    for (const change of this.changes) {
+      if (change.seq <= since || change.userId !== userId) continue;
+      latestByTask.set(change.taskId, change);
+      if (change.type === "created") createdInRange.add(change.taskId);
+    }
+
+    return [...latestByTask.values()]
+      .sort((a, b) => a.seq - b.seq)
+      .slice(0, limit)
+      .map((change) => {
+        //A task the user can no longer see is reported as deleted
+        const task = this.tasks[this.findTaskIndex(userId, change.taskId)];
+        return {
+          seq: change.seq,
+          id: change.taskId,
+          type: !task
+            ? "deleted"
+            : createdInRange.has(change.taskId)
+              ? "created"
+              : change.type,
+          changedAt: change.changedAt,
+          task: task ? withoutOwner(task) : null,
+        };
+      });
+  }
+
+  //Keyed by user and opId, like the SQLite table: opIds come from clients,
+  //so two users may send the same one
+  async getSyncOperation(userId, opId) {
+    const operation = this.syncOperations.get(`${userId}:${opId}`);
+    return operation ? operation.result : null;
+  }
+
+  saveSyncOperation(userId, opId, result) {
+    return this.transaction(async () => {
+      this.syncOperations.set(`${userId}:${opId}`, { userId, result });
+    });
+  }
+
+  async listPushSubscriptions(userId) {
+    return [...this.pushSubscriptions.values()]
+      .filter((subscription) => subscription.userId === userId)
+      .map(withoutOwner);
+  }
+
+  savePushSubscription(userId, { endpoint, keys, deviceId = null }) {
+    return this.transaction(async () => {
+      const existing = this.pushSubscriptions.get(endpoint);
+      this.pushSubscriptions.set(endpoint, {
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        deviceId,
+        userId,
+        createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      });
+      return !existing || existing.userId !== userId;
+    });
+  }
+
+  deletePushSubscription(userId, endpoint) {
+    return this.transaction(async () => {
+      const existing = this.pushSubscriptions.get(endpoint);
+      if (!existing || existing.userId !== userId) return false;
+
+      return this.pushSubscriptions.delete(endpoint);
+    });
+  }
+
+  //Keyed by user and task, like the SQLite table: snoozing again moves the
+  //time
+  snoozeReminder(userId, taskId, { fireAt, deviceId = null }) {
+    return this.transaction(async () => {
+      this.snoozedReminders.set(`${userId}:${taskId}`, {
+        userId,
+        taskId,
+        deviceId,
+        fireAt,
+      });
+    });
+  }
+
+  //Removes the snoozed reminders due by `until`, whoever they belong to, and
+  //resolves to those whose task is still pending and visible to the user
+  takeSnoozedReminders(until) {
+    return this.transaction(async () => {
+      const due = [...this.snoozedReminders.values()]
+        .filter((reminder) => reminder.fireAt <= until)
+        .sort((a, b) => (a.fireAt < b.fireAt ? -1 : 1));
+
+      const reminders = [];
+      for (const reminder of due) {
+        this.snoozedReminders.delete(`${reminder.userId}:${reminder.taskId}`);
+
+        const task =
+          this.tasks[this.findTaskIndex(reminder.userId, reminder.taskId)];
+        if (task && !task.completed && !isTrashed(task)) {
+          reminders.push({ ...reminder, task: withoutOwner(task) });
+        }
+      }
+      return reminders;
+    });
+  }
+
+  async countUsers() {
+    return this.users.length;
+  }
+
+  async getUser(id) {
+    const user = this.users.find((u) => u.id === id);
+    return user ? { ...user } : null;
+  }
+
+  async getUserByEmail(email) {
+    const user = this.users.find((u) => u.email === email);
+    return user ? { ...user } : null;
+  }
+
+  createUser(user) {
+    return this.transaction(async () => {
+      this.users.push({ ...user });
+      return { ...user };
+    });
+  }
+
+  //Memory stores start empty, so there is never data from before accounts
+  async claimUnownedData() {}
+
+  saveRefreshToken(token) {
+    return this.transaction(async () => {
+      this.refreshTokens.set(token.id, { ...token, revokedAt: null });
+    });
+  }
+
+  async getRefreshToken(id) {
+    const token = this.refreshTokens.get(id);
+    return token ? { ...token } : null;
+  }
+
+  revokeRefreshToken(id) {
+    return this.transaction(async () => {
+      const token = this.refreshTokens.get(id);
+      if (!token || token.revokedAt) return false;
+
+      this.refreshTokens.set(id, {
+        ...token,
+        revokedAt: new Date().toISOString(),
+      });
+      return true;
+    });
+  }
+
+  async getSetting(key) {
+    return this.settings.has(key) ? this.settings.get(key) : null;
+  }
+
+  setSetting(key, value) {
+    return this.transaction(async () => {
+      this.settings.set(key, value);
+    });
+  }
+
+  async getStats(userId, { projectId } = {}) {
+    const tasks = this.tasks.filter(
+      (task) =>
+        this.canSee(userId, task) &&
+        !isTrashed(task) &&
+        inProject(task, projectId)
+    );
+    const total = tasks.length;
+    const completed = tasks.filter((t) => t.completed).length;
+    const now = new Date().toISOString();
+    const tags = {};
+    for (const task of tasks) {
+      for (const tag of task.tags || []) tags[tag] = (tags[tag] || 0) + 1;
+    }
+
+    return {
+      total,
+      completed,
+      pending: total - completed,
+      highPriority: tasks.filter((t) => t.priority === "high" && !t.completed)
+        .length,
+      overdue: tasks.filter((t) => !t.completed && t.dueDate && t.dueDate < now)
+        .length,
+      tags,
+    };
+  }
+}
+
+module.exports = MemoryTaskStore;
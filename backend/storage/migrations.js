@@ -0,0 +1,295 @@
+//Versioned schema for the SQLite store. Migrations are applied in order and
+//recorded in `schema_migrations`; never edit one that has shipped, append a
+//new entry instead.
+const migrations = [
+  {
+    version: 1,
+    name: "create_tasks",
+    up: [
+      `CREATE TABLE tasks (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        completed INTEGER NOT NULL DEFAULT 0,
+        priority TEXT NOT NULL DEFAULT 'medium',
+        image_data TEXT,
+        image_type TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`,
+      "CREATE INDEX idx_tasks_completed ON tasks (completed)",
+      "CREATE INDEX idx_tasks_priority ON tasks (priority)",
+    ],
+  },
+  {
+    version: 2,
+    name: "create_task_changes",
+    up: [
+      `CREATE TABLE task_changes (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT NOT NULL,
+        type TEXT NOT NULL CHECK (type IN ('created', 'updated', 'deleted')),
+        changed_at TEXT NOT NULL
+      )`,
+      "CREATE INDEX idx_task_changes_task ON task_changes (task_id, seq)",
+      `INSERT INTO task_changes (task_id, type, changed_at)
+        SELECT id, 'created', updated_at FROM tasks ORDER BY created_at`,
+    ],
+  },
+  {
+    version: 3,
+    name: "create_sync_operations",
+    up: [
+      `CREATE TABLE sync_operations (
+        op_id TEXT PRIMARY KEY,
+        result TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )`,
+    ],
+  },
+  {
+    version: 4,
+    name: "add_task_version",
+    up: ["ALTER TABLE tasks ADD COLUMN version INTEGER NOT NULL DEFAULT 1"],
+  },
+  {
+    version: 5,
+    name: "create_push_subscriptions",
+    up: [
+      `CREATE TABLE push_subscriptions (
+        endpoint TEXT PRIMARY KEY,
+        p256dh TEXT NOT NULL,
+        auth TEXT NOT NULL,
+        device_id TEXT,
+        created_at TEXT NOT NULL
+      )`,
+      `CREATE TABLE settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      )`,
+    ],
+  },
+  {
+    version: 6,
+    name: "add_task_due_date",
+    up: [
+      "ALTER TABLE tasks ADD COLUMN due_date TEXT",
+      "CREATE INDEX idx_tasks_due_date ON tasks (due_date)",
+    ],
+  },
+  {
+    version: 7,
+    name: "add_task_recurrence",
+    up: [
+      "ALTER TABLE tasks ADD COLUMN recurrence TEXT",
+      "ALTER TABLE tasks ADD COLUMN time_zone TEXT",
+    ],
+  },
+  {
+    version: 8,
+    name: "create_checklist_items",
+    up: [
+      `CREATE TABLE checklist_items (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL REFERENCES tasks (id) ON DELETE CASCADE,
+        text TEXT NOT NULL,
+        done INTEGER NOT NULL DEFAULT 0,
+        position REAL NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`,
+      "CREATE INDEX idx_checklist_items_task ON checklist_items (task_id, position)",
+    ],
+  },
+  {
+    version: 9,
+    name: "create_task_tags",
+    up: [
+      `CREATE TABLE task_tags (
+        task_id TEXT NOT NULL REFERENCES tasks (id) ON DELETE CASCADE,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (task_id, tag)
+      )`,
+      "CREATE INDEX idx_task_tags_tag ON task_tags (tag)",
+    ],
+  },
+  {
+    version: 10,
+    name: "create_projects",
+    up: [
+      `CREATE TABLE projects (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        color TEXT NOT NULL,
+        position REAL NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`,
+      "ALTER TABLE tasks ADD COLUMN project_id TEXT REFERENCES projects (id) ON DELETE SET NULL",
+      "CREATE INDEX idx_tasks_project ON tasks (project_id)",
+    ],
+  },
+  {
+    version: 11,
+    name: "create_users",
+    up: [
+      `CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )`,
+      `CREATE TABLE refresh_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT
+      )`,
+      "CREATE INDEX idx_refresh_tokens_user ON refresh_tokens (user_id)",
+      //Rows from before accounts keep a NULL owner until the first user
+      //registers and claims them
+      "ALTER TABLE tasks ADD COLUMN user_id TEXT REFERENCES users (id) ON DELETE CASCADE",
+      "CREATE INDEX idx_tasks_user ON tasks (user_id, created_at)",
+      "ALTER TABLE projects ADD COLUMN user_id TEXT REFERENCES users (id) ON DELETE CASCADE",
+      "CREATE INDEX idx_projects_user ON projects (user_id)",
+      "ALTER TABLE task_changes ADD COLUMN user_id TEXT",
+      "CREATE INDEX idx_task_changes_user ON task_changes (user_id, seq)",
+      "ALTER TABLE sync_operations ADD COLUMN user_id TEXT",
+      "ALTER TABLE push_subscriptions ADD COLUMN user_id TEXT REFERENCES users (id) ON DELETE CASCADE",
+    ],
+  },
+  {
+    version: 12,
+    name: "share_projects",
+    up: [
+      //The owner is `projects.user_id`; members are everyone else with access
+      `CREATE TABLE project_members (
+        project_id TEXT NOT NULL REFERENCES projects (id) ON DELETE CASCADE,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        role TEXT NOT NULL CHECK (role IN ('viewer', 'editor', 'admin')),
+        invited_by TEXT REFERENCES users (id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (project_id, user_id)
+      )`,
+      "CREATE INDEX idx_project_members_user ON project_members (user_id)",
+      "ALTER TABLE tasks ADD COLUMN created_by TEXT REFERENCES users (id) ON DELETE SET NULL",
+      "ALTER TABLE tasks ADD COLUMN updated_by TEXT REFERENCES users (id) ON DELETE SET NULL",
+      "ALTER TABLE tasks ADD COLUMN completed_by TEXT REFERENCES users (id) ON DELETE SET NULL",
+      `UPDATE tasks SET created_by = user_id, updated_by = user_id,
+        completed_by = CASE WHEN completed = 1 THEN user_id END`,
+    ],
+  },
+  {
+    version: 13,
+    name: "create_task_revisions",
+    up: [
+      //`snapshot` holds the task's fields after the change and `changes` the
+      //`{ field: { from, to } }` pairs that differ from the revision before
+      `CREATE TABLE task_revisions (
+        task_id TEXT NOT NULL REFERENCES tasks (id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        type TEXT NOT NULL CHECK (type IN ('created', 'updated', 'restored')),
+        changed_at TEXT NOT NULL,
+        changed_by TEXT REFERENCES users (id) ON DELETE SET NULL,
+        changes TEXT,
+        snapshot TEXT NOT NULL,
+        restored_from INTEGER,
+        PRIMARY KEY (task_id, version)
+      )`,
+      //Existing tasks start their history with their current state; what
+      //changed before is unknown, so `changes` stays NULL
+      `INSERT INTO task_revisions (task_id, version, type, changed_at, changed_by, snapshot)
+       SELECT id, version, CASE WHEN version = 1 THEN 'created' ELSE 'updated' END,
+         updated_at, updated_by,
+         json_object(
+           'title', title,
+           'description', description,
+           'completed', json(CASE WHEN completed = 1 THEN 'true' ELSE 'false' END),
+           'priority', priority,
+           'dueDate', due_date,
+           'tags', json((SELECT json_group_array(tag) FROM (
+             SELECT tag FROM task_tags WHERE task_id = tasks.id ORDER BY tag
+           ))),
+           'projectId', project_id,
+           'recurrence', recurrence,
+           'timeZone', time_zone
+         )
+       FROM tasks`,
+    ],
+  },
+  {
+    version: 14,
+    name: "add_task_trash",
+    up: [
+      //A task in the trash keeps its row until it is restored, deleted for
+      //good or purged once the retention period is over
+      "ALTER TABLE tasks ADD COLUMN deleted_at TEXT",
+      "ALTER TABLE tasks ADD COLUMN deleted_by TEXT REFERENCES users (id) ON DELETE SET NULL",
+      "CREATE INDEX idx_tasks_deleted_at ON tasks (deleted_at)",
+    ],
+  },
+  {
+    version: 15,
+    name: "scope_sync_operations_by_user",
+    up: [
+      //opIds are generated by clients, so two users may send the same one;
+      //each user's replays are told apart on their own. Rows from before
+      //accounts keep a NULL owner until they are claimed, as in version 11.
+      `CREATE TABLE sync_operations_by_user (
+        op_id TEXT NOT NULL,
+        result TEXT NOT NULL,
+        applied_at TEXT NOT NULL,
+        user_id TEXT,
+        UNIQUE (user_id, op_id)
+      )`,
+      `INSERT INTO sync_operations_by_user (op_id, result, applied_at, user_id)
+       SELECT op_id, result, applied_at, user_id FROM sync_operations`,
+      "DROP TABLE sync_operations",
+      "ALTER TABLE sync_operations_by_user RENAME TO sync_operations",
+    ],
+  },
+  {
+    version: 16,
+    name: "record_trash_revisions",
+    up: [
+      //Moving a task to the trash and back leaves a revision too. SQLite
+      //can't change a CHECK constraint, so the table is copied over.
+      `CREATE TABLE task_revisions_with_trash (
+        task_id TEXT NOT NULL REFERENCES tasks (id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        type TEXT NOT NULL
+          CHECK (type IN ('created', 'updated', 'restored', 'trashed', 'untrashed')),
+        changed_at TEXT NOT NULL,
+        changed_by TEXT REFERENCES users (id) ON DELETE SET NULL,
+        changes TEXT,
+        snapshot TEXT NOT NULL,
+        restored_from INTEGER,
+        PRIMARY KEY (task_id, version)
+      )`,
+      `INSERT INTO task_revisions_with_trash
+       SELECT task_id, version, type, changed_at, changed_by, changes, snapshot, restored_from
+       FROM task_revisions`,
+      "DROP TABLE task_revisions",
+      "ALTER TABLE task_revisions_with_trash RENAME TO task_revisions",
+    ],
+  },
+  {
+    version: 17,
+    name: "create_snoozed_reminders",
+    up: [
+      //A reminder snoozed from a notification with no tab open; the due
+      //notifier pushes it again once `fire_at` passes. One per user and task.
+      `CREATE TABLE snoozed_reminders (
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        task_id TEXT NOT NULL REFERENCES tasks (id) ON DELETE CASCADE,
+        device_id TEXT,
+        fire_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, task_id)
+      )`,
+      "CREATE INDEX idx_snoozed_reminders_fire_at ON snoozed_reminders (fire_at)",
+    ],
+  },
+];
+
+module.exports = migrations;
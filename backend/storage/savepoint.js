@@ -0,0 +1,20 @@
+//Runs `work` inside the open transaction (or a new one) behind a savepoint.
+//If it throws, only its own writes are undone and the error is passed on,
+//so the caller can report it and keep going with the rest of the
+//transaction.
+const createSavepointRunner =
+  (transaction, { save, release, rollbackTo }) =>
+  (work) =>
+    transaction(async () => {
+      const savepoint = await save();
+      try {
+        const value = await work();
+        await release(savepoint);
+        return value;
+      } catch (error) {
+        await rollbackTo(savepoint);
+        throw error;
+      }
+    });
+
+module.exports = createSavepointRunner;
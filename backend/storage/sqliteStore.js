@@ -0,0 +1,1109 @@
+const fs = require("fs");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const migrations = require("./migrations");
+const createTransactionQueue = require("./transactionQueue");
+const createSavepointRunner = require("./savepoint");
+const createChangeNotifier = require("./changeNotifier");
+const { forUser } = require("./userStore");
+const { pickRevisionFields, diffRevision } = require("../lib/history");
+
+//Tags come back as one comma-separated column; tags can't contain commas
+const tagsColumn = (table) =>
+  `(SELECT GROUP_CONCAT(tag, ',') FROM task_tags WHERE task_id = ${table}.id) AS tags`;
+
+//SQL condition for a `projectId` filter: one project, or none when null
+const projectCondition = (projectId, column = "project_id") =>
+  projectId === null
+    ? { sql: `${column} IS NULL`, params: [] }
+    : { sql: `${column} = ?`, params: [projectId] };
+
+//Tasks a user can see: their own, and the ones in lists shared with them.
+//Takes the user id twice.
+const visibleTo = (table) =>
+  `(${table}.user_id = ? OR ${table}.project_id IN (
+    SELECT project_id FROM project_members WHERE user_id = ?
+  ))`;
+
+//Same for projects: owned or shared with the user
+const PROJECT_VISIBLE = `(user_id = ? OR id IN (
+  SELECT project_id FROM project_members WHERE user_id = ?
+))`;
+
+const rowToTask = (row) => ({
+  id: row.id,
+  title: row.title,
+  description: row.description,
+  completed: row.completed === 1,
+  priority: row.priority,
+  dueDate: row.due_date,
+  tags: row.tags ? row.tags.split(",").sort() : [],
+  projectId: row.project_id,
+  recurrence: row.recurrence,
+  timeZone: row.time_zone,
+  image: row.image_data
+    ? { data: row.image_data, type: row.image_type || "image/jpeg" }
+    : null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  createdBy: row.created_by,
+  updatedBy: row.updated_by,
+  completedBy: row.completed_by,
+  deletedAt: row.deleted_at,
+  deletedBy: row.deleted_by,
+  version: row.version,
+});
+
+const rowToChecklistItem = (row) => ({
+  id: row.id,
+  text: row.text,
+  done: row.done === 1,
+  position: row.position,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const rowToRevision = (row) => ({
+  version: row.version,
+  type: row.type,
+  changedAt: row.changed_at,
+  author: row.changed_by ? { id: row.changed_by, email: row.email } : null,
+  changes: row.changes ? JSON.parse(row.changes) : null,
+  snapshot: JSON.parse(row.snapshot),
+  restoredFrom: row.restored_from,
+});
+
+const rowToUser = (row) => ({
+  id: row.id,
+  email: row.email,
+  passwordHash: row.password_hash,
+  createdAt: row.created_at,
+});
+
+const rowToProject = (row) => ({
+  id: row.id,
+  name: row.name,
+  color: row.color,
+  position: row.position,
+  ownerId: row.user_id,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const taskToParams = (task) => [
+  task.title,
+  task.description || "",
+  task.completed ? 1 : 0,
+  task.priority || "medium",
+  task.dueDate || null,
+  task.recurrence || null,
+  task.timeZone || null,
+  task.projectId || null,
+  task.image ? task.image.data : null,
+  task.image ? task.image.type : null,
+  task.createdAt,
+  task.updatedAt,
+];
+
+class SqliteTaskStore {
+  constructor(filename) {
+    this.driver = "sqlite";
+    this.filename = filename;
+    this.db = null;
+    this.changeNotifier = createChangeNotifier();
+    //sqlite3 shares one connection between requests, so writes are chained
+    //to keep one transaction from interleaving with another.
+    this.transaction = createTransactionQueue({
+      begin: () => this.run("BEGIN IMMEDIATE"),
+      commit: async () => {
+        await this.run("COMMIT");
+        this.changeNotifier.flush();
+      },
+      rollback: async () => {
+        this.changeNotifier.discard();
+        await this.run("ROLLBACK");
+      },
+    });
+    //Users already queued for a change notification stay queued when their
+    //savepoint rolls back; they just find nothing new in their feed
+    let savepoints = 0;
+    this.savepoint = createSavepointRunner(this.transaction, {
+      save: async () => {
+        savepoints += 1;
+        const name = `sp_${savepoints}`;
+        await this.run(`SAVEPOINT ${name}`);
+        return name;
+      },
+      release: (name) => this.run(`RELEASE ${name}`),
+      rollbackTo: async (name) => {
+        await this.run(`ROLLBACK TO ${name}`);
+        await this.run(`RELEASE ${name}`);
+      },
+    });
+  }
+
+  forUser(userId) {
+    return forUser(this, userId);
+  }
+
+  //`listener(userIds)` runs after each commit that added entries to the
+  //change feed of those users. Returns a function that removes it.
+  onChanges(listener) {
+    return this.changeNotifier.subscribe(listener);
+  }
+
+  async init() {
+    if (this.filename !== ":memory:") {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.filename, (error) =>
+        error ? reject(error) : resolve(db)
+      );
+    });
+
+    await this.run("PRAGMA foreign_keys = ON");
+    await this.migrate();
+  }
+
+  async close() {
+    if (!this.db) return;
+
+    await new Promise((resolve, reject) => {
+      this.db.close((error) => (error ? reject(error) : resolve()));
+    });
+    this.db = null;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (error) {
+        if (error) return reject(error);
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (error, row) =>
+        error ? reject(error) : resolve(row)
+      );
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (error, rows) =>
+        error ? reject(error) : resolve(rows)
+      );
+    });
+  }
+
+  async migrate() {
+    await this.run(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )`
+    );
+
+    const applied = await this.all("SELECT version FROM schema_migrations");
+    const appliedVersions = new Set(applied.map((row) => row.version));
+
+    for (const migration of migrations) {
+      if (appliedVersions.has(migration.version)) continue;
+
+      await this.transaction(async () => {
+        for (const statement of migration.up) {
+          await this.run(statement);
+        }
+        await this.run(
+          "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)",
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+      });
+      console.log(
+        `Applied migration ${migration.version} (${migration.name})`
+      );
+    }
+  }
+
+  //Each user in `audience` gets the change in their own feed
+  async recordChange(taskId, type, audience) {
+    const changedAt = new Date().toISOString();
+    for (const userId of new Set(audience)) {
+      await this.run(
+        "INSERT INTO task_changes (task_id, type, changed_at, user_id) VALUES (?, ?, ?, ?)",
+        [taskId, type, changedAt, userId]
+      );
+    }
+    this.changeNotifier.add(audience);
+  }
+
+  //Every write that changes a task's fields leaves a revision with the new
+  //state; an update that changes none (a repeated one, say) doesn't. Moves
+  //in and out of the trash change no field but are recorded all the same.
+  async recordRevision(
+    userId,
+    before,
+    after,
+    type,
+    { restoredFrom = null, changedAt = after.updatedAt } = {}
+  ) {
+    const snapshot = pickRevisionFields(after);
+    const changes = diffRevision(
+      before && pickRevisionFields(before),
+      snapshot
+    );
+    if (type === "updated" && Object.keys(changes).length === 0) return;
+
+    await this.run(
+      `INSERT INTO task_revisions (task_id, version, type, changed_at, changed_by, changes, snapshot, restored_from)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        after.id,
+        after.version,
+        type,
+        changedAt,
+        userId,
+        JSON.stringify(changes),
+        JSON.stringify(snapshot),
+        restoredFrom,
+      ]
+    );
+  }
+
+  //Everyone who can see the task right now: its owner and, when it is in a
+  //shared list, the list's members
+  async getTaskAudience(taskId) {
+    const rows = await this.all(
+      `SELECT user_id FROM tasks WHERE id = ? AND user_id IS NOT NULL
+       UNION
+       SELECT project_members.user_id FROM project_members
+       JOIN tasks ON tasks.project_id = project_members.project_id
+       WHERE tasks.id = ?`,
+      [taskId, taskId]
+    );
+    return rows.map((row) => row.user_id);
+  }
+
+  //Tasks in a list belong to the list's owner, whoever created them
+  async getTaskOwnerId(userId, projectId) {
+    if (!projectId) return userId;
+
+    const row = await this.get("SELECT user_id FROM projects WHERE id = ?", [
+      projectId,
+    ]);
+    return row ? row.user_id : userId;
+  }
+
+  //Adds each task's checklist, in list order. Without `taskIds` it loads
+  //every item the user can see, which is what listing all tasks needs.
+  async attachChecklists(userId, tasks, taskIds = null) {
+    if (tasks.length === 0) return tasks;
+
+    const rows = taskIds
+      ? await this.all(
+          `SELECT * FROM checklist_items WHERE task_id IN (${taskIds
+            .map(() => "?")
+            .join(", ")}) ORDER BY position, id`,
+          taskIds
+        )
+      : await this.all(
+          `SELECT checklist_items.* FROM checklist_items
+           JOIN tasks ON tasks.id = checklist_items.task_id
+           WHERE ${visibleTo("tasks")}
+           ORDER BY position, id`,
+          [userId, userId]
+        );
+
+    const itemsByTask = new Map(tasks.map((task) => [task.id, []]));
+    for (const row of rows) {
+      const items = itemsByTask.get(row.task_id);
+      if (items) items.push(rowToChecklistItem(row));
+    }
+    return tasks.map((task) => ({
+      ...task,
+      checklist: itemsByTask.get(task.id),
+    }));
+  }
+
+  //With `tags`, only the tasks that carry all of them. `projectId` scopes
+  //the list to one project, or to the tasks without one when null. Tasks in
+  //the trash are only listed, on their own, with `trashed`.
+  async listTasks(userId, { tags = [], projectId, trashed = false } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (tags.length > 0) {
+      conditions.push(
+        `id IN (
+          SELECT task_id FROM task_tags WHERE tag IN (${tags
+            .map(() => "?")
+            .join(", ")})
+          GROUP BY task_id HAVING COUNT(*) = ?
+        )`
+      );
+      params.push(...tags, tags.length);
+    }
+    if (projectId !== undefined) {
+      const condition = projectCondition(projectId);
+      conditions.push(condition.sql);
+      params.push(...condition.params);
+    }
+
+    const rows = await this.all(
+      `SELECT *, ${tagsColumn("tasks")} FROM tasks
+       WHERE ${[
+         visibleTo("tasks"),
+         trashed ? "deleted_at IS NOT NULL" : "deleted_at IS NULL",
+         ...conditions,
+       ].join(" AND ")}
+       ORDER BY created_at`,
+      [userId, userId, ...params]
+    );
+    return this.attachChecklists(
+      userId,
+      rows.map(rowToTask),
+      conditions.length > 0 ? rows.map((row) => row.id) : null
+    );
+  }
+
+  async countTasks() {
+    const row = await this.get("SELECT COUNT(*) AS count FROM tasks");
+    return row.count;
+  }
+
+  async getTask(userId, id) {
+    const row = await this.get(
+      `SELECT *, ${tagsColumn("tasks")} FROM tasks WHERE id = ? AND ${visibleTo("tasks")}`,
+      [id, userId, userId]
+    );
+    if (!row) return null;
+
+    const [task] = await this.attachChecklists(userId, [rowToTask(row)], [id]);
+    return task;
+  }
+
+  //Resolves to null when another user already has a task with that id
+  createTask(userId, task) {
+    return this.transaction(async () => {
+      const { changes } = await this.run(
+        `INSERT INTO tasks (title, description, completed, priority, due_date,
+          recurrence, time_zone, project_id, image_data, image_type, created_at, updated_at,
+          created_by, updated_by, completed_by, id, user_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO NOTHING`,
+        [
+          ...taskToParams(task),
+          userId,
+          userId,
+          task.completed ? userId : null,
+          task.id,
+          await this.getTaskOwnerId(userId, task.projectId),
+        ]
+      );
+      if (changes === 0) return null;
+
+      await this.replaceTags(task.id, task.tags);
+      for (const item of task.checklist || []) {
+        await this.insertChecklistItem(task.id, item);
+      }
+      await this.recordChange(
+        task.id,
+        "created",
+        await this.getTaskAudience(task.id)
+      );
+
+      const createdTask = await this.getTask(userId, task.id);
+      await this.recordRevision(userId, null, createdTask, "created");
+      return createdTask;
+    });
+  }
+
+  //Moving a task to another list hands it to that list's owner, and out of
+  //any list to whoever moved it. The change reaches everyone who could see
+  //the task before or can see it now. `restoredFrom` marks the revision as
+  //a restore of that version.
+  updateTask(userId, id, task, { restoredFrom = null } = {}) {
+    return this.transaction(async () => {
+      const existingTask = await this.getTask(userId, id);
+      if (!existingTask) return null;
+
+      const audience = await this.getTaskAudience(id);
+      await this.run(
+        `UPDATE tasks SET title = ?, description = ?, completed = ?, priority = ?,
+          due_date = ?, recurrence = ?, time_zone = ?, project_id = ?, image_data = ?, image_type = ?, created_at = ?, updated_at = ?,
+          updated_by = ?,
+          completed_by = CASE WHEN ? = 0 THEN NULL WHEN completed = 1 THEN completed_by ELSE ? END,
+          user_id = ?,
+          version = version + 1
+         WHERE id = ?`,
+        [
+          ...taskToParams(task),
+          userId,
+          task.completed ? 1 : 0,
+          userId,
+          await this.getTaskOwnerId(userId, task.projectId),
+          id,
+        ]
+      );
+
+      await this.replaceTags(id, task.tags);
+      await this.recordChange(id, "updated", [
+        ...audience,
+        ...(await this.getTaskAudience(id)),
+      ]);
+
+      const updatedTask = await this.getTask(userId, id);
+      await this.recordRevision(
+        userId,
+        existingTask,
+        updatedTask,
+        restoredFrom === null ? "updated" : "restored",
+        { restoredFrom }
+      );
+      return updatedTask;
+    });
+  }
+
+  //Newest first; null when the user can't see the task
+  async getTaskHistory(userId, taskId) {
+    if (!(await this.getTask(userId, taskId))) return null;
+
+    const rows = await this.all(
+      `SELECT task_revisions.*, users.email FROM task_revisions
+       LEFT JOIN users ON users.id = task_revisions.changed_by
+       WHERE task_id = ?
+       ORDER BY version DESC`,
+      [taskId]
+    );
+    return rows.map(rowToRevision);
+  }
+
+  deleteTask(userId, id) {
+    return this.transaction(async () => {
+      if (!(await this.getTask(userId, id))) return false;
+
+      const audience = await this.getTaskAudience(id);
+      await this.run("DELETE FROM tasks WHERE id = ?", [id]);
+      await this.recordChange(id, "deleted", audience);
+      return true;
+    });
+  }
+
+  //Moves the task to the trash, or takes it out of it. Everyone who sees the
+  //task keeps seeing it, in the trash, so they all get the change.
+  setTaskTrashed(userId, id, trashed) {
+    return this.transaction(async () => {
+      const task = await this.getTask(userId, id);
+      if (!task) return null;
+
+      const now = new Date().toISOString();
+      await this.run(
+        `UPDATE tasks SET deleted_at = ?, deleted_by = ?, version = version + 1
+         WHERE id = ?`,
+        [trashed ? now : null, trashed ? userId : null, id]
+      );
+      const updatedTask = await this.getTask(userId, id);
+      await this.recordRevision(
+        userId,
+        task,
+        updatedTask,
+        trashed ? "trashed" : "untrashed",
+        { changedAt: now }
+      );
+      await this.recordChange(id, "updated", await this.getTaskAudience(id));
+      return updatedTask;
+    });
+  }
+
+  //Deletes, whoever they belong to, the tasks trashed before `before`.
+  //Resolves to how many there were.
+  purgeTrash(before) {
+    return this.transaction(async () => {
+      const rows = await this.all("SELECT id FROM tasks WHERE deleted_at < ?", [
+        before,
+      ]);
+      for (const row of rows) {
+        const audience = await this.getTaskAudience(row.id);
+        await this.run("DELETE FROM tasks WHERE id = ?", [row.id]);
+        await this.recordChange(row.id, "deleted", audience);
+      }
+      return rows.length;
+    });
+  }
+
+  //Pending tasks, whoever they belong to, that fell due after `after` and by
+  //`until`, each with the users who can see it
+  async listTasksDueBetween(after, until) {
+    const rows = await this.all(
+      `SELECT *, ${tagsColumn("tasks")} FROM tasks
+       WHERE due_date > ? AND due_date <= ? AND completed = 0 AND deleted_at IS NULL
+       ORDER BY due_date`,
+      [after, until]
+    );
+
+    const due = [];
+    for (const row of rows) {
+      due.push({
+        task: rowToTask(row),
+        userIds: await this.getTaskAudience(row.id),
+      });
+    }
+    return due;
+  }
+
+  //Adds `members` (the owner first, then by join date) and `role`, the
+  //user's own role in each project
+  async attachMembers(userId, projects) {
+    if (projects.length === 0) return projects;
+
+    const ids = projects.map((project) => project.id);
+    const placeholders = ids.map(() => "?").join(", ");
+    const rows = await this.all(
+      `SELECT projects.id AS project_id, users.id AS user_id, users.email, 'owner' AS role, 0 AS rank, projects.created_at AS created_at
+       FROM projects JOIN users ON users.id = projects.user_id
+       WHERE projects.id IN (${placeholders})
+       UNION ALL
+       SELECT project_members.project_id, users.id, users.email, project_members.role, 1, project_members.created_at
+       FROM project_members JOIN users ON users.id = project_members.user_id
+       WHERE project_members.project_id IN (${placeholders})
+       ORDER BY rank, created_at`,
+      [...ids, ...ids]
+    );
+
+    return projects.map((project) => {
+      const members = rows
+        .filter((row) => row.project_id === project.id)
+        .map((row) => ({
+          userId: row.user_id,
+          email: row.email,
+          role: row.role,
+        }));
+      const self = members.find((member) => member.userId === userId);
+      return { ...project, role: self ? self.role : null, members };
+    });
+  }
+
+  async listProjects(userId) {
+    const rows = await this.all(
+      `SELECT * FROM projects WHERE ${PROJECT_VISIBLE}
+       ORDER BY position, name COLLATE NOCASE`,
+      [userId, userId]
+    );
+    return this.attachMembers(userId, rows.map(rowToProject));
+  }
+
+  async getProject(userId, id) {
+    const row = await this.get(
+      `SELECT * FROM projects WHERE id = ? AND ${PROJECT_VISIBLE}`,
+      [id, userId, userId]
+    );
+    if (!row) return null;
+
+    const [project] = await this.attachMembers(userId, [rowToProject(row)]);
+    return project;
+  }
+
+  //Resolves to null when another user already has a project with that id
+  createProject(userId, project) {
+    return this.transaction(async () => {
+      const { changes } = await this.run(
+        `INSERT INTO projects (id, name, color, position, created_at, updated_at, user_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO NOTHING`,
+        [
+          project.id,
+          project.name,
+          project.color,
+          project.position,
+          project.createdAt,
+          project.updatedAt,
+          userId,
+        ]
+      );
+      return changes === 0 ? null : this.getProject(userId, project.id);
+    });
+  }
+
+  updateProject(userId, id, project) {
+    return this.transaction(async () => {
+      const { changes } = await this.run(
+        `UPDATE projects SET name = ?, color = ?, position = ?, updated_at = ?
+         WHERE id = ? AND ${PROJECT_VISIBLE}`,
+        [
+          project.name,
+          project.color,
+          project.position,
+          project.updatedAt,
+          id,
+          userId,
+          userId,
+        ]
+      );
+      return changes === 0 ? null : this.getProject(userId, id);
+    });
+  }
+
+  //The project's tasks are kept and left without a project. Moving them is a
+  //regular update, so it bumps their version and reaches the changes feed.
+  //Resolves to the moved tasks, or null when the project doesn't exist.
+  deleteProject(userId, id) {
+    return this.transaction(async () => {
+      if (!(await this.getProject(userId, id))) return null;
+
+      const taskRows = await this.all(
+        "SELECT id FROM tasks WHERE project_id = ?",
+        [id]
+      );
+      //The members stop seeing the tasks, so they hear about them too
+      const audiences = new Map();
+      const previousTasks = [];
+      for (const row of taskRows) {
+        audiences.set(row.id, await this.getTaskAudience(row.id));
+        previousTasks.push(await this.getTask(userId, row.id));
+      }
+      await this.run(
+        `UPDATE tasks SET project_id = NULL, updated_at = ?, updated_by = ?, version = version + 1
+         WHERE project_id = ?`,
+        [new Date().toISOString(), userId, id]
+      );
+      for (const row of taskRows) {
+        await this.recordChange(row.id, "updated", audiences.get(row.id));
+      }
+      await this.run("DELETE FROM projects WHERE id = ?", [id]);
+
+      const movedTasks = await Promise.all(
+        taskRows.map((row) => this.getTask(userId, row.id))
+      );
+      for (const [index, task] of movedTasks.entries()) {
+        await this.recordRevision(
+          userId,
+          previousTasks[index],
+          task,
+          "updated"
+        );
+      }
+      return movedTasks;
+    });
+  }
+
+  //Adds a member, or changes their role. Resolves to true when they are new;
+  //the list's tasks then show up in their change feed.
+  saveProjectMember(userId, projectId, { userId: memberId, role, createdAt }) {
+    return this.transaction(async () => {
+      const { changes } = await this.run(
+        "UPDATE project_members SET role = ? WHERE project_id = ? AND user_id = ?",
+        [role, projectId, memberId]
+      );
+      if (changes > 0) return false;
+
+      await this.run(
+        `INSERT INTO project_members (project_id, user_id, role, invited_by, created_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [projectId, memberId, role, userId, createdAt]
+      );
+      const taskRows = await this.all(
+        "SELECT id FROM tasks WHERE project_id = ?",
+        [projectId]
+      );
+      for (const row of taskRows) {
+        await this.recordChange(row.id, "updated", [memberId]);
+      }
+      return true;
+    });
+  }
+
+  //The list's tasks leave the former member's feed as deleted
+  deleteProjectMember(userId, projectId, memberId) {
+    return this.transaction(async () => {
+      const { changes } = await this.run(
+        "DELETE FROM project_members WHERE project_id = ? AND user_id = ?",
+        [projectId, memberId]
+      );
+      if (changes === 0) return false;
+
+      const taskRows = await this.all(
+        "SELECT id FROM tasks WHERE project_id = ?",
+        [projectId]
+      );
+      for (const row of taskRows) {
+        await this.recordChange(row.id, "deleted", [memberId]);
+      }
+      return true;
+    });
+  }
+
+  async replaceTags(taskId, tags = []) {
+    await this.run("DELETE FROM task_tags WHERE task_id = ?", [taskId]);
+    for (const tag of tags) {
+      await this.run("INSERT INTO task_tags (task_id, tag) VALUES (?, ?)", [
+        taskId,
+        tag,
+      ]);
+    }
+  }
+
+  insertChecklistItem(taskId, item) {
+    return this.run(
+      `INSERT INTO checklist_items (id, task_id, text, done, position, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (id) DO UPDATE SET
+         text = excluded.text, done = excluded.done, position = excluded.position,
+         updated_at = excluded.updated_at
+       WHERE checklist_items.task_id = excluded.task_id`,
+      [
+        item.id,
+        taskId,
+        item.text,
+        item.done ? 1 : 0,
+        item.position,
+        item.createdAt,
+        item.updatedAt,
+      ]
+    );
+  }
+
+  //Item changes show up in the feed as an update of their task, but leave
+  //its version alone
+  saveChecklistItem(userId, taskId, item) {
+    return this.transaction(async () => {
+      await this.insertChecklistItem(taskId, item);
+      await this.recordChange(
+        taskId,
+        "updated",
+        await this.getTaskAudience(taskId)
+      );
+      return item;
+    });
+  }
+
+  deleteChecklistItem(userId, taskId, itemId) {
+    return this.transaction(async () => {
+      const { changes } = await this.run(
+        `DELETE FROM checklist_items WHERE id = ? AND task_id = (
+          SELECT id FROM tasks WHERE id = ? AND ${visibleTo("tasks")}
+        )`,
+        [itemId, taskId, userId, userId]
+      );
+      if (changes === 0) return false;
+
+      await this.recordChange(
+        taskId,
+        "updated",
+        await this.getTaskAudience(taskId)
+      );
+      return true;
+    });
+  }
+
+  async getLatestSeq(userId) {
+    const row = await this.get(
+      "SELECT MAX(seq) AS seq FROM task_changes WHERE user_id = ?",
+      [userId]
+    );
+    return row.seq || 0;
+  }
+
+  //One entry per task: its latest change after `since`, reported as
+  //"created" when the task itself appeared inside the window. A task the
+  //user can no longer see, deleted or not, is reported as deleted.
+  async getChanges(userId, since, limit) {
+    const rows = await this.all(
+      `SELECT c.seq, c.task_id, c.type, c.changed_at, t.*, ${tagsColumn("t")},
+        EXISTS (
+          SELECT 1 FROM task_changes created
+          WHERE created.task_id = c.task_id AND created.user_id = c.user_id
+            AND created.seq > ? AND created.type = 'created'
+        ) AS created_in_range
+       FROM task_changes c
+       LEFT JOIN tasks t ON t.id = c.task_id AND ${visibleTo("t")}
+       WHERE c.user_id = ? AND c.seq > ?
+         AND c.seq = (
+           SELECT MAX(seq) FROM task_changes
+           WHERE task_id = c.task_id AND user_id = c.user_id
+         )
+       ORDER BY c.seq
+       LIMIT ?`,
+      [since, userId, userId, userId, since, limit]
+    );
+
+    const tasks = rows.filter((row) => row.id).map(rowToTask);
+    const tasksById = new Map(
+      (
+        await this.attachChecklists(
+          userId,
+          tasks,
+          tasks.map((task) => task.id)
+        )
+      ).map((task) => [task.id, task])
+    );
+
+    return rows.map((row) => ({
+      seq: row.seq,
+      id: row.task_id,
+      type: !row.id ? "deleted" : row.created_in_range ? "created" : row.type,
+      changedAt: row.changed_at,
+      task: tasksById.get(row.task_id) || null,
+    }));
+  }
+
+  async getSyncOperation(userId, opId) {
+    const row = await this.get(
+      "SELECT result FROM sync_operations WHERE op_id = ? AND user_id = ?",
+      [opId, userId]
+    );
+    return row ? JSON.parse(row.result) : null;
+  }
+
+  saveSyncOperation(userId, opId, result) {
+    return this.transaction(() =>
+      this.run(
+        "INSERT INTO sync_operations (op_id, result, applied_at, user_id) VALUES (?, ?, ?, ?)",
+        [opId, JSON.stringify(result), new Date().toISOString(), userId]
+      )
+    );
+  }
+
+  async listPushSubscriptions(userId) {
+    const rows = await this.all(
+      "SELECT * FROM push_subscriptions WHERE user_id = ? ORDER BY created_at",
+      [userId]
+    );
+    return rows.map((row) => ({
+      endpoint: row.endpoint,
+      keys: { p256dh: row.p256dh, auth: row.auth },
+      deviceId: row.device_id,
+      createdAt: row.created_at,
+    }));
+  }
+
+  //Upserts by endpoint; resolves to true when the subscription is new. A
+  //browser that signs in with another account moves its subscription there.
+  savePushSubscription(userId, { endpoint, keys, deviceId = null }) {
+    return this.transaction(async () => {
+      const existing = await this.get(
+        "SELECT endpoint FROM push_subscriptions WHERE endpoint = ? AND user_id = ?",
+        [endpoint, userId]
+      );
+      await this.run(
+        `INSERT INTO push_subscriptions (endpoint, p256dh, auth, device_id, created_at, user_id)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT (endpoint) DO UPDATE SET
+           p256dh = excluded.p256dh, auth = excluded.auth, device_id = excluded.device_id,
+           user_id = excluded.user_id`,
+        [
+          endpoint,
+          keys.p256dh,
+          keys.auth,
+          deviceId,
+          new Date().toISOString(),
+          userId,
+        ]
+      );
+      return !existing;
+    });
+  }
+
+  deletePushSubscription(userId, endpoint) {
+    return this.transaction(async () => {
+      const { changes } = await this.run(
+        "DELETE FROM push_subscriptions WHERE endpoint = ? AND user_id = ?",
+        [endpoint, userId]
+      );
+      return changes > 0;
+    });
+  }
+
+  snoozeReminder(userId, taskId, { fireAt, deviceId = null }) {
+    return this.transaction(() =>
+      this.run(
+        `INSERT INTO snoozed_reminders (user_id, task_id, device_id, fire_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (user_id, task_id) DO UPDATE SET
+           device_id = excluded.device_id, fire_at = excluded.fire_at`,
+        [userId, taskId, deviceId, fireAt]
+      )
+    );
+  }
+
+  //Removes the snoozed reminders due by `until`, whoever they belong to, and
+  //resolves to those whose task is still pending and visible to the user
+  takeSnoozedReminders(until) {
+    return this.transaction(async () => {
+      const rows = await this.all(
+        `SELECT s.user_id AS snoozed_by, s.device_id, s.fire_at, t.*, ${tagsColumn("t")}
+         FROM snoozed_reminders s
+         JOIN tasks t ON t.id = s.task_id
+         WHERE s.fire_at <= ? AND t.completed = 0 AND t.deleted_at IS NULL
+           AND (t.user_id = s.user_id OR t.project_id IN (
+             SELECT project_id FROM project_members WHERE user_id = s.user_id
+           ))
+         ORDER BY s.fire_at`,
+        [until]
+      );
+      await this.run("DELETE FROM snoozed_reminders WHERE fire_at <= ?", [
+        until,
+      ]);
+
+      return rows.map((row) => ({
+        userId: row.snoozed_by,
+        taskId: row.id,
+        deviceId: row.device_id,
+        fireAt: row.fire_at,
+        task: rowToTask(row),
+      }));
+    });
+  }
+
+  async countUsers() {
+    const row = await this.get("SELECT COUNT(*) AS count FROM users");
+    return row.count;
+  }
+
+  async getUser(id) {
+    const row = await this.get("SELECT * FROM users WHERE id = ?", [id]);
+    return row ? rowToUser(row) : null;
+  }
+
+  async getUserByEmail(email) {
+    const row = await this.get("SELECT * FROM users WHERE email = ?", [email]);
+    return row ? rowToUser(row) : null;
+  }
+
+  createUser(user) {
+    return this.transaction(async () => {
+      await this.run(
+        "INSERT INTO users (id, email, password_hash, created_at) VALUES (?, ?, ?, ?)",
+        [user.id, user.email, user.passwordHash, user.createdAt]
+      );
+      return this.getUser(user.id);
+    });
+  }
+
+  //Hands the data stored before there were accounts to `userId`
+  claimUnownedData(userId) {
+    return this.transaction(async () => {
+      for (const table of [
+        "tasks",
+        "projects",
+        "task_changes",
+        "sync_operations",
+        "push_subscriptions",
+      ]) {
+        await this.run(
+          `UPDATE ${table} SET user_id = ? WHERE user_id IS NULL`,
+          [userId]
+        );
+      }
+      await this.run(
+        `UPDATE tasks SET created_by = user_id, updated_by = user_id,
+          completed_by = CASE WHEN completed = 1 THEN user_id END
+         WHERE user_id = ? AND created_by IS NULL`,
+        [userId]
+      );
+      await this.run(
+        `UPDATE task_revisions SET changed_by = ?
+         WHERE changed_by IS NULL AND task_id IN (SELECT id FROM tasks WHERE user_id = ?)`,
+        [userId, userId]
+      );
+    });
+  }
+
+  saveRefreshToken({ id, userId, expiresAt, createdAt }) {
+    return this.transaction(() =>
+      this.run(
+        "INSERT INTO refresh_tokens (id, user_id, expires_at, created_at) VALUES (?, ?, ?, ?)",
+        [id, userId, expiresAt, createdAt]
+      )
+    );
+  }
+
+  async getRefreshToken(id) {
+    const row = await this.get("SELECT * FROM refresh_tokens WHERE id = ?", [
+      id,
+    ]);
+    return row
+      ? {
+          id: row.id,
+          userId: row.user_id,
+          expiresAt: row.expires_at,
+          createdAt: row.created_at,
+          revokedAt: row.revoked_at,
+        }
+      : null;
+  }
+
+  //Resolves to true only for the call that revoked it, so two requests
+  //racing with the same refresh token can't both rotate it
+  revokeRefreshToken(id) {
+    return this.transaction(async () => {
+      const { changes } = await this.run(
+        "UPDATE refresh_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL",
+        [new Date().toISOString(), id]
+      );
+      return changes > 0;
+    });
+  }
+
+  async getSetting(key) {
+    const row = await this.get("SELECT value FROM settings WHERE key = ?", [
+      key,
+    ]);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  setSetting(key, value) {
+    return this.transaction(() =>
+      this.run(
+        `INSERT INTO settings (key, value) VALUES (?, ?)
+         ON CONFLICT (key) DO UPDATE SET value = excluded.value`,
+        [key, JSON.stringify(value)]
+      )
+    );
+  }
+
+  //`projectId` scopes the numbers like it does in `listTasks`
+  async getStats(userId, { projectId } = {}) {
+    const project =
+      projectId === undefined
+        ? { sql: "1 = 1", params: [] }
+        : projectCondition(projectId, "tasks.project_id");
+    const scope = {
+      sql: `${visibleTo("tasks")} AND tasks.deleted_at IS NULL AND ${project.sql}`,
+      params: [userId, userId, ...project.params],
+    };
+
+    const row = await this.get(
+      `SELECT COUNT(*) AS total,
+        COALESCE(SUM(completed), 0) AS completed,
+        COALESCE(SUM(CASE WHEN priority = 'high' AND completed = 0 THEN 1 ELSE 0 END), 0) AS highPriority,
+        COALESCE(SUM(CASE WHEN completed = 0 AND due_date < ? THEN 1 ELSE 0 END), 0) AS overdue
+       FROM tasks WHERE ${scope.sql}`,
+      [new Date().toISOString(), ...scope.params]
+    );
+
+    const tagRows = await this.all(
+      `SELECT tag, COUNT(*) AS count FROM task_tags
+       JOIN tasks ON tasks.id = task_tags.task_id
+       WHERE ${scope.sql}
+       GROUP BY tag ORDER BY tag`,
+      scope.params
+    );
+
+    return {
+      total: row.total,
+      completed: row.completed,
+      pending: row.total - row.completed,
+      highPriority: row.highPriority,
+      overdue: row.overdue,
+      tags: Object.fromEntries(tagRows.map((tag) => [tag.tag, tag.count])),
+    };
+  }
+}
+
+module.exports = SqliteTaskStore;
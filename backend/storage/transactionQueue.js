@@ -0,0 +1,31 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+//Runs transactions one at a time. Store calls made while a transaction is
+//open (a batch calling createTask, say) join it instead of queueing behind it.
+const createTransactionQueue = ({ begin, commit, rollback }) => {
+  const context = new AsyncLocalStorage();
+  let queue = Promise.resolve();
+
+  return (work) => {
+    if (context.getStore()) return work();
+
+    const result = queue.then(() =>
+      context.run(true, async () => {
+        await begin();
+        try {
+          const value = await work();
+          await commit();
+          return value;
+        } catch (error) {
+          await rollback();
+          throw error;
+        }
+      })
+    );
+
+    queue = result.catch(() => {});
+    return result;
+  };
+};
+
+module.exports = createTransactionQueue;
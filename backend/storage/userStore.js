@@ -0,0 +1,51 @@
+//Adapter methods that read or write one user's data take the user id as
+//their first argument. `forUser` binds it, so lib/ and the routes keep
+//calling `store.getTask(id)` and only ever see the signed-in user's rows.
+const USER_METHODS = [
+  "listTasks",
+  "getTask",
+  "createTask",
+  "updateTask",
+  "deleteTask",
+  "setTaskTrashed",
+  "getTaskHistory",
+  "listProjects",
+  "getProject",
+  "createProject",
+  "updateProject",
+  "deleteProject",
+  "saveProjectMember",
+  "deleteProjectMember",
+  "saveChecklistItem",
+  "deleteChecklistItem",
+  "getLatestSeq",
+  "getChanges",
+  "getSyncOperation",
+  "saveSyncOperation",
+  "listPushSubscriptions",
+  "savePushSubscription",
+  "deletePushSubscription",
+  "snoozeReminder",
+  "getStats",
+];
+
+//Lookups that answer the same whoever asks, e.g. finding who to share with
+const SHARED_METHODS = ["getUser", "getUserByEmail"];
+
+const forUser = (store, userId) => {
+  const scoped = {
+    driver: store.driver,
+    userId,
+    transaction: store.transaction,
+    savepoint: store.savepoint,
+  };
+  for (const method of USER_METHODS) {
+    scoped[method] = (...args) => store[method](userId, ...args);
+  }
+  for (const method of SHARED_METHODS) {
+    scoped[method] = (...args) => store[method](...args);
+  }
+  return scoped;
+};
+
+module.exports = { forUser };
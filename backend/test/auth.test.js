@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { randomUUID } = require("node:crypto");
+const { DRIVERS, PASSWORD, startApp } = require("./helpers");
+
+for (const driver of DRIVERS) {
+  describe(`auth (${driver})`, () => {
+    let server;
+
+    before(async () => {
+      server = await startApp(driver);
+    });
+
+    after(() => server.stop());
+
+    it("registers and logs in with the email in any case", async () => {
+      const session = await server.register("Login@Example.com");
+      assert.equal(session.user.email, "login@example.com");
+      assert.ok(session.accessToken && session.refreshToken);
+
+      const { status, body } = await server.request("POST", "/auth/login", {
+        body: { email: "LOGIN@example.com", password: PASSWORD },
+      });
+      assert.equal(status, 200);
+      assert.equal(body.user.id, session.user.id);
+
+      const me = await server.request("GET", "/auth/me", {
+        token: body.accessToken,
+      });
+      assert.equal(me.body.id, session.user.id);
+    });
+
+    it("rejects a taken email and a wrong password", async () => {
+      await server.register("taken@example.com");
+
+      const again = await server.request("POST", "/auth/register", {
+        body: { email: "taken@example.com", password: PASSWORD },
+      });
+      assert.equal(again.status, 409);
+
+      const wrong = await server.request("POST", "/auth/login", {
+        body: { email: "taken@example.com", password: "not-the-password" },
+      });
+      assert.equal(wrong.status, 401);
+    });
+
+    it("requires an access token on the API", async () => {
+      const session = await server.register("token@example.com");
+
+      for (const token of [undefined, "garbage", session.refreshToken]) {
+        const { status, headers } = await server.request("GET", "/tasks", {
+          token,
+        });
+        assert.equal(status, 401, String(token));
+        assert.equal(headers.get("www-authenticate"), "Bearer");
+      }
+    });
+
+    it("accepts each refresh token once", async () => {
+      const session = await server.register("refresh@example.com");
+      const refresh = (refreshToken) =>
+        server.request("POST", "/auth/refresh", { body: { refreshToken } });
+
+      const renewed = await refresh(session.refreshToken);
+      assert.equal(renewed.status, 200);
+      assert.notEqual(renewed.body.refreshToken, session.refreshToken);
+
+      assert.equal((await refresh(session.refreshToken)).status, 401);
+      assert.equal((await refresh(renewed.body.refreshToken)).status, 200);
+    });
+
+    it("revokes the refresh token on logout", async () => {
+      const session = await server.register("logout@example.com");
+      const { status } = await server.request("POST", "/auth/logout", {
+        body: { refreshToken: session.refreshToken },
+      });
+      assert.equal(status, 200);
+
+      const refreshed = await server.request("POST", "/auth/refresh", {
+        body: { refreshToken: session.refreshToken },
+      });
+      assert.equal(refreshed.status, 401);
+    });
+  });
+
+  describe(`user scoping (${driver})`, () => {
+    let server;
+    let owner;
+    let stranger;
+    let task;
+
+    before(async () => {
+      server = await startApp(driver);
+      owner = await server.register("owner@example.com");
+      stranger = await server.register("stranger@example.com");
+      ({ body: task } = await owner.request("POST", "/tasks", {
+        body: { title: "Private" },
+      }));
+    });
+
+    after(() => server.stop());
+
+    it("hides other users' tasks from lists and feeds", async () => {
+      const { body: tasks } = await stranger.request("GET", "/tasks");
+      assert.deepEqual(tasks, []);
+
+      const { body: feed } = await stranger.request(
+        "GET",
+        "/tasks/changes?since=0"
+      );
+      assert.deepEqual(feed.changes, []);
+    });
+
+    it("answers other users' task ids with 404", async () => {
+      for (const [method, path, body] of [
+        ["GET", `/tasks/${task.id}`],
+        ["GET", `/tasks/${task.id}/history`],
+        ["PUT", `/tasks/${task.id}`, { title: "Mine now" }],
+        ["DELETE", `/tasks/${task.id}`],
+        ["PUT", `/tasks/${task.id}/checklist/${randomUUID()}`, { text: "x" }],
+      ]) {
+        const { status } = await stranger.request(method, path, { body });
+        assert.equal(status, 404, `${method} ${path}`);
+      }
+
+      const { body: stored } = await owner.request("GET", `/tasks/${task.id}`);
+      assert.equal(stored.title, "Private");
+      assert.equal(stored.deletedAt, null);
+    });
+
+    it("does not let a sync batch reach other users' tasks", async () => {
+      const { body } = await stranger.request("POST", "/sync", {
+        body: {
+          operations: [
+            {
+              opId: randomUUID(),
+              type: "update",
+              taskId: task.id,
+              data: { title: "Synced over" },
+            },
+          ],
+        },
+      });
+      assert.equal(body.results[0].status, "failed");
+      assert.equal(body.results[0].statusCode, 404);
+    });
+
+    it("refuses to create a task with an id another user holds", async () => {
+      const { status } = await stranger.request("POST", "/tasks", {
+        body: { id: task.id, title: "Same id" },
+      });
+      assert.equal(status, 409);
+    });
+  });
+}
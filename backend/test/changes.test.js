@@ -0,0 +1,149 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { DRIVERS, startApp } = require("./helpers");
+
+for (const driver of DRIVERS) {
+  describe(`change feed (${driver})`, () => {
+    let server;
+
+    before(async () => {
+      server = await startApp(driver);
+    });
+
+    after(() => server.stop());
+
+    //Each test gets its own user, so its feed starts out empty
+    const register = (name) => server.register(`${name}@example.com`);
+    const getFeed = async (user, query = "since=0") =>
+      (await user.request("GET", `/tasks/changes?${query}`)).body;
+    const createTask = async (user, title) =>
+      (await user.request("POST", "/tasks", { body: { title } })).body;
+
+    it("returns what changed after the cursor", async () => {
+      const user = await register("since");
+      const first = await createTask(user, "First");
+
+      const feed = await getFeed(user);
+      assert.deepEqual(
+        feed.changes.map((change) => [change.id, change.type]),
+        [[first.id, "created"]]
+      );
+      assert.equal(feed.changes[0].task.title, "First");
+      assert.equal(feed.cursor, feed.changes[0].seq);
+      assert.equal(feed.hasMore, false);
+      assert.equal(feed.reset, false);
+
+      const second = await createTask(user, "Second");
+      await user.request("PUT", `/tasks/${first.id}`, {
+        body: { title: "First, edited" },
+      });
+
+      const next = await getFeed(user, `since=${feed.cursor}`);
+      assert.deepEqual(
+        next.changes.map((change) => [change.id, change.type]),
+        [
+          [second.id, "created"],
+          [first.id, "updated"],
+        ]
+      );
+      assert.ok(next.cursor > feed.cursor);
+
+      const empty = await getFeed(user, `since=${next.cursor}`);
+      assert.deepEqual(empty.changes, []);
+      assert.equal(empty.cursor, next.cursor);
+    });
+
+    it("collapses several changes to a task into the latest", async () => {
+      const user = await register("collapse");
+      const { cursor } = await getFeed(user);
+      const task = await createTask(user, "Draft");
+      for (const title of ["Second draft", "Final"]) {
+        await user.request("PUT", `/tasks/${task.id}`, { body: { title } });
+      }
+
+      const { changes } = await getFeed(user, `since=${cursor}`);
+      assert.equal(changes.length, 1);
+      //Created after the cursor, so the client sees it as new
+      assert.equal(changes[0].type, "created");
+      assert.equal(changes[0].task.title, "Final");
+      assert.equal(changes[0].task.version, 3);
+
+      const { cursor: afterCreate } = await getFeed(user, `since=${cursor}`);
+      await user.request("PUT", `/tasks/${task.id}`, {
+        body: { completed: true },
+      });
+      await user.request("PUT", `/tasks/${task.id}`, {
+        body: { completed: false },
+      });
+      const { changes: updates } = await getFeed(user, `since=${afterCreate}`);
+      assert.deepEqual(
+        updates.map((change) => [change.type, change.task.version]),
+        [["updated", 5]]
+      );
+    });
+
+    it("reports tasks deleted for good as tombstones", async () => {
+      const user = await register("tombstone");
+      const task = await createTask(user, "Gone");
+      const { cursor } = await getFeed(user);
+
+      await user.request("DELETE", `/tasks/${task.id}?permanent=true`);
+
+      const { changes } = await getFeed(user, `since=${cursor}`);
+      assert.equal(changes.length, 1);
+      assert.equal(changes[0].id, task.id);
+      assert.equal(changes[0].type, "deleted");
+      assert.equal(changes[0].task, null);
+    });
+
+    it("pages through the feed with `limit`", async () => {
+      const user = await register("paging");
+      const tasks = [];
+      for (const title of ["One", "Two", "Three"]) {
+        tasks.push(await createTask(user, title));
+      }
+
+      const page = await getFeed(user, "since=0&limit=2");
+      assert.equal(page.changes.length, 2);
+      assert.equal(page.hasMore, true);
+      assert.equal(page.cursor, page.changes[1].seq);
+
+      const rest = await getFeed(user, `since=${page.cursor}&limit=2`);
+      assert.deepEqual(
+        [...page.changes, ...rest.changes].map((change) => change.id),
+        tasks.map((task) => task.id)
+      );
+      assert.equal(rest.hasMore, false);
+    });
+
+    it("rejects a malformed cursor or limit", async () => {
+      const user = await register("malformed");
+      await createTask(user, "Any");
+
+      for (const query of [
+        "since=-1",
+        "since=abc",
+        "since=1.5",
+        "limit=0",
+        "limit=-1",
+        "limit=abc",
+        "limit=2.5",
+      ]) {
+        const { status } = await user.request("GET", `/tasks/changes?${query}`);
+        assert.equal(status, 400, query);
+      }
+    });
+
+    it("asks for a reset when the cursor is ahead of the log", async () => {
+      const user = await register("reset");
+      const task = await createTask(user, "Kept");
+
+      const feed = await getFeed(user, "since=999999");
+      assert.equal(feed.reset, true);
+      assert.deepEqual(
+        feed.changes.map((change) => change.id),
+        [task.id]
+      );
+    });
+  });
+}
@@ -0,0 +1,246 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { randomUUID } = require("node:crypto");
+const { DRIVERS, startApp } = require("./helpers");
+
+for (const driver of DRIVERS) {
+  describe(`checklists (${driver})`, () => {
+    let server;
+    let user;
+
+    before(async () => {
+      server = await startApp(driver);
+      user = await server.register("checklist@example.com");
+    });
+
+    after(() => server.stop());
+
+    const createTask = async (texts) =>
+      (
+        await user.request("POST", "/tasks", {
+          body: {
+            title: "Groceries",
+            checklist: texts.map((text) => ({ id: randomUUID(), text })),
+          },
+        })
+      ).body;
+    const saveItem = (task, itemId, body) =>
+      user.request("PUT", `/tasks/${task.id}/checklist/${itemId}`, { body });
+    const getTask = async (task) =>
+      (await user.request("GET", `/tasks/${task.id}`)).body;
+    const sync = (operations) =>
+      user.request("POST", "/sync", { body: { operations } });
+
+    it("creates a task with its items in order", async () => {
+      const task = await createTask(["Milk", "Eggs"]);
+
+      assert.deepEqual(
+        task.checklist.map((item) => [item.text, item.done, item.position]),
+        [
+          ["Milk", false, 0],
+          ["Eggs", false, 1],
+        ]
+      );
+    });
+
+    it("rejects malformed items", async () => {
+      const id = randomUUID();
+      for (const checklist of [
+        "Milk",
+        [{ id: "item-1", text: "Milk" }],
+        [{ id: randomUUID(), text: "  " }],
+        [{ id: randomUUID(), text: "Milk", done: "yes" }],
+        [
+          { id, text: "Milk" },
+          { id, text: "Eggs" },
+        ],
+      ]) {
+        const { status } = await user.request("POST", "/tasks", {
+          body: { title: "Bad list", checklist },
+        });
+        assert.equal(status, 400, JSON.stringify(checklist));
+      }
+
+      const task = await createTask([]);
+      assert.equal((await saveItem(task, "item-1", { text: "x" })).status, 400);
+      assert.equal(
+        (await saveItem(task, randomUUID(), { text: 5 })).status,
+        400
+      );
+    });
+
+    it("adds, edits and removes one item at a time", async () => {
+      const task = await createTask(["Milk"]);
+      const itemId = randomUUID();
+
+      const added = await saveItem(task, itemId, { text: " Bread " });
+      assert.equal(added.status, 201);
+      assert.equal(added.body.text, "Bread");
+      assert.equal(added.body.position, 1);
+
+      //Only the fields sent change
+      const ticked = await saveItem(task, itemId, { done: true });
+      assert.equal(ticked.status, 200);
+      assert.equal(ticked.body.text, "Bread");
+      assert.equal(ticked.body.done, true);
+
+      const removed = await user.request(
+        "DELETE",
+        `/tasks/${task.id}/checklist/${task.checklist[0].id}`
+      );
+      assert.equal(removed.status, 200);
+
+      const stored = await getTask(task);
+      assert.deepEqual(
+        stored.checklist.map((item) => [item.id, item.done]),
+        [[itemId, true]]
+      );
+      //Items don't move the task's version
+      assert.equal(stored.version, 1);
+    });
+
+    it("answers items that are gone with 404", async () => {
+      const task = await createTask(["Milk"]);
+      const [item] = task.checklist;
+      await user.request("DELETE", `/tasks/${task.id}/checklist/${item.id}`);
+
+      assert.equal((await saveItem(task, item.id, { done: true })).status, 404);
+      assert.equal(
+        (await user.request("DELETE", `/tasks/${task.id}/checklist/${item.id}`))
+          .status,
+        404
+      );
+      assert.equal(
+        (await saveItem({ id: randomUUID() }, randomUUID(), { text: "x" }))
+          .status,
+        404
+      );
+    });
+
+    it("merges two devices ticking different items", async () => {
+      const task = await createTask(["Milk", "Eggs", "Bread"]);
+      const [milk, eggs, bread] = task.checklist;
+
+      await Promise.all([
+        saveItem(task, milk.id, { done: true }),
+        saveItem(task, eggs.id, { done: true }),
+        user.request("DELETE", `/tasks/${task.id}/checklist/${bread.id}`),
+      ]);
+
+      const stored = await getTask(task);
+      assert.deepEqual(
+        stored.checklist.map((item) => [item.text, item.done]),
+        [
+          ["Milk", true],
+          ["Eggs", true],
+        ]
+      );
+    });
+
+    it("doesn't turn item edits into task conflicts", async () => {
+      const task = await createTask(["Milk"]);
+
+      await saveItem(task, task.checklist[0].id, { done: true });
+      const renamed = await user.request("PUT", `/tasks/${task.id}`, {
+        body: { title: "Weekly groceries", baseVersion: 1 },
+      });
+      assert.equal(renamed.status, 200);
+
+      const stored = await getTask(task);
+      assert.equal(stored.title, "Weekly groceries");
+      assert.equal(stored.checklist[0].done, true);
+    });
+
+    it("applies item operations from two devices' offline batches", async () => {
+      const task = await createTask(["Milk", "Eggs"]);
+      const [milk, eggs] = task.checklist;
+      const addedByFirst = randomUUID();
+      const addedBySecond = randomUUID();
+
+      const first = await sync([
+        {
+          opId: randomUUID(),
+          type: "checklist-upsert",
+          taskId: task.id,
+          itemId: milk.id,
+          data: { done: true },
+        },
+        {
+          opId: randomUUID(),
+          type: "checklist-upsert",
+          taskId: task.id,
+          itemId: addedByFirst,
+          data: { text: "Butter", position: 2 },
+        },
+      ]);
+      const second = await sync([
+        {
+          opId: randomUUID(),
+          type: "checklist-delete",
+          taskId: task.id,
+          itemId: eggs.id,
+        },
+        {
+          opId: randomUUID(),
+          type: "checklist-upsert",
+          taskId: task.id,
+          itemId: addedBySecond,
+          data: { text: "Jam", position: 2 },
+        },
+        //The first device already ticked it; this only renames it
+        {
+          opId: randomUUID(),
+          type: "checklist-upsert",
+          taskId: task.id,
+          itemId: milk.id,
+          data: { text: "Oat milk" },
+        },
+      ]);
+
+      for (const { body } of [first, second]) {
+        assert.ok(body.results.every((result) => result.status === "applied"));
+      }
+
+      //Both added at position 2: the id breaks the tie the same everywhere
+      const tied = [
+        [addedByFirst, "Butter"],
+        [addedBySecond, "Jam"],
+      ].sort(([a], [b]) => (a < b ? -1 : 1));
+      const stored = await getTask(task);
+      assert.deepEqual(
+        stored.checklist.map((item) => [item.id, item.text]),
+        [[milk.id, "Oat milk"], ...tied]
+      );
+      assert.equal(stored.checklist[0].done, true);
+    });
+
+    it("fails item operations on items another device removed", async () => {
+      const task = await createTask(["Milk"]);
+      const [milk] = task.checklist;
+      await user.request("DELETE", `/tasks/${task.id}/checklist/${milk.id}`);
+
+      const { body } = await sync([
+        {
+          opId: randomUUID(),
+          type: "checklist-upsert",
+          taskId: task.id,
+          itemId: milk.id,
+          data: { done: true },
+        },
+        {
+          opId: randomUUID(),
+          type: "checklist-delete",
+          taskId: task.id,
+          itemId: milk.id,
+        },
+      ]);
+      assert.deepEqual(
+        body.results.map((result) => [result.status, result.statusCode]),
+        [
+          ["failed", 404],
+          ["failed", 404],
+        ]
+      );
+    });
+  });
+}
@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { randomUUID } = require("node:crypto");
+const { DRIVERS, startApp } = require("./helpers");
+
+for (const driver of DRIVERS) {
+  describe(`version conflicts (${driver})`, () => {
+    let server;
+    let user;
+
+    before(async () => {
+      server = await startApp(driver);
+      user = await server.register("conflicts@example.com");
+    });
+
+    after(() => server.stop());
+
+    const createTask = async (title) =>
+      (await user.request("POST", "/tasks", { body: { title } })).body;
+
+    it("sends the version as an ETag and bumps it on every write", async () => {
+      const task = await createTask("Versioned");
+      const read = await user.request("GET", `/tasks/${task.id}`);
+      assert.equal(read.headers.get("etag"), '"1"');
+
+      const updated = await user.request("PUT", `/tasks/${task.id}`, {
+        body: { title: "Versioned twice" },
+      });
+      assert.equal(updated.headers.get("etag"), '"2"');
+      assert.equal(updated.body.version, 2);
+    });
+
+    it("accepts a write based on the current version", async () => {
+      const task = await createTask("Current");
+
+      const withHeader = await user.request("PUT", `/tasks/${task.id}`, {
+        body: { title: "Header" },
+        headers: { "If-Match": 'W/"1"' },
+      });
+      assert.equal(withHeader.status, 200);
+
+      const withBody = await user.request("PUT", `/tasks/${task.id}`, {
+        body: { title: "Body", baseVersion: 2 },
+      });
+      assert.equal(withBody.status, 200);
+      assert.equal(withBody.body.version, 3);
+    });
+
+    it("answers a stale write with 409 and the current copy", async () => {
+      const task = await createTask("Shared edit");
+      await user.request("PUT", `/tasks/${task.id}`, {
+        body: { title: "First device", baseVersion: 1 },
+      });
+
+      const { status, body } = await user.request("PUT", `/tasks/${task.id}`, {
+        body: { title: "Second device" },
+        headers: { "If-Match": '"1"' },
+      });
+
+      assert.equal(status, 409);
+      assert.equal(body.currentVersion, 2);
+      assert.equal(body.task.title, "First device");
+
+      const { body: stored } = await user.request("GET", `/tasks/${task.id}`);
+      assert.equal(stored.title, "First device");
+    });
+
+    it("rejects a malformed version", async () => {
+      const task = await createTask("Malformed");
+      const { status } = await user.request("PUT", `/tasks/${task.id}`, {
+        body: { title: "Nope", baseVersion: "latest" },
+      });
+      assert.equal(status, 400);
+    });
+
+    it("fails a stale sync update with the current copy", async () => {
+      const task = await createTask("Synced edit");
+      await user.request("PUT", `/tasks/${task.id}`, {
+        body: { title: "Online edit" },
+      });
+
+      const { body } = await user.request("POST", "/sync", {
+        body: {
+          operations: [
+            {
+              opId: randomUUID(),
+              type: "update",
+              taskId: task.id,
+              baseVersion: 1,
+              data: { title: "Offline edit" },
+            },
+          ],
+        },
+      });
+
+      const [result] = body.results;
+      assert.equal(result.status, "failed");
+      assert.equal(result.statusCode, 409);
+      assert.equal(result.currentVersion, 2);
+      assert.equal(result.task.title, "Online edit");
+    });
+  });
+}
@@ -0,0 +1,66 @@
+//Helpers for the API tests. Every suite runs once per storage driver, each
+//time against a fresh app on an empty in-memory database, so both adapters
+//have to answer the same requests the same way.
+const DRIVERS = ["memory", "sqlite"];
+
+const PASSWORD = "correct-horse";
+
+//Loads index.js again with the driver picked through the environment, like
+//a deploy would, and serves it on a random port
+const startApp = async (driver) => {
+  process.env.STORAGE_DRIVER = driver;
+  process.env.DATABASE_PATH = ":memory:";
+  const entry = require.resolve("../index");
+  delete require.cache[entry];
+  const app = require(entry);
+
+  const server = await new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  //Resolves to `{ status, headers, body }` with the body parsed as JSON
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text ? JSON.parse(text) : null,
+    };
+  };
+
+  //Registers a user and returns their session plus `request` bound to it
+  const register = async (email) => {
+    const { status, body } = await request("POST", "/auth/register", {
+      body: { email, password: PASSWORD },
+    });
+    if (status !== 201) throw new Error(`Could not register ${email}`);
+
+    return {
+      ...body,
+      request: (method, path, options = {}) =>
+        request(method, path, { token: body.accessToken, ...options }),
+    };
+  };
+
+  const stop = async () => {
+    app.locals.trashPurger.stop();
+    app.locals.dueNotifier.stop();
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await app.locals.store.close();
+  };
+
+  return { app, store: app.locals.store, baseUrl, request, register, stop };
+};
+
+module.exports = { DRIVERS, PASSWORD, startApp };
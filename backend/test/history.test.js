@@ -0,0 +1,130 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { DRIVERS, startApp } = require("./helpers");
+
+for (const driver of DRIVERS) {
+  describe(`task history (${driver})`, () => {
+    let server;
+    let user;
+
+    before(async () => {
+      server = await startApp(driver);
+      user = await server.register("history@example.com");
+    });
+
+    after(() => server.stop());
+
+    //Version 1 creates the task, 2 renames it and 3 raises its priority
+    const createEditedTask = async () => {
+      const { body: task } = await user.request("POST", "/tasks", {
+        body: { title: "Draft", priority: "low", tags: ["work"] },
+      });
+      await user.request("PUT", `/tasks/${task.id}`, {
+        body: { title: "Report" },
+      });
+      const { body: edited } = await user.request("PUT", `/tasks/${task.id}`, {
+        body: { priority: "high" },
+      });
+      return edited;
+    };
+    const getHistory = async (task) =>
+      (await user.request("GET", `/tasks/${task.id}/history`)).body;
+    const restore = (task, version, body = {}) =>
+      user.request("POST", `/tasks/${task.id}/history/${version}/restore`, {
+        body,
+      });
+
+    it("lists the revisions newest first with what each changed", async () => {
+      const task = await createEditedTask();
+
+      const history = await getHistory(task);
+      assert.deepEqual(
+        history.map((revision) => [revision.version, revision.type]),
+        [
+          [3, "updated"],
+          [2, "updated"],
+          [1, "created"],
+        ]
+      );
+      assert.deepEqual(history[0].changes, {
+        priority: { from: "low", to: "high" },
+      });
+      assert.deepEqual(history[1].changes, {
+        title: { from: "Draft", to: "Report" },
+      });
+      assert.deepEqual(history[2].changes.title, { from: null, to: "Draft" });
+      assert.deepEqual(history[2].changes.tags, { from: [], to: ["work"] });
+      assert.equal(history[1].snapshot.title, "Report");
+      assert.equal(history[1].author.email, "history@example.com");
+    });
+
+    it("leaves edits that change nothing out of the history", async () => {
+      const task = await createEditedTask();
+      await user.request("PUT", `/tasks/${task.id}`, {
+        body: { title: "Report" },
+      });
+
+      assert.equal((await getHistory(task)).length, 3);
+    });
+
+    it("restores a revision as a new version", async () => {
+      const task = await createEditedTask();
+
+      const { status, body: restored } = await restore(task, 1);
+      assert.equal(status, 200);
+      assert.equal(restored.title, "Draft");
+      assert.equal(restored.priority, "low");
+      assert.equal(restored.version, 4);
+
+      const [latest, previous] = await getHistory(task);
+      assert.equal(latest.version, 4);
+      assert.equal(latest.type, "restored");
+      assert.equal(latest.restoredFrom, 1);
+      assert.deepEqual(latest.changes, {
+        title: { from: "Report", to: "Draft" },
+        priority: { from: "high", to: "low" },
+      });
+      //What was restored over stays in the history
+      assert.equal(previous.snapshot.title, "Report");
+    });
+
+    it("refuses to restore over a version the client hasn't seen", async () => {
+      const task = await createEditedTask();
+
+      const { status, body } = await restore(task, 1, { baseVersion: 2 });
+      assert.equal(status, 409);
+      assert.equal(body.currentVersion, 3);
+      assert.equal((await getHistory(task)).length, 3);
+    });
+
+    it("rejects versions that aren't in the history", async () => {
+      const task = await createEditedTask();
+
+      assert.equal((await restore(task, 0)).status, 400);
+      assert.equal((await restore(task, "latest")).status, 400);
+      assert.equal((await restore(task, 9)).status, 404);
+    });
+
+    it("doesn't restore revisions of a task in the trash", async () => {
+      const task = await createEditedTask();
+      await user.request("DELETE", `/tasks/${task.id}`);
+
+      assert.equal((await restore(task, 1)).status, 409);
+      assert.equal((await getHistory(task))[0].type, "trashed");
+    });
+
+    it("keeps other users' history to themselves", async () => {
+      const task = await createEditedTask();
+      const other = await server.register("history-other@example.com");
+
+      const history = await other.request("GET", `/tasks/${task.id}/history`);
+      assert.equal(history.status, 404);
+      const restored = await other.request(
+        "POST",
+        `/tasks/${task.id}/history/1/restore`
+      );
+      assert.equal(restored.status, 404);
+      assert.equal((await getHistory(task)).length, 3);
+    });
+  });
+}
@@ -0,0 +1,170 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { randomUUID } = require("node:crypto");
+const { DRIVERS, startApp } = require("./helpers");
+
+for (const driver of DRIVERS) {
+  describe(`projects (${driver})`, () => {
+    let server;
+    let user;
+
+    before(async () => {
+      server = await startApp(driver);
+      user = await server.register("projects@example.com");
+    });
+
+    after(() => server.stop());
+
+    const createProject = async (body) =>
+      (await user.request("POST", "/projects", { body })).body;
+    const createTask = async (body) =>
+      (await user.request("POST", "/tasks", { body })).body;
+
+    it("creates, renames and deletes a project", async () => {
+      const id = randomUUID();
+      const created = await user.request("POST", "/projects", {
+        body: { id, name: " Home ", color: "#A855F7" },
+      });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.name, "Home");
+      assert.equal(created.body.color, "#a855f7");
+
+      //A repeated create returns the stored copy
+      const repeated = await user.request("POST", "/projects", {
+        body: { id, name: "Other" },
+      });
+      assert.equal(repeated.status, 200);
+      assert.equal(repeated.body.name, "Home");
+
+      const renamed = await user.request("PUT", `/projects/${id}`, {
+        body: { name: "House" },
+      });
+      assert.equal(renamed.status, 200);
+      assert.equal(renamed.body.name, "House");
+      assert.equal(renamed.body.color, "#a855f7");
+
+      const deleted = await user.request("DELETE", `/projects/${id}`);
+      assert.equal(deleted.status, 200);
+      assert.equal((await user.request("GET", `/projects/${id}`)).status, 404);
+      assert.equal(
+        (await user.request("DELETE", `/projects/${id}`)).status,
+        404
+      );
+    });
+
+    it("rejects malformed projects", async () => {
+      for (const body of [
+        {},
+        { name: "  " },
+        { name: "x".repeat(101) },
+        { name: "Work", color: "blue" },
+        { name: "Work", id: "project-1" },
+      ]) {
+        const { status } = await user.request("POST", "/projects", { body });
+        assert.equal(status, 400, JSON.stringify(body));
+      }
+    });
+
+    it("lists projects in order, new ones last", async () => {
+      const { body: existing } = await user.request("GET", "/projects");
+      const first = await createProject({ name: "First" });
+      const second = await createProject({ name: "Second" });
+
+      const { body: projects } = await user.request("GET", "/projects");
+      assert.deepEqual(
+        projects.slice(existing.length).map((project) => project.id),
+        [first.id, second.id]
+      );
+
+      await user.request("PUT", `/projects/${second.id}`, {
+        body: { position: -1 },
+      });
+      const { body: reordered } = await user.request("GET", "/projects");
+      assert.equal(reordered[0].id, second.id);
+    });
+
+    it("leaves a deleted project's tasks without a project", async () => {
+      const project = await createProject({ name: "Errands" });
+      const task = await createTask({ title: "Post", projectId: project.id });
+      assert.equal(task.projectId, project.id);
+
+      const { body } = await user.request("DELETE", `/projects/${project.id}`);
+      assert.deepEqual(
+        body.tasks.map((moved) => [moved.id, moved.projectId]),
+        [[task.id, null]]
+      );
+
+      const { body: stored } = await user.request("GET", `/tasks/${task.id}`);
+      assert.equal(stored.projectId, null);
+      assert.equal(stored.version, 2);
+    });
+
+    it("puts tasks for a project deleted meanwhile outside any project", async () => {
+      const project = await createProject({ name: "Gone" });
+      await user.request("DELETE", `/projects/${project.id}`);
+
+      const { body } = await user.request("POST", "/sync", {
+        body: {
+          operations: [
+            {
+              opId: randomUUID(),
+              type: "create",
+              taskId: randomUUID(),
+              data: { title: "Offline", projectId: project.id },
+            },
+          ],
+        },
+      });
+      assert.equal(body.results[0].status, "applied");
+      assert.equal(body.results[0].task.projectId, null);
+    });
+
+    it("scopes task lists and stats to a project", async () => {
+      const scoped = await server.register("project-stats@example.com");
+      const { body: project } = await scoped.request("POST", "/projects", {
+        body: { name: "Work" },
+      });
+      for (const body of [
+        { title: "Report", projectId: project.id, priority: "high" },
+        { title: "Slides", projectId: project.id },
+        { title: "Laundry" },
+      ]) {
+        const { body: task } = await scoped.request("POST", "/tasks", { body });
+        if (task.title === "Slides") {
+          await scoped.request("PUT", `/tasks/${task.id}`, {
+            body: { completed: true },
+          });
+        }
+      }
+
+      const titles = async (query) =>
+        (await scoped.request("GET", `/tasks?project=${query}`)).body
+          .map((task) => task.title)
+          .sort();
+      assert.deepEqual(await titles(project.id), ["Report", "Slides"]);
+      assert.deepEqual(await titles("none"), ["Laundry"]);
+
+      const stats = async (query) =>
+        (await scoped.request("GET", `/stats${query}`)).body;
+      assert.deepEqual(
+        [await stats(""), await stats(`?project=${project.id}`)].map(
+          ({ total, completed, pending, highPriority }) => [
+            total,
+            completed,
+            pending,
+            highPriority,
+          ]
+        ),
+        [
+          [3, 1, 2, 1],
+          [2, 1, 1, 1],
+        ]
+      );
+      assert.equal((await stats("?project=none")).total, 1);
+      assert.equal(
+        (await scoped.request("GET", "/stats?project=work")).status,
+        400
+      );
+    });
+  });
+}
@@ -0,0 +1,237 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const crypto = require("node:crypto");
+const { DRIVERS, startApp } = require("./helpers");
+
+//Keys a browser would send along with its subscription
+const createKeys = () => {
+  const receiver = crypto.createECDH("prime256v1");
+  receiver.generateKeys();
+  return {
+    p256dh: receiver.getPublicKey("base64url"),
+    auth: crypto.randomBytes(16).toString("base64url"),
+  };
+};
+
+//Stand-in push service that records the paths it receives messages on
+const startPushService = async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    received.push(req.url);
+    req.resume();
+    req.on("end", () => res.writeHead(201).end());
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    origin: `http://127.0.0.1:${server.address().port}`,
+    received,
+    stop: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+for (const driver of DRIVERS) {
+  describe(`push subscriptions (${driver})`, () => {
+    let server;
+    let user;
+    let pushService;
+
+    before(async () => {
+      server = await startApp(driver);
+      user = await server.register("push@example.com");
+      pushService = await startPushService();
+      process.env.PUSH_ALLOWED_ORIGINS = pushService.origin;
+    });
+
+    after(async () => {
+      delete process.env.PUSH_ALLOWED_ORIGINS;
+      await pushService.stop();
+      await server.stop();
+    });
+
+    const subscribe = (endpoint, session = user) =>
+      session.request("POST", "/push/subscriptions", {
+        body: { subscription: { endpoint, keys: createKeys() } },
+      });
+
+    it("accepts the browsers' push services", async () => {
+      for (const endpoint of [
+        "https://fcm.googleapis.com/fcm/send/abc",
+        "https://updates.push.services.mozilla.com/wpush/v2/abc",
+        "https://web.push.apple.com/abc",
+        "https://wns2-par02p.notify.windows.com/w/?token=abc",
+      ]) {
+        const { status } = await subscribe(endpoint);
+        assert.equal(status, 201, endpoint);
+      }
+    });
+
+    it("rejects endpoints anywhere else", async () => {
+      for (const endpoint of [
+        "http://fcm.googleapis.com/fcm/send/abc",
+        "https://fcm.googleapis.com:8443/fcm/send/abc",
+        "https://fcm.googleapis.com.example.com/abc",
+        "https://127.0.0.1/push",
+        "https://169.254.169.254/latest/meta-data",
+        "http://localhost:3001/api/health",
+        "not a url",
+      ]) {
+        const { status } = await subscribe(endpoint);
+        assert.equal(status, 400, endpoint);
+      }
+    });
+
+    //Sent to users of their own, so nothing tries to reach the real services
+    it("delivers to origins allowed with PUSH_ALLOWED_ORIGINS", async () => {
+      const receiver = await server.register("push-allowed@example.com");
+      const { status } = await subscribe(
+        `${pushService.origin}/push/allowed`,
+        receiver
+      );
+      assert.equal(status, 201);
+
+      const summary = await server.app.locals.push.dispatch(receiver.user.id, {
+        title: "Test",
+      });
+      assert.equal(summary.sent, 1);
+      assert.deepEqual(pushService.received, ["/push/allowed"]);
+    });
+
+    it("drops saved subscriptions whose origin is no longer allowed", async () => {
+      const receiver = await server.register("push-revoked@example.com");
+      const endpoint = `${pushService.origin}/push/revoked`;
+      await subscribe(endpoint, receiver);
+      delete process.env.PUSH_ALLOWED_ORIGINS;
+
+      const summary = await server.app.locals.push.dispatch(receiver.user.id, {
+        title: "Test",
+      });
+      process.env.PUSH_ALLOWED_ORIGINS = pushService.origin;
+
+      assert.deepEqual(summary, { sent: 0, expired: 1, failed: 0 });
+      assert.ok(!pushService.received.includes("/push/revoked"));
+      const subscriptions = await server.store.listPushSubscriptions(
+        receiver.user.id
+      );
+      assert.deepEqual(subscriptions, []);
+    });
+
+    it("pushes each pending task once when it falls due", async () => {
+      //Changes made from the subscribed device don't push to it
+      const headers = { "X-Device-Id": "due-device" };
+      const receiver = await server.register("push-due@example.com");
+      await receiver.request("POST", "/push/subscriptions", {
+        body: {
+          subscription: {
+            endpoint: `${pushService.origin}/push/due`,
+            keys: createKeys(),
+          },
+        },
+        headers,
+      });
+
+      const now = Date.now();
+      const createTask = async (title, minutes) =>
+        (
+          await receiver.request("POST", "/tasks", {
+            body: {
+              title,
+              dueDate: new Date(now + minutes * 60 * 1000).toISOString(),
+            },
+            headers,
+          })
+        ).body;
+      await createTask("Falls due", 1);
+      await createTask("Later", 10);
+      const completed = await createTask("Completed", 1);
+      await receiver.request("PUT", `/tasks/${completed.id}`, {
+        body: { completed: true },
+        headers,
+      });
+      const trashed = await createTask("Trashed", 1);
+      await receiver.request("DELETE", `/tasks/${trashed.id}`, { headers });
+
+      const { dueNotifier } = server.app.locals;
+      const pushes = () =>
+        pushService.received.filter((path) => path === "/push/due").length;
+
+      assert.equal(await dueNotifier.check(now), 0);
+      assert.equal(await dueNotifier.check(now + 2 * 60 * 1000), 1);
+      assert.equal(pushes(), 1);
+      assert.equal(await dueNotifier.check(now + 3 * 60 * 1000), 0);
+      assert.equal(pushes(), 1);
+    });
+
+    it("pushes a snoozed reminder back to its device once it is over", async () => {
+      const snoozer = await server.register("push-snooze@example.com");
+      const createTask = async (title) =>
+        (await snoozer.request("POST", "/tasks", { body: { title } })).body;
+      const snooze = (task, minutes = 10) =>
+        snoozer.request("POST", `/tasks/${task.id}/snooze`, {
+          body: { minutes },
+          headers: { "X-Device-Id": "snoozing-device" },
+        });
+
+      const task = await createTask("Snoozed");
+      const now = Date.now();
+      const { status, body } = await snooze(task);
+      assert.equal(status, 201);
+      assert.ok(new Date(body.fireAt).getTime() >= now + 10 * 60 * 1000);
+
+      //Completed before the snooze is over: nothing to remind of
+      const completed = await createTask("Completed meanwhile");
+      await snooze(completed);
+      await snoozer.request("PUT", `/tasks/${completed.id}`, {
+        body: { completed: true },
+      });
+
+      //Subscribed after the edits, so only reminders reach the devices
+      for (const deviceId of ["snoozing-device", "other-device"]) {
+        await snoozer.request("POST", "/push/subscriptions", {
+          body: {
+            subscription: {
+              endpoint: `${pushService.origin}/push/${deviceId}`,
+              keys: createKeys(),
+            },
+          },
+          headers: { "X-Device-Id": deviceId },
+        });
+      }
+
+      const { dueNotifier } = server.app.locals;
+      const pushes = (deviceId) =>
+        pushService.received.filter((path) => path === `/push/${deviceId}`)
+          .length;
+
+      await dueNotifier.check(now + 5 * 60 * 1000);
+      assert.equal(pushes("snoozing-device"), 0);
+      await dueNotifier.check(now + 11 * 60 * 1000);
+      assert.equal(pushes("snoozing-device"), 1);
+      assert.equal(pushes("other-device"), 0);
+      //Each snooze goes out once
+      await dueNotifier.check(now + 12 * 60 * 1000);
+      assert.equal(pushes("snoozing-device"), 1);
+    });
+
+    it("rejects snoozing what it can't remind of", async () => {
+      const { body: task } = await user.request("POST", "/tasks", {
+        body: { title: "Snooze checks" },
+      });
+      const snooze = (id, body) =>
+        user.request("POST", `/tasks/${id}/snooze`, { body });
+
+      for (const minutes of [0, -5, 2.5, "10", 24 * 60 + 1]) {
+        const { status } = await snooze(task.id, { minutes });
+        assert.equal(status, 400, String(minutes));
+      }
+      assert.equal(
+        (await snooze(crypto.randomUUID(), { minutes: 10 })).status,
+        404
+      );
+
+      await user.request("DELETE", `/tasks/${task.id}`);
+      assert.equal((await snooze(task.id, { minutes: 10 })).status, 409);
+    });
+  });
+}
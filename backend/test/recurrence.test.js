@@ -0,0 +1,256 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { randomUUID } = require("node:crypto");
+const {
+  normalizeRecurrence,
+  getNextOccurrence,
+  getNextOccurrenceId,
+  buildNextOccurrence,
+} = require("../lib/recurrence");
+const { HttpError } = require("../lib/errors");
+const { DRIVERS, startApp } = require("./helpers");
+
+//Due date of the occurrence after `dueDate`, or null when the series ends
+const nextDue = (recurrence, dueDate, timeZone = "UTC") => {
+  const next = getNextOccurrence({ recurrence, dueDate, timeZone });
+  return next && next.dueDate;
+};
+
+describe("recurrence rules", () => {
+  it("stores rules in one canonical form", () => {
+    assert.equal(
+      normalizeRecurrence("rrule:freq=weekly;byday=fr,mo,mo;interval=1"),
+      "FREQ=WEEKLY;BYDAY=MO,FR"
+    );
+    assert.equal(
+      normalizeRecurrence("FREQ=DAILY;UNTIL=20261231"),
+      "FREQ=DAILY;UNTIL=20261231T235959Z"
+    );
+  });
+
+  it("rejects what the subset doesn't support", () => {
+    for (const rule of [
+      "",
+      "FREQ=HOURLY",
+      "FREQ=DAILY;INTERVAL=0",
+      "FREQ=DAILY;BYMONTH=1",
+      "FREQ=MONTHLY;BYDAY=MO",
+      "FREQ=WEEKLY;BYDAY=XX",
+      "FREQ=DAILY;COUNT=2;UNTIL=20261231",
+      "FREQ=DAILY;UNTIL=tomorrow",
+    ]) {
+      assert.throws(
+        () => normalizeRecurrence(rule),
+        (error) => error instanceof HttpError && error.status === 400,
+        rule
+      );
+    }
+  });
+
+  it("repeats DAILY every INTERVAL days, on the BYDAY days", () => {
+    //Monday 5 January 2026
+    const monday = "2026-01-05T09:00:00.000Z";
+    assert.equal(
+      nextDue("FREQ=DAILY;INTERVAL=3", monday),
+      "2026-01-08T09:00:00.000Z"
+    );
+    //Friday to Monday, skipping the weekend
+    assert.equal(
+      nextDue("FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR", "2026-01-09T09:00:00.000Z"),
+      "2026-01-12T09:00:00.000Z"
+    );
+  });
+
+  it("repeats WEEKLY on the BYDAY days of every INTERVAL-th week", () => {
+    const rule = "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH";
+    //Tuesday to Thursday of the same week, then Tuesday two weeks later
+    assert.equal(
+      nextDue(rule, "2026-01-06T18:30:00.000Z"),
+      "2026-01-08T18:30:00.000Z"
+    );
+    assert.equal(
+      nextDue(rule, "2026-01-08T18:30:00.000Z"),
+      "2026-01-20T18:30:00.000Z"
+    );
+    assert.equal(
+      nextDue("FREQ=WEEKLY", "2026-01-08T18:30:00.000Z"),
+      "2026-01-15T18:30:00.000Z"
+    );
+  });
+
+  it("skips months that lack the day", () => {
+    assert.equal(
+      nextDue("FREQ=MONTHLY", "2026-01-31T10:00:00.000Z"),
+      "2026-03-31T10:00:00.000Z"
+    );
+    assert.equal(
+      nextDue("FREQ=YEARLY", "2028-02-29T10:00:00.000Z"),
+      "2032-02-29T10:00:00.000Z"
+    );
+  });
+
+  it("counts COUNT down until the last occurrence", () => {
+    const task = {
+      recurrence: "FREQ=DAILY;COUNT=3",
+      dueDate: "2026-01-05T09:00:00.000Z",
+      timeZone: "UTC",
+    };
+
+    const second = getNextOccurrence(task);
+    assert.deepEqual(second, {
+      dueDate: "2026-01-06T09:00:00.000Z",
+      recurrence: "FREQ=DAILY;COUNT=2",
+    });
+    const third = getNextOccurrence({ ...task, ...second });
+    assert.equal(third.recurrence, "FREQ=DAILY;COUNT=1");
+    assert.equal(getNextOccurrence({ ...task, ...third }), null);
+  });
+
+  it("ends the series at UNTIL", () => {
+    const rule = "FREQ=DAILY;UNTIL=20260107T090000Z";
+    assert.deepEqual(
+      getNextOccurrence({
+        recurrence: rule,
+        dueDate: "2026-01-06T09:00:00.000Z",
+      }),
+      { dueDate: "2026-01-07T09:00:00.000Z", recurrence: rule }
+    );
+    assert.equal(nextDue(rule, "2026-01-07T09:00:00.000Z"), null);
+  });
+
+  it("keeps the local time across DST changes", () => {
+    //Madrid moves to CEST on 29 March 2026 and back on 25 October
+    assert.equal(
+      nextDue("FREQ=DAILY", "2026-03-28T08:00:00.000Z", "Europe/Madrid"),
+      "2026-03-29T07:00:00.000Z"
+    );
+    assert.equal(
+      nextDue("FREQ=WEEKLY", "2026-10-20T07:00:00.000Z", "Europe/Madrid"),
+      "2026-10-27T08:00:00.000Z"
+    );
+    //Without a time zone the task repeats at the same UTC time
+    assert.equal(
+      nextDue("FREQ=DAILY", "2026-03-28T08:00:00.000Z", null),
+      "2026-03-29T08:00:00.000Z"
+    );
+  });
+
+  it("derives the same ids from the same task every time", () => {
+    const taskId = randomUUID();
+    const nextId = getNextOccurrenceId(taskId);
+
+    assert.match(nextId, /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-/);
+    assert.equal(getNextOccurrenceId(taskId), nextId);
+    assert.notEqual(getNextOccurrenceId(randomUUID()), nextId);
+  });
+});
+
+for (const driver of DRIVERS) {
+  describe(`next occurrences (${driver})`, () => {
+    let server;
+    let user;
+
+    before(async () => {
+      server = await startApp(driver);
+      user = await server.register("recurrence@example.com");
+    });
+
+    after(() => server.stop());
+
+    const createRecurringTask = async (title) =>
+      (
+        await user.request("POST", "/tasks", {
+          body: {
+            id: randomUUID(),
+            title,
+            dueDate: "2026-03-28T08:00:00.000Z",
+            recurrence: "FREQ=DAILY;COUNT=3",
+            timeZone: "Europe/Madrid",
+            checklist: [{ id: randomUUID(), text: "Step", done: true }],
+          },
+        })
+      ).body;
+
+    //The create an offline client queues for the next occurrence: built from
+    //the completed task with the same rules, under the same v5 id
+    const nextOccurrenceOperation = (task) => {
+      const { id, ...data } = buildNextOccurrence({ ...task, completed: true });
+      return { opId: randomUUID(), type: "create", taskId: id, data };
+    };
+    const completeOperation = (task) => ({
+      opId: randomUUID(),
+      type: "update",
+      taskId: task.id,
+      data: { completed: true },
+    });
+
+    const countTasks = async (title) =>
+      (await user.request("GET", "/tasks")).body.filter(
+        (task) => task.title === title
+      ).length;
+
+    it("creates the next occurrence when one is completed", async () => {
+      const task = await createRecurringTask("Online");
+      await user.request("PUT", `/tasks/${task.id}`, {
+        body: { completed: true },
+      });
+
+      const { status, body: next } = await user.request(
+        "GET",
+        `/tasks/${getNextOccurrenceId(task.id)}`
+      );
+      assert.equal(status, 200);
+      assert.equal(next.completed, false);
+      assert.equal(next.dueDate, "2026-03-29T07:00:00.000Z");
+      assert.equal(next.recurrence, "FREQ=DAILY;COUNT=2");
+      assert.deepEqual(
+        next.checklist.map((item) => [item.id, item.done]),
+        [[getNextOccurrenceId(task.checklist[0].id), false]]
+      );
+    });
+
+    it("keeps one task when the client's create arrives afterwards", async () => {
+      const task = await createRecurringTask("Server first");
+      await user.request("PUT", `/tasks/${task.id}`, {
+        body: { completed: true },
+      });
+
+      const { body } = await user.request("POST", "/sync", {
+        body: { operations: [nextOccurrenceOperation(task)] },
+      });
+      assert.equal(body.results[0].status, "duplicate");
+      assert.equal(body.results[0].task.version, 1);
+      assert.equal(await countTasks("Server first"), 2);
+    });
+
+    it("keeps one task when the client's create arrives first", async () => {
+      const task = await createRecurringTask("Client first");
+
+      const { body } = await user.request("POST", "/sync", {
+        body: {
+          operations: [nextOccurrenceOperation(task), completeOperation(task)],
+        },
+      });
+      assert.deepEqual(
+        body.results.map((result) => result.status),
+        ["applied", "applied"]
+      );
+      assert.equal(await countTasks("Client first"), 2);
+    });
+
+    it("keeps one task when an offline batch completes and creates", async () => {
+      const task = await createRecurringTask("Same batch");
+
+      const { body } = await user.request("POST", "/sync", {
+        body: {
+          operations: [completeOperation(task), nextOccurrenceOperation(task)],
+        },
+      });
+      assert.deepEqual(
+        body.results.map((result) => result.status),
+        ["applied", "duplicate"]
+      );
+      assert.equal(await countTasks("Same batch"), 2);
+    });
+  });
+}
@@ -0,0 +1,181 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { randomUUID } = require("node:crypto");
+const { DRIVERS, startApp } = require("./helpers");
+
+for (const driver of DRIVERS) {
+  describe(`shared lists (${driver})`, () => {
+    let server;
+    let owner;
+    let admin;
+    let editor;
+    let viewer;
+    let outsider;
+    let project;
+    let task;
+
+    before(async () => {
+      server = await startApp(driver);
+      owner = await server.register("owner@example.com");
+      admin = await server.register("admin@example.com");
+      editor = await server.register("editor@example.com");
+      viewer = await server.register("viewer@example.com");
+      outsider = await server.register("outsider@example.com");
+
+      ({ body: project } = await owner.request("POST", "/projects", {
+        body: { name: "Household" },
+      }));
+      for (const [member, role] of [
+        [admin, "admin"],
+        [editor, "editor"],
+        [viewer, "viewer"],
+      ]) {
+        const { status } = await owner.request(
+          "POST",
+          `/projects/${project.id}/members`,
+          { body: { email: member.user.email, role } }
+        );
+        assert.equal(status, 201);
+      }
+      ({ body: task } = await owner.request("POST", "/tasks", {
+        body: { title: "Buy bread", projectId: project.id },
+      }));
+    });
+
+    after(() => server.stop());
+
+    it("shows the list and its tasks to members only", async () => {
+      for (const member of [admin, editor, viewer]) {
+        const { body: tasks } = await member.request(
+          "GET",
+          `/tasks?project=${project.id}`
+        );
+        assert.deepEqual(
+          tasks.map((t) => t.id),
+          [task.id],
+          member.user.email
+        );
+      }
+
+      const { body: shared } = await viewer.request(
+        "GET",
+        `/projects/${project.id}`
+      );
+      assert.equal(shared.role, "viewer");
+
+      assert.equal(
+        (await outsider.request("GET", `/projects/${project.id}`)).status,
+        404
+      );
+      assert.equal(
+        (await outsider.request("GET", `/tasks/${task.id}`)).status,
+        404
+      );
+    });
+
+    it("keeps viewers from changing the list's tasks", async () => {
+      for (const [method, path, body] of [
+        ["POST", "/tasks", { title: "Viewer task", projectId: project.id }],
+        ["PUT", `/tasks/${task.id}`, { title: "Viewer edit" }],
+        ["DELETE", `/tasks/${task.id}`],
+        ["PUT", `/tasks/${task.id}/checklist/${randomUUID()}`, { text: "x" }],
+      ]) {
+        const { status } = await viewer.request(method, path, { body });
+        assert.equal(status, 403, `${method} ${path}`);
+      }
+
+      const { body } = await viewer.request("POST", "/sync", {
+        body: {
+          operations: [
+            {
+              opId: randomUUID(),
+              type: "update",
+              taskId: task.id,
+              data: { title: "Viewer sync" },
+            },
+          ],
+        },
+      });
+      assert.equal(body.results[0].statusCode, 403);
+
+      const { body: stored } = await owner.request("GET", `/tasks/${task.id}`);
+      assert.equal(stored.title, "Buy bread");
+      assert.equal(stored.version, 1);
+    });
+
+    it("lets editors create and edit the list's tasks", async () => {
+      const created = await editor.request("POST", "/tasks", {
+        body: { title: "Editor task", projectId: project.id },
+      });
+      assert.equal(created.status, 201);
+
+      const updated = await editor.request("PUT", `/tasks/${task.id}`, {
+        body: { title: "Buy rye bread" },
+      });
+      assert.equal(updated.status, 200);
+
+      const { body: stored } = await owner.request("GET", `/tasks/${task.id}`);
+      assert.equal(stored.title, "Buy rye bread");
+    });
+
+    it("leaves sharing and renaming to the owner and admins", async () => {
+      const share = (session, role) =>
+        session.request("POST", `/projects/${project.id}/members`, {
+          body: { email: outsider.user.email, role },
+        });
+      const rename = (session, name) =>
+        session.request("PUT", `/projects/${project.id}`, { body: { name } });
+
+      assert.equal((await share(editor, "viewer")).status, 403);
+      assert.equal((await rename(editor, "Editor's")).status, 403);
+
+      assert.equal((await share(admin, "viewer")).status, 201);
+      const promoted = await admin.request(
+        "PUT",
+        `/projects/${project.id}/members/${outsider.user.id}`,
+        { body: { role: "editor" } }
+      );
+      assert.equal(promoted.body.role, "editor");
+      assert.equal((await rename(admin, "Home")).status, 200);
+
+      //Nobody changes their own role, and only the owner deletes the list
+      const ownRole = await admin.request(
+        "PUT",
+        `/projects/${project.id}/members/${admin.user.id}`,
+        { body: { role: "viewer" } }
+      );
+      assert.equal(ownRole.status, 400);
+      assert.equal(
+        (await admin.request("DELETE", `/projects/${project.id}`)).status,
+        403
+      );
+    });
+
+    it("takes the list away from removed members", async () => {
+      const byEditor = await editor.request(
+        "DELETE",
+        `/projects/${project.id}/members/${outsider.user.id}`
+      );
+      assert.equal(byEditor.status, 403);
+
+      const removed = await admin.request(
+        "DELETE",
+        `/projects/${project.id}/members/${outsider.user.id}`
+      );
+      assert.equal(removed.status, 200);
+      assert.equal(
+        (await outsider.request("GET", `/tasks/${task.id}`)).status,
+        404
+      );
+
+      //Members leave on their own
+      const left = await viewer.request(
+        "DELETE",
+        `/projects/${project.id}/members/${viewer.user.id}`
+      );
+      assert.equal(left.status, 200);
+      const { body: tasks } = await viewer.request("GET", "/tasks");
+      assert.deepEqual(tasks, []);
+    });
+  });
+}
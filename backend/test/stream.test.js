@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { DRIVERS, startApp } = require("./helpers");
+
+//Opens /tasks/stream for the session and hands back its `changes` events
+//one at a time, as `{ id, feed }`
+const openStream = async (server, session, { query = "", headers } = {}) => {
+  const controller = new AbortController();
+  const response = await fetch(`${server.baseUrl}/tasks/stream${query}`, {
+    headers: { Authorization: `Bearer ${session.accessToken}`, ...headers },
+    signal: controller.signal,
+  });
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+
+  const next = async () => {
+    for (;;) {
+      const end = buffer.indexOf("\n\n");
+      if (end !== -1) {
+        const frame = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const fields = Object.fromEntries(
+          frame.split("\n").map((line) => {
+            const colon = line.indexOf(":");
+            return [line.slice(0, colon), line.slice(colon + 1).trim()];
+          })
+        );
+        //Skips the retry hint and heartbeats
+        if (fields.event !== "changes") continue;
+        return { id: Number(fields.id), feed: JSON.parse(fields.data) };
+      }
+
+      const { value, done } = await reader.read();
+      if (done) throw new Error("Stream ended");
+      buffer += value;
+    }
+  };
+
+  return { status: response.status, next, close: () => controller.abort() };
+};
+
+for (const driver of DRIVERS) {
+  describe(`change stream (${driver})`, () => {
+    let server;
+    let user;
+    let other;
+
+    before(async () => {
+      server = await startApp(driver);
+      user = await server.register("stream@example.com");
+      other = await server.register("stream-other@example.com");
+    });
+
+    after(() => server.stop());
+
+    const createTask = async (session, title) =>
+      (await session.request("POST", "/tasks", { body: { title } })).body;
+    const getCursor = async () =>
+      (await user.request("GET", "/tasks/changes")).body.cursor;
+    const summarize = ({ feed }) =>
+      feed.changes.map((change) => [change.type, change.task.title]);
+
+    it("sends what changed after ?since, then each new change", async () => {
+      await createTask(user, "Before");
+      const since = await getCursor();
+      await createTask(user, "Missed");
+
+      const stream = await openStream(server, user, {
+        query: `?since=${since}`,
+      });
+      try {
+        assert.equal(stream.status, 200);
+        const first = await stream.next();
+        assert.deepEqual(summarize(first), [["created", "Missed"]]);
+        assert.equal(first.id, await getCursor());
+
+        const task = await createTask(user, "Live");
+        await user.request("PUT", `/tasks/${task.id}`, {
+          body: { completed: true },
+        });
+        assert.deepEqual(summarize(await stream.next()), [["created", "Live"]]);
+        const updated = await stream.next();
+        assert.deepEqual(summarize(updated), [["updated", "Live"]]);
+        assert.equal(updated.id, await getCursor());
+      } finally {
+        stream.close();
+      }
+    });
+
+    it("resumes from Last-Event-ID over ?since", async () => {
+      const lastEventId = await getCursor();
+      const task = await createTask(user, "While away");
+      await user.request("DELETE", `/tasks/${task.id}`);
+
+      const stream = await openStream(server, user, {
+        query: "?since=0",
+        headers: { "Last-Event-ID": String(lastEventId) },
+      });
+      try {
+        const { feed } = await stream.next();
+        assert.equal(feed.reset, false);
+        assert.deepEqual(
+          feed.changes.map((change) => [change.type, change.id]),
+          [["created", task.id]]
+        );
+        assert.ok(feed.changes[0].task.deletedAt);
+      } finally {
+        stream.close();
+      }
+    });
+
+    it("doesn't send other users' changes", async () => {
+      const stream = await openStream(server, user, {
+        query: `?since=${await getCursor()}`,
+      });
+      try {
+        await createTask(other, "Someone else's");
+        await createTask(user, "Mine");
+
+        //Events go out in order, so the other user's task would come first
+        assert.deepEqual(summarize(await stream.next()), [["created", "Mine"]]);
+      } finally {
+        stream.close();
+      }
+    });
+
+    it("rejects malformed cursors", async () => {
+      for (const query of ["?since=-1", "?since=abc"]) {
+        const { status } = await user.request("GET", `/tasks/stream${query}`);
+        assert.equal(status, 400, query);
+      }
+    });
+  });
+}
@@ -0,0 +1,216 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { randomUUID } = require("node:crypto");
+const { getNextOccurrenceId } = require("../lib/recurrence");
+const { DRIVERS, startApp } = require("./helpers");
+
+for (const driver of DRIVERS) {
+  describe(`sync (${driver})`, () => {
+    let server;
+    let user;
+
+    before(async () => {
+      server = await startApp(driver);
+      user = await server.register("sync@example.com");
+    });
+
+    after(() => server.stop());
+
+    const sync = (operations, session = user) =>
+      session.request("POST", "/sync", { body: { operations } });
+
+    it("applies a batch in order and reports a replay as duplicates", async () => {
+      const taskId = randomUUID();
+      const operations = [
+        {
+          opId: randomUUID(),
+          type: "create",
+          taskId,
+          data: { title: "Offline task" },
+        },
+        {
+          opId: randomUUID(),
+          type: "update",
+          taskId,
+          data: { title: "Renamed offline" },
+        },
+        { opId: randomUUID(), type: "delete", taskId },
+      ];
+
+      const first = await sync(operations);
+      assert.equal(first.status, 200);
+      assert.deepEqual(
+        first.body.results.map((result) => [result.opId, result.status]),
+        operations.map((operation) => [operation.opId, "applied"])
+      );
+      assert.equal(first.body.results[2].task.title, "Renamed offline");
+      assert.ok(first.body.results[2].task.deletedAt);
+
+      const replay = await sync(operations);
+      assert.deepEqual(
+        replay.body.results.map((result) => result.status),
+        ["duplicate", "duplicate", "duplicate"]
+      );
+      //Duplicates carry the result recorded the first time
+      assert.equal(replay.body.results[1].task.version, 2);
+
+      const { body: task } = await user.request("GET", `/tasks/${taskId}`);
+      assert.equal(task.version, 3);
+    });
+
+    it("keeps one task when a create is retried with a new opId", async () => {
+      const taskId = randomUUID();
+      const create = () =>
+        sync([
+          {
+            opId: randomUUID(),
+            type: "create",
+            taskId,
+            data: { title: "Once" },
+          },
+        ]);
+
+      assert.equal((await create()).body.results[0].status, "applied");
+      const { body } = await create();
+      assert.equal(body.results[0].status, "duplicate");
+      assert.equal(body.results[0].task.version, 1);
+
+      const { body: tasks } = await user.request("GET", "/tasks");
+      assert.equal(tasks.filter((task) => task.id === taskId).length, 1);
+    });
+
+    it("tells apart the same opId sent by two users", async () => {
+      const other = await server.register("sync-same-op@example.com");
+      const opId = randomUUID();
+      const create = (session) =>
+        sync(
+          [
+            {
+              opId,
+              type: "create",
+              taskId: randomUUID(),
+              data: { title: "Same opId" },
+            },
+          ],
+          session
+        );
+
+      for (const session of [user, other]) {
+        const { status, body } = await create(session);
+        assert.equal(status, 200);
+        assert.equal(body.results[0].status, "applied");
+      }
+      for (const session of [user, other]) {
+        const { body } = await create(session);
+        assert.equal(body.results[0].status, "duplicate");
+      }
+    });
+
+    it("reports failed operations and applies the rest", async () => {
+      const taskId = randomUUID();
+      const { body } = await sync([
+        { opId: randomUUID(), type: "update", taskId, data: { title: "X" } },
+        { opId: randomUUID(), type: "create", taskId, data: { title: "New" } },
+        { opId: randomUUID(), type: "restore", taskId: randomUUID() },
+      ]);
+
+      assert.deepEqual(
+        body.results.map((result) => [result.status, result.statusCode]),
+        [
+          ["failed", 404],
+          ["applied", undefined],
+          ["failed", 404],
+        ]
+      );
+      assert.equal(body.results[0].taskId, taskId);
+    });
+
+    it("rejects malformed batches as a whole", async () => {
+      for (const operations of [
+        undefined,
+        [],
+        [{ type: "create", data: { title: "No opId" } }],
+        [{ opId: randomUUID(), type: "rename", taskId: randomUUID() }],
+        [{ opId: randomUUID(), type: "update", data: {} }],
+      ]) {
+        const { status } = await sync(operations);
+        assert.equal(status, 400, JSON.stringify(operations));
+      }
+    });
+
+    it("fails operations without a data object on their own", async () => {
+      const taskId = randomUUID();
+      const { status, body } = await sync([
+        { opId: randomUUID(), type: "create", taskId, data: { title: "Ok" } },
+        { opId: randomUUID(), type: "update", taskId, data: null },
+        { opId: randomUUID(), type: "update", taskId, data: "title" },
+        { opId: randomUUID(), type: "create", data: [] },
+        {
+          opId: randomUUID(),
+          type: "checklist-upsert",
+          taskId,
+          itemId: randomUUID(),
+          data: null,
+        },
+      ]);
+
+      assert.equal(status, 200);
+      assert.deepEqual(
+        body.results.map((result) => [result.status, result.statusCode]),
+        [
+          ["applied", undefined],
+          ["failed", 400],
+          ["failed", 400],
+          ["failed", 400],
+          ["failed", 400],
+        ]
+      );
+      const { body: task } = await user.request("GET", `/tasks/${taskId}`);
+      assert.equal(task.title, "Ok");
+    });
+
+    it("undoes every write of an operation that fails partway", async () => {
+      const taskId = randomUUID();
+      await user.request("POST", "/tasks", {
+        body: {
+          id: taskId,
+          title: "Water plants",
+          dueDate: "2026-01-05T09:00:00.000Z",
+          recurrence: "FREQ=DAILY",
+        },
+      });
+      //Someone else already holds the id of the next occurrence, so
+      //completing the task fails after the update itself was written
+      const other = await server.register("sync-other@example.com");
+      await other.request("POST", "/tasks", {
+        body: { id: getNextOccurrenceId(taskId), title: "Taken" },
+      });
+
+      const opId = randomUUID();
+      const operation = {
+        opId,
+        type: "update",
+        taskId,
+        baseVersion: 1,
+        data: { completed: true },
+      };
+      const { body } = await sync([operation]);
+      assert.equal(body.results[0].status, "failed");
+      assert.equal(body.results[0].statusCode, 409);
+
+      const { body: task } = await user.request("GET", `/tasks/${taskId}`);
+      assert.equal(task.completed, false);
+      assert.equal(task.version, 1);
+      const { body: history } = await user.request(
+        "GET",
+        `/tasks/${taskId}/history`
+      );
+      assert.equal(history.length, 1);
+
+      //Nothing was recorded for the opId either: a retry runs again instead
+      //of coming back as a duplicate
+      const { body: retry } = await sync([operation]);
+      assert.equal(retry.results[0].status, "failed");
+    });
+  });
+}
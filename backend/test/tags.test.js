@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeTag, parseTags } = require("../lib/tasks");
+const { HttpError } = require("../lib/errors");
+const { DRIVERS, startApp } = require("./helpers");
+
+const isBadRequest = (error) =>
+  error instanceof HttpError && error.status === 400;
+
+describe("tag normalization", () => {
+  it("reduces each tag to one lowercase form", () => {
+    assert.equal(normalizeTag("  #Work "), "work");
+    assert.equal(normalizeTag("##Side   Project"), "side project");
+    assert.equal(normalizeTag("CASA"), "casa");
+  });
+
+  it("rejects tags that can't be stored", () => {
+    for (const tag of [5, "", "  ", "#", "a,b", "x".repeat(41)]) {
+      assert.throws(() => normalizeTag(tag), isBadRequest, String(tag));
+    }
+  });
+
+  it("sorts tags and drops duplicates", () => {
+    assert.deepEqual(parseTags(["home", "#Work", "work ", "Errands"]), [
+      "errands",
+      "home",
+      "work",
+    ]);
+    assert.deepEqual(parseTags(null), []);
+  });
+
+  it("limits how many tags a task holds", () => {
+    const tags = Array.from({ length: 21 }, (_, i) => `tag ${i}`);
+
+    assert.throws(() => parseTags(tags), isBadRequest);
+    assert.equal(parseTags(tags.slice(1)).length, 20);
+    assert.throws(() => parseTags("work"), isBadRequest);
+  });
+});
+
+for (const driver of DRIVERS) {
+  describe(`tags (${driver})`, () => {
+    let server;
+    let user;
+
+    before(async () => {
+      server = await startApp(driver);
+      user = await server.register("tags@example.com");
+
+      for (const body of [
+        { title: "Report", tags: ["#Work", "urgent"] },
+        { title: "Taxes", tags: ["Home", "URGENT", "urgent"] },
+        { title: "Slides", tags: ["work"] },
+        { title: "Walk" },
+      ]) {
+        await user.request("POST", "/tasks", { body });
+      }
+    });
+
+    after(() => server.stop());
+
+    const titlesTagged = async (query) => {
+      const { status, body } = await user.request("GET", `/tasks${query}`);
+      assert.equal(status, 200);
+      return body.map((task) => task.title).sort();
+    };
+
+    it("stores tags normalized", async () => {
+      const { body } = await user.request("POST", "/tasks", {
+        body: { title: "Groceries", tags: [" #Shopping", "shopping"] },
+      });
+      assert.deepEqual(body.tags, ["shopping"]);
+
+      const { status } = await user.request("POST", "/tasks", {
+        body: { title: "Bad tags", tags: ["a,b"] },
+      });
+      assert.equal(status, 400);
+    });
+
+    it("replaces the tags on update, and clears them with null", async () => {
+      const { body: task } = await user.request("POST", "/tasks", {
+        body: { title: "Retag", tags: ["old"] },
+      });
+
+      const retagged = await user.request("PUT", `/tasks/${task.id}`, {
+        body: { tags: ["New", "new", "other"] },
+      });
+      assert.deepEqual(retagged.body.tags, ["new", "other"]);
+
+      const cleared = await user.request("PUT", `/tasks/${task.id}`, {
+        body: { tags: null },
+      });
+      assert.deepEqual(cleared.body.tags, []);
+      await user.request("DELETE", `/tasks/${task.id}`);
+    });
+
+    it("filters tasks by tag, normalizing the query", async () => {
+      assert.deepEqual(await titlesTagged("?tag=work"), ["Report", "Slides"]);
+      assert.deepEqual(await titlesTagged("?tag=%23Work"), [
+        "Report",
+        "Slides",
+      ]);
+      assert.deepEqual(await titlesTagged("?tag=nothing"), []);
+    });
+
+    it("keeps only tasks with every repeated tag", async () => {
+      assert.deepEqual(await titlesTagged("?tag=work&tag=urgent"), ["Report"]);
+      assert.deepEqual(await titlesTagged("?tag=urgent&tag=URGENT"), [
+        "Report",
+        "Taxes",
+      ]);
+    });
+
+    it("rejects malformed tag filters", async () => {
+      const { status } = await user.request("GET", "/tasks?tag=a,b");
+      assert.equal(status, 400);
+    });
+
+    it("counts tasks per tag in the stats", async () => {
+      const { body } = await user.request("GET", "/stats");
+
+      assert.deepEqual(body.tags, {
+        home: 1,
+        shopping: 1,
+        urgent: 2,
+        work: 2,
+      });
+    });
+
+    it("leaves trashed tasks out of the tag counts", async () => {
+      const { body: task } = await user.request("POST", "/tasks", {
+        body: { title: "Trashed", tags: ["work"] },
+      });
+      await user.request("DELETE", `/tasks/${task.id}`);
+
+      assert.equal((await user.request("GET", "/stats")).body.tags.work, 2);
+      assert.deepEqual(await titlesTagged("?tag=work"), ["Report", "Slides"]);
+    });
+  });
+}
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { DRIVERS, startApp } = require("./helpers");
+
+for (const driver of DRIVERS) {
+  describe(`tasks (${driver})`, () => {
+    let server;
+    let user;
+
+    before(async () => {
+      server = await startApp(driver);
+      user = await server.register("tasks@example.com");
+    });
+
+    after(() => server.stop());
+
+    it("creates a task with defaults", async () => {
+      const { status, body } = await user.request("POST", "/tasks", {
+        body: { title: "Buy milk" },
+      });
+
+      assert.equal(status, 201);
+      assert.equal(body.title, "Buy milk");
+      assert.equal(body.description, "");
+      assert.equal(body.priority, "medium");
+      assert.equal(body.completed, false);
+      assert.equal(body.version, 1);
+    });
+
+    it("rejects fields of the wrong type on create", async () => {
+      for (const fields of [
+        {},
+        { title: "" },
+        { title: 5 },
+        { title: "Task", priority: { a: 1 } },
+        { title: "Task", priority: "urgent" },
+        { title: "Task", description: 7 },
+        { title: "Task", image: { data: 123 } },
+        { title: "Task", image: "base64" },
+        { title: "Task", image: { data: "aGk=", type: 5 } },
+        { title: "Task", photo: 123 },
+      ]) {
+        const { status } = await user.request("POST", "/tasks", {
+          body: fields,
+        });
+        assert.equal(status, 400, JSON.stringify(fields));
+      }
+    });
+
+    it("rejects fields of the wrong type on update", async () => {
+      const { body: task } = await user.request("POST", "/tasks", {
+        body: { title: "Original" },
+      });
+
+      for (const fields of [
+        { title: 5 },
+        { title: "" },
+        { completed: "yes" },
+        { priority: { a: 1 } },
+        { description: ["a"] },
+        { image: { data: 123 } },
+        { image: ["aGk="] },
+      ]) {
+        const { status } = await user.request("PUT", `/tasks/${task.id}`, {
+          body: fields,
+        });
+        assert.equal(status, 400, JSON.stringify(fields));
+      }
+
+      const { body: stored } = await user.request("GET", `/tasks/${task.id}`);
+      assert.equal(stored.title, "Original");
+      assert.equal(stored.completed, false);
+      assert.equal(stored.priority, "medium");
+      assert.equal(stored.version, 1);
+    });
+
+    it("updates only the fields sent", async () => {
+      const { body: task } = await user.request("POST", "/tasks", {
+        body: { title: "Draft", description: "Notes", priority: "low" },
+      });
+
+      const { status, body } = await user.request("PUT", `/tasks/${task.id}`, {
+        body: { completed: true, priority: "high", description: null },
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.title, "Draft");
+      assert.equal(body.description, "");
+      assert.equal(body.completed, true);
+      assert.equal(body.priority, "high");
+      assert.equal(body.version, 2);
+    });
+  });
+}
@@ -0,0 +1,152 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { randomUUID } = require("node:crypto");
+const { RETENTION_DAYS } = require("../lib/trash");
+const { DRIVERS, startApp } = require("./helpers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+for (const driver of DRIVERS) {
+  describe(`trash (${driver})`, () => {
+    let server;
+    let user;
+
+    before(async () => {
+      server = await startApp(driver);
+      user = await server.register("trash@example.com");
+    });
+
+    after(() => server.stop());
+
+    const createTask = async (title) =>
+      (await user.request("POST", "/tasks", { body: { title } })).body;
+    const trash = (task) => user.request("DELETE", `/tasks/${task.id}`);
+    const listIds = async (path) =>
+      (await user.request("GET", path)).body.map((task) => task.id);
+
+    it("moves a task to the trash and back", async () => {
+      const task = await createTask("Trashed");
+
+      const { body: trashed } = await trash(task);
+      assert.ok(trashed.task.deletedAt);
+      assert.equal(trashed.task.deletedBy, user.user.id);
+      assert.ok(trashed.task.purgeAt);
+      assert.equal(trashed.task.version, 2);
+      assert.ok(!(await listIds("/tasks")).includes(task.id));
+      assert.ok((await listIds("/tasks/trash")).includes(task.id));
+
+      //Repeating it changes nothing
+      assert.equal((await trash(task)).body.task.version, 2);
+
+      const restored = await user.request("POST", `/tasks/${task.id}/restore`);
+      assert.equal(restored.status, 200);
+      assert.equal(restored.body.deletedAt, null);
+      assert.equal(restored.body.version, 3);
+      assert.ok((await listIds("/tasks")).includes(task.id));
+    });
+
+    it("records each move in the history", async () => {
+      const task = await createTask("Tracked");
+      await trash(task);
+      await user.request("POST", `/tasks/${task.id}/restore`);
+
+      const { body: history } = await user.request(
+        "GET",
+        `/tasks/${task.id}/history`
+      );
+      assert.deepEqual(
+        history.map((revision) => [revision.version, revision.type]),
+        [
+          [3, "untrashed"],
+          [2, "trashed"],
+          [1, "created"],
+        ]
+      );
+      assert.equal(history[1].author.id, user.user.id);
+    });
+
+    it("refuses to edit a task in the trash", async () => {
+      const task = await createTask("Read only");
+      const itemId = randomUUID();
+      await user.request("PUT", `/tasks/${task.id}/checklist/${itemId}`, {
+        body: { text: "Item" },
+      });
+      await trash(task);
+
+      for (const [method, path, body] of [
+        ["PUT", `/tasks/${task.id}`, { title: "Edited" }],
+        ["PUT", `/tasks/${task.id}/checklist/${itemId}`, { done: true }],
+        ["PUT", `/tasks/${task.id}/checklist/${randomUUID()}`, { text: "x" }],
+        ["DELETE", `/tasks/${task.id}/checklist/${itemId}`],
+        ["POST", `/tasks/${task.id}/history/1/restore`],
+      ]) {
+        const { status } = await user.request(method, path, { body });
+        assert.equal(status, 409, `${method} ${path}`);
+      }
+
+      const { body } = await user.request("POST", "/sync", {
+        body: {
+          operations: [
+            {
+              opId: randomUUID(),
+              type: "update",
+              taskId: task.id,
+              data: { title: "Synced edit" },
+            },
+            {
+              opId: randomUUID(),
+              type: "checklist-delete",
+              taskId: task.id,
+              itemId,
+            },
+          ],
+        },
+      });
+      assert.deepEqual(
+        body.results.map((result) => result.statusCode),
+        [409, 409]
+      );
+
+      const { body: stored } = await user.request("GET", `/tasks/${task.id}`);
+      assert.equal(stored.title, "Read only");
+      assert.equal(stored.checklist.length, 1);
+      assert.equal(stored.checklist[0].done, false);
+      assert.equal(stored.version, 2);
+    });
+
+    it("deletes a task for good, in the trash or not", async () => {
+      const kept = await createTask("Kept");
+      const trashed = await createTask("Trashed for good");
+      await trash(trashed);
+
+      for (const task of [kept, trashed]) {
+        const { status } = await user.request(
+          "DELETE",
+          `/tasks/${task.id}?permanent=true`
+        );
+        assert.equal(status, 200);
+        assert.equal(
+          (await user.request("GET", `/tasks/${task.id}`)).status,
+          404
+        );
+      }
+    });
+
+    it("purges tasks once the retention period is over", async () => {
+      const old = await createTask("Old");
+      await trash(old);
+      const kept = await createTask("Not trashed");
+
+      const { trashPurger } = server.app.locals;
+      assert.equal(await trashPurger.purge(), 0);
+      const later = Date.now() + (RETENTION_DAYS + 1) * DAY_MS;
+      assert.ok((await trashPurger.purge(later)) >= 1);
+
+      assert.equal((await user.request("GET", `/tasks/${old.id}`)).status, 404);
+      assert.equal(
+        (await user.request("GET", `/tasks/${kept.id}`)).status,
+        200
+      );
+    });
+  });
+}
@@ -1,58 +1,753 @@
-const CACHE_NAME = 'tasktracker-v2';
+// Lista de archivos del build, generada por el plugin precache-manifest de
+// vite.config.ts. En desarrollo no existe y no se precachea nada.
+try {
+  importScripts('/precache-manifest.js');
+} catch (error) {
+  console.log('Service Worker: No precache manifest, skipping precache');
+}
+
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || { version: 'dev', files: [] };
+const CACHE_PREFIX = 'tasktracker-';
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${PRECACHE_MANIFEST.version}`;
+const ASSETS_CACHE_NAME = `${CACHE_PREFIX}assets-v1`;
+const CURRENT_CACHES = [PRECACHE_NAME, ASSETS_CACHE_NAME];
 
 console.log('Service Worker: Loading...');
 
 self.addEventListener('install', (event) => {
   console.log('Service Worker: Install');
-  self.skipWaiting();
+  event.waitUntil(
+    caches.open(PRECACHE_NAME)
+      // `reload` evita que el precache se llene con copias viejas de la caché HTTP
+      .then(cache => cache.addAll(
+        PRECACHE_MANIFEST.files.map(url => new Request(url, { cache: 'reload' }))
+      ))
+  );
+});
+
+// Una versión nueva espera instalada hasta que la app la active: así un
+// deploy no cambia el código bajo una sesión en plena sincronización
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    console.log('Service Worker: Skip waiting requested');
+    self.skipWaiting();
+  }
 });
 
 self.addEventListener('activate', (event) => {
   console.log('Service Worker: Activate');
-  event.waitUntil(self.clients.claim());
+  event.waitUntil(
+    caches.keys()
+      .then(cacheNames => Promise.all(
+        cacheNames
+          .filter(name => name.startsWith(CACHE_PREFIX) && !CURRENT_CACHES.includes(name))
+          .map(name => {
+            console.log('Service Worker: Deleting old cache', name);
+            return caches.delete(name);
+          })
+      ))
+      .then(() => self.clients.claim())
+  );
 });
 
+// Un stream de eventos no termina nunca: su copia crecería sin límite
+const isCacheable = (response) =>
+  response.ok &&
+  !(response.headers.get('Content-Type') || '').startsWith('text/event-stream');
+
+// Se guarda sin esperar a la respuesta; si falla, solo se pierde la copia
+const putInCache = async (cacheName, request, response) => {
+  try {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response);
+  } catch (error) {
+    console.warn('Service Worker: Could not cache', request.url, error);
+  }
+};
+
+// Los archivos con hash en el nombre no cambian nunca: se sirven de caché
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (isCacheable(response)) putInCache(cacheName, request, response.clone());
+  return response;
+};
+
+// Datos y páginas: siempre lo más reciente, y la última copia si no hay red
+const networkFirst = async (request, cacheName, fallbackUrl) => {
+  try {
+    const response = await fetch(request);
+    if (isCacheable(response)) putInCache(cacheName, request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request) || (fallbackUrl && await caches.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// La API no pasa por la caché: sus respuestas son de un usuario concreto y
+// sin conexión los datos salen de IndexedDB. Una copia vieja servida como
+// respuesta del servidor se guardaría además como sincronizada.
 self.addEventListener('fetch', (event) => {
-  event.respondWith(fetch(event.request));
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    // SPA: cualquier ruta se resuelve con index.html
+    event.respondWith(networkFirst(request, PRECACHE_NAME, '/index.html'));
+    return;
+  }
+
+  if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request, ASSETS_CACHE_NAME));
+    return;
+  }
+
+  if (PRECACHE_MANIFEST.files.includes(url.pathname)) {
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+  }
 });
 
+// --- Sincronización en segundo plano ---
+// Con la app cerrada es el worker quien envía el outbox y trae cambios, leyendo
+// y escribiendo los mismos stores de TaskTrackerDB que useTaskSync.
+
+// Debe coincidir con API_BASE_URL de src/services/api.js
+const API_BASE_URL = 'https://pwa-task-tracker-backend.vercel.app/api';
+const DB_NAME = 'TaskTrackerDB';
+const SYNC_TAG = 'sync-tasks';
+const PERIODIC_SYNC_TAG = 'pull-tasks';
+const MAX_BATCH_SIZE = 500;
+const SNOOZE_MINUTES = 10;
+// Deben coincidir con las de src/hooks/useReminders.js
+const REMINDER_ACTIONS = [
+  { action: 'complete', title: 'Completar' },
+  { action: 'snooze', title: `Posponer ${SNOOZE_MINUTES} min` },
+  { action: 'view', title: 'Ver' }
+];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const CHECKLIST_OPERATION_TYPES = ['checklist-upsert', 'checklist-delete'];
+const TRASH_OPERATION_TYPES = ['delete', 'restore', 'purge'];
+
+// Abre la base en su versión actual. Si aún no existe no hay nada que
+// sincronizar, y crearla desde aquí se saltaría las migraciones de la app.
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME);
+  let aborted = false;
+
+  request.onupgradeneeded = () => {
+    aborted = true;
+    request.transaction.abort();
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => (aborted ? resolve(null) : reject(request.error));
+});
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const getStore = (db, storeName, mode = 'readonly') =>
+  db.transaction(storeName, mode).objectStore(storeName);
+
+// Igual que sortChecklist y mergeChecklist de src/utils/checklist.js: los
+// elementos con operaciones pendientes conservan el valor local
+const sortChecklist = (items) =>
+  [...items].sort((a, b) => a.position - b.position || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+const mergeChecklist = (local = [], server = [], pendingItemIds) => sortChecklist([
+  ...server.filter(item => !pendingItemIds.has(item.id)),
+  ...local.filter(item => pendingItemIds.has(item.id))
+]);
+
+// Misma semántica que useTaskSync: se quita la entrada aplicada y la tarea
+// queda sincronizada con la versión que devolvió el servidor. Los 409 se
+// dejan en cola para que la app los fusione la próxima vez que se abra.
+const applySyncResult = async (db, entry, result) => {
+  if (result.status === 'failed') {
+    // Los 409 y las tareas sin permiso o acceso los resuelve la app, que
+    // fusiona o recupera la copia del servidor
+    if (result.statusCode === 409 || result.statusCode === 403 ||
+        (result.statusCode === 404 && entry.type === 'update')) return;
+
+    if (result.statusCode === 404 && CHECKLIST_OPERATION_TYPES.includes(entry.type)) {
+      await requestToPromise(getStore(db, 'outbox', 'readwrite').delete(entry.seq));
+      return;
+    }
+
+    // La tarea ya no existe en el servidor: tampoco debe quedar en local
+    if (result.statusCode === 404 && TRASH_OPERATION_TYPES.includes(entry.type)) {
+      await requestToPromise(getStore(db, 'outbox', 'readwrite').delete(entry.seq));
+      await requestToPromise(getStore(db, 'tasks', 'readwrite').delete(entry.taskId));
+      return;
+    }
+
+    await requestToPromise(getStore(db, 'outbox', 'readwrite').put({
+      ...entry,
+      status: 'failed',
+      attempts: entry.attempts + 1,
+      lastError: result.error,
+      updatedAt: new Date().toISOString()
+    }));
+    return;
+  }
+
+  const task = await requestToPromise(getStore(db, 'tasks').get(entry.taskId));
+
+  if (entry.type === 'create' && result.status === 'duplicate') {
+    // La tarea ya existía: lo local puede ser más reciente y se reenvía como update
+    await requestToPromise(getStore(db, 'outbox', 'readwrite').put({
+      ...entry,
+      type: 'update',
+      taskId: result.taskId,
+      opId: self.crypto.randomUUID()
+    }));
+    if (task) {
+      await requestToPromise(getStore(db, 'tasks', 'readwrite').put({
+        ...task,
+        version: result.task.version,
+        serverCreated: true,
+        isNew: false
+      }));
+    }
+    return;
+  }
+
+  await requestToPromise(getStore(db, 'outbox', 'readwrite').delete(entry.seq));
+  if (!task) return;
+
+  if (entry.type === 'create') {
+    if (result.taskId !== entry.taskId) {
+      await requestToPromise(getStore(db, 'tasks', 'readwrite').delete(entry.taskId));
+    }
+    await requestToPromise(getStore(db, 'tasks', 'readwrite').put({
+      ...result.task,
+      id: result.taskId,
+      // Los cambios de la lista que siguen en el outbox ya están en la copia local
+      checklist: task.checklist || result.task.checklist,
+      synced: true,
+      serverCreated: true,
+      isNew: false
+    }));
+  } else if (entry.type === 'update') {
+    await requestToPromise(getStore(db, 'tasks', 'readwrite').put({
+      ...task,
+      version: result.task.version,
+      synced: true,
+      base: null
+    }));
+  } else if (entry.type === 'delete' || entry.type === 'restore') {
+    await requestToPromise(getStore(db, 'tasks', 'readwrite').put({
+      ...task,
+      version: result.task.version,
+      deletedAt: result.task.deletedAt,
+      deletedBy: result.task.deletedBy,
+      purgeAt: result.task.purgeAt
+    }));
+  } else if (entry.type === 'checklist-upsert') {
+    // El servidor devuelve el elemento entero, también lo que cambió en otro dispositivo
+    const others = (task.checklist || []).filter(item => item.id !== result.item.id);
+    await requestToPromise(getStore(db, 'tasks', 'readwrite').put({
+      ...task,
+      checklist: sortChecklist([...others, result.item])
+    }));
+  }
+};
+
+const getMetaValue = async (db, key) => {
+  if (!db.objectStoreNames.contains('meta')) return null;
+  const record = await requestToPromise(getStore(db, 'meta').get(key));
+  return record ? record.value : null;
+};
+
+// Cabeceras con las que el worker llama a la API. La página copia en `meta`
+// el ID del dispositivo y su sesión.
+const getApiHeaders = async (db, session) => {
+  const headers = { 'Content-Type': 'application/json' };
+  const deviceId = await getMetaValue(db, 'deviceId');
+  if (deviceId) headers['X-Device-Id'] = deviceId;
+  if (session.accessToken) headers.Authorization = `Bearer ${session.accessToken}`;
+  return headers;
+};
+
+// Cambia el refresh token de `meta` por un par nuevo y lo guarda allí, donde
+// la página lo recoge. Cada refresh token vale una vez: las llamadas que
+// reciben un 401 a la vez comparten la renovación.
+let refreshPromise = null;
+
+const refreshSession = (db, session) => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        cache: 'no-store',
+        body: JSON.stringify({ refreshToken: session.refreshToken })
+      });
+      if (!response.ok) return null;
+
+      const renewed = await response.json();
+      // La página pudo cerrar la sesión mientras tanto
+      const current = await getMetaValue(db, 'session');
+      if (!current || current.user.id !== renewed.user.id) return null;
+      await requestToPromise(getStore(db, 'meta', 'readwrite').put({ key: 'session', value: renewed }));
+      return renewed;
+    })()
+      .catch(() => null)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Llama a la API con la sesión de `meta`; sin sesión resuelve a null. Con un
+// 401 repite la llamada una vez, con la sesión que la página haya renovado
+// entretanto o con una renovada aquí.
+const fetchApi = async (db, path, options = {}) => {
+  const session = await getMetaValue(db, 'session');
+  if (!session) return null;
+
+  const send = async (current) => fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    cache: 'no-store',
+    headers: await getApiHeaders(db, current)
+  });
+
+  const response = await send(session);
+  if (response.status !== 401) return response;
+
+  const stored = await getMetaValue(db, 'session');
+  if (!stored) return response;
+  const renewed = stored.accessToken !== session.accessToken
+    ? stored
+    : await refreshSession(db, stored);
+  return renewed ? send(renewed) : response;
+};
+
+const pushOutbox = async () => {
+  const db = await openDatabase();
+  if (!db || !db.objectStoreNames.contains('outbox')) return;
+
+  try {
+    const pending = (await requestToPromise(getStore(db, 'outbox').getAll()))
+      .filter(entry => entry.status === 'pending')
+      .sort((a, b) => a.seq - b.seq);
+    if (pending.length === 0) return;
+    // Igual que en la página: el outbox sale en orden, así que si la primera
+    // entrada sigue esperando su backoff no se envía nada todavía. Se rechaza,
+    // como con un 5xx, para que el navegador vuelva a intentarlo más tarde
+    if (pending[0].nextAttemptAt > Date.now()) {
+      throw new Error('Outbox entries are waiting to be retried');
+    }
+    const entries = pending.slice(0, MAX_BATCH_SIZE);
+
+    const versionedTasks = new Set();
+    const operations = [];
+
+    for (const entry of entries) {
+      const operation = { opId: entry.opId, type: entry.type, taskId: entry.taskId };
+
+      if (entry.type === 'create') {
+        if (!UUID_PATTERN.test(entry.taskId)) delete operation.taskId;
+        operation.data = entry.data;
+        versionedTasks.add(entry.taskId);
+      } else if (entry.type === 'update') {
+        operation.data = entry.data;
+        if (!versionedTasks.has(entry.taskId)) {
+          const task = await requestToPromise(getStore(db, 'tasks').get(entry.taskId));
+          operation.baseVersion = task ? task.version : undefined;
+          versionedTasks.add(entry.taskId);
+        }
+      } else if (CHECKLIST_OPERATION_TYPES.includes(entry.type)) {
+        operation.itemId = entry.itemId;
+        if (entry.data) operation.data = entry.data;
+      }
+
+      operations.push(operation);
+    }
+
+    console.log(`Service Worker: Pushing ${operations.length} outbox operations`);
+    const response = await fetchApi(db, '/sync', {
+      method: 'POST',
+      body: JSON.stringify({ operations })
+    });
+    // Sin sesión no hay a quién enviar el lote
+    if (!response) return;
+
+    // Un 5xx se propaga para que el navegador reprograme el sync con su backoff
+    if (response.status >= 500) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    if (!response.ok) return;
+
+    const { results } = await response.json();
+    const entriesByOpId = new Map(entries.map(entry => [entry.opId, entry]));
+
+    for (const result of results) {
+      const entry = entriesByOpId.get(result.opId);
+      if (entry) await applySyncResult(db, entry, result);
+    }
+  } finally {
+    db.close();
+  }
+};
+
+// Trae el feed de cambios desde el cursor guardado en el store `meta`
+const pullChanges = async () => {
+  const db = await openDatabase();
+  if (!db || !db.objectStoreNames.contains('meta')) return;
+
+  try {
+    const cursorRecord = await requestToPromise(getStore(db, 'meta').get('syncCursor'));
+    let since = cursorRecord ? cursorRecord.value : 0;
+    let hasMore = true;
+
+    while (hasMore) {
+      const response = await fetchApi(db, `/tasks/changes?since=${encodeURIComponent(since)}`);
+      if (!response) return;
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const feed = await response.json();
+
+      const tasks = await requestToPromise(getStore(db, 'tasks').getAll());
+      const outbox = await requestToPromise(getStore(db, 'outbox').getAll());
+
+      if (feed.reset) {
+        for (const task of tasks.filter(task => task.synced)) {
+          await requestToPromise(getStore(db, 'tasks', 'readwrite').delete(task.id));
+        }
+      }
+
+      const pendingIds = new Set([
+        ...tasks.filter(task => !task.synced).map(task => task.id),
+        ...outbox.map(entry => entry.taskId)
+      ]);
+      const pendingItemIds = new Set(outbox.filter(entry => entry.itemId).map(entry => entry.itemId));
+
+      for (const change of feed.changes) {
+        if (pendingIds.has(change.id)) {
+          // La lista sí se fusiona, elemento a elemento
+          const task = change.type !== 'deleted' && tasks.find(t => t.id === change.id);
+          if (task) {
+            await requestToPromise(getStore(db, 'tasks', 'readwrite').put({
+              ...task,
+              checklist: mergeChecklist(task.checklist, change.task.checklist, pendingItemIds)
+            }));
+          }
+          continue;
+        }
+
+        const store = getStore(db, 'tasks', 'readwrite');
+        await requestToPromise(change.type === 'deleted'
+          ? store.delete(change.id)
+          : store.put({ ...change.task, synced: true, serverCreated: true, isNew: false }));
+      }
+
+      since = feed.cursor;
+      hasMore = feed.hasMore;
+      await requestToPromise(getStore(db, 'meta', 'readwrite').put({ key: 'syncCursor', value: since }));
+    }
+  } finally {
+    db.close();
+  }
+};
+
+// Muestra los recordatorios de IndexedDB que vencieron con la app cerrada.
+// Con la app abierta los entrega useReminders.
+const deliverDueReminders = async () => {
+  const db = await openDatabase();
+  if (!db || !db.objectStoreNames.contains('reminders')) return;
+
+  try {
+    const due = await requestToPromise(
+      getStore(db, 'reminders').index('fireAt').getAll(IDBKeyRange.upperBound(Date.now()))
+    );
+
+    for (const reminder of due) {
+      // Puede haberse completado o borrado en otro dispositivo
+      const task = await requestToPromise(getStore(db, 'tasks').get(reminder.taskId));
+      if (task && !task.completed && !task.deletedAt) {
+        await self.registration.showNotification('⏰ Recordatorio de Tarea', {
+          body: `No olvides: ${reminder.title}`,
+          icon: '/icon-192x192.png',
+          badge: '/icon-192x192.png',
+          tag: `reminder-${reminder.taskId}`,
+          renotify: true,
+          requireInteraction: true,
+          data: { type: 'reminder', taskId: reminder.taskId, title: reminder.title },
+          actions: REMINDER_ACTIONS
+        });
+      }
+      await requestToPromise(getStore(db, 'reminders', 'readwrite').delete(reminder.taskId));
+    }
+  } finally {
+    db.close();
+  }
+};
+
+// Con alguna pestaña abierta sincroniza la app, que además puede resolver
+// conflictos; el worker solo actúa cuando no hay ninguna
+const notifyClients = async () => {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => {
+    client.postMessage({ type: 'BACKGROUND_SYNC' });
+  });
+  return clients.length > 0;
+};
+
 self.addEventListener('sync', (event) => {
   console.log('Service Worker: Background sync', event.tag);
-  if (event.tag === 'sync-tasks') {
+  if (event.tag === SYNC_TAG) {
     event.waitUntil(
-      self.clients.matchAll().then(clients => {
-        clients.forEach(client => {
-          client.postMessage({ type: 'BACKGROUND_SYNC' });
-        });
-      })
+      notifyClients().then(handled => (handled ? undefined : pushOutbox()))
     );
   }
 });
 
+self.addEventListener('periodicsync', (event) => {
+  console.log('Service Worker: Periodic sync', event.tag);
+  if (event.tag === PERIODIC_SYNC_TAG) {
+    event.waitUntil(
+      notifyClients().then(handled => (handled
+        ? undefined
+        : pushOutbox().then(pullChanges).finally(deliverDueReminders)))
+    );
+  }
+});
+
+// Avisos tras los que hay tareas nuevas o cambiadas que descargar
+const SYNCING_PUSH_TYPES = ['task-changed', 'task-shared', 'project-shared'];
+
+// Los mensajes del backend son JSON `{ title, body, tag, data: { type, taskId } }`;
+// cualquier otro texto se muestra tal cual
+const parsePushPayload = (event) => {
+  if (!event.data) return { body: 'Nueva notificación' };
+
+  try {
+    return event.data.json();
+  } catch {
+    return { body: event.data.text() };
+  }
+};
+
+// Cambios hechos en otro dispositivo: se traen como en un sync periódico
+const syncAfterPush = async () => {
+  const handled = await notifyClients();
+  if (!handled) await pullChanges();
+};
+
 self.addEventListener('push', (event) => {
   console.log('Service Worker: Push notification');
-  
+
+  const payload = parsePushPayload(event);
+  const data = payload.data || {};
+
   const options = {
-    body: event.data ? event.data.text() : 'Nueva notificación',
+    body: payload.body,
     icon: '/icon-192x192.png',
-    badge: '/icon-192x192.png'
+    badge: '/icon-192x192.png',
+    tag: payload.tag,
+    data,
+    actions: data.taskId ? [{ action: 'view', title: 'Ver' }] : []
   };
+  // Un recordatorio pospuesto vuelve con las mismas acciones que el original
+  if (data.type === 'task-reminder') {
+    Object.assign(options, { renotify: true, requireInteraction: true, actions: REMINDER_ACTIONS });
+  }
 
-  event.waitUntil(
-    self.registration.showNotification('TaskTracker', options)
-  );
+  const work = [self.registration.showNotification(payload.title || 'TaskTracker', options)];
+  // Lo que otro dispositivo o miembro de una lista cambió se descarga ya
+  if (SYNCING_PUSH_TYPES.includes(data.type)) {
+    work.push(syncAfterPush().catch(error => {
+      console.error('Service Worker: Error syncing after push', error);
+    }));
+  }
+
+  event.waitUntil(Promise.all(work));
 });
 
+// --- Acciones de las notificaciones ---
+// Con la app abierta se reenvían a la pestaña para que pasen por useTaskSync
+// como cualquier acción de la interfaz. Con la app cerrada el worker aplica el
+// mismo cambio en IndexedDB y lo encola en el outbox.
+
+const toServerPayload = (task) => ({
+  title: task.title,
+  description: task.description,
+  completed: task.completed,
+  priority: task.priority,
+  dueDate: task.dueDate || null,
+  tags: task.tags || [],
+  projectId: task.projectId || null,
+  recurrence: task.recurrence || null,
+  timeZone: task.timeZone || null,
+  image: task.image || (task.photo ? { data: task.photo, type: 'image/jpeg' } : null)
+});
+
+// Igual que pickMergeFields de src/utils/taskMerge.js
+const pickMergeFields = (task) => {
+  let photo = task.photo || null;
+  if (!photo && task.image && task.image.data) {
+    photo = task.image.data.startsWith('data:')
+      ? task.image.data
+      : `data:image/jpeg;base64,${task.image.data}`;
+  }
+
+  return {
+    title: task.title ?? '',
+    description: task.description ?? '',
+    priority: task.priority ?? '',
+    dueDate: task.dueDate || null,
+    recurrence: task.recurrence || null,
+    tags: task.tags || [],
+    projectId: task.projectId || null,
+    completed: task.completed ?? false,
+    photo
+  };
+};
+
+// Encola un update combinándolo con el create o update pendiente de la tarea,
+// como hace enqueueOutboxOperation en useIndexedDB
+const enqueueUpdate = async (db, taskId, data) => {
+  const entries = await requestToPromise(getStore(db, 'outbox').index('taskId').getAll(taskId));
+  const pending = entries.find(entry =>
+    entry.status === 'pending' && (entry.type === 'create' || entry.type === 'update'));
+  const now = new Date().toISOString();
+  const store = getStore(db, 'outbox', 'readwrite');
+  // El create conserva la lista con la que nació la tarea
+  const checklist = pending && pending.type === 'create' ? pending.data.checklist : undefined;
+
+  await requestToPromise(pending
+    ? store.put({
+      ...pending,
+      opId: self.crypto.randomUUID(),
+      data: checklist ? { ...data, checklist } : data,
+      updatedAt: now
+    })
+    : store.add({
+      opId: self.crypto.randomUUID(),
+      type: 'update',
+      taskId,
+      data,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    }));
+};
+
+// La siguiente ocurrencia de una tarea repetida la crea el servidor al recibir
+// el update; aquí solo se trae con el feed de cambios
+const completeTask = async (taskId) => {
+  const db = await openDatabase();
+  if (!db) return;
+
+  let isRecurring = false;
+  try {
+    const task = await requestToPromise(getStore(db, 'tasks').get(taskId));
+    if (!task || task.completed || task.deletedAt) return;
+    isRecurring = Boolean(task.recurrence);
+
+    const updatedTask = {
+      ...task,
+      completed: true,
+      updatedAt: new Date().toISOString(),
+      synced: false,
+      base: task.synced ? pickMergeFields(task) : (task.base || null)
+    };
+
+    await requestToPromise(getStore(db, 'tasks', 'readwrite').put(updatedTask));
+    if (db.objectStoreNames.contains('reminders')) {
+      await requestToPromise(getStore(db, 'reminders', 'readwrite').delete(taskId));
+    }
+    await enqueueUpdate(db, taskId, toServerPayload(updatedTask));
+    console.log('Service Worker: Task completed from notification', taskId);
+  } finally {
+    db.close();
+  }
+
+  try {
+    await pushOutbox();
+    if (isRecurring) await pullChanges();
+  } catch (error) {
+    // Sin conexión: que lo envíe el Background Sync cuando vuelva
+    await self.registration.sync?.register(SYNC_TAG);
+  }
+};
+
+// Sin la app abierta nada despierta al worker cuando acaba el aplazamiento,
+// así que se lo encarga al servidor, que devuelve el recordatorio por push a
+// este dispositivo. Si no puede (sin suscripción push, sin conexión o con una
+// tarea que el servidor aún no tiene) queda guardado en IndexedDB: sonará al
+// abrir la app o en la siguiente sincronización periódica.
+const snoozeReminder = async (taskId, title) => {
+  const db = await openDatabase();
+  if (!db) return;
+
+  try {
+    const subscription = await self.registration.pushManager?.getSubscription();
+    if (subscription) {
+      const response = await fetchApi(db, `/tasks/${encodeURIComponent(taskId)}/snooze`, {
+        method: 'POST',
+        body: JSON.stringify({ minutes: SNOOZE_MINUTES })
+      }).catch(() => null);
+      if (response && response.ok) return;
+    }
+
+    await requestToPromise(getStore(db, 'reminders', 'readwrite').put({
+      taskId,
+      title,
+      fireAt: Date.now() + SNOOZE_MINUTES * 60 * 1000,
+      createdAt: new Date().toISOString()
+    }));
+  } finally {
+    db.close();
+  }
+};
+
+const handleNotificationAction = async (action, data) => {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const { taskId, title } = data || {};
+
+  // Notificaciones sin tarea asociada: solo se abre la app
+  if (!taskId || action === 'dismiss') {
+    if (action === 'dismiss') return;
+    return clients.length > 0 ? clients[0].focus() : self.clients.openWindow('/');
+  }
+
+  const taskAction = action || 'view';
+
+  if (clients.length > 0) {
+    const client = clients[0];
+    client.postMessage({ type: 'NOTIFICATION_ACTION', action: taskAction, taskId, title });
+    return taskAction === 'view' ? client.focus() : undefined;
+  }
+
+  switch (taskAction) {
+    case 'complete':
+      return completeTask(taskId);
+    case 'snooze':
+      return snoozeReminder(taskId, title);
+    default:
+      return self.clients.openWindow(`/?task=${encodeURIComponent(taskId)}`);
+  }
+};
+
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
-  event.waitUntil(
-    self.clients.matchAll().then(clients => {
-      if (clients.length > 0) {
-        return clients[0].focus();
-      }
-      return self.clients.openWindow('/');
-    })
-  );
+  event.waitUntil(handleNotificationAction(event.action, event.notification.data));
 });
 
 console.log('Service Worker: Loaded successfully');
@@ -1,44 +1,147 @@
-import React, { useState, useEffect } from 'react';
-import { Plus, Bell, Settings, Wifi, WifiOff, RefreshCw } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Plus, Bell, BellOff, Settings, Wifi, WifiOff, RefreshCw, GitMerge, UploadCloud, Download, FolderKanban, UserCircle, LogIn, Trash2 } from 'lucide-react';
 import SplashScreen from './components/SplashScreen';
 import TaskCard from './components/TaskCard';
 import TaskModal from './components/TaskModal';
 import StatsCard from './components/StatsCard';
+import ConflictModal from './components/ConflictModal';
+import OutboxPanel from './components/OutboxPanel';
+import ProjectsModal from './components/ProjectsModal';
+import AuthModal from './components/AuthModal';
+import TrashModal from './components/TrashModal';
+import UndoSnackbar from './components/UndoSnackbar';
 import { useTaskSync } from './hooks/useTaskSync';
 import { useNotifications } from './hooks/useNotifications';
 import { useAccelerometer } from './hooks/useAccelerometer';
+import { useServiceWorker } from './hooks/useServiceWorker';
+import { useUndo } from './hooks/useUndo';
+import { SNOOZE_MINUTES } from './hooks/useReminders';
 import { logger } from './utils/logger';
+import { isOverdue, countOverdue } from './utils/dueDate';
+import { createTaskStats } from './types/Task';
+import { countTags, getTagColor } from './utils/tags';
+import { ALL_PROJECTS, NO_PROJECT, isInProject, hasProjectRole, isSharedProject } from './utils/projects';
+
+// Cada cuánto se recalcula qué tareas han vencido mientras la app está abierta
+const OVERDUE_CHECK_INTERVAL = 60 * 1000;
+
+const isTrashed = (task) => Boolean(task.deletedAt);
+
+// Lleva los cambios a una lista de tareas; `belongs(task)` dice si la tarea
+// va en ella, porque al moverse a la papelera o salir de ella cambia de lista
+const applyChangesTo = (prevTasks, changes, belongs) => {
+  const tasksById = new Map(prevTasks.map(task => [task.id, task]));
+  for (const change of changes) {
+    if (change.type !== 'deleted' && belongs(change.task)) {
+      tasksById.set(change.id, change.task);
+    } else {
+      tasksById.delete(change.id);
+    }
+  }
+  return [...tasksById.values()];
+};
+
+// Lo que deshacer una edición devuelve a su valor anterior: los mismos campos
+// que guarda el formulario de la tarea
+const pickEditableFields = (task) => ({
+  title: task.title,
+  description: task.description,
+  priority: task.priority,
+  dueDate: task.dueDate || null,
+  recurrence: task.recurrence || null,
+  timeZone: task.timeZone || null,
+  completed: task.completed,
+  tags: task.tags || [],
+  projectId: task.projectId || null,
+  checklist: task.checklist || [],
+  image: task.image || null,
+  photo: task.photo || null
+});
 
 function App() {
   const [showSplash, setShowSplash] = useState(true);
   const [tasks, setTasks] = useState([]);
-  const [stats, setStats] = useState({ total: 0, completed: 0, pending: 0, highPriority: 0 });
+  const [trashedTasks, setTrashedTasks] = useState([]);
+  const [stats, setStats] = useState(createTaskStats());
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingTask, setEditingTask] = useState(undefined);
   const [filter, setFilter] = useState('all');
+  // Proyecto elegido en la cabecera: 'all', 'none' o el ID de un proyecto
+  const [currentProject, setCurrentProject] = useState(
+    () => localStorage.getItem('currentProject') || ALL_PROJECTS
+  );
+  // Etiquetas seleccionadas; se muestran las tareas que llevan todas
+  const [tagFilter, setTagFilter] = useState([]);
+  const [taggedTaskIds, setTaggedTaskIds] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const overdueCheckedAtRef = useRef(now);
   const [isLoadingData, setIsLoadingData] = useState(false);
   const [isInitialized, setIsInitialized] = useState(false);
+  const [isConflictModalOpen, setIsConflictModalOpen] = useState(false);
+  const [isOutboxOpen, setIsOutboxOpen] = useState(false);
+  const [isProjectsOpen, setIsProjectsOpen] = useState(false);
+  const [isAuthOpen, setIsAuthOpen] = useState(false);
+  const [isTrashOpen, setIsTrashOpen] = useState(false);
+  const [isUpdateAccepted, setIsUpdateAccepted] = useState(false);
+  // Tarea a abrir desde una notificación ("Ver"), también al arrancar con ?task=
+  const [taskToOpen, setTaskToOpen] = useState(
+    () => new URLSearchParams(window.location.search).get('task')
+  );
 
   const { 
     getTasks, 
     addTask, 
     updateTask, 
     deleteTask, 
+    restoreTask,
+    deleteTaskForever,
+    emptyTrash,
+    toggleChecklistItem,
+    resolveConflict,
+    getTaskHistory,
+    restoreRevision,
+    retryOperation,
+    discardOperation,
     getStats,
+    getTaskIdsByTags,
+    projects,
+    createProject,
+    updateProject,
+    deleteProject,
+    shareProject,
+    updateProjectMember,
+    removeProjectMember,
+    scheduleReminder,
+    getReminder,
+    restoreReminder,
+    checkIntegrity,
     clearAndReinitDB,
+    currentUser,
+    login,
+    register,
+    sendPendingChanges,
+    logout,
     syncWithServer,
     isOnline, 
     isSyncing, 
+    isDraining,
     isLoading, 
     syncError, 
-    lastSyncTime 
-  } = useTaskSync();
+    lastSyncTime,
+    outboxEntries
+  } = useTaskSync({
+    // applyRemoteChanges se define más abajo; solo se llama al llegar cambios
+    onRemoteChanges: (changes) => applyRemoteChanges(changes)
+  });
   
   const { 
     requestPermission, 
     showTaskNotification, 
-    scheduleTaskReminder,
-    permission: notificationPermission 
+    permission: notificationPermission,
+    pushSupported,
+    pushSubscribed,
+    subscribeToPush,
+    unsubscribeFromPush
   } = useNotifications();
 
   const { 
@@ -49,18 +152,27 @@ function App() {
     requestPermission: requestAccelPermission
   } = useAccelerometer();
 
-  // Registrar Service Worker solo una vez al montar el componente
+  const {
+    lastAction: lastUndoAction,
+    undoCount,
+    isUndoing,
+    pushUndo,
+    undoLast,
+    dismissUndo
+  } = useUndo({
+    onError: () => showTaskNotification('No se pudo deshacer', 'info')
+  });
+
+  // Registra el Service Worker y avisa cuando hay una versión nueva en espera
+  const { updateAvailable, applyUpdate } = useServiceWorker();
+
+  // La versión nueva se activa (y recarga la página) cuando el usuario la
+  // acepta, pero nunca en mitad de una sincronización
   useEffect(() => {
-    if ('serviceWorker' in navigator) {
-      navigator.serviceWorker.register('/sw.js')
-        .then((registration) => {
-          logger.info('Service Worker registered successfully');
-        })
-        .catch((registrationError) => {
-          logger.error('Service Worker registration failed:', registrationError);
-        });
+    if (isUpdateAccepted && !isSyncing && !isDraining) {
+      applyUpdate();
     }
-  }, []); // Array de dependencias vacío para ejecutar solo una vez
+  }, [isUpdateAccepted, isSyncing, isDraining, applyUpdate]);
 
   // Timeout fallback para splash screen
   useEffect(() => {
@@ -74,6 +186,61 @@ function App() {
     return () => clearTimeout(splashTimeout);
   }, [showSplash]);
 
+  // Las tareas vencen con el paso del tiempo, no solo al editarlas
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), OVERDUE_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    const overdue = countOverdue(tasks.filter(task => isInProject(task, currentProject)), now);
+    setStats(prev => (prev.overdue === overdue ? prev : { ...prev, overdue }));
+  }, [tasks, now, currentProject]);
+
+  // Las estadísticas son las del proyecto elegido
+  useEffect(() => {
+    localStorage.setItem('currentProject', currentProject);
+    if (isInitialized) {
+      getStats(currentProject)
+        .then(setStats)
+        .catch(error => logger.error('Error loading project stats:', error));
+    }
+  }, [currentProject]);
+
+  // El filtro por etiquetas consulta el índice de IndexedDB, que funciona
+  // igual sin conexión
+  useEffect(() => {
+    if (tagFilter.length === 0) {
+      setTaggedTaskIds(null);
+      return;
+    }
+
+    let cancelled = false;
+    getTaskIdsByTags(tagFilter)
+      .then(ids => {
+        if (!cancelled) setTaggedTaskIds(ids);
+      })
+      .catch(error => logger.error('Error filtering by tags:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [tagFilter, tasks]);
+
+  // Avisar solo de las que vencen con la app abierta; las que ya estaban
+  // vencidas al abrirla se ven en el filtro "Vencidas". Con el mismo `tag` que
+  // el push `task-due` del servidor, el segundo aviso sustituye al primero.
+  useEffect(() => {
+    const checkedAt = overdueCheckedAtRef.current;
+    overdueCheckedAtRef.current = now;
+
+    tasks
+      .filter(task => isOverdue(task, now) && new Date(task.dueDate).getTime() >= checkedAt)
+      .forEach(task => showTaskNotification(task.title, 'overdue', {
+        tag: `task-due-${task.id}`,
+        renotify: false
+      }));
+  }, [now]);
+
   // Solicitar permisos de notificación por separado
   useEffect(() => {
     requestPermission();
@@ -133,16 +300,42 @@ function App() {
     }
   }, [shakeDetected, showSplash, showTaskNotification, isOnline, isSyncing]);
 
-  // Función para limpiar datos inconsistentes al iniciar
+  // Al entrar se sincroniza con la cuenta; al salir (o al entrar otro usuario)
+  // los datos locales se han borrado y hay que volver a leerlos
+  const signedInUserRef = useRef(currentUser ? currentUser.id : null);
+  useEffect(() => {
+    if (!isInitialized || isLoading) return;
+
+    const userId = currentUser ? currentUser.id : null;
+    if (signedInUserRef.current === userId) return;
+    signedInUserRef.current = userId;
+
+    if (userId) {
+      syncWithServer();
+    } else {
+      loadData();
+    }
+  }, [currentUser, isLoading, isInitialized]);
+
+  // Recargar tras cada sincronización para mostrar cambios y conflictos nuevos
+  useEffect(() => {
+    if (lastSyncTime && isInitialized) {
+      loadData();
+    }
+  }, [lastSyncTime]);
+
+  // Revisar los datos locales al iniciar: los registros dañados se reparan o
+  // se apartan, sin tocar las tareas que aún no se han sincronizado
   const initializeApp = async () => {
-    const lastCleanup = localStorage.getItem('lastCleanup');
-    const now = Date.now();
-    
-    // Limpiar cada 24 horas o en primera carga
-    if (!lastCleanup || (now - parseInt(lastCleanup)) > 24 * 60 * 60 * 1000) {
-      logger.info('Performing database cleanup');
-      await clearAndReinitDB();
-      localStorage.setItem('lastCleanup', now.toString());
+    localStorage.removeItem('lastCleanup');
+
+    try {
+      const { quarantined } = await checkIntegrity();
+      if (quarantined > 0) {
+        showTaskNotification(`${quarantined} registro(s) dañado(s) apartado(s)`, 'info');
+      }
+    } catch (error) {
+      logger.error('Integrity check failed:', error);
     }
   };
 
@@ -158,9 +351,10 @@ function App() {
       logger.debug('Starting loadData');
       const [taskList, statsData] = await Promise.all([
         getTasks(),
-        getStats()
+        getStats(currentProject)
       ]);
-      setTasks(taskList);
+      setTasks(taskList.filter(task => !isTrashed(task)));
+      setTrashedTasks(taskList.filter(isTrashed));
       setStats(statsData);
       logger.debug(`LoadData complete: ${taskList.length} tasks loaded`);
     } catch (error) {
@@ -170,7 +364,8 @@ function App() {
     }
   };
 
-  const updateStatsFromTasks = (taskList) => {
+  const updateStatsFromTasks = (allTasks) => {
+    const taskList = allTasks.filter(task => isInProject(task, currentProject));
     const total = taskList.length;
     const completed = taskList.filter(t => t.completed).length;
     const highPriority = taskList.filter(t => t.priority === 'high' && !t.completed).length;
@@ -179,7 +374,32 @@ function App() {
       total,
       completed,
       pending: total - completed,
-      highPriority
+      highPriority,
+      overdue: countOverdue(taskList),
+      tags: countTags(taskList)
+    });
+  };
+
+  // Los cambios en tiempo real ya están en IndexedDB: basta con llevarlos al
+  // estado, sin recargar todas las tareas
+  const applyRemoteChanges = (changes) => {
+    setTasks(prevTasks => {
+      const updatedTasks = applyChangesTo(prevTasks, changes, task => !isTrashed(task));
+      updateStatsFromTasks(updatedTasks);
+      return updatedTasks;
+    });
+    setTrashedTasks(prevTasks => applyChangesTo(prevTasks, changes, isTrashed));
+  };
+
+  // Aplica campos a una tarea de la lista y, si se indica, quita otra (la
+  // siguiente ocurrencia que deja de existir al deshacer)
+  const patchTaskState = (id, fields, removedId = null) => {
+    setTasks(prevTasks => {
+      const updatedTasks = prevTasks
+        .filter(task => task.id !== removedId)
+        .map(task => (task.id === id ? { ...task, ...fields } : task));
+      updateStatsFromTasks(updatedTasks);
+      return updatedTasks;
     });
   };
 
@@ -219,7 +439,7 @@ function App() {
       showTaskNotification(taskData.title, 'created');
       
       if (taskData.priority === 'high') {
-        scheduleTaskReminder(taskData.title, 60); //1 hour reminder
+        await scheduleReminder(newTask, 60); //1 hour reminder
       }
 
       if ('vibrate' in navigator) {
@@ -245,18 +465,22 @@ function App() {
     if (!editingTask) return;
 
     try {
-      await updateTask(editingTask.id, taskData);
+      const { id } = editingTask;
+      const previousFields = pickEditableFields(editingTask);
+      // Completarla cancela su recordatorio: deshacer lo vuelve a programar
+      const reminder = taskData.completed && !editingTask.completed ? await getReminder(id) : null;
+      // Si la edición completa una tarea repetida, llega la siguiente ocurrencia
+      const nextTask = await updateTask(id, taskData);
       
       // Actualizar directamente el estado en lugar de recargar todo
-      setTasks(prevTasks => {
-        const updatedTasks = prevTasks.map(task => 
-          task.id === editingTask.id ? { ...task, ...taskData } : task
-        );
-        updateStatsFromTasks(updatedTasks);
-        return updatedTasks;
-      });
+      patchTaskState(id, taskData);
       
-      showTaskNotification(taskData.title, 'info');
+      pushUndo(`"${taskData.title}" actualizada`, async () => {
+        await updateTask(id, previousFields);
+        if (nextTask) await deleteTaskForever(nextTask.id);
+        if (reminder) await restoreReminder(reminder);
+        patchTaskState(id, previousFields, nextTask && nextTask.id);
+      });
     } catch (error) {
       console.error('Error updating task:', error);
       showTaskNotification('Error al actualizar tarea', 'info');
@@ -269,23 +493,36 @@ function App() {
       if (!task) return;
 
       const newCompletedStatus = !task.completed;
-      await updateTask(id, { completed: newCompletedStatus });
+      // Completarla cancela su recordatorio: deshacer lo vuelve a programar
+      const reminder = newCompletedStatus ? await getReminder(id) : null;
+      // Si la tarea se repite, updateTask devuelve la siguiente ocurrencia
+      const nextTask = await updateTask(id, { completed: newCompletedStatus });
       
       // Actualizar directamente el estado
       setTasks(prevTasks => {
         const updatedTasks = prevTasks.map(t => 
           t.id === id ? { ...t, completed: newCompletedStatus } : t
         );
+        if (nextTask && !updatedTasks.some(t => t.id === nextTask.id)) {
+          updatedTasks.push(nextTask);
+        }
         updateStatsFromTasks(updatedTasks);
         return updatedTasks;
       });
 
-      if (newCompletedStatus) {
-        showTaskNotification(task.title, 'success');
-        
-        if ('vibrate' in navigator) {
-          navigator.vibrate([100, 50, 100]);
+      // Deshacer también retira la siguiente ocurrencia que se creó al completarla
+      pushUndo(
+        newCompletedStatus ? `"${task.title}" completada` : `"${task.title}" marcada como pendiente`,
+        async () => {
+          await updateTask(id, { completed: task.completed });
+          if (nextTask) await deleteTaskForever(nextTask.id);
+          if (reminder) await restoreReminder(reminder);
+          patchTaskState(id, { completed: task.completed }, nextTask && nextTask.id);
         }
+      );
+
+      if (newCompletedStatus && 'vibrate' in navigator) {
+        navigator.vibrate([100, 50, 100]);
       }
     } catch (error) {
       console.error('Error toggling task:', error);
@@ -293,24 +530,199 @@ function App() {
     }
   };
 
+  const handleToggleChecklistItem = async (taskId, itemId) => {
+    try {
+      const updatedTask = await toggleChecklistItem(taskId, itemId);
+
+      setTasks(prevTasks => prevTasks.map(t =>
+        t.id === taskId ? { ...t, checklist: updatedTask.checklist } : t
+      ));
+    } catch (error) {
+      console.error('Error toggling checklist item:', error);
+      showTaskNotification('Error al actualizar la lista', 'info');
+    }
+  };
+
+  // Borrar desde la tarjeta solo mueve la tarea a la papelera
   const handleDeleteTask = async (id) => {
     try {
-      await deleteTask(id);
-      
-      // Actualizar directamente el estado
-      setTasks(prevTasks => {
-        const updatedTasks = prevTasks.filter(t => t.id !== id);
-        updateStatsFromTasks(updatedTasks);
-        return updatedTasks;
+      // Como al completarla, la papelera cancela el recordatorio
+      const reminder = await getReminder(id);
+      const trashedTask = await deleteTask(id);
+      applyRemoteChanges([{ type: 'updated', id, task: trashedTask }]);
+
+      pushUndo(`"${trashedTask.title}" movida a la papelera`, async () => {
+        const restoredTask = await restoreTask(id);
+        if (reminder) await restoreReminder(reminder);
+        applyRemoteChanges([{ type: 'updated', id, task: restoredTask }]);
       });
-      
-      showTaskNotification('Tarea eliminada correctamente', 'info');
     } catch (error) {
       console.error('Error deleting task:', error);
       showTaskNotification('Error al eliminar tarea', 'info');
     }
   };
 
+  const handleRestoreTask = async (id) => {
+    try {
+      const restoredTask = await restoreTask(id);
+      applyRemoteChanges([{ type: 'updated', id, task: restoredTask }]);
+      showTaskNotification(restoredTask.title, 'info');
+    } catch (error) {
+      console.error('Error restoring task:', error);
+      showTaskNotification('Error al restaurar tarea', 'info');
+    }
+  };
+
+  const handleDeleteTaskForever = async (id) => {
+    try {
+      await deleteTaskForever(id);
+      applyRemoteChanges([{ type: 'deleted', id }]);
+      showTaskNotification('Tarea eliminada definitivamente', 'info');
+    } catch (error) {
+      console.error('Error deleting task permanently:', error);
+      showTaskNotification('Error al eliminar tarea', 'info');
+    }
+  };
+
+  const handleEmptyTrash = async (ids) => {
+    try {
+      await emptyTrash(ids);
+      applyRemoteChanges(ids.map(id => ({ type: 'deleted', id })));
+      showTaskNotification('Papelera vaciada', 'info');
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      showTaskNotification('Error al vaciar la papelera', 'info');
+    }
+  };
+
+  const handleResolveConflict = async (id, values) => {
+    try {
+      await resolveConflict(id, values);
+      await loadData();
+      showTaskNotification(values.title, 'info');
+    } catch (error) {
+      console.error('Error resolving conflict:', error);
+      showTaskNotification('Error al resolver el conflicto', 'info');
+    }
+  };
+
+  // Los errores los muestra el panel de historial
+  const handleRestoreRevision = async (id, version) => {
+    const restoredTask = await restoreRevision(id, version);
+    applyRemoteChanges([{ type: 'updated', id, task: restoredTask }]);
+    closeModal();
+    showTaskNotification(restoredTask.title, 'info');
+  };
+
+  const handleRetryOperation = async (seq) => {
+    try {
+      await retryOperation(seq);
+      await loadData();
+    } catch (error) {
+      console.error('Error retrying operation:', error);
+      showTaskNotification('Error al reintentar el cambio', 'info');
+    }
+  };
+
+  const handleDiscardOperation = async (seq) => {
+    try {
+      await discardOperation(seq);
+      await loadData();
+      showTaskNotification('Cambio descartado', 'info');
+    } catch (error) {
+      console.error('Error discarding operation:', error);
+      showTaskNotification('Error al descartar el cambio', 'info');
+    }
+  };
+
+  // Acciones pulsadas en una notificación con la app abierta: sw.js las
+  // reenvía para que sigan el mismo camino que la interfaz
+  const handleNotificationAction = async ({ action, taskId, title }) => {
+    try {
+      switch (action) {
+        case 'complete':
+          await updateTask(taskId, { completed: true });
+          await loadData();
+          break;
+        case 'snooze':
+          await scheduleReminder({ id: taskId, title }, SNOOZE_MINUTES);
+          break;
+        default:
+          setTaskToOpen(taskId);
+      }
+    } catch (error) {
+      console.error('Error handling notification action:', error);
+    }
+  };
+
+  const notificationActionRef = useRef(handleNotificationAction);
+  notificationActionRef.current = handleNotificationAction;
+
+  useEffect(() => {
+    const handleSWMessage = (event) => {
+      if (event.data && event.data.type === 'NOTIFICATION_ACTION') {
+        notificationActionRef.current(event.data);
+      }
+    };
+
+    navigator.serviceWorker?.addEventListener('message', handleSWMessage);
+    return () => navigator.serviceWorker?.removeEventListener('message', handleSWMessage);
+  }, []);
+
+  // Abrir la tarea pedida en cuanto esté cargada
+  useEffect(() => {
+    if (!taskToOpen || showSplash) return;
+
+    const task = tasks.find(t => t.id === taskToOpen);
+    if (!task) return;
+
+    openEditModal(task);
+    setTaskToOpen(null);
+    if (window.location.search) {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  }, [taskToOpen, tasks, showSplash]);
+
+  const handleCreateProject = async (data) => {
+    const project = await createProject(data);
+    setCurrentProject(project.id);
+  };
+
+  // Las tareas del proyecto borrado vuelven ya sin proyecto desde el servidor
+  const handleDeleteProject = async (id) => {
+    await deleteProject(id);
+    if (currentProject === id) {
+      setCurrentProject(ALL_PROJECTS);
+    }
+    await loadData();
+  };
+
+  // Quien sale de una lista deja de ver sus tareas; si era la elegida se
+  // vuelve a ver todo
+  const handleRemoveMember = async (projectId, userId) => {
+    await removeProjectMember(projectId, userId);
+    if (currentUser && userId === currentUser.id && currentProject === projectId) {
+      setCurrentProject(ALL_PROJECTS);
+    }
+    await loadData();
+  };
+
+  // Lo que no llega al servidor se borraría con los datos locales: solo se
+  // sale si no queda nada o si el usuario acepta descartarlo. Devuelve los
+  // cambios que quedan sin enviar. La suscripción push de este navegador es
+  // de la cuenta que sale.
+  const handleLogout = async ({ discardPending = false } = {}) => {
+    const remaining = await sendPendingChanges();
+    if (remaining > 0 && !discardPending) return remaining;
+
+    if (pushSubscribed) {
+      await unsubscribeFromPush();
+    }
+    await logout();
+    setCurrentProject(ALL_PROJECTS);
+    return 0;
+  };
+
   const openEditModal = (task) => {
     setEditingTask(task);
     setIsModalOpen(true);
@@ -321,10 +733,34 @@ function App() {
     setEditingTask(undefined);
   };
 
+  const conflictedTasks = tasks.filter(task => task.conflict);
+  const failedOperations = outboxEntries.filter(entry => entry.status === 'failed');
+
+  const availableTags = Object.keys(stats.tags || {}).sort();
+  // Al editar se sugieren las etiquetas de todos los proyectos
+  const allTags = Object.keys(countTags(tasks)).sort();
+
+  const selectedProject = projects.find(project => project.id === currentProject);
+  const projectsById = new Map(projects.map(project => [project.id, project]));
+  // En las listas compartidas como lector no se crean tareas
+  const editableProjects = projects.filter(project => hasProjectRole(project, 'editor'));
+  const isReadOnlyTask = (task) => {
+    const taskProject = projectsById.get(task.projectId);
+    return Boolean(taskProject) && !hasProjectRole(taskProject, 'editor');
+  };
+
+  const toggleTagFilter = (tag) => {
+    setTagFilter(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
+  };
+
   const filteredTasks = tasks.filter(task => {
+    if (!isInProject(task, currentProject)) return false;
+    if (taggedTaskIds && !taggedTaskIds.has(task.id)) return false;
+
     switch (filter) {
       case 'pending': return !task.completed;
       case 'completed': return task.completed;
+      case 'overdue': return isOverdue(task, now);
       default: return true;
     }
   });
@@ -366,6 +802,67 @@ function App() {
             </div>
             
             <div className="flex items-center space-x-2">
+              {outboxEntries.length > 0 && (
+                <button
+                  onClick={() => setIsOutboxOpen(true)}
+                  className={`flex items-center space-x-1 p-2 rounded-lg transition-colors ${
+                    failedOperations.length > 0
+                      ? 'text-red-600 hover:bg-red-50'
+                      : 'text-blue-600 hover:bg-blue-50'
+                  }`}
+                  title="Cambios pendientes de enviar"
+                >
+                  <UploadCloud className="w-5 h-5" />
+                  <span className="text-sm font-medium">{outboxEntries.length}</span>
+                </button>
+              )}
+              {conflictedTasks.length > 0 && (
+                <button
+                  onClick={() => setIsConflictModalOpen(true)}
+                  className="flex items-center space-x-1 p-2 text-orange-600 hover:bg-orange-50 rounded-lg transition-colors"
+                  title="Resolver conflictos de sincronización"
+                >
+                  <GitMerge className="w-5 h-5" />
+                  <span className="text-sm font-medium">{conflictedTasks.length}</span>
+                </button>
+              )}
+              {pushSupported && (
+                <button
+                  onClick={pushSubscribed ? unsubscribeFromPush : subscribeToPush}
+                  disabled={!isOnline}
+                  className={`p-2 rounded-lg transition-colors disabled:opacity-50 ${
+                    pushSubscribed
+                      ? 'text-blue-600 hover:bg-blue-50'
+                      : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+                  }`}
+                  title={pushSubscribed
+                    ? 'Desactivar avisos de otros dispositivos'
+                    : 'Recibir avisos de cambios en otros dispositivos'}
+                >
+                  {pushSubscribed ? <Bell className="w-5 h-5" /> : <BellOff className="w-5 h-5" />}
+                </button>
+              )}
+              <button
+                onClick={() => setIsTrashOpen(true)}
+                className="flex items-center space-x-1 p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Papelera"
+              >
+                <Trash2 className="w-5 h-5" />
+                {trashedTasks.length > 0 && (
+                  <span className="text-sm font-medium">{trashedTasks.length}</span>
+                )}
+              </button>
+              <button
+                onClick={() => setIsAuthOpen(true)}
+                className={`p-2 rounded-lg transition-colors ${
+                  currentUser
+                    ? 'text-blue-600 hover:bg-blue-50'
+                    : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+                }`}
+                title={currentUser ? currentUser.email : 'Iniciar sesión'}
+              >
+                {currentUser ? <UserCircle className="w-5 h-5" /> : <LogIn className="w-5 h-5" />}
+              </button>
               {isOnline && (
                 <button
                   onClick={handleManualSync}
@@ -379,7 +876,54 @@ function App() {
             </div>
           </div>
 
+          {/* Project Switcher */}
+          <div className="mt-3 flex items-center space-x-2">
+            {selectedProject && (
+              <span
+                className="w-3 h-3 rounded-full flex-shrink-0"
+                style={{ backgroundColor: selectedProject.color }}
+              />
+            )}
+            <select
+              value={currentProject}
+              onChange={(e) => setCurrentProject(e.target.value)}
+              className="flex-1 min-w-0 sm:flex-none px-3 py-1.5 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              aria-label="Proyecto"
+            >
+              <option value={ALL_PROJECTS}>Todos los proyectos</option>
+              <option value={NO_PROJECT}>Sin proyecto</option>
+              {projects.map(project => (
+                <option key={project.id} value={project.id}>{project.name}</option>
+              ))}
+              {/* Proyecto borrado desde otro dispositivo */}
+              {!selectedProject && currentProject !== ALL_PROJECTS && currentProject !== NO_PROJECT && (
+                <option value={currentProject}>Proyecto eliminado</option>
+              )}
+            </select>
+            <button
+              onClick={() => setIsProjectsOpen(true)}
+              className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+              title="Gestionar proyectos"
+            >
+              <FolderKanban className="w-5 h-5" />
+            </button>
+          </div>
+
           {/* Sync Status */}
+          {!currentUser && (
+            <div className="mt-2 p-2 bg-blue-50 border border-blue-200 rounded-lg flex items-center justify-between gap-2">
+              <p className="text-sm text-blue-700">
+                Las tareas solo se guardan en este dispositivo. Inicia sesión para sincronizarlas.
+              </p>
+              <button
+                onClick={() => setIsAuthOpen(true)}
+                className="text-sm font-medium text-blue-700 hover:underline flex-shrink-0"
+              >
+                Iniciar sesión
+              </button>
+            </div>
+          )}
+
           {syncError && (
             <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded-lg">
               <p className="text-sm text-red-700">
@@ -398,14 +942,45 @@ function App() {
         </div>
       </header>
 
+      {/* Update Banner */}
+      {updateAvailable && (
+        <div className="bg-blue-600 text-white">
+          <div className="max-w-4xl mx-auto px-4 py-2 flex items-center justify-between gap-2">
+            <div className="flex items-center space-x-2">
+              <Download className="w-4 h-4 flex-shrink-0" />
+              <span className="text-sm">
+                {isUpdateAccepted
+                  ? 'Se actualizará al terminar la sincronización...'
+                  : 'Hay una nueva versión disponible'}
+              </span>
+            </div>
+            {!isUpdateAccepted && (
+              <button
+                onClick={() => setIsUpdateAccepted(true)}
+                className="px-3 py-1 bg-white text-blue-600 text-sm font-medium rounded-lg hover:bg-blue-50 transition-colors flex-shrink-0"
+              >
+                Actualizar
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Main Content */}
       <main className="max-w-4xl mx-auto px-4 py-6">
-        <StatsCard stats={stats} />
+        <StatsCard
+          stats={stats}
+          title={
+            selectedProject
+              ? `Estadísticas · ${selectedProject.name}`
+              : currentProject === NO_PROJECT ? 'Estadísticas · Sin proyecto' : 'Estadísticas'
+          }
+        />
 
         {/* Filters and Add Button - Fixed for mobile */}
         <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
           <div className="flex flex-wrap gap-2">
-            {(['all', 'pending', 'completed']).map((filterOption) => (
+            {(['all', 'pending', 'overdue', 'completed']).map((filterOption) => (
               <button
                 key={filterOption}
                 onClick={() => setFilter(filterOption)}
@@ -417,6 +992,7 @@ function App() {
               >
                 {filterOption === 'all' && 'Todas'}
                 {filterOption === 'pending' && 'Pendientes'}
+                {filterOption === 'overdue' && `Vencidas${stats.overdue ? ` (${stats.overdue})` : ''}`}
                 {filterOption === 'completed' && 'Completadas'}
               </button>
             ))}
@@ -431,6 +1007,32 @@ function App() {
           </button>
         </div>
 
+        {/* Tag Filter */}
+        {(availableTags.length > 0 || tagFilter.length > 0) && (
+          <div className="flex flex-wrap items-center gap-2 -mt-2 mb-6">
+            {[...new Set([...availableTags, ...tagFilter])].sort().map(tag => (
+              <button
+                key={tag}
+                onClick={() => toggleTagFilter(tag)}
+                className={`px-2 py-1 rounded-full border text-xs font-medium transition-all ${getTagColor(tag)} ${
+                  tagFilter.includes(tag) ? 'ring-2 ring-blue-500' : 'opacity-70 hover:opacity-100'
+                }`}
+                aria-pressed={tagFilter.includes(tag)}
+              >
+                #{tag}
+              </button>
+            ))}
+            {tagFilter.length > 0 && (
+              <button
+                onClick={() => setTagFilter([])}
+                className="text-xs text-gray-500 hover:text-gray-900 underline"
+              >
+                Quitar filtro
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Tasks List */}
         <div className="space-y-3">
           {isLoading ? (
@@ -439,31 +1041,51 @@ function App() {
               <p className="mt-2 text-gray-500">Cargando tareas...</p>
             </div>
           ) : filteredTasks.length > 0 ? (
-            filteredTasks.map(task => (
-              <TaskCard
-                key={task.id}
-                task={task}
-                onToggleComplete={handleToggleComplete}
-                onEdit={openEditModal}
-                onDelete={handleDeleteTask}
-              />
-            ))
+            filteredTasks.map(task => {
+              const taskProject = projectsById.get(task.projectId);
+              return (
+                <TaskCard
+                  key={task.id}
+                  task={task}
+                  project={currentProject === ALL_PROJECTS ? taskProject : undefined}
+                  members={taskProject && isSharedProject(taskProject) ? taskProject.members : undefined}
+                  currentUserId={currentUser ? currentUser.id : null}
+                  readOnly={isReadOnlyTask(task)}
+                  onToggleComplete={handleToggleComplete}
+                  onToggleChecklistItem={handleToggleChecklistItem}
+                  onTagClick={toggleTagFilter}
+                  onEdit={openEditModal}
+                  onDelete={handleDeleteTask}
+                />
+              );
+            })
           ) : (
             <div className="text-center py-12">
               <div className="text-gray-400 mb-4">
                 <Plus className="w-12 h-12 mx-auto" />
               </div>
-              <h3 className="text-lg font-medium text-gray-900 mb-2">
-                {filter === 'all' && 'No tienes tareas aún'}
-                {filter === 'pending' && 'No hay tareas pendientes'}
-                {filter === 'completed' && 'No hay tareas completadas'}
-              </h3>
-              <p className="text-gray-500 mb-4">
-                {filter === 'all' && 'Crea tu primera tarea para comenzar'}
-                {filter === 'pending' && '¡Felicidades! Has completado todas tus tareas'}
-                {filter === 'completed' && 'Aún no has completado ninguna tarea'}
-              </p>
-              {filter !== 'completed' && (
+              {tagFilter.length > 0 ? (
+                <>
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">Ninguna tarea con esas etiquetas</h3>
+                  <p className="text-gray-500 mb-4">Prueba a quitar alguna etiqueta del filtro</p>
+                </>
+              ) : (
+                <>
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">
+                    {filter === 'all' && 'No tienes tareas aún'}
+                    {filter === 'pending' && 'No hay tareas pendientes'}
+                    {filter === 'overdue' && 'No hay tareas vencidas'}
+                    {filter === 'completed' && 'No hay tareas completadas'}
+                  </h3>
+                  <p className="text-gray-500 mb-4">
+                    {filter === 'all' && 'Crea tu primera tarea para comenzar'}
+                    {filter === 'pending' && '¡Felicidades! Has completado todas tus tareas'}
+                    {filter === 'overdue' && 'Vas al día con todas tus fechas límite'}
+                    {filter === 'completed' && 'Aún no has completado ninguna tarea'}
+                  </p>
+                </>
+              )}
+              {tagFilter.length === 0 && (filter === 'all' || filter === 'pending') && (
                 <button
                   onClick={() => setIsModalOpen(true)}
                   className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors"
@@ -482,6 +1104,81 @@ function App() {
         onClose={closeModal}
         onSave={editingTask ? handleUpdateTask : handleAddTask}
         task={editingTask}
+        availableTags={allTags}
+        projects={editableProjects}
+        defaultProjectId={selectedProject && hasProjectRole(selectedProject, 'editor') ? selectedProject.id : null}
+        isOnline={isOnline}
+        currentUserId={currentUser ? currentUser.id : null}
+        onLoadHistory={getTaskHistory}
+        onRestoreRevision={handleRestoreRevision}
+      />
+
+      {/* Conflict Inbox */}
+      <ConflictModal
+        isOpen={isConflictModalOpen}
+        onClose={() => setIsConflictModalOpen(false)}
+        conflicts={conflictedTasks}
+        projects={projects}
+        onResolve={handleResolveConflict}
+      />
+
+      {/* Outbox */}
+      <OutboxPanel
+        isOpen={isOutboxOpen}
+        onClose={() => setIsOutboxOpen(false)}
+        entries={outboxEntries}
+        tasks={[...tasks, ...trashedTasks]}
+        onRetry={handleRetryOperation}
+        onDiscard={handleDiscardOperation}
+      />
+
+      {/* Projects */}
+      <ProjectsModal
+        isOpen={isProjectsOpen}
+        onClose={() => setIsProjectsOpen(false)}
+        projects={projects}
+        tasks={tasks}
+        isOnline={isOnline}
+        onCreate={handleCreateProject}
+        onUpdate={updateProject}
+        onDelete={handleDeleteProject}
+        currentUserId={currentUser ? currentUser.id : null}
+        onShare={shareProject}
+        onUpdateMember={updateProjectMember}
+        onRemoveMember={handleRemoveMember}
+      />
+
+      {/* Trash */}
+      <TrashModal
+        isOpen={isTrashOpen}
+        onClose={() => setIsTrashOpen(false)}
+        tasks={trashedTasks}
+        isReadOnly={isReadOnlyTask}
+        currentUserId={currentUser ? currentUser.id : null}
+        onRestore={handleRestoreTask}
+        onDelete={handleDeleteTaskForever}
+        onEmpty={handleEmptyTrash}
+      />
+
+      {/* Undo */}
+      <UndoSnackbar
+        action={lastUndoAction}
+        count={undoCount}
+        isUndoing={isUndoing}
+        onUndo={undoLast}
+        onDismiss={dismissUndo}
+      />
+
+      {/* Account */}
+      <AuthModal
+        isOpen={isAuthOpen}
+        onClose={() => setIsAuthOpen(false)}
+        currentUser={currentUser}
+        isOnline={isOnline}
+        pendingCount={outboxEntries.length}
+        onLogin={login}
+        onRegister={register}
+        onLogout={handleLogout}
       />
     </div>
   );
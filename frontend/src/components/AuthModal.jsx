@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from "react";
+import { X, UserCircle, LogOut, WifiOff } from "lucide-react";
+
+// Inicio de sesión y registro; con una sesión abierta muestra la cuenta y
+// permite salir
+const AuthModal = ({
+  isOpen,
+  onClose,
+  currentUser,
+  isOnline,
+  pendingCount,
+  onLogin,
+  onRegister,
+  onLogout,
+}) => {
+  const [mode, setMode] = useState("login");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+  // Cambios que no se pudieron enviar al intentar salir
+  const [unsentCount, setUnsentCount] = useState(0);
+
+  useEffect(() => {
+    if (isOpen) {
+      setPassword("");
+      setError("");
+      setUnsentCount(0);
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const isRegistering = mode === "register";
+  const disabled = !isOnline || isSaving;
+
+  const run = async (action) => {
+    setIsSaving(true);
+    setError("");
+    try {
+      await action();
+      onClose();
+    } catch (err) {
+      setError(err.message || "No se pudo completar la operación");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // El primer intento envía lo pendiente; si algo no llega, un segundo clic
+  // confirma que se descarta
+  const handleLogout = async () => {
+    setIsSaving(true);
+    setError("");
+    try {
+      const remaining = await onLogout({ discardPending: unsentCount > 0 });
+      if (remaining > 0) {
+        setUnsentCount(remaining);
+      } else {
+        onClose();
+      }
+    } catch (err) {
+      setError(err.message || "No se pudo completar la operación");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    run(() =>
+      isRegistering ? onRegister(email, password) : onLogin(email, password),
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-sm w-full">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div className="flex items-center space-x-2">
+            <UserCircle className="w-6 h-6 text-blue-500" />
+            <h2 className="text-xl font-semibold text-gray-900">
+              {currentUser
+                ? "Cuenta"
+                : isRegistering
+                  ? "Crear cuenta"
+                  : "Iniciar sesión"}
+            </h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6">
+          {currentUser ? (
+            <>
+              <p className="text-sm text-gray-700">
+                Sesión iniciada como{" "}
+                <span className="font-medium">{currentUser.email}</span>
+              </p>
+              {unsentCount > 0 ? (
+                <p className="mt-3 text-sm text-orange-700 bg-orange-50 border border-orange-200 rounded-lg p-3">
+                  No se pudieron enviar {unsentCount} cambio(s). Si cierras la
+                  sesión se borran de este dispositivo junto con las tareas
+                  guardadas.
+                </p>
+              ) : (
+                pendingCount > 0 && (
+                  <p className="mt-3 text-sm text-orange-700 bg-orange-50 border border-orange-200 rounded-lg p-3">
+                    Hay {pendingCount} cambio(s) sin enviar. Se enviarán antes
+                    de cerrar la sesión.
+                  </p>
+                )
+              )}
+              {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+              <div className="flex justify-end mt-6">
+                <button
+                  onClick={handleLogout}
+                  disabled={isSaving}
+                  className="flex items-center space-x-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+                >
+                  <LogOut className="w-4 h-4" />
+                  <span>
+                    {unsentCount > 0
+                      ? "Descartar y cerrar sesión"
+                      : "Cerrar sesión"}
+                  </span>
+                </button>
+              </div>
+            </>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {!isOnline && (
+                <p className="flex items-center space-x-2 text-sm text-orange-700 bg-orange-50 border border-orange-200 rounded-lg p-3">
+                  <WifiOff className="w-4 h-4 flex-shrink-0" />
+                  <span>Para iniciar sesión hace falta conexión.</span>
+                </p>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Email
+                </label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  autoComplete="email"
+                  required
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Contraseña
+                </label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  autoComplete={
+                    isRegistering ? "new-password" : "current-password"
+                  }
+                  minLength={8}
+                  required
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              {error && <p className="text-sm text-red-600">{error}</p>}
+              <button
+                type="submit"
+                disabled={disabled}
+                className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {isRegistering ? "Crear cuenta" : "Entrar"}
+              </button>
+              <p className="text-sm text-center text-gray-600">
+                {isRegistering ? "¿Ya tienes cuenta?" : "¿No tienes cuenta?"}{" "}
+                <button
+                  type="button"
+                  onClick={() => {
+                    setMode(isRegistering ? "login" : "register");
+                    setError("");
+                  }}
+                  className="text-blue-600 hover:underline"
+                >
+                  {isRegistering ? "Inicia sesión" : "Regístrate"}
+                </button>
+              </p>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuthModal;
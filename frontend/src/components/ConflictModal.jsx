@@ -0,0 +1,163 @@
+import React, { useState } from "react";
+import { X, GitMerge } from "lucide-react";
+import {
+  MERGE_FIELDS,
+  FIELD_LABELS,
+  getFieldValue,
+  mergeTask,
+  sameValue,
+} from "../utils/taskMerge";
+import FieldValue from "./FieldValue";
+
+const ConflictItem = ({ task, projects, onResolve }) => {
+  const serverTask = task.conflict;
+  const { merged, conflicts } = mergeTask(task.base, task, serverTask);
+  const [values, setValues] = useState(merged);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Solo se muestran los campos en los que las dos copias difieren
+  const differingFields = MERGE_FIELDS.filter(
+    (field) =>
+      conflicts.includes(field) ||
+      !sameValue(
+        field,
+        getFieldValue(task, field),
+        getFieldValue(serverTask, field)
+      )
+  );
+
+  const choose = (field, value) => {
+    setValues((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleResolve = async () => {
+    setIsSaving(true);
+    try {
+      await onResolve(task.id, values);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 mb-4">
+      <h3 className="font-semibold text-gray-900 mb-3">
+        {serverTask.title || task.title}
+      </h3>
+
+      <div className="grid grid-cols-2 gap-2 text-xs font-medium text-gray-500 mb-2">
+        <span>Este dispositivo</span>
+        <span>Servidor</span>
+      </div>
+
+      {differingFields.map((field) => {
+        const localValue = getFieldValue(task, field);
+        const serverValue = getFieldValue(serverTask, field);
+        const isConflict = conflicts.includes(field);
+
+        return (
+          <div key={field} className="mb-3">
+            <div className="flex items-center justify-between text-sm font-medium text-gray-700 mb-1">
+              <span>{FIELD_LABELS[field]}</span>
+              {!isConflict && (
+                <span className="text-xs text-green-600">Fusionado</span>
+              )}
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              {[localValue, serverValue].map((value, index) => (
+                <button
+                  key={index}
+                  type="button"
+                  onClick={() => choose(field, value)}
+                  className={`text-left text-sm p-2 rounded-lg border transition-colors break-words ${
+                    values[field] === value
+                      ? "border-blue-500 bg-blue-50"
+                      : "border-gray-200 hover:bg-gray-50"
+                  }`}
+                >
+                  <FieldValue field={field} value={value} projects={projects} />
+                </button>
+              ))}
+            </div>
+
+            {/* Los textos se pueden combinar a mano */}
+            {(field === "title" || field === "description") && isConflict && (
+              <textarea
+                value={values[field]}
+                onChange={(e) => choose(field, e.target.value)}
+                rows={field === "title" ? 1 : 2}
+                className="mt-2 w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            )}
+          </div>
+        );
+      })}
+
+      <button
+        type="button"
+        onClick={handleResolve}
+        disabled={isSaving || !values.title?.trim()}
+        className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+      >
+        {isSaving ? "Guardando..." : "Guardar resolución"}
+      </button>
+    </div>
+  );
+};
+
+const ConflictModal = ({
+  isOpen,
+  onClose,
+  conflicts,
+  projects = [],
+  onResolve,
+}) => {
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div className="flex items-center space-x-2">
+            <GitMerge className="w-6 h-6 text-orange-500" />
+            <h2 className="text-xl font-semibold text-gray-900">
+              Conflictos de sincronización
+            </h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6">
+          {conflicts.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">
+              No hay conflictos pendientes
+            </p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600 mb-4">
+                Estas tareas se editaron aquí y en otro dispositivo. Elige qué
+                valor conservar en cada campo.
+              </p>
+              {conflicts.map((task) => (
+                <ConflictItem
+                  key={`${task.id}-${task.conflict.version}`}
+                  task={task}
+                  projects={projects}
+                  onResolve={onResolve}
+                />
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictModal;
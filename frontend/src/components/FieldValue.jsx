@@ -0,0 +1,67 @@
+import React from "react";
+import { describeRule } from "../utils/recurrence";
+import { getTagColor } from "../utils/tags";
+
+const PRIORITY_LABELS = { high: "Alta", medium: "Media", low: "Baja" };
+
+// Valor de un campo de la tarea tal como se muestra al compararlo
+const FieldValue = ({ field, value, projects = [] }) => {
+  switch (field) {
+    case "photo":
+      return value ? (
+        <img
+          src={value}
+          alt="Foto"
+          className="w-full h-20 object-cover rounded border"
+        />
+      ) : (
+        <span className="italic text-gray-400">Sin foto</span>
+      );
+    case "completed":
+      return value ? "Completada" : "Pendiente";
+    case "priority":
+      return PRIORITY_LABELS[value] || value;
+    case "recurrence":
+      return value ? (
+        describeRule(value)
+      ) : (
+        <span className="italic text-gray-400">No se repite</span>
+      );
+    case "tags":
+      return value.length > 0 ? (
+        <span className="flex flex-wrap gap-1">
+          {value.map((tag) => (
+            <span
+              key={tag}
+              className={`px-1.5 py-0.5 text-xs rounded-full border ${getTagColor(tag)}`}
+            >
+              #{tag}
+            </span>
+          ))}
+        </span>
+      ) : (
+        <span className="italic text-gray-400">Sin etiquetas</span>
+      );
+    case "projectId": {
+      if (!value) {
+        return <span className="italic text-gray-400">Sin proyecto</span>;
+      }
+      const project = projects.find((p) => p.id === value);
+      return project ? (
+        project.name
+      ) : (
+        <span className="italic text-gray-400">Proyecto eliminado</span>
+      );
+    }
+    case "dueDate":
+      return value ? (
+        new Date(value).toLocaleString("es-ES")
+      ) : (
+        <span className="italic text-gray-400">Sin fecha</span>
+      );
+    default:
+      return value || <span className="italic text-gray-400">Vacío</span>;
+  }
+};
+
+export default FieldValue;
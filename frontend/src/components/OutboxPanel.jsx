@@ -0,0 +1,136 @@
+import React from "react";
+import { X, UploadCloud, RotateCcw, Trash2, Clock, AlertTriangle } from "lucide-react";
+import { OUTBOX_STATUS } from "../utils/outbox";
+
+const OPERATION_LABELS = {
+  create: "Crear",
+  update: "Editar",
+  delete: "Mover a la papelera",
+  restore: "Restaurar",
+  purge: "Eliminar definitivamente",
+  "checklist-upsert": "Editar lista",
+  "checklist-delete": "Quitar de la lista",
+};
+
+const OutboxEntry = ({ entry, title, onRetry, onDiscard }) => {
+  const isFailed = entry.status === OUTBOX_STATUS.FAILED;
+
+  return (
+    <li
+      className={`border rounded-lg p-3 ${
+        isFailed ? "border-red-200 bg-red-50" : "border-gray-200"
+      }`}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-900 truncate">
+            <span className="text-gray-500">
+              {OPERATION_LABELS[entry.type]}:
+            </span>{" "}
+            {title}
+          </p>
+          <p className="text-xs text-gray-500 flex items-center space-x-1 mt-1">
+            {isFailed ? (
+              <AlertTriangle className="w-3 h-3 text-red-500" />
+            ) : (
+              <Clock className="w-3 h-3" />
+            )}
+            <span>
+              {isFailed
+                ? entry.lastError || "Rechazada por el servidor"
+                : entry.attempts > 0
+                ? `Reintento ${entry.attempts} · ${new Date(
+                    entry.nextAttemptAt
+                  ).toLocaleTimeString()}`
+                : "Pendiente de envío"}
+            </span>
+          </p>
+        </div>
+
+        {isFailed && (
+          <div className="flex items-center space-x-1 flex-shrink-0">
+            <button
+              onClick={() => onRetry(entry.seq)}
+              className="p-1 text-blue-600 hover:bg-blue-100 rounded transition-colors"
+              title="Reintentar"
+            >
+              <RotateCcw className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => onDiscard(entry.seq)}
+              className="p-1 text-red-600 hover:bg-red-100 rounded transition-colors"
+              title="Descartar cambio"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+      </div>
+    </li>
+  );
+};
+
+const OutboxPanel = ({ isOpen, onClose, entries, tasks, onRetry, onDiscard }) => {
+  if (!isOpen) return null;
+
+  // Los borrados ya no tienen la tarea en local, así que el título puede faltar
+  const getTitle = (entry) => {
+    const task = tasks.find((t) => t.id === entry.taskId);
+    const title = entry.data?.title || task?.title || "Tarea eliminada";
+    if (!entry.itemId) return title;
+
+    const itemText =
+      entry.data?.text ||
+      task?.checklist?.find((item) => item.id === entry.itemId)?.text;
+    return itemText ? `${title} · ${itemText}` : title;
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div className="flex items-center space-x-2">
+            <UploadCloud className="w-6 h-6 text-blue-500" />
+            <h2 className="text-xl font-semibold text-gray-900">
+              Cambios sin enviar
+            </h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6">
+          {entries.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">
+              Todos los cambios están sincronizados
+            </p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600 mb-4">
+                Estos cambios se enviarán al servidor en orden en cuanto haya
+                conexión. Los rechazados puedes reintentarlos o descartarlos.
+              </p>
+              <ul className="space-y-2">
+                {entries.map((entry) => (
+                  <OutboxEntry
+                    key={entry.seq}
+                    entry={entry}
+                    title={getTitle(entry)}
+                    onRetry={onRetry}
+                    onDiscard={onDiscard}
+                  />
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OutboxPanel;
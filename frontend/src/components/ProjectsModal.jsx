@@ -0,0 +1,457 @@
+import React, { useState, useEffect } from "react";
+import {
+  X,
+  FolderKanban,
+  ChevronUp,
+  ChevronDown,
+  Trash2,
+  Plus,
+  WifiOff,
+  Users,
+  LogOut,
+} from "lucide-react";
+import {
+  PROJECT_COLORS,
+  PROJECT_ROLES,
+  ROLE_LABELS,
+  hasProjectRole,
+  moveProject,
+} from "../utils/projects";
+
+// Miembros de la lista. Solo el propietario y los administradores invitan,
+// cambian papeles y quitan a otros.
+const MembersPanel = ({
+  project,
+  currentUserId,
+  canManage,
+  disabled,
+  onShare,
+  onUpdateMember,
+  onRemoveMember,
+}) => {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("editor");
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const trimmed = email.trim();
+    if (!trimmed) return;
+
+    if (await onShare(project.id, trimmed, role)) setEmail("");
+  };
+
+  return (
+    <div className="mt-2 pt-2 border-t border-gray-100">
+      <ul className="space-y-1">
+        {project.members.map((member) => (
+          <li
+            key={member.userId}
+            className="flex items-center space-x-2 text-sm text-gray-700"
+          >
+            <span className="flex-1 min-w-0 truncate">
+              {member.email}
+              {member.userId === currentUserId && " (tú)"}
+            </span>
+            {canManage &&
+            member.role !== "owner" &&
+            member.userId !== currentUserId ? (
+              <>
+                <select
+                  value={member.role}
+                  onChange={(e) =>
+                    onUpdateMember(project.id, member.userId, e.target.value)
+                  }
+                  disabled={disabled}
+                  className="px-2 py-1 border border-gray-300 rounded-lg text-xs"
+                  aria-label={`Papel de ${member.email}`}
+                >
+                  {PROJECT_ROLES.map((value) => (
+                    <option key={value} value={value}>
+                      {ROLE_LABELS[value]}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => onRemoveMember(project.id, member.userId)}
+                  disabled={disabled}
+                  className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-30 transition-colors"
+                  title="Quitar de la lista"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </>
+            ) : (
+              <span className="text-xs text-gray-500">
+                {ROLE_LABELS[member.role]}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canManage && (
+        <form onSubmit={handleInvite} className="flex space-x-2 mt-2">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            disabled={disabled}
+            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50"
+            placeholder="Email de la persona invitada"
+          />
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            disabled={disabled}
+            className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+            aria-label="Papel de la persona invitada"
+          >
+            {PROJECT_ROLES.map((value) => (
+              <option key={value} value={value}>
+                {ROLE_LABELS[value]}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={disabled || !email.trim()}
+            className="px-3 py-1 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            Invitar
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+const ProjectRow = ({
+  project,
+  index,
+  count,
+  taskCount,
+  currentUserId,
+  disabled,
+  onUpdate,
+  onMove,
+  onDelete,
+  onShare,
+  onUpdateMember,
+  onRemoveMember,
+}) => {
+  const [name, setName] = useState(project.name);
+  // "delete" o "leave" mientras se pide confirmación
+  const [confirming, setConfirming] = useState(null);
+  const [isShowingMembers, setIsShowingMembers] = useState(false);
+
+  useEffect(() => {
+    setName(project.name);
+  }, [project.name]);
+
+  const isOwner = hasProjectRole(project, "owner");
+  const canManage = hasProjectRole(project, "admin");
+  const members = project.members || [];
+
+  // El nombre se guarda al salir del campo, no con cada tecla
+  const saveName = () => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setName(project.name);
+    } else if (trimmed !== project.name) {
+      onUpdate(project.id, { name: trimmed });
+    }
+  };
+
+  return (
+    <li className="border border-gray-200 rounded-lg p-3">
+      <div className="flex items-center space-x-2">
+        <input
+          type="color"
+          value={project.color}
+          onChange={(e) => onUpdate(project.id, { color: e.target.value })}
+          disabled={disabled || !canManage}
+          className="w-8 h-8 p-0 border-0 rounded cursor-pointer disabled:cursor-not-allowed flex-shrink-0"
+          aria-label={`Color de ${project.name}`}
+        />
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={saveName}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") e.target.blur();
+          }}
+          disabled={disabled || !canManage}
+          maxLength={100}
+          className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50"
+          aria-label="Nombre del proyecto"
+        />
+        {!isOwner && (
+          <span
+            className="px-2 py-0.5 rounded-full bg-blue-100 text-blue-800 text-xs font-medium flex-shrink-0"
+            title="Compartida contigo"
+          >
+            {ROLE_LABELS[project.role]}
+          </span>
+        )}
+        <span className="text-xs text-gray-500 flex-shrink-0" title="Tareas">
+          {taskCount}
+        </span>
+        <button
+          onClick={() => setIsShowingMembers(!isShowingMembers)}
+          disabled={members.length === 0}
+          className={`flex items-center space-x-1 p-1 text-xs hover:text-gray-900 disabled:opacity-30 transition-colors ${
+            isShowingMembers ? "text-blue-600" : "text-gray-500"
+          }`}
+          title="Compartir"
+        >
+          <Users className="w-4 h-4" />
+          {members.length > 1 && <span>{members.length}</span>}
+        </button>
+        <button
+          onClick={() => onMove(index, -1)}
+          disabled={disabled || !canManage || index === 0}
+          className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30 transition-colors"
+          title="Subir"
+        >
+          <ChevronUp className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => onMove(index, 1)}
+          disabled={disabled || !canManage || index === count - 1}
+          className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30 transition-colors"
+          title="Bajar"
+        >
+          <ChevronDown className="w-4 h-4" />
+        </button>
+        {isOwner ? (
+          <button
+            onClick={() => setConfirming("delete")}
+            disabled={disabled}
+            className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-30 transition-colors"
+            title="Eliminar proyecto"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        ) : (
+          <button
+            onClick={() => setConfirming("leave")}
+            disabled={disabled}
+            className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-30 transition-colors"
+            title="Salir de la lista"
+          >
+            <LogOut className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {isShowingMembers && (
+        <MembersPanel
+          project={{ ...project, members }}
+          currentUserId={currentUserId}
+          canManage={canManage}
+          disabled={disabled}
+          onShare={onShare}
+          onUpdateMember={onUpdateMember}
+          onRemoveMember={onRemoveMember}
+        />
+      )}
+
+      {confirming && (
+        <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+          <p>
+            {confirming === "delete"
+              ? "Se eliminará el proyecto. Sus tareas no se borran: quedan sin proyecto."
+              : "Dejarás de ver la lista y sus tareas hasta que vuelvan a invitarte."}
+          </p>
+          <div className="flex justify-end space-x-2 mt-2">
+            <button
+              onClick={() => setConfirming(null)}
+              className="px-3 py-1 text-gray-700 hover:bg-white rounded transition-colors"
+            >
+              Cancelar
+            </button>
+            <button
+              onClick={() =>
+                confirming === "delete"
+                  ? onDelete(project.id)
+                  : onRemoveMember(project.id, currentUserId)
+              }
+              disabled={disabled}
+              className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700 transition-colors disabled:opacity-50"
+            >
+              {confirming === "delete" ? "Eliminar" : "Salir"}
+            </button>
+          </div>
+        </div>
+      )}
+    </li>
+  );
+};
+
+const ProjectsModal = ({
+  isOpen,
+  onClose,
+  projects,
+  tasks,
+  isOnline,
+  onCreate,
+  onUpdate,
+  onDelete,
+  currentUserId,
+  onShare,
+  onUpdateMember,
+  onRemoveMember,
+}) => {
+  const [newName, setNewName] = useState("");
+  const [newColor, setNewColor] = useState(PROJECT_COLORS[0]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  // Cada proyecto nuevo propone el siguiente color de la paleta
+  useEffect(() => {
+    if (isOpen) {
+      setNewColor(PROJECT_COLORS[projects.length % PROJECT_COLORS.length]);
+      setError("");
+    }
+  }, [isOpen, projects.length]);
+
+  if (!isOpen) return null;
+
+  const disabled = !isOnline || isSaving;
+
+  // Resuelve a si la acción salió bien
+  const run = async (action) => {
+    setIsSaving(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message || "No se pudo guardar el proyecto");
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+
+    run(async () => {
+      await onCreate({ name, color: newColor });
+      setNewName("");
+    });
+  };
+
+  const handleMove = (index, offset) => {
+    run(async () => {
+      for (const project of moveProject(projects, index, offset)) {
+        await onUpdate(project.id, { position: project.position });
+      }
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div className="flex items-center space-x-2">
+            <FolderKanban className="w-6 h-6 text-blue-500" />
+            <h2 className="text-xl font-semibold text-gray-900">Proyectos</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6">
+          {!isOnline && (
+            <p className="flex items-center space-x-2 text-sm text-orange-700 bg-orange-50 border border-orange-200 rounded-lg p-3 mb-4">
+              <WifiOff className="w-4 h-4 flex-shrink-0" />
+              <span>
+                Los proyectos solo se pueden editar con conexión. Mover tareas
+                de un proyecto a otro sí funciona sin conexión.
+              </span>
+            </p>
+          )}
+
+          {error && (
+            <div className="p-2 mb-4 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+              {error}
+            </div>
+          )}
+
+          {projects.length === 0 ? (
+            <p className="text-center text-gray-500 py-4">
+              Aún no hay proyectos
+            </p>
+          ) : (
+            <ul className="space-y-2 mb-4">
+              {projects.map((project, index) => (
+                <ProjectRow
+                  key={project.id}
+                  project={project}
+                  index={index}
+                  count={projects.length}
+                  taskCount={
+                    tasks.filter((task) => task.projectId === project.id).length
+                  }
+                  currentUserId={currentUserId}
+                  disabled={disabled}
+                  onUpdate={(id, changes) => run(() => onUpdate(id, changes))}
+                  onMove={handleMove}
+                  onDelete={(id) => run(() => onDelete(id))}
+                  onShare={(id, email, role) =>
+                    run(() => onShare(id, email, role))
+                  }
+                  onUpdateMember={(id, userId, role) =>
+                    run(() => onUpdateMember(id, userId, role))
+                  }
+                  onRemoveMember={(id, userId) =>
+                    run(() => onRemoveMember(id, userId))
+                  }
+                />
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleCreate} className="flex space-x-2">
+            <input
+              type="color"
+              value={newColor}
+              onChange={(e) => setNewColor(e.target.value)}
+              disabled={disabled}
+              className="w-10 h-10 p-0 border-0 rounded cursor-pointer disabled:cursor-not-allowed flex-shrink-0"
+              aria-label="Color del proyecto nuevo"
+            />
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              disabled={disabled}
+              maxLength={100}
+              className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50"
+              placeholder="Nuevo proyecto"
+            />
+            <button
+              type="submit"
+              disabled={disabled || !newName.trim()}
+              className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+              title="Crear proyecto"
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectsModal;
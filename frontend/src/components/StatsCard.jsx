@@ -1,9 +1,15 @@
 import React from 'react';
-import { CheckSquare, Clock, AlertCircle, TrendingUp } from 'lucide-react';
+import { CheckSquare, Clock, AlertCircle, CalendarX, TrendingUp, Tag } from 'lucide-react';
+import { getTagColor } from '../utils/tags';
 
-const StatsCard = ({ stats }) => {
+// `title` dice de qué proyecto son los números cuando no se ven todos
+const StatsCard = ({ stats, title = 'Estadísticas' }) => {
   const completionRate = stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0;
 
+  // Las etiquetas más usadas primero
+  const tagCounts = Object.entries(stats.tags || {})
+    .sort(([tagA, countA], [tagB, countB]) => countB - countA || tagA.localeCompare(tagB));
+
   const statItems = [
     {
       icon: TrendingUp,
@@ -28,20 +34,26 @@ const StatsCard = ({ stats }) => {
       label: 'Alta prioridad',
       value: stats.highPriority,
       color: 'text-red-600 bg-red-50'
+    },
+    {
+      icon: CalendarX,
+      label: 'Vencidas',
+      value: stats.overdue || 0,
+      color: 'text-rose-700 bg-rose-50'
     }
   ];
 
   return (
     <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
       <div className="flex items-center justify-between mb-4">
-        <h2 className="text-lg font-semibold text-gray-900">Estadísticas</h2>
+        <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
         <div className="text-right">
           <div className="text-2xl font-bold text-blue-600">{completionRate}%</div>
           <div className="text-sm text-gray-500">Completado</div>
         </div>
       </div>
 
-      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+      <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-5 gap-4">
         {statItems.map((item, index) => (
           <div key={index} className="text-center">
             <div className={`inline-flex p-3 rounded-full ${item.color} mb-2`}>
@@ -67,6 +79,25 @@ const StatsCard = ({ stats }) => {
           </div>
         </div>
       )}
+
+      {tagCounts.length > 0 && (
+        <div className="mt-4">
+          <div className="flex items-center space-x-1 text-sm text-gray-600 mb-2">
+            <Tag className="w-4 h-4" />
+            <span>Etiquetas</span>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {tagCounts.map(([tag, count]) => (
+              <span
+                key={tag}
+                className={`px-2 py-1 rounded-full border text-xs font-medium ${getTagColor(tag)}`}
+              >
+                #{tag} · {count}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
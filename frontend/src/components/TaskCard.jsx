@@ -1,7 +1,13 @@
 import React from 'react';
-import { CheckSquare, Square, Calendar, Camera, Trash2, CreditCard as Edit } from 'lucide-react';
+import { CheckSquare, Square, Calendar, CalendarClock, Camera, Repeat, ListChecks, Users, Eye, Trash2, CreditCard as Edit } from 'lucide-react';
+import { isOverdue } from '../utils/dueDate';
+import { describeRule } from '../utils/recurrence';
+import { getChecklistProgress } from '../utils/checklist';
+import { getTagColor } from '../utils/tags';
 
-const TaskCard = ({ task, onToggleComplete, onEdit, onDelete }) => {
+// `members` solo llega para las tareas de listas compartidas, y `readOnly`
+// cuando la lista se comparte con el usuario como lector
+const TaskCard = ({ task, project, members, currentUserId, readOnly, onToggleComplete, onToggleChecklistItem, onTagClick, onEdit, onDelete }) => {
   const getPriorityColor = (priority) => {
     switch (priority) {
       case 'high': return 'border-l-red-500 bg-red-50';
@@ -36,13 +42,37 @@ const TaskCard = ({ task, onToggleComplete, onEdit, onDelete }) => {
     }
   };
 
+  // Quién creó, editó por última vez y completó la tarea
+  const describeAuthors = () => {
+    const getName = (userId) => {
+      if (userId === currentUserId) return 'ti';
+      const member = members.find(m => m.userId === userId);
+      return member ? member.email : 'un antiguo miembro';
+    };
+
+    const parts = [];
+    if (task.createdBy) parts.push(`Creada por ${getName(task.createdBy)}`);
+    if (task.updatedBy && task.updatedAt !== task.createdAt) {
+      parts.push(`Editada por ${getName(task.updatedBy)}`);
+    }
+    if (task.completed && task.completedBy) {
+      parts.push(`Completada por ${getName(task.completedBy)}`);
+    }
+    return parts.join(' · ');
+  };
+
+  const overdue = isOverdue(task);
+  const checklist = task.checklist || [];
+  const progress = getChecklistProgress(checklist);
+
   return (
     <div className={`border-l-4 rounded-lg shadow-sm p-4 mb-3 transition-all duration-200 hover:shadow-md ${getPriorityColor(task.priority)} ${task.completed ? 'opacity-75' : ''}`}>
       <div className="flex items-start justify-between">
         <div className="flex items-start space-x-3 flex-1">
           <button
             onClick={() => onToggleComplete(task.id)}
-            className="mt-1 text-blue-600 hover:text-blue-800 transition-colors duration-200"
+            disabled={readOnly}
+            className="mt-1 text-blue-600 hover:text-blue-800 transition-colors duration-200 disabled:cursor-not-allowed disabled:hover:text-blue-600"
           >
             {task.completed ? (
               <CheckSquare className="w-5 h-5" />
@@ -61,13 +91,99 @@ const TaskCard = ({ task, onToggleComplete, onEdit, onDelete }) => {
                 {task.description}
               </p>
             )}
+
+            {task.tags && task.tags.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {task.tags.map(tag => (
+                  <button
+                    key={tag}
+                    onClick={() => onTagClick(tag)}
+                    className={`px-2 py-0.5 rounded-full border text-xs font-medium hover:opacity-80 transition-opacity ${getTagColor(tag)}`}
+                    title={`Filtrar por #${tag}`}
+                  >
+                    #{tag}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {checklist.length > 0 && (
+              <div className="mt-2">
+                <div className="flex items-center space-x-2 text-sm text-gray-500" title="Progreso de la lista">
+                  <ListChecks className="w-4 h-4" />
+                  <span>{progress.done}/{progress.total}</span>
+                  <div className="flex-1 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-blue-600 rounded-full transition-all duration-200"
+                      style={{ width: `${(progress.done / progress.total) * 100}%` }}
+                    />
+                  </div>
+                </div>
+
+                <ul className="mt-2 space-y-1">
+                  {checklist.map(item => (
+                    <li key={item.id}>
+                      <button
+                        onClick={() => onToggleChecklistItem(task.id, item.id)}
+                        disabled={readOnly}
+                        className="flex items-start space-x-2 text-sm text-left hover:text-blue-800 transition-colors duration-200 disabled:cursor-not-allowed"
+                        aria-pressed={item.done}
+                      >
+                        {item.done ? (
+                          <CheckSquare className="w-4 h-4 mt-0.5 flex-shrink-0 text-blue-600" />
+                        ) : (
+                          <Square className="w-4 h-4 mt-0.5 flex-shrink-0 text-blue-600" />
+                        )}
+                        <span className={item.done ? 'line-through text-gray-400' : 'text-gray-700'}>
+                          {item.text}
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
             
-            <div className="flex items-center mt-2 space-x-4 text-sm text-gray-500">
+            <div className="flex flex-wrap items-center mt-2 gap-x-4 gap-y-1 text-sm text-gray-500">
+              {project && (
+                <div className="flex items-center space-x-1" title="Proyecto">
+                  <span
+                    className="w-2.5 h-2.5 rounded-full flex-shrink-0"
+                    style={{ backgroundColor: project.color }}
+                  />
+                  <span>{project.name}</span>
+                </div>
+              )}
+
               <div className="flex items-center space-x-1">
                 <Calendar className="w-4 h-4" />
                 <span>{formatDate(task.createdAt)}</span>
               </div>
+
+              {task.dueDate && (
+                <div
+                  className={`flex items-center space-x-1 ${overdue ? 'text-red-600 font-medium' : ''}`}
+                  title={overdue ? 'Tarea vencida' : 'Fecha límite'}
+                >
+                  <CalendarClock className="w-4 h-4" />
+                  <span>{overdue ? `Venció ${formatDate(task.dueDate)}` : `Vence ${formatDate(task.dueDate)}`}</span>
+                </div>
+              )}
               
+              {task.recurrence && (
+                <div className="flex items-center space-x-1" title="Tarea repetida">
+                  <Repeat className="w-4 h-4" />
+                  <span>{describeRule(task.recurrence)}</span>
+                </div>
+              )}
+
+              {members && (
+                <div className="flex items-center space-x-1" title="Lista compartida">
+                  <Users className="w-4 h-4" />
+                  <span>{describeAuthors()}</span>
+                </div>
+              )}
+
               {(task.photo || task.image) && (
                 <div className="flex items-center space-x-1">
                   <Camera className="w-4 h-4" />
@@ -86,21 +202,28 @@ const TaskCard = ({ task, onToggleComplete, onEdit, onDelete }) => {
           </div>
         </div>
         
-        <div className="flex items-center space-x-2 ml-4">
-          <button
-            onClick={() => onEdit(task)}
-            className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-all duration-200"
-          >
-            <Edit className="w-4 h-4" />
-          </button>
-          
-          <button
-            onClick={() => onDelete(task.id)}
-            className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-all duration-200"
-          >
-            <Trash2 className="w-4 h-4" />
-          </button>
-        </div>
+        {readOnly ? (
+          <div className="p-2 ml-4 text-gray-400" title="Solo lectura">
+            <Eye className="w-4 h-4" />
+          </div>
+        ) : (
+          <div className="flex items-center space-x-2 ml-4">
+            <button
+              onClick={() => onEdit(task)}
+              className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-all duration-200"
+            >
+              <Edit className="w-4 h-4" />
+            </button>
+            
+            <button
+              onClick={() => onDelete(task.id)}
+              className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-all duration-200"
+              title="Mover a la papelera"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        )}
       </div>
       
       {(task.photo || task.image) && (
@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from "react";
+import { History, ChevronUp, ChevronDown, RotateCcw } from "lucide-react";
+import FieldValue from "./FieldValue";
+import { FIELD_LABELS } from "../utils/taskMerge";
+import { logger } from "../utils/logger";
+
+const describeRevision = (revision) => {
+  switch (revision.type) {
+    case "created":
+      return "Creada";
+    case "restored":
+      return `Restaurada la versión ${revision.restoredFrom}`;
+    case "trashed":
+      return "Movida a la papelera";
+    case "untrashed":
+      return "Recuperada de la papelera";
+    default:
+      return "Editada";
+  }
+};
+
+const formatChangedAt = (date) =>
+  new Intl.DateTimeFormat("es-ES", {
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(new Date(date));
+
+const Revision = ({
+  revision,
+  isCurrent,
+  canRestore,
+  isRestoring,
+  currentUserId,
+  projects,
+  onRestore,
+}) => {
+  // La zona horaria acompaña a la repetición y no se muestra aparte
+  const fields = Object.keys(revision.changes || {}).filter(
+    (field) => FIELD_LABELS[field]
+  );
+  const author = revision.author
+    ? revision.author.id === currentUserId
+      ? "ti"
+      : revision.author.email
+    : null;
+
+  return (
+    <li className="border border-gray-200 rounded-lg p-3">
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-900">
+            v{revision.version} · {describeRevision(revision)}
+            {isCurrent && (
+              <span className="ml-2 text-xs text-green-600">Actual</span>
+            )}
+          </p>
+          <p className="text-xs text-gray-500">
+            {formatChangedAt(revision.changedAt)}
+            {author && ` · por ${author}`}
+          </p>
+        </div>
+
+        {!isCurrent && (
+          <button
+            type="button"
+            onClick={() => onRestore(revision.version)}
+            disabled={!canRestore || isRestoring}
+            className="flex items-center space-x-1 px-2 py-1 text-xs text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 transition-colors disabled:opacity-50 flex-shrink-0"
+          >
+            <RotateCcw className="w-3 h-3" />
+            <span>Restaurar</span>
+          </button>
+        )}
+      </div>
+
+      {/* Las tareas anteriores al historial empiezan con su estado de entonces */}
+      {revision.changes === null ? (
+        <p className="mt-2 text-xs italic text-gray-400">
+          Estado al activarse el historial
+        </p>
+      ) : (
+        fields.length > 0 && (
+          <dl className="mt-2 space-y-1 text-xs">
+            {fields.map((field) => (
+              <div key={field} className="grid grid-cols-3 gap-2">
+                <dt className="text-gray-500">{FIELD_LABELS[field]}</dt>
+                <dd className="col-span-2 text-gray-700 break-words">
+                  {revision.type !== "created" && (
+                    <>
+                      <span className="line-through text-gray-400">
+                        <FieldValue
+                          field={field}
+                          value={revision.changes[field].from}
+                          projects={projects}
+                        />
+                      </span>{" "}
+                      →{" "}
+                    </>
+                  )}
+                  <FieldValue
+                    field={field}
+                    value={revision.changes[field].to}
+                    projects={projects}
+                  />
+                </dd>
+              </div>
+            ))}
+          </dl>
+        )
+      )}
+    </li>
+  );
+};
+
+// Historial de versiones de una tarea. Se pide al servidor al desplegarlo,
+// así que solo está disponible con conexión.
+const TaskHistory = ({
+  task,
+  isOnline,
+  currentUserId,
+  projects = [],
+  onLoad,
+  onRestore,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [revisions, setRevisions] = useState(null);
+  const [error, setError] = useState("");
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !isOnline) return;
+
+    let cancelled = false;
+    setError("");
+    onLoad(task.id)
+      .then((history) => {
+        if (!cancelled) setRevisions(history);
+      })
+      .catch((err) => {
+        logger.error("Error loading task history:", err);
+        if (!cancelled) setError("No se pudo cargar el historial");
+      });
+    return () => {
+      cancelled = true;
+    };
+    // Se vuelve a pedir cuando cambia la versión de la tarea
+  }, [isOpen, isOnline, task.id, task.version, onLoad]);
+
+  const handleRestore = async (version) => {
+    setIsRestoring(true);
+    setError("");
+    try {
+      await onRestore(task.id, version);
+    } catch (err) {
+      logger.error("Error restoring task revision:", err);
+      setError(
+        err.status === 409
+          ? "La tarea cambió mientras tanto; vuelve a intentarlo"
+          : err.message || "No se pudo restaurar la versión"
+      );
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  // Sin sincronizar, la versión del servidor no es la que se está viendo
+  const canRestore = isOnline && task.synced !== false;
+
+  return (
+    <div className="px-6 pb-6">
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        className="w-full flex items-center justify-between py-2 text-sm font-medium text-gray-700 border-t"
+      >
+        <span className="flex items-center space-x-2">
+          <History className="w-4 h-4" />
+          <span>Historial de cambios</span>
+        </span>
+        {isOpen ? (
+          <ChevronUp className="w-4 h-4" />
+        ) : (
+          <ChevronDown className="w-4 h-4" />
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="mt-2">
+          {!isOnline ? (
+            <p className="text-sm text-gray-500">
+              El historial necesita conexión con el servidor
+            </p>
+          ) : error && !revisions ? (
+            <p className="text-sm text-red-600">{error}</p>
+          ) : !revisions ? (
+            <p className="text-sm text-gray-500">Cargando historial...</p>
+          ) : (
+            <>
+              {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+              {!canRestore && (
+                <p className="mb-2 text-xs text-gray-500">
+                  Sincroniza los cambios pendientes para restaurar una versión
+                </p>
+              )}
+              <ul className="space-y-2">
+                {revisions.map((revision, index) => (
+                  <Revision
+                    key={revision.version}
+                    revision={revision}
+                    isCurrent={index === 0}
+                    canRestore={canRestore}
+                    isRestoring={isRestoring}
+                    currentUserId={currentUserId}
+                    projects={projects}
+                    onRestore={handleRestore}
+                  />
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TaskHistory;
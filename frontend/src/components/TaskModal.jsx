@@ -1,13 +1,87 @@
 import React, { useState, useRef, useEffect } from "react";
-import { X, Camera, Upload, RotateCcw } from "lucide-react";
+import {
+  X,
+  Camera,
+  Upload,
+  RotateCcw,
+  CheckSquare,
+  Square,
+  ChevronUp,
+  ChevronDown,
+  Plus,
+  Tag,
+} from "lucide-react";
+import TaskHistory from "./TaskHistory";
 import { useCamera } from "../hooks/useCamera";
 import { logger } from "../utils/logger";
+import {
+  toDateTimeLocalValue,
+  fromDateTimeLocalValue,
+} from "../utils/dueDate";
+import {
+  parseRule,
+  formatRule,
+  getLocalTimeZone,
+  WEEKDAY_ORDER,
+  WEEKDAY_LABELS,
+} from "../utils/recurrence";
+import { createChecklistItem, moveChecklistItem } from "../utils/checklist";
+import {
+  normalizeTag,
+  normalizeTags,
+  getTagColor,
+  MAX_TAGS,
+} from "../utils/tags";
+
+// Sugerencias de autocompletado que se muestran como máximo
+const MAX_TAG_SUGGESTIONS = 6;
+
+const REPEAT_UNITS = {
+  DAILY: "días",
+  WEEKLY: "semanas",
+  MONTHLY: "meses",
+  YEARLY: "años",
+};
+
+// Campos del formulario a partir de una regla guardada
+const getRepeatState = (recurrence) => {
+  const rule = parseRule(recurrence);
+  return {
+    freq: rule ? rule.freq : "",
+    interval: rule ? rule.interval : 1,
+    byDay: (rule && rule.byDay) || [],
+    end: rule && rule.count ? "count" : rule && rule.until ? "until" : "never",
+    count: (rule && rule.count) || 5,
+    until:
+      rule && rule.until ? toDateTimeLocalValue(rule.until).slice(0, 10) : "",
+  };
+};
 
-const TaskModal = ({ isOpen, onClose, onSave, task }) => {
+const TaskModal = ({
+  isOpen,
+  onClose,
+  onSave,
+  task,
+  availableTags = [],
+  projects = [],
+  defaultProjectId = null,
+  isOnline = false,
+  currentUserId = null,
+  onLoadHistory,
+  onRestoreRevision,
+}) => {
   // IMPORTANTE: Todos los hooks deben estar al inicio, antes de cualquier return
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
   const [priority, setPriority] = useState("medium");
+  const [dueDate, setDueDate] = useState("");
+  const [repeat, setRepeat] = useState(() => getRepeatState(null));
+  const [formError, setFormError] = useState("");
+  const [checklist, setChecklist] = useState([]);
+  const [newItemText, setNewItemText] = useState("");
+  const [tags, setTags] = useState([]);
+  const [tagInput, setTagInput] = useState("");
+  const [projectId, setProjectId] = useState("");
   const [photo, setPhoto] = useState("");
   const [showCamera, setShowCamera] = useState(false);
 
@@ -30,6 +104,11 @@ const TaskModal = ({ isOpen, onClose, onSave, task }) => {
       setTitle(task.title);
       setDescription(task.description);
       setPriority(task.priority);
+      setDueDate(toDateTimeLocalValue(task.dueDate));
+      setRepeat(getRepeatState(task.recurrence));
+      setChecklist(task.checklist || []);
+      setTags(task.tags || []);
+      setProjectId(task.projectId || "");
 
       if (task.photo) {
         setPhoto(task.photo);
@@ -42,9 +121,18 @@ const TaskModal = ({ isOpen, onClose, onSave, task }) => {
       setTitle("");
       setDescription("");
       setPriority("medium");
+      setDueDate("");
+      setRepeat(getRepeatState(null));
+      setChecklist([]);
+      setTags([]);
+      // Las tareas nuevas van al proyecto que se está viendo
+      setProjectId(defaultProjectId || "");
       setPhoto("");
     }
-  }, [task]);
+    setNewItemText("");
+    setTagInput("");
+    setFormError("");
+  }, [task, defaultProjectId]);
 
   useEffect(() => {
     return () => {
@@ -54,15 +142,108 @@ const TaskModal = ({ isOpen, onClose, onSave, task }) => {
     };
   }, [showCamera, stopCamera]);
 
+  const updateRepeat = (changes) => {
+    setRepeat((current) => ({ ...current, ...changes }));
+    setFormError("");
+  };
+
+  const toggleRepeatDay = (day) => {
+    updateRepeat({
+      byDay: repeat.byDay.includes(day)
+        ? repeat.byDay.filter((d) => d !== day)
+        : [...repeat.byDay, day],
+    });
+  };
+
+  const addChecklistItem = () => {
+    const text = newItemText.trim();
+    if (!text) return;
+
+    setChecklist((items) => [...items, createChecklistItem(text, items)]);
+    setNewItemText("");
+  };
+
+  const updateChecklistItem = (id, changes) => {
+    setChecklist((items) =>
+      items.map((item) => (item.id === id ? { ...item, ...changes } : item))
+    );
+  };
+
+  const removeChecklistItem = (id) => {
+    setChecklist((items) => items.filter((item) => item.id !== id));
+  };
+
+  // Admite varias etiquetas separadas por comas
+  const addTags = (text) => {
+    const added = text.split(",").map(normalizeTag).filter(Boolean);
+    if (added.length > 0) {
+      setTags((current) => normalizeTags([...current, ...added]));
+    }
+    setTagInput("");
+  };
+
+  const removeTag = (tag) => {
+    setTags((current) => current.filter((t) => t !== tag));
+  };
+
+  const typedTag = normalizeTag(tagInput) || "";
+  const tagSuggestions = availableTags
+    .filter((tag) => !tags.includes(tag) && tag.includes(typedTag))
+    .slice(0, MAX_TAG_SUGGESTIONS);
+
+  const buildRecurrence = () => {
+    if (!repeat.freq) return null;
+
+    const usesDays = repeat.freq === "DAILY" || repeat.freq === "WEEKLY";
+    return formatRule({
+      freq: repeat.freq,
+      interval: Math.max(1, parseInt(repeat.interval, 10) || 1),
+      byDay:
+        usesDays && repeat.byDay.length > 0
+          ? WEEKDAY_ORDER.filter((day) => repeat.byDay.includes(day))
+          : null,
+      count:
+        repeat.end === "count"
+          ? Math.max(1, parseInt(repeat.count, 10) || 1)
+          : null,
+      // Hasta el final del día elegido, en hora local
+      until:
+        repeat.end === "until" && repeat.until
+          ? new Date(`${repeat.until}T23:59:59`)
+          : null,
+    });
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!title.trim()) return;
 
+    const recurrence = buildRecurrence();
+    if (recurrence && !dueDate) {
+      setFormError("Para repetir la tarea indica una fecha límite");
+      return;
+    }
+
+    // Lo escrito en "Añadir elemento" sin pulsar el botón también se guarda
+    const items = newItemText.trim()
+      ? [...checklist, createChecklistItem(newItemText.trim(), checklist)]
+      : checklist;
+
     const taskData = {
       title: title.trim(),
       description: description.trim(),
       priority,
+      dueDate: fromDateTimeLocalValue(dueDate),
+      recurrence,
+      // Las repeticiones se calculan en la zona horaria en que se creó la regla
+      timeZone: recurrence ? task?.timeZone || getLocalTimeZone() : null,
       completed: task?.completed || false,
+      // Lo escrito en el campo de etiquetas también cuenta
+      tags: normalizeTags([...tags, ...tagInput.split(",")]),
+      projectId: projectId || null,
+      checklist: items
+        .filter((item) => item.text.trim())
+        .map((item) => ({ ...item, text: item.text.trim() })),
     };
 
     if (photo) {
@@ -283,6 +464,334 @@ const TaskModal = ({ isOpen, onClose, onSave, task }) => {
             </select>
           </div>
 
+          {projects.length > 0 && (
+            <div className="mb-4">
+              <label
+                htmlFor="project"
+                className="block text-sm font-medium text-gray-700 mb-2"
+              >
+                Proyecto
+              </label>
+              <select
+                id="project"
+                value={projectId}
+                onChange={(e) => setProjectId(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">Sin proyecto</option>
+                {projects.map((project) => (
+                  <option key={project.id} value={project.id}>
+                    {project.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="mb-4">
+            <label
+              htmlFor="dueDate"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Fecha límite (opcional)
+            </label>
+            <div className="flex space-x-2">
+              <input
+                type="datetime-local"
+                id="dueDate"
+                value={dueDate}
+                onChange={(e) => setDueDate(e.target.value)}
+                className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              {dueDate && (
+                <button
+                  type="button"
+                  onClick={() => setDueDate("")}
+                  className="px-3 py-2 text-sm text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+                >
+                  Quitar
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="mb-4">
+            <label
+              htmlFor="repeatFreq"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Repetir
+            </label>
+            <div className="flex space-x-2">
+              <select
+                id="repeatFreq"
+                value={repeat.freq}
+                onChange={(e) => updateRepeat({ freq: e.target.value })}
+                className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">No se repite</option>
+                <option value="DAILY">Diariamente</option>
+                <option value="WEEKLY">Semanalmente</option>
+                <option value="MONTHLY">Mensualmente</option>
+                <option value="YEARLY">Anualmente</option>
+              </select>
+              {repeat.freq && (
+                <div className="flex items-center space-x-2 text-sm text-gray-600">
+                  <span>cada</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={repeat.interval}
+                    onChange={(e) => updateRepeat({ interval: e.target.value })}
+                    className="w-16 px-2 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    aria-label="Intervalo"
+                  />
+                  <span>{REPEAT_UNITS[repeat.freq]}</span>
+                </div>
+              )}
+            </div>
+
+            {(repeat.freq === "DAILY" || repeat.freq === "WEEKLY") && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {WEEKDAY_ORDER.map((day) => (
+                  <button
+                    key={day}
+                    type="button"
+                    onClick={() => toggleRepeatDay(day)}
+                    className={`w-9 h-9 rounded-full text-xs font-medium transition-colors ${
+                      repeat.byDay.includes(day)
+                        ? "bg-blue-600 text-white"
+                        : "bg-gray-100 text-gray-600 hover:bg-gray-200"
+                    }`}
+                  >
+                    {WEEKDAY_LABELS[day]}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {repeat.freq && (
+              <div className="flex flex-wrap items-center gap-2 mt-2 text-sm text-gray-600">
+                <span>Termina</span>
+                <select
+                  value={repeat.end}
+                  onChange={(e) => updateRepeat({ end: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  aria-label="Fin de la repetición"
+                >
+                  <option value="never">Nunca</option>
+                  <option value="count">Tras varias veces</option>
+                  <option value="until">En una fecha</option>
+                </select>
+                {repeat.end === "count" && (
+                  <>
+                    <input
+                      type="number"
+                      min="1"
+                      value={repeat.count}
+                      onChange={(e) => updateRepeat({ count: e.target.value })}
+                      className="w-16 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      aria-label="Número de veces"
+                    />
+                    <span>veces</span>
+                  </>
+                )}
+                {repeat.end === "until" && (
+                  <input
+                    type="date"
+                    value={repeat.until}
+                    onChange={(e) => updateRepeat({ until: e.target.value })}
+                    className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    aria-label="Repetir hasta"
+                  />
+                )}
+              </div>
+            )}
+
+            {formError && (
+              <p className="mt-2 text-sm text-red-600">{formError}</p>
+            )}
+          </div>
+
+          <div className="mb-4">
+            <label
+              htmlFor="tagInput"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Etiquetas
+            </label>
+
+            {tags.length > 0 && (
+              <div className="flex flex-wrap gap-1 mb-2">
+                {tags.map((tag) => (
+                  <span
+                    key={tag}
+                    className={`inline-flex items-center px-2 py-0.5 text-xs font-medium rounded-full border ${getTagColor(
+                      tag
+                    )}`}
+                  >
+                    #{tag}
+                    <button
+                      type="button"
+                      onClick={() => removeTag(tag)}
+                      className="ml-1 hover:opacity-70"
+                      aria-label={`Quitar etiqueta ${tag}`}
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+
+            <div className="flex items-center space-x-2">
+              <Tag className="w-4 h-4 text-gray-400 flex-shrink-0" />
+              <input
+                type="text"
+                id="tagInput"
+                value={tagInput}
+                onChange={(e) => setTagInput(e.target.value)}
+                onKeyDown={(e) => {
+                  // Enter y coma cierran la etiqueta; borrar con el campo
+                  // vacío quita la última
+                  if (e.key === "Enter" || e.key === ",") {
+                    e.preventDefault();
+                    addTags(tagInput);
+                  } else if (e.key === "Backspace" && !tagInput) {
+                    setTags((current) => current.slice(0, -1));
+                  }
+                }}
+                disabled={tags.length >= MAX_TAGS}
+                className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50"
+                placeholder="trabajo, casa…"
+                autoComplete="off"
+              />
+            </div>
+
+            {tagInput && tagSuggestions.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {tagSuggestions.map((tag) => (
+                  <button
+                    key={tag}
+                    type="button"
+                    onClick={() => addTags(tag)}
+                    className={`px-2 py-0.5 text-xs font-medium rounded-full border hover:opacity-80 transition-opacity ${getTagColor(
+                      tag
+                    )}`}
+                  >
+                    #{tag}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="mb-4">
+            <label
+              htmlFor="newChecklistItem"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Lista de comprobación
+            </label>
+
+            {checklist.length > 0 && (
+              <ul className="space-y-2 mb-2">
+                {checklist.map((item, index) => (
+                  <li key={item.id} className="flex items-center space-x-1">
+                    <button
+                      type="button"
+                      onClick={() =>
+                        updateChecklistItem(item.id, { done: !item.done })
+                      }
+                      className="p-1 text-blue-600 hover:text-blue-800 transition-colors"
+                      aria-label={
+                        item.done
+                          ? "Marcar como pendiente"
+                          : "Marcar como hecho"
+                      }
+                    >
+                      {item.done ? (
+                        <CheckSquare className="w-5 h-5" />
+                      ) : (
+                        <Square className="w-5 h-5" />
+                      )}
+                    </button>
+                    <input
+                      type="text"
+                      value={item.text}
+                      onChange={(e) =>
+                        updateChecklistItem(item.id, { text: e.target.value })
+                      }
+                      className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      aria-label={`Elemento ${index + 1}`}
+                    />
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setChecklist((items) =>
+                          moveChecklistItem(items, index, -1)
+                        )
+                      }
+                      disabled={index === 0}
+                      className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30 transition-colors"
+                      title="Subir"
+                    >
+                      <ChevronUp className="w-4 h-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setChecklist((items) =>
+                          moveChecklistItem(items, index, 1)
+                        )
+                      }
+                      disabled={index === checklist.length - 1}
+                      className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30 transition-colors"
+                      title="Bajar"
+                    >
+                      <ChevronDown className="w-4 h-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => removeChecklistItem(item.id)}
+                      className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+                      title="Quitar"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                id="newChecklistItem"
+                value={newItemText}
+                onChange={(e) => setNewItemText(e.target.value)}
+                onKeyDown={(e) => {
+                  // Enter añade el elemento en lugar de enviar el formulario
+                  if (e.key === "Enter") {
+                    e.preventDefault();
+                    addChecklistItem();
+                  }
+                }}
+                className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Añadir elemento"
+              />
+              <button
+                type="button"
+                onClick={addChecklistItem}
+                disabled={!newItemText.trim()}
+                className="px-3 py-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-50"
+                title="Añadir elemento"
+              >
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+
           {/* Photo Section */}
           <div className="mb-6">
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -410,6 +919,17 @@ const TaskModal = ({ isOpen, onClose, onSave, task }) => {
             </button>
           </div>
         </form>
+
+        {task && onLoadHistory && (
+          <TaskHistory
+            task={task}
+            isOnline={isOnline}
+            currentUserId={currentUserId}
+            projects={projects}
+            onLoad={onLoadHistory}
+            onRestore={onRestoreRevision}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,199 @@
+import React, { useState } from "react";
+import { X, Trash2, RotateCcw, Eye } from "lucide-react";
+
+const formatDate = (date) =>
+  new Intl.DateTimeFormat("es-ES", {
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(new Date(date));
+
+const TrashedTask = ({
+  task,
+  readOnly,
+  currentUserId,
+  onRestore,
+  onDelete,
+}) => {
+  const [isConfirming, setIsConfirming] = useState(false);
+  const deletedBy =
+    task.deletedBy && task.deletedBy !== currentUserId
+      ? " por otra persona"
+      : "";
+
+  return (
+    <li className="border border-gray-200 rounded-lg p-3">
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-900 truncate">
+            {task.title}
+          </p>
+          <p className="text-xs text-gray-500">
+            Eliminada el {formatDate(task.deletedAt)}
+            {deletedBy}
+          </p>
+          <p className="text-xs text-gray-400">
+            {/* `purgeAt` lo fija el servidor al recibir el borrado */}
+            {task.purgeAt
+              ? `Se eliminará definitivamente el ${formatDate(task.purgeAt)}`
+              : "Pendiente de sincronizar"}
+          </p>
+        </div>
+
+        {readOnly ? (
+          <div className="p-1 text-gray-400 flex-shrink-0" title="Solo lectura">
+            <Eye className="w-4 h-4" />
+          </div>
+        ) : (
+          <div className="flex items-center space-x-1 flex-shrink-0">
+            <button
+              onClick={() => onRestore(task.id)}
+              className="p-1 text-blue-600 hover:bg-blue-50 rounded transition-colors"
+              title="Restaurar"
+            >
+              <RotateCcw className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => setIsConfirming(true)}
+              className="p-1 text-red-600 hover:bg-red-50 rounded transition-colors"
+              title="Eliminar definitivamente"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {isConfirming && (
+        <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+          <p>La tarea se eliminará para siempre y no se podrá recuperar.</p>
+          <div className="flex justify-end space-x-2 mt-2">
+            <button
+              onClick={() => setIsConfirming(false)}
+              className="px-3 py-1 text-gray-700 hover:bg-white rounded transition-colors"
+            >
+              Cancelar
+            </button>
+            <button
+              onClick={() => onDelete(task.id)}
+              className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
+            >
+              Eliminar
+            </button>
+          </div>
+        </div>
+      )}
+    </li>
+  );
+};
+
+// Tareas borradas, de la más reciente a la más antigua. Se pueden restaurar
+// o eliminar para siempre; las que quedan se purgan solas al cumplir el plazo
+// de retención del servidor.
+const TrashModal = ({
+  isOpen,
+  onClose,
+  tasks,
+  isReadOnly,
+  currentUserId,
+  onRestore,
+  onDelete,
+  onEmpty,
+}) => {
+  const [isConfirmingEmpty, setIsConfirmingEmpty] = useState(false);
+
+  if (!isOpen) return null;
+
+  const sortedTasks = [...tasks].sort((a, b) =>
+    b.deletedAt.localeCompare(a.deletedAt)
+  );
+  const deletableIds = sortedTasks
+    .filter((task) => !isReadOnly(task))
+    .map((task) => task.id);
+
+  const handleEmpty = async () => {
+    await onEmpty(deletableIds);
+    setIsConfirmingEmpty(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div className="flex items-center space-x-2">
+            <Trash2 className="w-6 h-6 text-gray-500" />
+            <h2 className="text-xl font-semibold text-gray-900">Papelera</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 transition-colors"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6">
+          {sortedTasks.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">
+              La papelera está vacía
+            </p>
+          ) : (
+            <>
+              <div className="flex items-center justify-between gap-2 mb-4">
+                <p className="text-sm text-gray-600">
+                  Las tareas borradas esperan aquí hasta que se eliminen
+                  definitivamente.
+                </p>
+                <button
+                  onClick={() => setIsConfirmingEmpty(true)}
+                  disabled={deletableIds.length === 0}
+                  className="px-3 py-1 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50 flex-shrink-0"
+                >
+                  Vaciar papelera
+                </button>
+              </div>
+
+              {isConfirmingEmpty && (
+                <div className="mb-4 p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+                  <p>
+                    Se eliminarán para siempre {deletableIds.length} tarea(s).
+                  </p>
+                  <div className="flex justify-end space-x-2 mt-2">
+                    <button
+                      onClick={() => setIsConfirmingEmpty(false)}
+                      className="px-3 py-1 text-gray-700 hover:bg-white rounded transition-colors"
+                    >
+                      Cancelar
+                    </button>
+                    <button
+                      onClick={handleEmpty}
+                      className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
+                    >
+                      Vaciar
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <ul className="space-y-2">
+                {sortedTasks.map((task) => (
+                  <TrashedTask
+                    key={task.id}
+                    task={task}
+                    readOnly={isReadOnly(task)}
+                    currentUserId={currentUserId}
+                    onRestore={onRestore}
+                    onDelete={onDelete}
+                  />
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrashModal;
@@ -0,0 +1,46 @@
+import React from "react";
+import { X, Undo2 } from "lucide-react";
+
+// Aviso en la parte inferior con la última acción que se puede deshacer.
+// `count` son las acciones en la pila: tras deshacer una aparece la anterior.
+const UndoSnackbar = ({ action, count, isUndoing, onUndo, onDismiss }) => {
+  if (!action) return null;
+
+  return (
+    <div className="fixed inset-x-0 bottom-4 flex justify-center px-4 z-40 pointer-events-none">
+      <div
+        role="status"
+        className="pointer-events-auto flex items-center gap-3 max-w-md w-full sm:w-auto bg-gray-900 text-white rounded-lg shadow-lg px-4 py-3"
+      >
+        <span className="flex-1 min-w-0 text-sm truncate">
+          {action.message}
+        </span>
+        {count > 1 && (
+          <span
+            className="text-xs text-gray-400 flex-shrink-0"
+            title="Acciones que se pueden deshacer"
+          >
+            {count}
+          </span>
+        )}
+        <button
+          onClick={onUndo}
+          disabled={isUndoing}
+          className="flex items-center space-x-1 text-sm font-semibold text-blue-300 hover:text-blue-200 transition-colors disabled:opacity-50 flex-shrink-0"
+        >
+          <Undo2 className="w-4 h-4" />
+          <span>Deshacer</span>
+        </button>
+        <button
+          onClick={onDismiss}
+          className="text-gray-400 hover:text-white transition-colors flex-shrink-0"
+          title="Cerrar"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UndoSnackbar;
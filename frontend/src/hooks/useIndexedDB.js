@@ -1,5 +1,10 @@
 import { useState, useEffect } from 'react';
 import { logger } from '../utils/logger';
+import { generateId } from '../utils/uuid';
+import { OUTBOX_STATUS } from '../utils/outbox';
+import { DB_NAME, DB_VERSION, runMigrations } from '../utils/dbMigrations';
+import { checkDatabaseIntegrity, repairTask } from '../utils/dbIntegrity';
+import { sortProjects } from '../utils/projects';
 
 export const useIndexedDB = () => {
   const [db, setDb] = useState(null);
@@ -8,7 +13,7 @@ export const useIndexedDB = () => {
   useEffect(() => {
     const openDatabase = () => {
       return new Promise((resolve, reject) => {
-        const request = indexedDB.open('TaskTrackerDB', 1);
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
         
         request.onerror = () => {
           console.error('Error opening database:', request.error);
@@ -22,17 +27,7 @@ export const useIndexedDB = () => {
         
         request.onupgradeneeded = (event) => {
           logger.info('Upgrading IndexedDB schema...');
-          const database = event.target.result;
-          
-          if (database.objectStoreNames.contains('tasks')) {
-            database.deleteObjectStore('tasks');
-          }
-          
-          const store = database.createObjectStore('tasks', { keyPath: 'id' });
-          store.createIndex('completed', 'completed', { unique: false });
-          store.createIndex('createdAt', 'createdAt', { unique: false });
-          store.createIndex('priority', 'priority', { unique: false });
-          
+          runMigrations(event);
           logger.info('IndexedDB schema upgraded successfully');
         };
       });
@@ -63,7 +58,7 @@ export const useIndexedDB = () => {
 
     const newTask = {
       ...task,
-      id: Date.now().toString(),
+      id: task.id || generateId(),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       synced: false
@@ -112,31 +107,8 @@ export const useIndexedDB = () => {
           const tasks = request.result || [];
           logger.debug('Retrieved tasks from IndexedDB:', tasks.length);
           
-          const validTasks = tasks.map(task => {
-            const validatedTask = { ...task };
-            
-            if (!validatedTask.createdAt || isNaN(new Date(validatedTask.createdAt).getTime())) {
-              validatedTask.createdAt = new Date().toISOString();
-            }
-            
-            if (!validatedTask.updatedAt || isNaN(new Date(validatedTask.updatedAt).getTime())) {
-              validatedTask.updatedAt = validatedTask.createdAt;
-            }
-            
-            if (!validatedTask.id) {
-              validatedTask.id = Date.now().toString();
-            }
-            
-            if (typeof validatedTask.completed !== 'boolean') {
-              validatedTask.completed = false;
-            }
-            
-            if (!validatedTask.priority) {
-              validatedTask.priority = 'medium';
-            }
-            
-            return validatedTask;
-          });
+          // Las tareas sin arreglo posible las aparta el chequeo de integridad
+          const validTasks = tasks.map(repairTask).filter(Boolean);
           
           resolve(validTasks);
         };
@@ -157,6 +129,28 @@ export const useIndexedDB = () => {
     });
   };
 
+  const getTask = async (id) => {
+    if (!db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      try {
+        const transaction = db.transaction(['tasks'], 'readonly');
+        const store = transaction.objectStore('tasks');
+        const request = store.get(id);
+
+        request.onsuccess = () => resolve(request.result || null);
+
+        request.onerror = () => {
+          console.error('Error getting task from IndexedDB:', request.error);
+          reject(request.error);
+        };
+      } catch (error) {
+        console.error('Error in getTask:', error);
+        reject(error);
+      }
+    });
+  };
+
   const updateTask = async (id, updates) => {
     if (!db) throw new Error('Database not initialized');
 
@@ -174,7 +168,7 @@ export const useIndexedDB = () => {
               ...task,
               ...updates,
               updatedAt: new Date().toISOString(),
-              synced: false
+              synced: updates.synced ?? false
             };
             
             const putRequest = store.put(updatedTask);
@@ -209,6 +203,37 @@ export const useIndexedDB = () => {
     });
   };
 
+  // Guarda la tarea tal cual (upsert), sin tocar id, fechas ni estado de sync
+  const saveTask = async (task) => {
+    if (!db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      try {
+        const transaction = db.transaction(['tasks'], 'readwrite');
+        const store = transaction.objectStore('tasks');
+        const request = store.put(task);
+
+        request.onsuccess = () => {
+          logger.debug('Task saved in IndexedDB:', task.id);
+          resolve(task);
+        };
+
+        request.onerror = () => {
+          console.error('Error saving task in IndexedDB:', request.error);
+          reject(request.error);
+        };
+
+        transaction.onerror = () => {
+          console.error('Transaction error in saveTask:', transaction.error);
+          reject(transaction.error);
+        };
+      } catch (error) {
+        console.error('Error in saveTask:', error);
+        reject(error);
+      }
+    });
+  };
+
   const deleteTask = async (id) => {
     if (!db) throw new Error('Database not initialized');
 
@@ -239,6 +264,243 @@ export const useIndexedDB = () => {
     });
   };
 
+  // Ejecuta una única petición sobre un store y resuelve con su resultado
+  const runStoreRequest = (storeName, mode, createRequest) => {
+    if (!db) return Promise.reject(new Error('Database not initialized'));
+
+    return new Promise((resolve, reject) => {
+      try {
+        const transaction = db.transaction([storeName], mode);
+        const request = createRequest(transaction.objectStore(storeName));
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.error(`Error in ${storeName} request:`, request.error);
+          reject(request.error);
+        };
+      } catch (error) {
+        console.error(`Error accessing ${storeName}:`, error);
+        reject(error);
+      }
+    });
+  };
+
+  const getOutboxEntries = async () => {
+    const entries = await runStoreRequest('outbox', 'readonly', (store) => store.getAll());
+    return entries.sort((a, b) => a.seq - b.seq);
+  };
+
+  const getOutboxEntry = (seq) =>
+    runStoreRequest('outbox', 'readonly', (store) => store.get(seq));
+
+  const putOutboxEntry = (entry) =>
+    runStoreRequest('outbox', 'readwrite', (store) => store.put(entry));
+
+  const deleteOutboxEntry = (seq) =>
+    runStoreRequest('outbox', 'readwrite', (store) => store.delete(seq));
+
+  const getMeta = async (key, defaultValue = null) => {
+    const record = await runStoreRequest('meta', 'readonly', (store) => store.get(key));
+    return record ? record.value : defaultValue;
+  };
+
+  const setMeta = (key, value) =>
+    runStoreRequest('meta', 'readwrite', (store) => store.put({ key, value }));
+
+  // Tareas con fecha límite anterior a `before`, completadas o no, por el
+  // índice dueDate (las fechas ISO en UTC se ordenan como texto)
+  const getTasksDueBefore = (before) =>
+    runStoreRequest('tasks', 'readonly', (store) =>
+      store.index('dueDate').getAll(IDBKeyRange.upperBound(new Date(before).toISOString(), true)));
+
+  // IDs de las tareas que llevan todas las etiquetas indicadas. El índice
+  // multiEntry `tags` da las tareas de cada etiqueta y se intersecan.
+  const getTaskIdsByTags = async (tags) => {
+    let ids = null;
+    for (const tag of tags) {
+      const tagIds = await runStoreRequest('tasks', 'readonly', (store) =>
+        store.index('tags').getAllKeys(tag));
+      ids = ids ? ids.filter(id => tagIds.includes(id)) : tagIds;
+      if (ids.length === 0) break;
+    }
+    return new Set(ids || []);
+  };
+
+  // Número de tareas por etiqueta recorriendo el índice; las de la papelera
+  // no cuentan
+  const getTagCounts = () => {
+    if (!db) return Promise.reject(new Error('Database not initialized'));
+
+    return new Promise((resolve, reject) => {
+      try {
+        const counts = {};
+        const transaction = db.transaction(['tasks'], 'readonly');
+        const request = transaction.objectStore('tasks').index('tags').openCursor();
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve(counts);
+            return;
+          }
+          if (!cursor.value.deletedAt) {
+            counts[cursor.key] = (counts[cursor.key] || 0) + 1;
+          }
+          cursor.continue();
+        };
+        request.onerror = () => {
+          console.error('Error counting tags:', request.error);
+          reject(request.error);
+        };
+      } catch (error) {
+        console.error('Error in getTagCounts:', error);
+        reject(error);
+      }
+    });
+  };
+
+  const getProjects = async () => {
+    const projects = await runStoreRequest('projects', 'readonly', (store) => store.getAll());
+    return sortProjects(projects);
+  };
+
+  // Sustituye la copia local por la lista completa del servidor
+  const replaceProjects = (projects) => {
+    if (!db) return Promise.reject(new Error('Database not initialized'));
+
+    return new Promise((resolve, reject) => {
+      try {
+        const transaction = db.transaction(['projects'], 'readwrite');
+        const store = transaction.objectStore('projects');
+        store.clear();
+        projects.forEach(project => store.put(project));
+
+        transaction.oncomplete = () => resolve(projects);
+        transaction.onerror = () => {
+          console.error('Error replacing projects:', transaction.error);
+          reject(transaction.error);
+        };
+      } catch (error) {
+        console.error('Error in replaceProjects:', error);
+        reject(error);
+      }
+    });
+  };
+
+  const getReminders = () =>
+    runStoreRequest('reminders', 'readonly', (store) => store.getAll());
+
+  const getReminder = async (taskId) =>
+    (await runStoreRequest('reminders', 'readonly', (store) => store.get(taskId))) || null;
+
+  const putReminder = (reminder) =>
+    runStoreRequest('reminders', 'readwrite', (store) => store.put(reminder));
+
+  const deleteReminder = (taskId) =>
+    runStoreRequest('reminders', 'readwrite', (store) => store.delete(taskId));
+
+  // Registra una mutación en el outbox. Las entradas pendientes de la misma
+  // tarea se combinan: un update sobre un create o update pendiente los
+  // reemplaza, mover a la papelera (delete) y restaurar (restore) se anulan
+  // entre sí, y un purge de una tarea que nunca llegó al servidor anula su
+  // create. Las de un elemento de la lista (`itemId`) se combinan solo con las
+  // de ese elemento. Cada cambio estrena opId para que no se confunda con un
+  // envío previo.
+  const enqueueOutboxOperation = async ({ type, taskId, itemId = null, data = null }) => {
+    if (!db) throw new Error('Database not initialized');
+
+    return new Promise((resolve, reject) => {
+      try {
+        const transaction = db.transaction(['outbox'], 'readwrite');
+        const store = transaction.objectStore('outbox');
+        const request = store.index('taskId').getAll(taskId);
+        const now = new Date().toISOString();
+        const newEntry = {
+          opId: generateId(),
+          type,
+          taskId,
+          ...(itemId && { itemId }),
+          data,
+          status: OUTBOX_STATUS.PENDING,
+          attempts: 0,
+          nextAttemptAt: 0,
+          lastError: null,
+          createdAt: now,
+          updatedAt: now
+        };
+
+        request.onsuccess = () => {
+          const pending = request.result.filter(entry => entry.status === OUTBOX_STATUS.PENDING);
+
+          if (itemId) {
+            const pendingItem = pending.filter(entry => entry.itemId === itemId);
+            const pendingUpsert = pendingItem.find(entry => entry.type === 'checklist-upsert');
+
+            if (type === 'checklist-upsert' && pendingUpsert) {
+              store.put({
+                ...pendingUpsert,
+                opId: newEntry.opId,
+                data: { ...pendingUpsert.data, ...data },
+                updatedAt: now
+              });
+            } else {
+              if (type === 'checklist-delete') {
+                pendingItem.forEach(entry => store.delete(entry.seq));
+              }
+              store.add(newEntry);
+            }
+            return;
+          }
+
+          const pendingCreate = pending.find(entry => entry.type === 'create');
+          const pendingUpdate = pending.find(entry => entry.type === 'update');
+          const pendingOpposite = pending.find(entry =>
+            entry.type === (type === 'delete' ? 'restore' : 'delete'));
+
+          if (type === 'update' && (pendingCreate || pendingUpdate)) {
+            const entry = pendingCreate || pendingUpdate;
+            // El create conserva la lista con la que nació la tarea; lo que
+            // cambió después ya va en entradas propias de cada elemento
+            const checklist = entry.type === 'create' ? entry.data.checklist : undefined;
+            store.put({
+              ...entry,
+              opId: newEntry.opId,
+              data: checklist ? { ...data, checklist } : data,
+              updatedAt: now
+            });
+          } else if ((type === 'delete' || type === 'restore') && pendingOpposite) {
+            store.delete(pendingOpposite.seq);
+          } else if (type === 'purge' && pendingCreate) {
+            pending.forEach(entry => store.delete(entry.seq));
+          } else {
+            if (type === 'purge') {
+              pending.forEach(entry => store.delete(entry.seq));
+            }
+            store.add(newEntry);
+          }
+        };
+
+        request.onerror = () => reject(request.error);
+        transaction.oncomplete = () => {
+          logger.debug(`Outbox ${type} recorded for task ${taskId}`);
+          resolve();
+        };
+        transaction.onerror = () => {
+          console.error('Transaction error in enqueueOutboxOperation:', transaction.error);
+          reject(transaction.error);
+        };
+      } catch (error) {
+        console.error('Error in enqueueOutboxOperation:', error);
+        reject(error);
+      }
+    });
+  };
+
+  const checkIntegrity = async () => {
+    if (!db) throw new Error('Database not initialized');
+    return checkDatabaseIntegrity(db);
+  };
+
   const clearAndReinitDB = async () => {
     try {
       if (db) {
@@ -246,7 +508,7 @@ export const useIndexedDB = () => {
       }
       
       await new Promise((resolve, reject) => {
-        const deleteRequest = indexedDB.deleteDatabase('TaskTrackerDB');
+        const deleteRequest = indexedDB.deleteDatabase(DB_NAME);
         deleteRequest.onsuccess = () => resolve();
         deleteRequest.onerror = () => reject(deleteRequest.error);
       });
@@ -255,18 +517,11 @@ export const useIndexedDB = () => {
       setIsLoading(true);
       
       const database = await new Promise((resolve, reject) => {
-        const request = indexedDB.open('TaskTrackerDB', 1);
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
         
         request.onerror = () => reject(request.error);
         request.onsuccess = () => resolve(request.result);
-        
-        request.onupgradeneeded = (event) => {
-          const database = event.target.result;
-          const store = database.createObjectStore('tasks', { keyPath: 'id' });
-          store.createIndex('completed', 'completed', { unique: false });
-          store.createIndex('createdAt', 'createdAt', { unique: false });
-          store.createIndex('priority', 'priority', { unique: false });
-        };
+        request.onupgradeneeded = runMigrations;
       });
       
       setDb(database);
@@ -283,8 +538,27 @@ export const useIndexedDB = () => {
   return {
     addTask,
     getTasks,
+    getTask,
     updateTask,
+    saveTask,
     deleteTask,
+    getOutboxEntries,
+    getOutboxEntry,
+    putOutboxEntry,
+    deleteOutboxEntry,
+    enqueueOutboxOperation,
+    getMeta,
+    setMeta,
+    getTasksDueBefore,
+    getTaskIdsByTags,
+    getTagCounts,
+    getProjects,
+    replaceProjects,
+    getReminders,
+    getReminder,
+    putReminder,
+    deleteReminder,
+    checkIntegrity,
     clearAndReinitDB,
     isLoading,
     db
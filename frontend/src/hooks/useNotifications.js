@@ -1,19 +1,47 @@
 import { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+import { getDeviceId } from '../utils/deviceId';
+import { logger } from '../utils/logger';
+
+// PushManager.subscribe espera la clave VAPID como bytes, no en base64url
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+};
+
+const getPushManager = async () => {
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager;
+};
 
 export const useNotifications = () => {
   const [permission, setPermission] = useState('default');
   const [isSupported, setIsSupported] = useState(false);
   const [registrationSupported, setRegistrationSupported] = useState(false);
+  const [pushSupported, setPushSupported] = useState(false);
+  const [pushSubscribed, setPushSubscribed] = useState(false);
 
   useEffect(() => {
     setIsSupported('Notification' in window);
     setRegistrationSupported('serviceWorker' in navigator);
+    setPushSupported('serviceWorker' in navigator && 'PushManager' in window);
     
     if ('Notification' in window) {
       setPermission(Notification.permission);
     }
   }, []);
 
+  // Una suscripción de una sesión anterior sigue activa hasta que se da de baja
+  useEffect(() => {
+    if (!pushSupported) return;
+
+    getPushManager()
+      .then((pushManager) => pushManager.getSubscription())
+      .then((subscription) => setPushSubscribed(Boolean(subscription)))
+      .catch((error) => logger.debug('Could not read push subscription:', error.message));
+  }, [pushSupported]);
+
   const requestPermission = useCallback(async () => {
     if (!isSupported) return false;
 
@@ -56,7 +84,8 @@ export const useNotifications = () => {
     return null;
   }, [permission, isSupported]);
 
-  const showTaskNotification = useCallback((taskTitle, type = 'info') => {
+  // `options` sobrescribe las de ese tipo de aviso, como el `tag`
+  const showTaskNotification = useCallback((taskTitle, type = 'info', options = {}) => {
     const notificationTypes = {
       success: {
         title: '✅ Tarea Completada',
@@ -92,24 +121,10 @@ export const useNotifications = () => {
       }
     };
 
-    const config = notificationTypes[type] || notificationTypes.info;
+    const config = { ...(notificationTypes[type] || notificationTypes.info), ...options };
     return showNotification(config.title, config);
   }, [showNotification]);
 
-  const scheduleNotification = useCallback((title, body, delay) => {
-    setTimeout(() => {
-      showNotification(title, { body });
-    }, delay);
-  }, [showNotification]);
-
-  const scheduleTaskReminder = useCallback((taskTitle, delayMinutes) => {
-    const delay = delayMinutes * 60 * 1000;
-    
-    setTimeout(() => {
-      showTaskNotification(taskTitle, 'reminder');
-    }, delay);
-  }, [showTaskNotification]);
-
   const sendPushNotification = useCallback(async (title, body, data = {}) => {
     if (!registrationSupported || permission !== 'granted') {
       return false;
@@ -151,15 +166,70 @@ export const useNotifications = () => {
     return false;
   }, [registrationSupported, permission, showNotification]);
 
+  // Suscribe el navegador a Web Push y registra la suscripción en el backend,
+  // que avisa de los cambios hechos desde otros dispositivos
+  const subscribeToPush = useCallback(async () => {
+    if (!pushSupported) return false;
+
+    try {
+      const granted = permission === 'granted' || await requestPermission();
+      if (!granted) return false;
+
+      const pushManager = await getPushManager();
+      let subscription = await pushManager.getSubscription();
+      if (!subscription) {
+        const { publicKey } = await apiService.getPushPublicKey();
+        subscription = await pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: urlBase64ToUint8Array(publicKey)
+        });
+      }
+
+      await apiService.subscribePush(subscription.toJSON(), getDeviceId());
+      setPushSubscribed(true);
+      logger.info('Push subscription registered');
+      return true;
+    } catch (error) {
+      logger.error('Error subscribing to push notifications:', error);
+      return false;
+    }
+  }, [pushSupported, permission, requestPermission]);
+
+  const unsubscribeFromPush = useCallback(async () => {
+    if (!pushSupported) return false;
+
+    try {
+      const pushManager = await getPushManager();
+      const subscription = await pushManager.getSubscription();
+      if (subscription) {
+        // Si el backend no responde, el siguiente envío recibirá un 410 y
+        // borrará la suscripción por su cuenta
+        await apiService.unsubscribePush(subscription.endpoint).catch((error) => {
+          logger.debug('Could not remove push subscription on server:', error.message);
+        });
+        await subscription.unsubscribe();
+      }
+
+      setPushSubscribed(false);
+      logger.info('Push subscription removed');
+      return true;
+    } catch (error) {
+      logger.error('Error unsubscribing from push notifications:', error);
+      return false;
+    }
+  }, [pushSupported]);
+
   return {
     permission,
     isSupported,
     registrationSupported,
+    pushSupported,
+    pushSubscribed,
+    subscribeToPush,
+    unsubscribeFromPush,
     requestPermission,
     showNotification,
     showTaskNotification,
-    scheduleNotification,
-    scheduleTaskReminder,
     sendPushNotification
   };
 };
\ No newline at end of file
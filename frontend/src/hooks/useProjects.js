@@ -0,0 +1,96 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/api';
+import { logger } from '../utils/logger';
+import { generateId } from '../utils/uuid';
+import { sortProjects } from '../utils/projects';
+
+// Los proyectos se crean, editan y borran contra el servidor, y la lista se
+// guarda en IndexedDB para mostrarla sin conexión. Mover una tarea de proyecto
+// sí funciona sin conexión: es un cambio más de la tarea y va por el outbox.
+export const useProjects = ({ getProjects, replaceProjects, isOnline, isReady }) => {
+  const [projects, setProjects] = useState([]);
+
+  useEffect(() => {
+    if (!isReady) return;
+
+    getProjects()
+      .then(setProjects)
+      .catch(error => logger.debug('Could not read local projects:', error.message));
+  }, [isReady]);
+
+  const saveProjects = useCallback(async (list) => {
+    const sorted = sortProjects(list);
+    await replaceProjects(sorted);
+    setProjects(sorted);
+    return sorted;
+  }, [replaceProjects]);
+
+  // Se llama en cada sincronización: la lista es corta y se trae entera
+  const refreshProjects = async () => saveProjects(await apiService.getProjects());
+
+  const assertOnline = () => {
+    if (!isOnline) throw new Error('Los proyectos solo se pueden editar con conexión');
+  };
+
+  // Se parte siempre de la copia de IndexedDB, así varias llamadas seguidas
+  // (reordenar mueve dos proyectos) no se pisan
+  const createProject = async ({ name, color }) => {
+    assertOnline();
+    const project = await apiService.createProject({ id: generateId(), name, color });
+    const current = await getProjects();
+    await saveProjects([...current.filter(p => p.id !== project.id), project]);
+    logger.info(`Project created: ${project.id}`);
+    return project;
+  };
+
+  const updateProject = async (id, changes) => {
+    assertOnline();
+    const project = await apiService.updateProject(id, changes);
+    const current = await getProjects();
+    await saveProjects(current.map(p => (p.id === id ? project : p)));
+    return project;
+  };
+
+  // Resuelve con las tareas que se quedaron sin proyecto
+  const deleteProject = async (id) => {
+    assertOnline();
+    const { tasks } = await apiService.deleteProject(id);
+    const current = await getProjects();
+    await saveProjects(current.filter(p => p.id !== id));
+    logger.info(`Project deleted: ${id} (${tasks.length} tasks moved out)`);
+    return tasks;
+  };
+
+  // Compartir devuelve la lista entera otra vez: cambian los miembros y, al
+  // salir de una lista, la lista misma
+  const shareProject = async (id, email, role) => {
+    assertOnline();
+    const member = await apiService.shareProject(id, email, role);
+    await refreshProjects();
+    return member;
+  };
+
+  const updateProjectMember = async (id, userId, role) => {
+    assertOnline();
+    const member = await apiService.updateProjectMember(id, userId, role);
+    await refreshProjects();
+    return member;
+  };
+
+  const removeProjectMember = async (id, userId) => {
+    assertOnline();
+    await apiService.removeProjectMember(id, userId);
+    await refreshProjects();
+  };
+
+  return {
+    projects,
+    refreshProjects,
+    createProject,
+    updateProject,
+    deleteProject,
+    shareProject,
+    updateProjectMember,
+    removeProjectMember
+  };
+};
@@ -0,0 +1,139 @@
+import { useEffect, useCallback, useRef } from 'react';
+import { logger } from '../utils/logger';
+
+// setTimeout no admite más de ~24,8 días; los plazos mayores se encadenan
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+export const REMINDER_TAG_PREFIX = 'reminder-';
+export const SNOOZE_MINUTES = 10;
+
+// sw.js atiende estas acciones también con la app cerrada
+const REMINDER_ACTIONS = [
+  { action: 'complete', title: 'Completar' },
+  { action: 'snooze', title: `Posponer ${SNOOZE_MINUTES} min` },
+  { action: 'view', title: 'Ver' }
+];
+
+// Se muestra a través del service worker para que la notificación siga viva
+// aunque se cierre la pestaña y pueda llevar acciones
+const showReminderNotification = async (reminder) => {
+  if (!('Notification' in window) || Notification.permission !== 'granted') {
+    logger.debug(`Reminder for task ${reminder.taskId} skipped: no permission`);
+    return;
+  }
+
+  const options = {
+    body: `No olvides: ${reminder.title}`,
+    icon: '/icon-192x192.png',
+    badge: '/icon-192x192.png',
+    tag: `${REMINDER_TAG_PREFIX}${reminder.taskId}`,
+    renotify: true,
+    requireInteraction: true,
+    data: { type: 'reminder', taskId: reminder.taskId, title: reminder.title }
+  };
+
+  const registration = await navigator.serviceWorker?.getRegistration();
+  if (registration) {
+    // Las acciones solo existen en notificaciones del service worker
+    await registration.showNotification('⏰ Recordatorio de Tarea', {
+      ...options,
+      actions: REMINDER_ACTIONS
+    });
+  } else {
+    new Notification('⏰ Recordatorio de Tarea', options);
+  }
+};
+
+// Recordatorios guardados en IndexedDB: sobreviven a recargas y se vuelven a
+// programar al arrancar. Los que vencieron con la app cerrada suenan al abrirla.
+export const useReminders = ({ getReminders, putReminder, deleteReminder, isReady }) => {
+  const timersRef = useRef(new Map());
+  // Los temporizadores pueden dispararse tras varios renders: usar siempre la
+  // versión actual de las funciones de almacenamiento
+  const storageRef = useRef();
+  storageRef.current = { getReminders, deleteReminder };
+
+  const clearTimer = (taskId) => {
+    clearTimeout(timersRef.current.get(taskId));
+    timersRef.current.delete(taskId);
+  };
+
+  const deliverReminder = async (reminder) => {
+    timersRef.current.delete(reminder.taskId);
+
+    try {
+      await showReminderNotification(reminder);
+      logger.info(`Reminder delivered for task ${reminder.taskId}`);
+    } catch (error) {
+      logger.error('Error showing reminder:', error);
+    } finally {
+      await storageRef.current.deleteReminder(reminder.taskId).catch(() => {});
+    }
+  };
+
+  const armTimer = useCallback((reminder) => {
+    clearTimer(reminder.taskId);
+
+    const delay = Math.max(0, reminder.fireAt - Date.now());
+    const timer = delay > MAX_TIMEOUT
+      ? setTimeout(() => armTimer(reminder), MAX_TIMEOUT)
+      : setTimeout(() => deliverReminder(reminder), delay);
+
+    timersRef.current.set(reminder.taskId, timer);
+  }, []);
+
+  useEffect(() => {
+    if (!isReady) return;
+
+    const timers = timersRef.current;
+
+    storageRef.current.getReminders()
+      .then((reminders) => {
+        logger.debug(`Rescheduling ${reminders.length} stored reminders`);
+        reminders.forEach(armTimer);
+      })
+      .catch((error) => logger.error('Error loading reminders:', error));
+
+    return () => {
+      timers.forEach(clearTimeout);
+      timers.clear();
+    };
+  }, [isReady, armTimer]);
+
+  const scheduleReminder = useCallback(async (task, delayMinutes) => {
+    const reminder = {
+      taskId: task.id,
+      title: task.title,
+      fireAt: Date.now() + delayMinutes * 60 * 1000,
+      createdAt: new Date().toISOString()
+    };
+
+    await putReminder(reminder);
+    armTimer(reminder);
+    logger.debug(`Reminder for task ${task.id} scheduled in ${delayMinutes} min`);
+    return reminder;
+  }, [putReminder, armTimer]);
+
+  // Vuelve a programar un recordatorio cancelado con su hora de siempre (al
+  // deshacer, por ejemplo); si ya pasó, suena enseguida
+  const restoreReminder = useCallback(async (reminder) => {
+    await putReminder(reminder);
+    armTimer(reminder);
+    logger.debug(`Reminder for task ${reminder.taskId} restored`);
+  }, [putReminder, armTimer]);
+
+  const cancelReminder = useCallback(async (taskId) => {
+    clearTimer(taskId);
+    try {
+      await deleteReminder(taskId);
+    } catch (error) {
+      logger.debug(`Could not cancel reminder for task ${taskId}:`, error.message);
+    }
+  }, [deleteReminder]);
+
+  return {
+    scheduleReminder,
+    restoreReminder,
+    cancelReminder
+  };
+};
@@ -0,0 +1,118 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { logger } from '../utils/logger';
+
+// Cada cuánto se pregunta al servidor si hay un sw.js nuevo
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+// Etiqueta e intervalo mínimo con que sw.js trae cambios con la app cerrada
+const PERIODIC_SYNC_TAG = 'pull-tasks';
+const PERIODIC_SYNC_INTERVAL = 12 * 60 * 60 * 1000;
+
+// Periodic Background Sync solo existe en algunos navegadores (Chromium) y
+// exige que la app esté instalada, así que se intenta sin darlo por hecho
+const registerPeriodicSync = async (registration) => {
+  if (!('periodicSync' in registration)) return;
+
+  try {
+    const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+    if (status.state !== 'granted') return;
+
+    await registration.periodicSync.register(PERIODIC_SYNC_TAG, {
+      minInterval: PERIODIC_SYNC_INTERVAL
+    });
+    logger.debug('Periodic background sync registered');
+  } catch (error) {
+    logger.debug('Periodic background sync not available:', error.message);
+  }
+};
+
+export const useServiceWorker = () => {
+  const [registration, setRegistration] = useState(null);
+  const [waitingWorker, setWaitingWorker] = useState(null);
+  const isReloadingRef = useRef(false);
+  const updateRequestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return;
+
+    // Un worker instalado mientras otro controla la página queda en espera
+    // hasta que la app decida activarlo
+    const trackInstalling = (worker) => {
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          logger.info('New service worker version waiting');
+          setWaitingWorker(worker);
+        }
+      });
+    };
+
+    // Recargar solo cuando el cambio de controlador lo pidió la app; el
+    // primer registro también lo dispara y ahí no hay nada que recargar
+    const handleControllerChange = () => {
+      if (!updateRequestedRef.current || isReloadingRef.current) return;
+      isReloadingRef.current = true;
+      window.location.reload();
+    };
+
+    navigator.serviceWorker.addEventListener('controllerchange', handleControllerChange);
+
+    navigator.serviceWorker.register('/sw.js')
+      .then((reg) => {
+        logger.info('Service Worker registered successfully');
+        setRegistration(reg);
+
+        if (reg.waiting && navigator.serviceWorker.controller) {
+          setWaitingWorker(reg.waiting);
+        }
+        if (reg.installing) {
+          trackInstalling(reg.installing);
+        }
+        reg.addEventListener('updatefound', () => trackInstalling(reg.installing));
+        registerPeriodicSync(reg);
+      })
+      .catch((registrationError) => {
+        logger.error('Service Worker registration failed:', registrationError);
+      });
+
+    return () => {
+      navigator.serviceWorker.removeEventListener('controllerchange', handleControllerChange);
+    };
+  }, []);
+
+  // Buscar versiones nuevas periódicamente y al volver a la pestaña
+  useEffect(() => {
+    if (!registration) return;
+
+    const checkForUpdate = () => {
+      registration.update().catch((error) => {
+        logger.debug('Service worker update check failed:', error.message);
+      });
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') checkForUpdate();
+    };
+
+    const interval = setInterval(checkForUpdate, UPDATE_CHECK_INTERVAL);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [registration]);
+
+  // Activa el worker en espera; la página se recarga en `controllerchange`
+  const applyUpdate = useCallback(() => {
+    if (!waitingWorker) return;
+
+    logger.info('Activating new service worker version');
+    updateRequestedRef.current = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  }, [waitingWorker]);
+
+  return {
+    registration,
+    updateAvailable: Boolean(waitingWorker),
+    applyUpdate
+  };
+};
@@ -1,26 +1,166 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useIndexedDB } from './useIndexedDB';
+import { useReminders } from './useReminders';
+import { useProjects } from './useProjects';
 import { apiService } from '../services/api';
 import { logger } from '../utils/logger';
+import { mergeTask, pickMergeFields, applyMergeFields } from '../utils/taskMerge';
+import { generateId, isUuid } from '../utils/uuid';
+import { OUTBOX_STATUS, getRetryDelay, getNextBatch } from '../utils/outbox';
+import { getDeviceId } from '../utils/deviceId';
+import { buildNextOccurrence } from '../utils/recurrence';
+import {
+  applyChecklistOperation,
+  diffChecklist,
+  isChecklistOperation,
+  mergeChecklist,
+  sortChecklist,
+  toChecklistPayload
+} from '../utils/checklist';
+import { countOverdue } from '../utils/dueDate';
+import { countTags } from '../utils/tags';
+import { ALL_PROJECTS, isInProject, toProjectQuery } from '../utils/projects';
 
-export const useTaskSync = () => {
+// Clave del cursor del feed de cambios en el store `meta`
+const SYNC_CURSOR_KEY = 'syncCursor';
+const DEVICE_ID_KEY = 'deviceId';
+// Sesión para sw.js y usuario al que pertenecen los datos locales
+const SESSION_KEY = 'session';
+const OWNER_KEY = 'userId';
+// Espera antes de reconectar el flujo de cambios: se dobla con cada fallo
+const STREAM_RETRY_MIN = 1000;
+const STREAM_RETRY_MAX = 30000;
+// Etiqueta de Background Sync que atiende sw.js
+const SYNC_TAG = 'sync-tasks';
+// Límite de operaciones por lote que acepta POST /sync
+const MAX_BATCH_SIZE = 500;
+// Operaciones de la papelera: mover a ella, restaurar y eliminar definitivamente
+const TRASH_OPERATION_TYPES = ['delete', 'restore', 'purge'];
+
+// Momento (en segundos) en que el servidor emitió el token de acceso de una
+// sesión, leído de su payload
+const getSessionIssuedAt = (session) => {
+  try {
+    const payload = session.accessToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).iat || 0;
+  } catch {
+    return 0;
+  }
+};
+
+const toServerPayload = (task) => ({
+  title: task.title,
+  description: task.description,
+  completed: task.completed,
+  priority: task.priority,
+  dueDate: task.dueDate || null,
+  tags: task.tags || [],
+  projectId: task.projectId || null,
+  recurrence: task.recurrence || null,
+  timeZone: task.timeZone || null,
+  image: task.image || (task.photo ? { data: task.photo, type: 'image/jpeg' } : null)
+});
+
+// Una tarea nueva lleva su lista inicial; después cada elemento cambia con
+// sus propias operaciones
+const toCreatePayload = (task) => ({
+  ...toServerPayload(task),
+  checklist: toChecklistPayload(task.checklist)
+});
+
+// Sin respuesta, con un 5xx o con la sesión caducada el lote no llegó a
+// aplicarse y se puede reintentar
+const isRetryableError = (error) =>
+  !error.status || error.status === 401 || error.status >= 500;
+
+// Pide al navegador que despierte al service worker cuando vuelva la conexión,
+// aunque para entonces la app esté cerrada
+const requestBackgroundSync = async () => {
+  try {
+    const registration = await navigator.serviceWorker?.ready;
+    if (registration && 'sync' in registration) {
+      await registration.sync.register(SYNC_TAG);
+      logger.debug('Background sync registered');
+    }
+  } catch (error) {
+    logger.debug('Background sync not available:', error.message);
+  }
+};
+
+// `onRemoteChanges(changes)` recibe lo que llega en tiempo real y ya está
+// guardado en IndexedDB, con la forma que devuelve applyFeed
+export const useTaskSync = ({ onRemoteChanges } = {}) => {
   const [isOnline, setIsOnline] = useState(navigator.onLine);
   const [isSyncing, setIsSyncing] = useState(false);
   const [syncError, setSyncError] = useState(null);
   const [lastSyncTime, setLastSyncTime] = useState(null);
-  
-  const { 
-    addTask: addTaskLocal, 
-    getTasks: getTasksLocal, 
-    updateTask: updateTaskLocal, 
+  const [outboxEntries, setOutboxEntries] = useState([]);
+  const [isDraining, setIsDraining] = useState(false);
+  const [currentUser, setCurrentUser] = useState(() => apiService.getCurrentUser());
+
+  const isDrainingRef = useRef(false);
+  const drainAgainRef = useRef(false);
+  const retryTimerRef = useRef(null);
+  const drainOutboxRef = useRef(null);
+  const applyFeedRef = useRef(null);
+  const onRemoteChangesRef = useRef(onRemoteChanges);
+  onRemoteChangesRef.current = onRemoteChanges;
+
+  const {
+    addTask: addTaskLocal,
+    getTasks: getTasksLocal,
+    getTask: getTaskLocal,
+    updateTask: updateTaskLocal,
+    saveTask: saveTaskLocal,
     deleteTask: deleteTaskLocal,
-    clearAndReinitDB,
-    isLoading: isLocalLoading 
+    getOutboxEntries,
+    getOutboxEntry,
+    putOutboxEntry,
+    deleteOutboxEntry,
+    enqueueOutboxOperation,
+    getMeta,
+    setMeta,
+    getTasksDueBefore,
+    getTaskIdsByTags,
+    getTagCounts,
+    getProjects,
+    replaceProjects,
+    getReminders,
+    getReminder,
+    putReminder,
+    deleteReminder,
+    checkIntegrity: checkLocalIntegrity,
+    clearAndReinitDB: clearAndReinitLocalDB,
+    isLoading: isLocalLoading
   } = useIndexedDB();
 
+  const { scheduleReminder, restoreReminder, cancelReminder } = useReminders({
+    getReminders,
+    putReminder,
+    deleteReminder,
+    isReady: !isLocalLoading
+  });
+
+  const {
+    projects,
+    refreshProjects,
+    createProject,
+    updateProject,
+    deleteProject: deleteProjectRemote,
+    shareProject,
+    updateProjectMember,
+    removeProjectMember: removeProjectMemberRemote
+  } = useProjects({
+    getProjects,
+    replaceProjects,
+    isOnline,
+    isReady: !isLocalLoading
+  });
+
+  // Sin sesión la API no atiende las tareas: se trabaja como sin conexión
   const checkServerConnection = useCallback(async () => {
-    if (!isOnline) return false;
-    
+    if (!isOnline || !apiService.isAuthenticated()) return false;
+
     try {
       await apiService.healthCheck();
       return true;
@@ -30,12 +170,484 @@ export const useTaskSync = () => {
     }
   }, [isOnline]);
 
+  const refreshOutbox = useCallback(async () => {
+    try {
+      setOutboxEntries(await getOutboxEntries());
+    } catch (error) {
+      logger.debug('Could not read outbox:', error.message);
+    }
+  }, [getOutboxEntries]);
+
+  const getPendingItemIds = useCallback(async () => new Set(
+    (await getOutboxEntries()).filter(entry => entry.itemId).map(entry => entry.itemId)
+  ), [getOutboxEntries]);
+
+  // Aplica operaciones de elemento a la copia local sin tocar `synced`, que
+  // sigue reflejando solo los campos de la propia tarea
+  const saveChecklistLocal = useCallback(async (taskId, operations) => {
+    const localTask = await getTaskLocal(taskId);
+    if (!localTask) return null;
+
+    return saveTaskLocal({
+      ...localTask,
+      checklist: operations.reduce(applyChecklistOperation, localTask.checklist || [])
+    });
+  }, [getTaskLocal, saveTaskLocal]);
+
+  // Aplica en IndexedDB una página del feed de cambios y guarda su cursor.
+  // Devuelve lo que cambió en local: `{ type, id, task }`, con la copia
+  // guardada en `task` salvo en los borrados.
+  const applyFeed = useCallback(async (feed) => {
+    const applied = [];
+
+    if (feed.reset) {
+      // El servidor perdió su historial: lo ya sincronizado se vuelve a descargar
+      logger.info('Server change feed reset, dropping synced local copies');
+      const syncedTasks = (await getTasksLocal()).filter(task => task.synced);
+      for (const task of syncedTasks) {
+        await deleteTaskLocal(task.id);
+        applied.push({ type: 'deleted', id: task.id, task: null });
+      }
+    }
+
+    // No pisar ediciones locales que aún no se han enviado, ni las tareas
+    // con operaciones en el outbox (un borrado local ya no está en la base)
+    const outbox = await getOutboxEntries();
+    const pendingIds = new Set([
+      ...(await getTasksLocal()).filter(task => !task.synced).map(task => task.id),
+      ...outbox.map(entry => entry.taskId)
+    ]);
+    const pendingItemIds = new Set(outbox.filter(entry => entry.itemId).map(entry => entry.itemId));
+
+    for (const change of feed.changes) {
+      const localTask = change.type !== 'deleted' && await getTaskLocal(change.id);
+
+      if (pendingIds.has(change.id)) {
+        // La lista sí se fusiona: solo esperan los elementos con cambios propios
+        if (localTask) {
+          const merged = await saveTaskLocal({
+            ...localTask,
+            checklist: mergeChecklist(localTask.checklist, change.task.checklist, pendingItemIds)
+          });
+          applied.push({ type: change.type, id: change.id, task: merged });
+        }
+        continue;
+      }
+
+      // El feed en tiempo real y la descarga normal pueden solaparse: una
+      // página leída antes no devuelve la tarea a una versión anterior
+      if (localTask && localTask.version > change.task.version) continue;
+
+      // Una tarea completada o borrada en otro dispositivo ya no necesita aviso
+      if (change.type === 'deleted' || change.task.completed || change.task.deletedAt) {
+        await cancelReminder(change.id);
+      }
+
+      if (change.type === 'deleted') {
+        await deleteTaskLocal(change.id);
+        applied.push({ type: 'deleted', id: change.id, task: null });
+      } else {
+        const saved = await saveTaskLocal({
+          ...change.task,
+          synced: true,
+          serverCreated: true,
+          isNew: false
+        });
+        applied.push({ type: change.type, id: change.id, task: saved });
+      }
+    }
+
+    await setMeta(SYNC_CURSOR_KEY, feed.cursor);
+    return applied;
+  }, [getTasksLocal, getTaskLocal, saveTaskLocal, deleteTaskLocal, getOutboxEntries, setMeta, cancelReminder]);
+
+  applyFeedRef.current = applyFeed;
+
+  const pullChanges = useCallback(async () => {
+    let since = await getMeta(SYNC_CURSOR_KEY, 0);
+    let applied = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+      const feed = await apiService.getTaskChanges(since);
+      applied += (await applyFeed(feed)).length;
+      since = feed.cursor;
+      hasMore = feed.hasMore;
+    }
+
+    logger.debug(`Applied ${applied} changes from server, cursor at ${since}`);
+    return applied;
+  }, [getMeta, applyFeed]);
+
+  // Fusiona una edición local rechazada con 409 con la copia del servidor.
+  // Si ningún campo choca se guarda ya fusionada y vuelve al outbox basada en
+  // la versión del servidor; si no, la tarea queda en la bandeja de conflictos
+  // con la copia del servidor en `conflict`.
+  const mergeWithServer = useCallback(async (localTask, serverTask) => {
+    const { merged, conflicts } = mergeTask(localTask.base, localTask, serverTask);
+
+    if (conflicts.length > 0) {
+      logger.info(`Task ${localTask.id} has conflicting fields:`, conflicts);
+      await saveTaskLocal({ ...localTask, synced: false, conflict: serverTask });
+      return false;
+    }
+
+    const mergedTask = await saveTaskLocal({
+      ...applyMergeFields(localTask, merged),
+      version: serverTask.version,
+      updatedAt: new Date().toISOString(),
+      synced: false,
+      conflict: null,
+      base: pickMergeFields(serverTask)
+    });
+    await enqueueOutboxOperation({
+      type: 'update',
+      taskId: mergedTask.id,
+      data: toServerPayload(mergedTask)
+    });
+    logger.info(`Task ${localTask.id} auto-merged with server copy`);
+    return true;
+  }, [saveTaskLocal, enqueueOutboxOperation]);
+
+  // Las tareas que quedaron sin sincronizar antes de existir el outbox no
+  // tienen entrada propia: se encolan para que no se pierdan
+  const enqueueUntrackedTasks = useCallback(async () => {
+    const trackedIds = new Set((await getOutboxEntries()).map(entry => entry.taskId));
+    const untracked = (await getTasksLocal()).filter(
+      task => !task.synced && !task.conflict && !trackedIds.has(task.id)
+    );
+
+    for (const task of untracked) {
+      await enqueueOutboxOperation({
+        type: task.isNew ? 'create' : 'update',
+        taskId: task.id,
+        data: task.isNew ? toCreatePayload(task) : toServerPayload(task)
+      });
+    }
+  }, [getOutboxEntries, getTasksLocal, enqueueOutboxOperation]);
+
+  // Quita la entrada solo si nadie la modificó mientras estaba en vuelo; si
+  // cambió, tiene opId nuevo y debe enviarse otra vez. Devuelve si sigue en cola.
+  const settleOutboxEntry = useCallback(async (entry) => {
+    const current = await getOutboxEntry(entry.seq);
+    if (!current) return false;
+
+    if (current.opId === entry.opId) {
+      await deleteOutboxEntry(entry.seq);
+      return false;
+    }
+    return true;
+  }, [getOutboxEntry, deleteOutboxEntry]);
+
+  const handleCreateResult = useCallback(async (entry, result) => {
+    const localTask = await getTaskLocal(entry.taskId);
+    const current = await getOutboxEntry(entry.seq);
+    // Un create repetido significa que la tarea ya existe: lo local puede ser
+    // más reciente, así que pasa a enviarse como actualización con opId nuevo.
+    // Si las dos copias coinciden (p. ej. la siguiente ocurrencia de una tarea
+    // repetida, que también genera el servidor) no queda nada que enviar.
+    const isReplay = result.status === 'duplicate';
+    const sameAsServer = isReplay && localTask &&
+      mergeTask(null, localTask, result.task).conflicts.length === 0;
+    const stillQueued = isReplay && !sameAsServer
+      ? Boolean(current)
+      : await settleOutboxEntry(entry);
+
+    if (current && stillQueued) {
+      await putOutboxEntry({
+        ...current,
+        type: 'update',
+        taskId: result.taskId,
+        opId: isReplay ? generateId() : current.opId
+      });
+    }
+
+    if (!localTask) {
+      // Se borró mientras el create estaba en vuelo y el borrado se combinó
+      // con él: ahora que existe en el servidor hay que borrarla allí también
+      if (!current) {
+        await enqueueOutboxOperation({ type: 'purge', taskId: result.taskId });
+        drainAgainRef.current = true;
+      }
+      return;
+    }
+
+    if (result.taskId !== entry.taskId) {
+      // Tarea antigua con ID local: pasa a usar el que asignó el servidor
+      await deleteTaskLocal(entry.taskId);
+    }
+    await saveTaskLocal({
+      ...(stillQueued ? localTask : {
+        ...result.task,
+        // Los elementos con cambios aún en el outbox conservan su valor local
+        checklist: mergeChecklist(localTask.checklist, result.task.checklist, await getPendingItemIds()),
+        // Si ya se movió a la papelera, su delete espera en el outbox
+        deletedAt: localTask.deletedAt || null,
+        deletedBy: localTask.deletedBy || null
+      }),
+      id: result.taskId,
+      createdAt: result.task.createdAt,
+      version: result.task.version,
+      synced: !stillQueued,
+      serverCreated: true,
+      isNew: false
+    });
+  }, [getTaskLocal, getOutboxEntry, putOutboxEntry, settleOutboxEntry, saveTaskLocal, deleteTaskLocal, enqueueOutboxOperation, getPendingItemIds]);
+
+  // Sin permiso sobre la tarea los cambios locales no llegarán nunca: se
+  // descartan todos y queda la copia del servidor, o nada si ya no se ve
+  const dropTaskChanges = useCallback(async (taskId, reason) => {
+    logger.warn(`Dropping local changes to task ${taskId}: ${reason}`);
+    const taskEntries = (await getOutboxEntries()).filter(e => e.taskId === taskId);
+    for (const taskEntry of taskEntries) {
+      await deleteOutboxEntry(taskEntry.seq);
+    }
+
+    try {
+      const serverTask = await apiService.getTask(taskId);
+      await saveTaskLocal({
+        ...serverTask,
+        synced: true,
+        serverCreated: true,
+        isNew: false
+      });
+    } catch (error) {
+      if (error.status === 404) {
+        await deleteTaskLocal(taskId);
+        await cancelReminder(taskId);
+      } else {
+        // Como al descartar a mano: se vuelve a descargar todo más tarde
+        logger.debug(`Could not refetch task ${taskId}:`, error.message);
+        const localTask = await getTaskLocal(taskId);
+        if (localTask) {
+          await saveTaskLocal({ ...localTask, synced: true, base: null });
+        }
+        await setMeta(SYNC_CURSOR_KEY, 0);
+      }
+    }
+  }, [getOutboxEntries, deleteOutboxEntry, getTaskLocal, saveTaskLocal, deleteTaskLocal, cancelReminder, setMeta]);
+
+  const handleFailedResult = useCallback(async (entry, result) => {
+    if (result.statusCode === 409 && result.task) {
+      const localTask = await getTaskLocal(entry.taskId);
+      if (localTask) {
+        logger.info(`Version conflict syncing task ${entry.taskId}`);
+        const merged = await mergeWithServer(localTask, result.task);
+        // Fusionada, la entrada ya lleva los datos nuevos y se reenvía en esta
+        // misma pasada; si no, sobra: la tarea espera en la bandeja
+        if (merged) {
+          drainAgainRef.current = true;
+        } else {
+          await deleteOutboxEntry(entry.seq);
+        }
+        return false;
+      }
+    }
+
+    if (result.statusCode === 404 && TRASH_OPERATION_TYPES.includes(entry.type)) {
+      // Ya no existía en el servidor: nada que mover, restaurar ni eliminar
+      await deleteOutboxEntry(entry.seq);
+      await deleteTaskLocal(entry.taskId);
+      await cancelReminder(entry.taskId);
+      return false;
+    }
+
+    if (result.statusCode === 404 && isChecklistOperation(entry.type)) {
+      // Otro dispositivo borró el elemento o su tarea: no queda qué cambiar
+      await deleteOutboxEntry(entry.seq);
+      return false;
+    }
+
+    if (result.statusCode === 403 || (result.statusCode === 404 && entry.type === 'update')) {
+      // La lista se comparte con este usuario como lector, o se le quitó el
+      // acceso (o la tarea se borró) mientras tenía cambios sin enviar
+      await dropTaskChanges(entry.taskId, result.error);
+      return false;
+    }
+
+    logger.error(`Failed to sync task ${entry.taskId}: ${result.error}`);
+    await putOutboxEntry({
+      ...entry,
+      status: OUTBOX_STATUS.FAILED,
+      attempts: entry.attempts + 1,
+      lastError: result.error,
+      updatedAt: new Date().toISOString()
+    });
+    return true;
+  }, [getTaskLocal, deleteTaskLocal, cancelReminder, mergeWithServer, deleteOutboxEntry, putOutboxEntry, dropTaskChanges]);
+
+  // Envía en orden un lote de entradas del outbox a POST /sync y aplica cada
+  // resultado. Devuelve cuántas operaciones fallaron de forma definitiva.
+  const pushOutbox = useCallback(async (entries) => {
+    const versionedTasks = new Set();
+    const operations = [];
+
+    for (const entry of entries) {
+      const operation = { opId: entry.opId, type: entry.type, taskId: entry.taskId };
+
+      if (entry.type === 'create') {
+        // Las tareas anteriores a los UUID dejan que el servidor asigne el ID
+        if (!isUuid(entry.taskId)) delete operation.taskId;
+        operation.data = entry.data;
+        versionedTasks.add(entry.taskId);
+      } else if (entry.type === 'update') {
+        operation.data = entry.data;
+        // Solo la primera operación de la tarea en el lote es condicional: las
+        // siguientes parten de la versión que deja la anterior
+        if (!versionedTasks.has(entry.taskId)) {
+          const localTask = await getTaskLocal(entry.taskId);
+          operation.baseVersion = localTask?.version;
+          versionedTasks.add(entry.taskId);
+        }
+      } else if (isChecklistOperation(entry.type)) {
+        operation.itemId = entry.itemId;
+        if (entry.data) operation.data = entry.data;
+      }
+
+      operations.push(operation);
+    }
+
+    const { results } = await apiService.syncBatch(operations);
+    const entriesByOpId = new Map(entries.map(entry => [entry.opId, entry]));
+    let failed = 0;
+
+    for (const result of results) {
+      const entry = entriesByOpId.get(result.opId);
+      if (!entry) continue;
+
+      if (result.status === 'failed') {
+        if (await handleFailedResult(entry, result)) failed++;
+      } else if (entry.type === 'create') {
+        await handleCreateResult(entry, result);
+      } else if (entry.type === 'update') {
+        const stillQueued = await settleOutboxEntry(entry);
+        const localTask = await getTaskLocal(entry.taskId);
+        if (localTask) {
+          await saveTaskLocal({
+            ...localTask,
+            version: result.task.version,
+            synced: !stillQueued,
+            base: stillQueued ? localTask.base : null
+          });
+        }
+      } else if (entry.type === 'delete' || entry.type === 'restore') {
+        // No es una edición: de la respuesta solo se toman la versión y las
+        // fechas de la papelera, salvo que otra operación siga en cola
+        const stillQueued = await settleOutboxEntry(entry);
+        const localTask = await getTaskLocal(entry.taskId);
+        if (localTask && !stillQueued) {
+          await saveTaskLocal({
+            ...localTask,
+            version: result.task.version,
+            deletedAt: result.task.deletedAt,
+            deletedBy: result.task.deletedBy,
+            purgeAt: result.task.purgeAt
+          });
+        }
+      } else if (entry.type === 'checklist-upsert') {
+        // El servidor devuelve el elemento entero, con lo que otros
+        // dispositivos cambiaron en los campos que no se enviaron
+        if (!(await settleOutboxEntry(entry))) {
+          await saveChecklistLocal(entry.taskId, [
+            { type: entry.type, itemId: entry.itemId, data: result.item }
+          ]);
+        }
+      } else {
+        await settleOutboxEntry(entry);
+      }
+    }
+
+    return failed;
+  }, [getTaskLocal, saveTaskLocal, saveChecklistLocal, settleOutboxEntry, handleCreateResult, handleFailedResult]);
+
+  const scheduleRetry = useCallback((delay) => {
+    clearTimeout(retryTimerRef.current);
+    retryTimerRef.current = setTimeout(() => drainOutboxRef.current?.(), delay);
+    logger.debug(`Outbox retry scheduled in ${delay}ms`);
+  }, []);
+
+  // Vacía el outbox en orden. Si la red o el servidor fallan, las entradas
+  // enviadas esperan con backoff exponencial; las que el servidor rechaza
+  // quedan como fallidas para que el usuario las reintente o descarte.
+  const drainOutbox = useCallback(async () => {
+    if (!isOnline || !apiService.isAuthenticated()) return 0;
+    if (isDrainingRef.current) {
+      drainAgainRef.current = true;
+      return 0;
+    }
+
+    isDrainingRef.current = true;
+    setIsDraining(true);
+    let failed = 0;
+
+    try {
+      await enqueueUntrackedTasks();
+
+      do {
+        drainAgainRef.current = false;
+        const { batch, waitFor, hasMore } = getNextBatch(await getOutboxEntries(), MAX_BATCH_SIZE);
+        if (waitFor > 0) {
+          scheduleRetry(waitFor);
+          break;
+        }
+        if (batch.length === 0) break;
+
+        logger.info(`Pushing ${batch.length} outbox operations to server`);
+
+        try {
+          failed += await pushOutbox(batch);
+        } catch (error) {
+          if (!isRetryableError(error)) {
+            // El servidor rechazó el lote entero: reintentarlo tal cual no sirve
+            logger.error('Outbox batch rejected by server:', error.message);
+            for (const entry of batch) {
+              await putOutboxEntry({
+                ...entry,
+                status: OUTBOX_STATUS.FAILED,
+                attempts: entry.attempts + 1,
+                lastError: error.message,
+                updatedAt: new Date().toISOString()
+              });
+            }
+            failed += batch.length;
+            break;
+          }
+
+          const attempts = batch[0].attempts + 1;
+          const delay = getRetryDelay(attempts);
+          for (const entry of batch) {
+            await putOutboxEntry({
+              ...entry,
+              attempts: entry.attempts + 1,
+              nextAttemptAt: Date.now() + delay,
+              lastError: error.message
+            });
+          }
+          logger.debug(`Outbox push failed (attempt ${attempts}):`, error.message);
+          scheduleRetry(delay);
+          await requestBackgroundSync();
+          break;
+        }
+
+        if (hasMore) drainAgainRef.current = true;
+      } while (drainAgainRef.current);
+    } finally {
+      isDrainingRef.current = false;
+      setIsDraining(false);
+      await refreshOutbox();
+    }
+
+    return failed;
+  }, [isOnline, enqueueUntrackedTasks, getOutboxEntries, putOutboxEntry, pushOutbox, scheduleRetry, refreshOutbox]);
+
+  drainOutboxRef.current = drainOutbox;
+
   const syncWithServer = useCallback(async () => {
     if (isSyncing || !isOnline) return;
-    
+
     setIsSyncing(true);
     setSyncError(null);
-    
+
     try {
       const serverAvailable = await checkServerConnection();
       if (!serverAvailable) {
@@ -44,86 +656,47 @@ export const useTaskSync = () => {
         return;
       }
 
-      const localTasks = await getTasksLocal();
-      const unsyncedTasks = localTasks.filter(task => !task.synced);
-      
-      if (unsyncedTasks.length > 0) {
-        logger.info(`Syncing ${unsyncedTasks.length} local tasks with server`);
-        
-        // Sync each task individually using existing endpoints
-        for (const task of unsyncedTasks) {
-          try {
-            if (task.isNew) {
-              // Create new task on server
-              const serverTask = await apiService.createTask({
-                title: task.title,
-                description: task.description,
-                completed: task.completed,
-                priority: task.priority,
-                image: task.image || task.photo
-              });
-              
-              // Update local task with server ID and mark as synced
-              await updateTaskLocal(task.id, { 
-                serverCreated: true,
-                synced: true 
-              });
-            } else {
-              // Update existing task on server (if it has a server ID)
-              if (task.serverId) {
-                await apiService.updateTask(task.serverId, {
-                  title: task.title,
-                  description: task.description,
-                  completed: task.completed,
-                  priority: task.priority,
-                  image: task.image || task.photo
-                });
-              }
-              
-              // Mark as synced
-              await updateTaskLocal(task.id, { synced: true });
-            }
-          } catch (taskError) {
-            logger.error(`Failed to sync task ${task.id}:`, taskError);
-            // Continue with other tasks even if one fails
-          }
-        }
-        
-        logger.info('Sync completed');
-        setLastSyncTime(new Date());
-      } else {
-        const serverTasks = await apiService.getTasks();
-        logger.debug(`Fetched ${serverTasks.length} tasks from server`);
-        setLastSyncTime(new Date());
+      const failed = await drainOutbox();
+      await pullChanges();
+      try {
+        await refreshProjects();
+      } catch (error) {
+        logger.debug('Could not refresh projects:', error.message);
       }
-      
+      logger.info('Sync completed');
+      setLastSyncTime(new Date());
+
+      if (failed > 0) {
+        setSyncError(`${failed} cambio(s) no se pudieron sincronizar`);
+      }
+
     } catch (error) {
       console.error('Sync failed:', error);
       setSyncError(error.message);
     } finally {
       setIsSyncing(false);
     }
-  }, [isSyncing, isOnline, getTasksLocal, updateTaskLocal, checkServerConnection]);
+  }, [isSyncing, isOnline, drainOutbox, pullChanges, refreshProjects, checkServerConnection]);
 
   useEffect(() => {
     const handleOnline = () => {
       setIsOnline(true);
       syncWithServer();
     };
-    
+
     const handleOffline = () => setIsOnline(false);
-    
+
     const handleSWMessage = (event) => {
       if (event.data && event.data.type === 'BACKGROUND_SYNC') {
         logger.debug('Received background sync message from SW');
         syncWithServer();
       }
     };
-    
+
     window.addEventListener('online', handleOnline);
     window.addEventListener('offline', handleOffline);
     navigator.serviceWorker?.addEventListener('message', handleSWMessage);
-    
+
     return () => {
       window.removeEventListener('online', handleOnline);
       window.removeEventListener('offline', handleOffline);
@@ -131,40 +704,122 @@ export const useTaskSync = () => {
     };
   }, [syncWithServer]);
 
+  // Mostrar lo que quedó en el outbox de sesiones anteriores
+  useEffect(() => {
+    if (!isLocalLoading) refreshOutbox();
+  }, [isLocalLoading]);
+
+  // sw.js no tiene localStorage: copia el ID del dispositivo en `meta` para
+  // que los lotes que envía el worker tampoco avisen a este dispositivo
+  useEffect(() => {
+    if (isLocalLoading) return;
+    setMeta(DEVICE_ID_KEY, getDeviceId()).catch((error) => {
+      logger.debug('Could not store device id:', error.message);
+    });
+  }, [isLocalLoading]);
+
+  useEffect(() => apiService.onAuthChange(session => {
+    setCurrentUser(session ? session.user : null);
+  }), []);
+
+  // sw.js tampoco tiene la sesión: se copia en `meta`, donde el worker deja el
+  // par nuevo si la renueva con la app cerrada. Gana la emitida más tarde.
+  // Los datos que había antes de la primera sesión pasan a ser de ese usuario.
+  useEffect(() => {
+    if (isLocalLoading) return;
+
+    const storeSession = async () => {
+      const session = apiService.getSession();
+      const stored = await getMeta(SESSION_KEY);
+      if (session && stored && stored.user.id === session.user.id &&
+        getSessionIssuedAt(stored) > getSessionIssuedAt(session)) {
+        // onAuthChange cambia currentUser y este efecto la vuelve a copiar
+        apiService.setSession(stored);
+        return;
+      }
+
+      await setMeta(SESSION_KEY, session);
+      if (currentUser && !(await getMeta(OWNER_KEY))) {
+        await setMeta(OWNER_KEY, currentUser.id);
+      }
+    };
+    storeSession().catch((error) => {
+      logger.debug('Could not store session:', error.message);
+    });
+  }, [isLocalLoading, currentUser]);
+
+  // Si el worker renovó la sesión mientras la app estaba abierta, la página
+  // gasta un refresh token ya usado: sigue entonces con el par de `meta`
+  useEffect(() => {
+    if (isLocalLoading) return;
+
+    return apiService.setStoredSessionLoader(async (session) => {
+      const stored = await getMeta(SESSION_KEY);
+      return stored && session && stored.user.id === session.user.id &&
+        stored.refreshToken !== session.refreshToken ? stored : null;
+    });
+  }, [isLocalLoading]);
+
+  useEffect(() => () => clearTimeout(retryTimerRef.current), []);
+
+  // Con conexión y sesión, lo que cambian otros dispositivos y los miembros de
+  // las listas compartidas llega por el flujo de cambios del servidor. Tras un
+  // corte se reconecta desde el cursor guardado.
+  const currentUserId = currentUser ? currentUser.id : null;
+  useEffect(() => {
+    if (!isOnline || isLocalLoading || !currentUserId) return;
+
+    const controller = new AbortController();
+    let retryDelay = STREAM_RETRY_MIN;
+    let retryTimer = null;
+
+    const connect = async () => {
+      let delay = STREAM_RETRY_MIN;
+      try {
+        const since = await getMeta(SYNC_CURSOR_KEY, 0);
+        await apiService.streamTaskChanges(since, async (feed) => {
+          const applied = await applyFeedRef.current(feed);
+          if (applied.length > 0) onRemoteChangesRef.current?.(applied);
+        }, controller.signal);
+        // El servidor cerró sin error (p. ej. por su límite de tiempo)
+        retryDelay = STREAM_RETRY_MIN;
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        logger.debug('Change stream failed:', error.message);
+        delay = retryDelay;
+        retryDelay = Math.min(retryDelay * 2, STREAM_RETRY_MAX);
+      }
+
+      if (controller.signal.aborted) return;
+      logger.debug(`Change stream closed, reconnecting in ${delay}ms`);
+      retryTimer = setTimeout(connect, delay);
+    };
+
+    connect();
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+    };
+  }, [isOnline, isLocalLoading, currentUserId]);
+
   const getTasks = async () => {
     try {
       const localTasks = await getTasksLocal();
-      
+
       if (isOnline && !isSyncing) {
         const serverAvailable = await checkServerConnection();
         if (serverAvailable) {
           try {
-            const serverTasks = await apiService.getTasks();
-            logger.debug(`Fetched ${serverTasks.length} tasks from server, ${localTasks.length} tasks locally`);
-            
-            // Si el servidor tiene tareas, usar esas como fuente principal
-            if (serverTasks && serverTasks.length > 0) {
-              // Solo agregar tareas locales que definitivamente no están en el servidor
-              const pendingLocalTasks = localTasks.filter(localTask => {
-                // Solo incluir tareas locales que no se han sincronizado Y no tienen timestamp muy reciente
-                return !localTask.synced && 
-                       !localTask.serverCreated && 
-                       !serverTasks.some(serverTask => serverTask.title === localTask.title);
-              });
-              
-              logger.debug(`Adding ${pendingLocalTasks.length} pending local tasks to ${serverTasks.length} server tasks`);
-              return [...serverTasks, ...pendingLocalTasks];
-            } else {
-              // Si el servidor está vacío, usar tareas locales
-              logger.debug('Server empty, using local tasks');
-              return localTasks;
+            const applied = await pullChanges();
+            if (applied > 0) {
+              return await getTasksLocal();
             }
           } catch (error) {
             logger.debug('Server fetch failed, using local data:', error.message);
           }
         }
       }
-      
+
       return localTasks;
     } catch (error) {
       console.error('Error getting tasks:', error);
@@ -172,133 +827,421 @@ export const useTaskSync = () => {
     }
   };
 
+  // Intenta enviar lo encolado sin bloquear la operación local si falla. Sin
+  // conexión lo deja en manos de Background Sync.
+  const flushOutbox = async () => {
+    if (!isOnline) {
+      await refreshOutbox();
+      await requestBackgroundSync();
+      return;
+    }
+
+    try {
+      await drainOutbox();
+    } catch (error) {
+      logger.debug('Outbox drain failed, will retry later:', error.message);
+      await refreshOutbox();
+    }
+  };
+
   const addTask = async (taskData) => {
     try {
       const newTask = await addTaskLocal({
         ...taskData,
+        checklist: sortChecklist(taskData.checklist || []),
         synced: false,
         isNew: true  // Marcar como nueva tarea para sync posterior
       });
 
-      if (isOnline) {
-        const serverAvailable = await checkServerConnection();
-        if (serverAvailable) {
-          try {
-            const serverTask = await apiService.createTask(taskData);
-            logger.info('Task created successfully on server:', serverTask.id);
-            
-            // Eliminar la tarea local temporal y crear una nueva con datos del servidor
-            await deleteTaskLocal(newTask.id);
-            
-            // Agregar la tarea del servidor a la base de datos local
-            const finalTask = await addTaskLocal({
-              ...serverTask,
-              synced: true,
-              serverCreated: true,
-              isNew: false
-            });
-            
-            return finalTask;
-          } catch (error) {
-            logger.debug('Server add failed, keeping local:', error.message);
-          }
-        }
-      }
+      // El servidor acepta el UUID local, así que la tarea no cambia de ID
+      await enqueueOutboxOperation({
+        type: 'create',
+        taskId: newTask.id,
+        data: toCreatePayload(newTask)
+      });
 
-      return newTask;
+      await flushOutbox();
+      return (await getTaskLocal(newTask.id)) || newTask;
     } catch (error) {
       console.error('Error adding task:', error);
       throw error;
     }
   };
 
+  // Al completar una tarea repetida se crea ya la siguiente, también sin
+  // conexión. Su ID se deriva de la completada, así que si el servidor la crea
+  // por su cuenta el create de aquí llega como duplicado y no se repite.
+  const createNextOccurrence = async (task) => {
+    if (!task.completed || !task.recurrence) return null;
+
+    const nextOccurrence = await buildNextOccurrence(task);
+    if (!nextOccurrence || await getTaskLocal(nextOccurrence.id)) return null;
+
+    const nextTask = await addTaskLocal({ ...nextOccurrence, synced: false, isNew: true });
+    await enqueueOutboxOperation({
+      type: 'create',
+      taskId: nextTask.id,
+      data: toCreatePayload(nextTask)
+    });
+    logger.debug(`Next occurrence ${nextTask.id} created for task ${task.id}`);
+    return nextTask;
+  };
+
   const updateTask = async (id, taskData) => {
     try {
       logger.debug(`Updating task with ID: ${id} (type: ${typeof id})`);
-      
-      // First check if it's a server task (can be updated directly)
-      if (isOnline) {
-        try {
-          await apiService.updateTask(id, taskData);
-          logger.debug(`Task ${id} updated successfully on server`);
-          
-          // Also update locally if the task exists there
-          try {
-            await updateTaskLocal(id, { ...taskData, synced: true });
-            logger.debug(`Task ${id} also updated locally`);
-          } catch (localError) {
-            // It's OK if it doesn't exist locally - server update was successful
-            logger.debug(`Task ${id} not found locally, but server update succeeded`);
-          }
-          return;
-        } catch (serverError) {
-          logger.debug(`Server update failed for task ${id}, trying local only:`, serverError.message);
+
+      const localTask = await getTaskLocal(id);
+      if (!localTask) {
+        throw new Error(`Task ${id} not found`);
+      }
+
+      // Valores de los que parte la edición, para poder fusionar si hay conflicto
+      const base = localTask.synced ? pickMergeFields(localTask) : (localTask.base || null);
+      const { checklist, ...fields } = taskData;
+      const updatedTask = await updateTaskLocal(id, {
+        ...fields,
+        ...(checklist && { checklist: sortChecklist(checklist) }),
+        synced: false,
+        base
+      });
+
+      await enqueueOutboxOperation({
+        type: 'update',
+        taskId: id,
+        data: toServerPayload(updatedTask)
+      });
+
+      // La lista no viaja con la tarea: cada elemento que cambió va aparte
+      if (checklist) {
+        for (const operation of diffChecklist(localTask.checklist, checklist)) {
+          await enqueueOutboxOperation({ ...operation, taskId: id });
         }
       }
-      
-      // Fallback: try to update only locally
-      try {
-        await updateTaskLocal(id, { ...taskData, synced: false });
-        logger.debug(`Task ${id} updated locally only`);
-      } catch (localError) {
-        logger.error(`Failed to update task ${id} both on server and locally:`, localError.message);
-        throw new Error(`Task ${id} not found anywhere`);
+      logger.debug(`Task ${id} updated locally and queued`);
+
+      if (updatedTask.completed) {
+        await cancelReminder(id);
       }
+
+      const nextTask = localTask.completed ? null : await createNextOccurrence(updatedTask);
+
+      await flushOutbox();
+      return nextTask;
     } catch (error) {
       console.error('Error updating task:', error);
       throw error;
     }
   };
 
+  // Marcar un elemento desde la tarjeta no edita la tarea: se envía solo ese
+  // elemento, sin versión, y nunca entra en la bandeja de conflictos
+  const toggleChecklistItem = async (taskId, itemId) => {
+    try {
+      const localTask = await getTaskLocal(taskId);
+      const item = localTask?.checklist?.find(i => i.id === itemId);
+      if (!item) {
+        throw new Error(`Checklist item ${itemId} not found`);
+      }
+
+      const operation = { type: 'checklist-upsert', itemId, data: { done: !item.done } };
+      const updatedTask = await saveChecklistLocal(taskId, [operation]);
+      await enqueueOutboxOperation({ ...operation, taskId });
+
+      await flushOutbox();
+      return updatedTask;
+    } catch (error) {
+      console.error('Error toggling checklist item:', error);
+      throw error;
+    }
+  };
+
+  // Aplica los valores elegidos en la bandeja de conflictos como una edición
+  // nueva sobre la copia del servidor
+  const resolveConflict = async (id, values) => {
+    const localTask = await getTaskLocal(id);
+    if (!localTask || !localTask.conflict) return;
+
+    const serverTask = localTask.conflict;
+    await saveTaskLocal({
+      ...applyMergeFields(localTask, pickMergeFields(serverTask)),
+      version: serverTask.version,
+      synced: true,
+      conflict: null,
+      base: null
+    });
+
+    await updateTask(id, applyMergeFields({}, values));
+  };
+
+  // Borrar mueve la tarea a la papelera: sigue en local, marcada con
+  // `deletedAt`, hasta que se restaure o se elimine definitivamente. El
+  // servidor fija `purgeAt`, cuándo la purgará, al recibir el cambio.
   const deleteTask = async (id) => {
     try {
-      if (isOnline) {
-        const serverAvailable = await checkServerConnection();
-        if (serverAvailable) {
-          try {
-            await apiService.deleteTask(id);
-          } catch (error) {
-            logger.debug('Server delete failed, deleting locally:', error.message);
-          }
-        }
+      const localTask = await getTaskLocal(id);
+      if (!localTask) {
+        throw new Error(`Task ${id} not found`);
       }
 
-      await deleteTaskLocal(id);
+      await saveTaskLocal({
+        ...localTask,
+        deletedAt: new Date().toISOString(),
+        deletedBy: currentUserId,
+        purgeAt: null
+      });
+      await cancelReminder(id);
+      await enqueueOutboxOperation({ type: 'delete', taskId: id });
+
+      await flushOutbox();
+      return getTaskLocal(id);
     } catch (error) {
       console.error('Error deleting task:', error);
       throw error;
     }
   };
 
-  const getStats = async () => {
+  const restoreTask = async (id) => {
+    try {
+      const localTask = await getTaskLocal(id);
+      if (!localTask) {
+        throw new Error(`Task ${id} not found`);
+      }
+
+      await saveTaskLocal({ ...localTask, deletedAt: null, deletedBy: null, purgeAt: null });
+      await enqueueOutboxOperation({ type: 'restore', taskId: id });
+
+      await flushOutbox();
+      return getTaskLocal(id);
+    } catch (error) {
+      console.error('Error restoring task:', error);
+      throw error;
+    }
+  };
+
+  // Elimina la tarea para siempre, esté o no en la papelera. El borrado queda
+  // en el outbox hasta que el servidor lo confirme, así la tarea no reaparece
+  // al volver a descargar
+  const deleteTaskForever = async (id) => {
+    try {
+      await deleteTaskLocal(id);
+      await cancelReminder(id);
+      await enqueueOutboxOperation({ type: 'purge', taskId: id });
+
+      await flushOutbox();
+    } catch (error) {
+      console.error('Error deleting task permanently:', error);
+      throw error;
+    }
+  };
+
+  // Vacía la papelera de una vez: `ids` son las tareas que el usuario puede
+  // eliminar, sin las de listas que solo puede ver
+  const emptyTrash = async (ids) => {
+    try {
+      for (const id of ids) {
+        await deleteTaskLocal(id);
+        await enqueueOutboxOperation({ type: 'purge', taskId: id });
+      }
+
+      await flushOutbox();
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      throw error;
+    }
+  };
+
+  // Vuelve a poner en cola una operación fallida, en su posición original
+  const retryOperation = async (seq) => {
+    const entry = await getOutboxEntry(seq);
+    if (!entry) return;
+
+    await putOutboxEntry({
+      ...entry,
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      updatedAt: new Date().toISOString()
+    });
+
+    await flushOutbox();
+  };
+
+  // Renuncia a una operación y devuelve la tarea al estado del servidor
+  const discardOperation = async (seq) => {
+    const entry = await getOutboxEntry(seq);
+    if (!entry) return;
+
+    const taskEntries = (await getOutboxEntries()).filter(e => e.taskId === entry.taskId);
+
+    if (entry.type === 'create') {
+      // La tarea nunca llegó al servidor: se descarta con todo lo que dependía de ella
+      for (const taskEntry of taskEntries) {
+        await deleteOutboxEntry(taskEntry.seq);
+      }
+      await deleteTaskLocal(entry.taskId);
+      await cancelReminder(entry.taskId);
+      await refreshOutbox();
+      return;
+    }
+
+    await deleteOutboxEntry(seq);
+
+    if (taskEntries.length === 1) {
+      try {
+        const serverTask = await apiService.getTask(entry.taskId);
+        await saveTaskLocal({
+          ...serverTask,
+          synced: true,
+          serverCreated: true,
+          isNew: false
+        });
+      } catch (error) {
+        if (error.status === 404) {
+          await deleteTaskLocal(entry.taskId);
+        } else {
+          // Sin conexión: se marca como sincronizada y se vuelve a descargar
+          // todo en la próxima sincronización para recuperar la copia buena
+          logger.debug(`Could not refetch task ${entry.taskId}:`, error.message);
+          const localTask = await getTaskLocal(entry.taskId);
+          if (localTask) {
+            await saveTaskLocal({ ...localTask, synced: true, base: null });
+          }
+          await setMeta(SYNC_CURSOR_KEY, 0);
+        }
+      }
+    }
+
+    await refreshOutbox();
+  };
+
+  // Repara o aparta los registros locales dañados; nunca borra la base
+  const checkIntegrity = async () => {
+    const summary = await checkLocalIntegrity();
+    await refreshOutbox();
+    return summary;
+  };
+
+  const clearAndReinitDB = async () => {
+    // Al borrar la base se pierde también el cursor y todo se vuelve a descargar
+    const result = await clearAndReinitLocalDB();
+    setOutboxEntries([]);
+    return result;
+  };
+
+  // Los datos locales son de un solo usuario: si entra otro distinto se
+  // borran antes de descargar los suyos
+  const adoptLocalData = async (user) => {
+    const ownerId = await getMeta(OWNER_KEY);
+    if (ownerId && ownerId !== user.id) {
+      logger.info('Another user signed in, clearing local data');
+      await clearAndReinitDB();
+    }
+    return user;
+  };
+
+  const login = async (email, password) =>
+    adoptLocalData(await apiService.login(email, password));
+
+  const register = async (email, password) =>
+    adoptLocalData(await apiService.register(email, password));
+
+  // Envía lo pendiente antes de cerrar la sesión y devuelve cuántos cambios
+  // del outbox siguen sin llegar al servidor
+  const sendPendingChanges = async () => {
+    await flushOutbox();
+    return (await getOutboxEntries()).length;
+  };
+
+  // Al salir se borran los datos locales, también lo que no se llegó a enviar:
+  // App lo envía antes con sendPendingChanges y pide confirmación si queda algo
+  const logout = async () => {
+    clearTimeout(retryTimerRef.current);
+    await apiService.logout();
+    await clearAndReinitDB();
+  };
+
+  // Las tareas que se quedaron sin proyecto llegan por el feed de cambios,
+  // que además respeta los cambios locales pendientes
+  const deleteProject = async (id) => {
+    const movedTasks = await deleteProjectRemote(id);
+    await pullChanges();
+    return movedTasks;
+  };
+
+  // Quitar a alguien (o salir de una lista) retira tareas: la baja llega por
+  // el feed como un borrado
+  const removeProjectMember = async (projectId, userId) => {
+    await removeProjectMemberRemote(projectId, userId);
+    await pullChanges();
+  };
+
+  // El historial vive en el servidor: lo editado sin conexión aparece en él
+  // al sincronizarse
+  const getTaskHistory = useCallback((id) => apiService.getTaskHistory(id), []);
+
+  // Restaurar crea una versión nueva en el servidor, que se guarda también en
+  // local. Con cambios sin enviar no se restaura: se perderían al pisarlos
+  const restoreRevision = async (id, version) => {
+    const localTask = await getTaskLocal(id);
+    if (!localTask || !localTask.synced) {
+      throw new Error('La tarea tiene cambios sin sincronizar');
+    }
+
+    const restoredTask = await apiService.restoreTaskRevision(id, version, localTask.version);
+    const savedTask = await saveTaskLocal({
+      ...restoredTask,
+      synced: true,
+      serverCreated: true,
+      isNew: false
+    });
+    if (savedTask.completed) {
+      await cancelReminder(id);
+    }
+    return savedTask;
+  };
+
+  // `projectSelection` es lo elegido en el selector de proyectos
+  const getStats = async (projectSelection = ALL_PROJECTS) => {
     try {
       if (isOnline) {
         const serverAvailable = await checkServerConnection();
         if (serverAvailable) {
           try {
-            return await apiService.getStats();
+            return await apiService.getStats(toProjectQuery(projectSelection));
           } catch (error) {
             logger.debug('Server stats failed, calculating locally:', error.message);
           }
         }
       }
 
-      const tasks = await getTasksLocal();
+      const tasks = (await getTasksLocal()).filter(
+        task => !task.deletedAt && isInProject(task, projectSelection)
+      );
       const total = tasks.length;
       const completed = tasks.filter(t => t.completed).length;
       const pending = total - completed;
       const highPriority = tasks.filter(t => t.priority === 'high' && !t.completed).length;
+      // Con todos los proyectos se cuentan por los índices de IndexedDB
+      const scoped = projectSelection !== ALL_PROJECTS;
+      const overdue = scoped
+        ? countOverdue(tasks)
+        : (await getTasksDueBefore(Date.now())).filter(t => !t.completed && !t.deletedAt).length;
+      const tags = scoped ? countTags(tasks) : await getTagCounts();
 
       return {
         total,
         completed,
         pending,
         highPriority,
+        overdue,
+        tags,
         completionRate: total > 0 ? ((completed / total) * 100).toFixed(1) : 0
       };
     } catch (error) {
       console.error('Error getting stats:', error);
-      return { total: 0, completed: 0, pending: 0, highPriority: 0, completionRate: 0 };
+      return { total: 0, completed: 0, pending: 0, highPriority: 0, overdue: 0, tags: {}, completionRate: 0 };
     }
   };
 
@@ -307,15 +1250,44 @@ export const useTaskSync = () => {
     addTask,
     updateTask,
     deleteTask,
+    restoreTask,
+    deleteTaskForever,
+    emptyTrash,
+    toggleChecklistItem,
+    resolveConflict,
+    getTaskHistory,
+    restoreRevision,
     getStats,
+    getTaskIdsByTags,
+    projects,
+    createProject,
+    updateProject,
+    deleteProject,
+    shareProject,
+    updateProjectMember,
+    removeProjectMember,
+    checkIntegrity,
     clearAndReinitDB,
-    
+
+    currentUser,
+    login,
+    register,
+    sendPendingChanges,
+    logout,
+
+    scheduleReminder,
+    getReminder,
+    restoreReminder,
     syncWithServer,
-    
+    retryOperation,
+    discardOperation,
+
     isOnline,
     isSyncing,
+    isDraining,
     isLoading: isLocalLoading,
     syncError,
-    lastSyncTime
+    lastSyncTime,
+    outboxEntries
   };
-};
\ No newline at end of file
+};
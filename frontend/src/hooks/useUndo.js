@@ -0,0 +1,74 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { logger } from '../utils/logger';
+
+// Tiempo que se ofrece deshacer cada acción desde que se hizo, o desde que
+// quedó la primera de la pila al deshacer la de encima
+export const UNDO_TIMEOUT = 6000;
+// Acciones seguidas que se pueden deshacer
+const MAX_UNDO_STEPS = 20;
+
+const withExpiry = (action) => ({ ...action, expiresAt: Date.now() + UNDO_TIMEOUT });
+
+// Pila de acciones que se pueden deshacer, la última arriba. Cada una lleva el
+// `message` que se muestra y una función `undo` que la revierte en IndexedDB y
+// encola lo necesario en el outbox, así que también funciona sin conexión.
+// Cada acción caduca por su cuenta UNDO_TIMEOUT ms después de hacerse.
+export const useUndo = ({ onError } = {}) => {
+  const [actions, setActions] = useState([]);
+  const [isUndoing, setIsUndoing] = useState(false);
+  const isUndoingRef = useRef(false);
+
+  // Un solo temporizador, para la acción que caduca antes
+  useEffect(() => {
+    if (actions.length === 0) return;
+
+    const nextExpiry = Math.min(...actions.map(action => action.expiresAt));
+    const timer = setTimeout(() => {
+      const now = Date.now();
+      setActions(prev => prev.filter(action => action.expiresAt > now));
+    }, Math.max(0, nextExpiry - Date.now()));
+
+    return () => clearTimeout(timer);
+  }, [actions]);
+
+  const pushUndo = useCallback((message, undo) => {
+    setActions(prev => [...prev, withExpiry({ message, undo })].slice(-MAX_UNDO_STEPS));
+  }, []);
+
+  const dismissUndo = useCallback(() => {
+    setActions([]);
+  }, []);
+
+  const undoLast = async () => {
+    const action = actions[actions.length - 1];
+    if (!action || isUndoingRef.current) return;
+
+    isUndoingRef.current = true;
+    setIsUndoing(true);
+    try {
+      await action.undo();
+      // La acción que queda arriba se acaba de mostrar: cuenta desde ahora
+      setActions(prev => {
+        const rest = prev.filter(a => a !== action);
+        return rest.length === 0 ? rest : [...rest.slice(0, -1), withExpiry(rest[rest.length - 1])];
+      });
+    } catch (error) {
+      // Las acciones anteriores pueden depender de esta: se descartan todas
+      logger.error('Error undoing action:', error);
+      setActions([]);
+      onError?.(error);
+    } finally {
+      isUndoingRef.current = false;
+      setIsUndoing(false);
+    }
+  };
+
+  return {
+    lastAction: actions[actions.length - 1] || null,
+    undoCount: actions.length,
+    isUndoing,
+    pushUndo,
+    undoLast,
+    dismissUndo
+  };
+};
@@ -0,0 +1,81 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useUndo, UNDO_TIMEOUT } from './useUndo';
+
+describe('useUndo', () => {
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => vi.useRealTimers());
+
+  const push = (result, message, undo = vi.fn()) => {
+    act(() => result.current.pushUndo(message, undo));
+    return undo;
+  };
+
+  it('undoes the last action first', async () => {
+    const { result } = renderHook(() => useUndo());
+    const undoFirst = push(result, 'Primera');
+    const undoSecond = push(result, 'Segunda');
+
+    expect(result.current.lastAction.message).toBe('Segunda');
+    expect(result.current.undoCount).toBe(2);
+
+    await act(() => result.current.undoLast());
+
+    expect(undoSecond).toHaveBeenCalledOnce();
+    expect(undoFirst).not.toHaveBeenCalled();
+    expect(result.current.lastAction.message).toBe('Primera');
+  });
+
+  it('expires each action on its own', () => {
+    const { result } = renderHook(() => useUndo());
+    push(result, 'Primera');
+    act(() => vi.advanceTimersByTime(UNDO_TIMEOUT / 2));
+    push(result, 'Segunda');
+
+    act(() => vi.advanceTimersByTime(UNDO_TIMEOUT / 2));
+    expect(result.current.undoCount).toBe(1);
+    expect(result.current.lastAction.message).toBe('Segunda');
+
+    act(() => vi.advanceTimersByTime(UNDO_TIMEOUT / 2));
+    expect(result.current.undoCount).toBe(0);
+    expect(result.current.lastAction).toBeNull();
+  });
+
+  it('gives the action left on top a fresh timeout after an undo', async () => {
+    const { result } = renderHook(() => useUndo());
+    push(result, 'Primera');
+    push(result, 'Segunda');
+    act(() => vi.advanceTimersByTime(UNDO_TIMEOUT - 1000));
+
+    await act(() => result.current.undoLast());
+    act(() => vi.advanceTimersByTime(UNDO_TIMEOUT - 1000));
+
+    expect(result.current.lastAction.message).toBe('Primera');
+
+    act(() => vi.advanceTimersByTime(1000));
+    expect(result.current.lastAction).toBeNull();
+  });
+
+  it('drops the whole stack when an undo fails', async () => {
+    const onError = vi.fn();
+    const { result } = renderHook(() => useUndo({ onError }));
+    push(result, 'Primera');
+    const error = new Error('IndexedDB no disponible');
+    push(result, 'Segunda', vi.fn().mockRejectedValue(error));
+
+    await act(() => result.current.undoLast());
+
+    expect(onError).toHaveBeenCalledWith(error);
+    expect(result.current.undoCount).toBe(0);
+    expect(result.current.isUndoing).toBe(false);
+  });
+
+  it('keeps at most twenty actions', () => {
+    const { result } = renderHook(() => useUndo());
+    for (let i = 1; i <= 25; i++) push(result, `Acción ${i}`);
+
+    expect(result.current.undoCount).toBe(20);
+    expect(result.current.lastAction.message).toBe('Acción 25');
+  });
+});
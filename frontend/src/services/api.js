@@ -1,22 +1,159 @@
+import { getDeviceId } from "../utils/deviceId";
+
 const API_BASE_URL = "https://pwa-task-tracker-backend.vercel.app/api";
 
+// Error HTTP con el estado y el cuerpo de la respuesta (p. ej. el 409 de versión)
+export class ApiError extends Error {
+  constructor(status, data) {
+    super((data && data.error) || `HTTP error! status: ${status}`);
+    this.name = "ApiError";
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// Sesión guardada entre recargas: { user, accessToken, refreshToken }
+const SESSION_KEY = "authSession";
+
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// Las rutas de sesión no llevan token ni se reintentan tras renovarlo
+const isAuthEndpoint = (endpoint) => endpoint.startsWith("/auth/");
+
 class ApiService {
-  async request(endpoint, options = {}) {
+  constructor() {
+    this.session = loadSession();
+    this.refreshPromise = null;
+    this.storedSessionLoader = null;
+    this.authListeners = new Set();
+  }
+
+  setSession(session) {
+    this.session = session;
+    if (session) {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } else {
+      localStorage.removeItem(SESSION_KEY);
+    }
+    this.authListeners.forEach((listener) => listener(session));
+  }
+
+  // Avisa de cada inicio, renovación o cierre de sesión; devuelve la baja
+  onAuthChange(listener) {
+    this.authListeners.add(listener);
+    return () => this.authListeners.delete(listener);
+  }
+
+  isAuthenticated() {
+    return Boolean(this.session);
+  }
+
+  getSession() {
+    return this.session;
+  }
+
+  getCurrentUser() {
+    return this.session ? this.session.user : null;
+  }
+
+  getAccessToken() {
+    return this.session ? this.session.accessToken : null;
+  }
+
+  // Cambia el refresh token por un par nuevo. Las peticiones que reciben un
+  // 401 a la vez comparten la misma renovación: cada refresh token vale una
+  // sola vez.
+  refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.renewSession().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async renewSession(recover = true) {
+    const { refreshToken } = this.session || {};
+    try {
+      const session = await this.request(
+        "/auth/refresh",
+        { method: "POST", body: JSON.stringify({ refreshToken }) },
+        false
+      );
+      this.setSession(session);
+      return true;
+    } catch (error) {
+      // Con el servidor caído la sesión sigue valiendo; solo se cierra si
+      // el servidor la rechaza
+      if (error.status !== 401) return false;
+
+      // El service worker pudo gastar ya este refresh token: se sigue con el
+      // par que dejó guardado
+      const stored =
+        recover && this.storedSessionLoader
+          ? await this.storedSessionLoader(this.session).catch(() => null)
+          : null;
+      this.setSession(stored);
+      return stored ? this.renewSession(false) : false;
+    }
+  }
+
+  // `loader(session)` devuelve la sesión que otro contexto renovó a partir
+  // de `session`, o null. Devuelve la función que lo quita.
+  setStoredSessionLoader(loader) {
+    this.storedSessionLoader = loader;
+    return () => {
+      if (this.storedSessionLoader === loader) this.storedSessionLoader = null;
+    };
+  }
+
+  // Cabeceras de cada petición: el dispositivo y, salvo en las rutas de
+  // sesión, el token de acceso
+  buildHeaders(endpoint, headers = {}) {
+    const accessToken = this.getAccessToken();
+    return {
+      "Content-Type": "application/json",
+      "X-Device-Id": getDeviceId(),
+      ...(accessToken && !isAuthEndpoint(endpoint)
+        ? { Authorization: `Bearer ${accessToken}` }
+        : {}),
+      ...headers,
+    };
+  }
+
+  async request(endpoint, options = {}, retryOnUnauthorized = true) {
     const url = `${API_BASE_URL}${endpoint}`;
+    const accessToken = this.getAccessToken();
 
+    // Las respuestas son de la sesión actual: nunca salen de la caché HTTP
     const config = {
-      headers: {
-        "Content-Type": "application/json",
-        ...options.headers,
-      },
+      cache: "no-store",
       ...options,
+      headers: this.buildHeaders(endpoint, options.headers),
     };
 
     try {
       const response = await fetch(url, config);
 
+      if (
+        response.status === 401 &&
+        retryOnUnauthorized &&
+        accessToken &&
+        !isAuthEndpoint(endpoint) &&
+        (await this.refreshSession())
+      ) {
+        return this.request(endpoint, options, false);
+      }
+
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json().catch(() => null);
+        throw new ApiError(response.status, data);
       }
 
       return await response.json();
@@ -26,6 +163,41 @@ class ApiService {
     }
   }
 
+  // Cuentas de usuario
+  async register(email, password) {
+    const session = await this.request("/auth/register", {
+      method: "POST",
+      body: JSON.stringify({ email, password }),
+    });
+    this.setSession(session);
+    return session.user;
+  }
+
+  async login(email, password) {
+    const session = await this.request("/auth/login", {
+      method: "POST",
+      body: JSON.stringify({ email, password }),
+    });
+    this.setSession(session);
+    return session.user;
+  }
+
+  // La sesión local se cierra aunque el servidor no responda
+  async logout() {
+    const { refreshToken } = this.session || {};
+    this.setSession(null);
+    if (!refreshToken) return;
+
+    try {
+      await this.request("/auth/logout", {
+        method: "POST",
+        body: JSON.stringify({ refreshToken }),
+      });
+    } catch (error) {
+      console.warn("Could not revoke refresh token:", error.message);
+    }
+  }
+
   // Health check
   async healthCheck() {
     return this.request("/health");
@@ -36,10 +208,77 @@ class ApiService {
     return this.request("/tasks");
   }
 
+  async getTaskChanges(since = 0) {
+    return this.request(`/tasks/changes?since=${encodeURIComponent(since)}`);
+  }
+
+  // Cambios en tiempo real por Server-Sent Events. Se lee con fetch porque
+  // EventSource no permite enviar la cabecera Authorization. Llama a `onFeed`
+  // con cada página del feed, como las de getTaskChanges, y resuelve cuando
+  // el servidor cierra la conexión.
+  async streamTaskChanges(since, onFeed, signal, retryOnUnauthorized = true) {
+    const endpoint = `/tasks/stream?since=${since}`;
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+      headers: this.buildHeaders(endpoint, { Accept: "text/event-stream" }),
+      signal,
+    });
+
+    if (
+      response.status === 401 &&
+      retryOnUnauthorized &&
+      (await this.refreshSession())
+    ) {
+      return this.streamTaskChanges(since, onFeed, signal, false);
+    }
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      throw new ApiError(response.status, data);
+    }
+
+    const reader = response.body
+      .pipeThrough(new TextDecoderStream())
+      .getReader();
+    let buffer = "";
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+
+      // Cada evento acaba en una línea en blanco; los comentarios con los
+      // que el servidor mantiene viva la conexión no traen datos
+      buffer += value;
+      let end;
+      while ((end = buffer.indexOf("\n\n")) !== -1) {
+        const data = buffer
+          .slice(0, end)
+          .split("\n")
+          .filter((line) => line.startsWith("data:"))
+          .map((line) => line.slice(5).trimStart())
+          .join("\n");
+        buffer = buffer.slice(end + 2);
+        if (data) await onFeed(JSON.parse(data));
+      }
+    }
+  }
+
   async getTask(id) {
     return this.request(`/tasks/${id}`);
   }
 
+  // Revisiones de la tarea, la más reciente primero
+  async getTaskHistory(id) {
+    return this.request(`/tasks/${id}/history`);
+  }
+
+  // Restaura una versión anterior como una versión nueva. Con `baseVersion`
+  // el servidor responde 409 si la tarea cambió entretanto
+  async restoreTaskRevision(id, version, baseVersion) {
+    return this.request(`/tasks/${id}/history/${version}/restore`, {
+      method: "POST",
+      body: JSON.stringify({ baseVersion }),
+    });
+  }
+
   async createTask(taskData) {
     return this.request("/tasks", {
       method: "POST",
@@ -54,14 +293,101 @@ class ApiService {
     });
   }
 
-  async deleteTask(id) {
-    return this.request(`/tasks/${id}`, {
+  // Mueve la tarea a la papelera; con `permanent` la elimina para siempre
+  async deleteTask(id, { permanent = false } = {}) {
+    return this.request(`/tasks/${id}${permanent ? "?permanent=true" : ""}`, {
+      method: "DELETE",
+    });
+  }
+
+  async restoreTask(id) {
+    return this.request(`/tasks/${id}/restore`, {
+      method: "POST",
+    });
+  }
+
+  async getTrash() {
+    return this.request("/tasks/trash");
+  }
+
+  // Aplica un lote ordenado de operaciones create/update/delete/restore/purge
+  async syncBatch(operations) {
+    return this.request("/sync", {
+      method: "POST",
+      body: JSON.stringify({ operations }),
+    });
+  }
+
+  // Web Push: clave VAPID pública y alta/baja de la suscripción del navegador
+  async getPushPublicKey() {
+    return this.request("/push/public-key");
+  }
+
+  async subscribePush(subscription, deviceId) {
+    return this.request("/push/subscriptions", {
+      method: "POST",
+      body: JSON.stringify({ subscription, deviceId }),
+    });
+  }
+
+  async unsubscribePush(endpoint) {
+    return this.request("/push/subscriptions", {
+      method: "DELETE",
+      body: JSON.stringify({ endpoint }),
+    });
+  }
+
+  // `projectId` limita las estadísticas a un proyecto ("none": sin proyecto)
+  async getStats(projectId) {
+    return this.request(
+      projectId ? `/stats?project=${encodeURIComponent(projectId)}` : "/stats"
+    );
+  }
+
+  // Proyectos: se gestionan solo con conexión
+  async getProjects() {
+    return this.request("/projects");
+  }
+
+  async createProject(projectData) {
+    return this.request("/projects", {
+      method: "POST",
+      body: JSON.stringify(projectData),
+    });
+  }
+
+  async updateProject(id, projectData) {
+    return this.request(`/projects/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(projectData),
+    });
+  }
+
+  async deleteProject(id) {
+    return this.request(`/projects/${id}`, {
       method: "DELETE",
     });
   }
 
-  async getStats() {
-    return this.request("/stats");
+  // Miembros de una lista compartida. `role`: viewer, editor o admin
+  async shareProject(id, email, role) {
+    return this.request(`/projects/${id}/members`, {
+      method: "POST",
+      body: JSON.stringify({ email, role }),
+    });
+  }
+
+  async updateProjectMember(id, userId, role) {
+    return this.request(`/projects/${id}/members/${userId}`, {
+      method: "PUT",
+      body: JSON.stringify({ role }),
+    });
+  }
+
+  async removeProjectMember(id, userId) {
+    return this.request(`/projects/${id}/members/${userId}`, {
+      method: "DELETE",
+    });
   }
 
   // Seed data for testing
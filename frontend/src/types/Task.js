@@ -13,6 +13,8 @@ export const createTask = (data) => ({
   updatedAt: new Date(),
   dueDate: null,
   priority: TaskPriority.MEDIUM,
+  tags: [],
+  projectId: null,
   photo: null,
   synced: false,
   ...data
@@ -22,5 +24,7 @@ export const createTaskStats = () => ({
   total: 0,
   completed: 0,
   pending: 0,
-  highPriority: 0
+  highPriority: 0,
+  overdue: 0,
+  tags: {}
 });
\ No newline at end of file
@@ -0,0 +1,106 @@
+import { generateId } from './uuid';
+
+// Las listas se sincronizan elemento a elemento (ver backend/lib/checklist.js):
+// cada cambio es una operación del outbox que solo lleva los campos que
+// cambiaron, así dos dispositivos que marcan elementos distintos no se pisan.
+
+export const CHECKLIST_OPERATION_TYPES = ['checklist-upsert', 'checklist-delete'];
+
+const ITEM_FIELDS = ['text', 'done', 'position'];
+
+export const isChecklistOperation = (type) => CHECKLIST_OPERATION_TYPES.includes(type);
+
+// Mismo orden que el servidor: por posición y, si empatan, por ID
+const compareItems = (a, b) =>
+  a.position - b.position || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+export const sortChecklist = (items) => [...items].sort(compareItems);
+
+// Los elementos nuevos van al final de la lista
+export const createChecklistItem = (text, checklist = []) => {
+  const last = checklist[checklist.length - 1];
+  return {
+    id: generateId(),
+    text,
+    done: false,
+    position: last ? Math.floor(last.position) + 1 : 0
+  };
+};
+
+export const getChecklistProgress = (checklist = []) => ({
+  done: checklist.filter(item => item.done).length,
+  total: checklist.length
+});
+
+// Intercambia un elemento con su vecino, de modo que solo cambian dos
+// posiciones. Si comparten posición (dos dispositivos añadieron a la vez) se
+// numera de nuevo toda la lista.
+export const moveChecklistItem = (items, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= items.length) return items;
+
+  const moved = [...items];
+  const [item, neighbour] = [items[index], items[target]];
+
+  if (item.position === neighbour.position) {
+    moved.splice(index, 1);
+    moved.splice(target, 0, item);
+    return moved.map((entry, position) => ({ ...entry, position }));
+  }
+
+  moved[index] = { ...neighbour, position: item.position };
+  moved[target] = { ...item, position: neighbour.position };
+  return moved;
+};
+
+// Operaciones que llevan la lista `previous` a `next`
+export const diffChecklist = (previous = [], next = []) => {
+  const previousById = new Map(previous.map(item => [item.id, item]));
+  const nextIds = new Set(next.map(item => item.id));
+  const operations = [];
+
+  for (const item of next) {
+    const before = previousById.get(item.id);
+    const data = {};
+
+    for (const field of ITEM_FIELDS) {
+      if (!before || before[field] !== item[field]) data[field] = item[field];
+    }
+    if (Object.keys(data).length > 0) {
+      operations.push({ type: 'checklist-upsert', itemId: item.id, data });
+    }
+  }
+
+  for (const item of previous) {
+    if (!nextIds.has(item.id)) {
+      operations.push({ type: 'checklist-delete', itemId: item.id });
+    }
+  }
+
+  return operations;
+};
+
+// Aplica una operación de elemento a una lista local
+export const applyChecklistOperation = (checklist = [], { type, itemId, data }) => {
+  const rest = checklist.filter(item => item.id !== itemId);
+  if (type === 'checklist-delete') return rest;
+
+  const existing = checklist.find(item => item.id === itemId);
+  return sortChecklist([
+    ...rest,
+    { ...(existing || { id: itemId, text: '', done: false, position: 0 }), ...data }
+  ]);
+};
+
+// Fusiona la lista del servidor con la local: los elementos con operaciones
+// pendientes en el outbox conservan el valor local (o siguen borrados), el
+// resto se toma del servidor
+export const mergeChecklist = (local = [], server = [], pendingItemIds = new Set()) =>
+  sortChecklist([
+    ...server.filter(item => !pendingItemIds.has(item.id)),
+    ...local.filter(item => pendingItemIds.has(item.id))
+  ]);
+
+// Solo los campos que entiende el servidor
+export const toChecklistPayload = (checklist = []) =>
+  checklist.map(({ id, text, done, position }) => ({ id, text, done, position }));
@@ -0,0 +1,193 @@
+import { logger } from './logger';
+import { OUTBOX_STATUS } from './outbox';
+import { parseRule } from './recurrence';
+import { CHECKLIST_OPERATION_TYPES, isChecklistOperation } from './checklist';
+import { normalizeTags } from './tags';
+import { PROJECT_COLORS } from './projects';
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const OUTBOX_TYPES = ['create', 'update', 'delete', 'restore', 'purge', ...CHECKLIST_OPERATION_TYPES];
+// Tipos cuya entrada no lleva `data`
+const OUTBOX_TYPES_WITHOUT_DATA = ['delete', 'restore', 'purge', 'checklist-delete'];
+
+const isValidDate = (value) => Boolean(value) && !isNaN(new Date(value).getTime());
+
+// Corrige los campos de una tarea que tienen arreglo sin perder información.
+// Devuelve la tarea corregida, o null si no se puede recuperar.
+export const repairTask = (task) => {
+  if (!task || typeof task !== 'object') return null;
+  if (typeof task.title !== 'string' || !task.title.trim()) return null;
+
+  const repaired = { ...task };
+
+  if (!isValidDate(repaired.createdAt)) {
+    repaired.createdAt = isValidDate(repaired.updatedAt)
+      ? repaired.updatedAt
+      : new Date().toISOString();
+  }
+
+  if (!isValidDate(repaired.updatedAt)) {
+    repaired.updatedAt = repaired.createdAt;
+  }
+
+  if (typeof repaired.description !== 'string') {
+    repaired.description = '';
+  }
+
+  if (typeof repaired.completed !== 'boolean') {
+    repaired.completed = repaired.completed === 'true' || repaired.completed === 1;
+  }
+
+  if (!PRIORITIES.includes(repaired.priority)) {
+    repaired.priority = 'medium';
+  }
+
+  // Un null explícito deja la tarea fuera del índice dueDate
+  if (repaired.dueDate !== undefined && repaired.dueDate !== null && !isValidDate(repaired.dueDate)) {
+    repaired.dueDate = null;
+  }
+
+  // Sin fecha límite no hay desde dónde contar las repeticiones
+  if (repaired.recurrence && (!parseRule(repaired.recurrence) || !repaired.dueDate)) {
+    repaired.recurrence = null;
+  }
+
+  if (repaired.projectId !== undefined && typeof repaired.projectId !== 'string') {
+    repaired.projectId = null;
+  }
+
+  // Etiquetas en la forma que usa el índice tags y que guarda el servidor
+  if (repaired.tags !== undefined) {
+    repaired.tags = normalizeTags(repaired.tags);
+  }
+
+  // Los elementos sin ID o sin texto no se pueden sincronizar
+  if (repaired.checklist !== undefined) {
+    repaired.checklist = (Array.isArray(repaired.checklist) ? repaired.checklist : [])
+      .filter(item => item && typeof item.id === 'string' && typeof item.text === 'string' && item.text.trim())
+      .map((item, index) => ({
+        ...item,
+        done: item.done === true,
+        position: Number.isFinite(item.position) ? item.position : index
+      }));
+  }
+
+  if (repaired.image && typeof repaired.image.data !== 'string') {
+    repaired.image = null;
+  }
+
+  if (typeof repaired.synced !== 'boolean') {
+    // Ante la duda se reenvía: es preferible a perder un cambio local
+    repaired.synced = false;
+  }
+
+  return repaired;
+};
+
+const repairOutboxEntry = (entry) => {
+  if (!entry || !OUTBOX_TYPES.includes(entry.type)) return null;
+  if (!entry.taskId || typeof entry.opId !== 'string') return null;
+  if (isChecklistOperation(entry.type) && !entry.itemId) return null;
+  if (!OUTBOX_TYPES_WITHOUT_DATA.includes(entry.type) && (!entry.data || typeof entry.data !== 'object')) return null;
+
+  const repaired = { ...entry };
+
+  if (!Object.values(OUTBOX_STATUS).includes(repaired.status)) {
+    repaired.status = OUTBOX_STATUS.PENDING;
+  }
+
+  if (!Number.isInteger(repaired.attempts) || repaired.attempts < 0) {
+    repaired.attempts = 0;
+  }
+
+  if (typeof repaired.nextAttemptAt !== 'number') {
+    repaired.nextAttemptAt = 0;
+  }
+
+  return repaired;
+};
+
+// Los proyectos se pueden volver a descargar, así que basta con apartar los
+// que no tienen arreglo
+const repairProject = (project) => {
+  if (!project || typeof project.id !== 'string') return null;
+  if (typeof project.name !== 'string' || !project.name.trim()) return null;
+
+  const repaired = { ...project };
+
+  if (typeof repaired.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(repaired.color)) {
+    repaired.color = PROJECT_COLORS[0];
+  }
+
+  if (!Number.isFinite(repaired.position)) {
+    repaired.position = 0;
+  }
+
+  return repaired;
+};
+
+const CHECKS = [
+  { storeName: 'tasks', repair: repairTask, reason: 'Tarea sin título o con formato inválido' },
+  { storeName: 'projects', repair: repairProject, reason: 'Proyecto sin nombre o con formato inválido' },
+  { storeName: 'outbox', repair: repairOutboxEntry, reason: 'Operación incompleta en el outbox' }
+];
+
+// Recorre los stores y corrige los registros dañados que tienen arreglo; los
+// que no, se mueven al store `quarantine` con el motivo para poder revisarlos.
+// Todo ocurre en una única transacción, así que o se aplica entero o nada.
+export const checkDatabaseIntegrity = (database) => {
+  const storeNames = [...CHECKS.map(check => check.storeName), 'quarantine'];
+  const summary = { checked: 0, repaired: 0, quarantined: 0 };
+
+  return new Promise((resolve, reject) => {
+    try {
+      const transaction = database.transaction(storeNames, 'readwrite');
+      const quarantine = transaction.objectStore('quarantine');
+
+      for (const { storeName, repair, reason } of CHECKS) {
+        const request = transaction.objectStore(storeName).openCursor();
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+
+          const record = cursor.value;
+          const repaired = repair(record);
+          summary.checked++;
+
+          if (!repaired) {
+            quarantine.add({
+              storeName,
+              key: cursor.primaryKey,
+              record,
+              reason,
+              quarantinedAt: new Date().toISOString()
+            });
+            cursor.delete();
+            summary.quarantined++;
+          } else if (JSON.stringify(repaired) !== JSON.stringify(record)) {
+            cursor.update(repaired);
+            summary.repaired++;
+          }
+
+          cursor.continue();
+        };
+      }
+
+      transaction.oncomplete = () => {
+        logger.info(
+          `Integrity check: ${summary.checked} records, ${summary.repaired} repaired, ${summary.quarantined} quarantined`
+        );
+        resolve(summary);
+      };
+
+      transaction.onerror = () => {
+        console.error('Transaction error in integrity check:', transaction.error);
+        reject(transaction.error);
+      };
+    } catch (error) {
+      console.error('Error in integrity check:', error);
+      reject(error);
+    }
+  });
+};
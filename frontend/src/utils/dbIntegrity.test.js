@@ -0,0 +1,90 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { DB_VERSION, runMigrations } from './dbMigrations';
+import { checkDatabaseIntegrity } from './dbIntegrity';
+import { OUTBOX_STATUS } from './outbox';
+
+// La migración create_meta mira si quedó un cursor en localStorage, que Node
+// no tiene
+globalThis.localStorage = { getItem: () => null, removeItem: () => {} };
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Una base nueva con el esquema completo, como la que abre useIndexedDB
+const openDatabase = (name) => {
+  const request = indexedDB.open(name, DB_VERSION);
+  request.onupgradeneeded = runMigrations;
+  return requestToPromise(request);
+};
+
+const getAll = (database, storeName) =>
+  requestToPromise(database.transaction(storeName).objectStore(storeName).getAll());
+
+const queue = (database, entries) => {
+  const outbox = database.transaction('outbox', 'readwrite').objectStore('outbox');
+  return Promise.all(entries.map(entry => requestToPromise(outbox.add({
+    opId: crypto.randomUUID(),
+    taskId: crypto.randomUUID(),
+    data: null,
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null,
+    ...entry
+  }))));
+};
+
+describe('checkDatabaseIntegrity', () => {
+  let database;
+
+  beforeEach(async () => {
+    database = await openDatabase(`integrity-${crypto.randomUUID()}`);
+  });
+
+  afterEach(() => database.close());
+
+  it('keeps the entries it can send', async () => {
+    await queue(database, [
+      { type: 'create', data: { title: 'Nueva' } },
+      { type: 'update', data: { completed: true }, attempts: -1 },
+      { type: 'delete' }
+    ]);
+
+    const summary = await checkDatabaseIntegrity(database);
+
+    expect(summary).toEqual({ checked: 3, repaired: 1, quarantined: 0 });
+    const outbox = await getAll(database, 'outbox');
+    expect(outbox.map(entry => entry.type)).toEqual(['create', 'update', 'delete']);
+    expect(outbox[1].attempts).toBe(0);
+    expect(await getAll(database, 'quarantine')).toEqual([]);
+  });
+
+  it('keeps queued trash operations', async () => {
+    await queue(database, [{ type: 'delete' }, { type: 'restore' }, { type: 'purge' }]);
+
+    const summary = await checkDatabaseIntegrity(database);
+
+    expect(summary).toEqual({ checked: 3, repaired: 0, quarantined: 0 });
+    expect((await getAll(database, 'outbox')).map(entry => entry.type))
+      .toEqual(['delete', 'restore', 'purge']);
+    expect(await getAll(database, 'quarantine')).toEqual([]);
+  });
+
+  it('quarantines entries it cannot send', async () => {
+    await queue(database, [
+      { type: 'delete' },
+      { type: 'rename' },
+      { type: 'update', data: null }
+    ]);
+
+    const summary = await checkDatabaseIntegrity(database);
+
+    expect(summary.quarantined).toBe(2);
+    expect((await getAll(database, 'outbox')).map(entry => entry.type)).toEqual(['delete']);
+    expect((await getAll(database, 'quarantine')).map(entry => entry.record.type))
+      .toEqual(['rename', 'update']);
+  });
+});
@@ -0,0 +1,104 @@
+import { logger } from './logger';
+
+export const DB_NAME = 'TaskTrackerDB';
+
+// Esquema versionado de TaskTrackerDB. Cada migración recibe la base y la
+// transacción de actualización, y debe conservar los datos existentes. Nunca
+// se modifica una migración publicada: se añade una nueva al final.
+export const migrations = [
+  {
+    version: 1,
+    name: 'create_tasks',
+    up: (database) => {
+      const store = database.createObjectStore('tasks', { keyPath: 'id' });
+      store.createIndex('completed', 'completed', { unique: false });
+      store.createIndex('createdAt', 'createdAt', { unique: false });
+      store.createIndex('priority', 'priority', { unique: false });
+    }
+  },
+  {
+    version: 2,
+    name: 'create_outbox',
+    up: (database) => {
+      // Cola persistente de mutaciones pendientes de enviar al servidor
+      const outbox = database.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+      outbox.createIndex('taskId', 'taskId', { unique: false });
+      outbox.createIndex('status', 'status', { unique: false });
+    }
+  },
+  {
+    version: 3,
+    name: 'create_quarantine',
+    up: (database) => {
+      // Registros dañados que el chequeo de integridad aparta en lugar de borrar
+      const quarantine = database.createObjectStore('quarantine', { keyPath: 'seq', autoIncrement: true });
+      quarantine.createIndex('storeName', 'storeName', { unique: false });
+    }
+  },
+  {
+    version: 4,
+    name: 'create_meta',
+    up: (database, transaction) => {
+      // Estado de sincronización que también necesita leer el service worker,
+      // que no tiene acceso a localStorage
+      database.createObjectStore('meta', { keyPath: 'key' });
+
+      const legacyCursor = localStorage.getItem('tasksSyncCursor');
+      if (legacyCursor) {
+        transaction.objectStore('meta').put({ key: 'syncCursor', value: parseInt(legacyCursor, 10) || 0 });
+        localStorage.removeItem('tasksSyncCursor');
+      }
+    }
+  },
+  {
+    version: 5,
+    name: 'create_reminders',
+    up: (database) => {
+      // Un recordatorio como máximo por tarea, con la hora a la que debe sonar
+      const reminders = database.createObjectStore('reminders', { keyPath: 'taskId' });
+      reminders.createIndex('fireAt', 'fireAt', { unique: false });
+    }
+  },
+  {
+    version: 6,
+    name: 'index_tasks_due_date',
+    up: (database, transaction) => {
+      // Las tareas sin fecha límite no entran en el índice
+      transaction.objectStore('tasks').createIndex('dueDate', 'dueDate', { unique: false });
+    }
+  },
+  {
+    version: 7,
+    name: 'index_tasks_tags',
+    up: (database, transaction) => {
+      // Índice multiEntry: cada etiqueta de una tarea es una entrada propia,
+      // así el filtro por etiqueta funciona sin conexión sin recorrer todas
+      // las tareas
+      transaction.objectStore('tasks').createIndex('tags', 'tags', { unique: false, multiEntry: true });
+    }
+  },
+  {
+    version: 8,
+    name: 'create_projects',
+    up: (database) => {
+      // Copia local de GET /projects, para mostrar los proyectos sin conexión
+      database.createObjectStore('projects', { keyPath: 'id' });
+    }
+  }
+];
+
+export const DB_VERSION = migrations[migrations.length - 1].version;
+
+// Aplica en orden las migraciones posteriores a la versión que tenía la base.
+// Se llama desde `onupgradeneeded`, dentro de la transacción de actualización,
+// así que si una falla el navegador revierte toda la subida de versión.
+export const runMigrations = (event) => {
+  const database = event.target.result;
+  const transaction = event.target.transaction;
+  const pending = migrations.filter(migration => migration.version > event.oldVersion);
+
+  for (const migration of pending) {
+    logger.info(`Applying IndexedDB migration ${migration.version} (${migration.name})`);
+    migration.up(database, transaction);
+  }
+};
@@ -0,0 +1,14 @@
+import { generateId } from './uuid';
+
+const DEVICE_ID_KEY = 'deviceId';
+
+// Identifica este navegador ante el backend para que los avisos push de un
+// cambio no le lleguen al mismo dispositivo que lo hizo
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = generateId();
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
@@ -0,0 +1,32 @@
+// Las fechas límite viajan como ISO en UTC; el input datetime-local trabaja
+// en hora local sin zona, así que se convierten en los dos sentidos
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const toDateTimeLocalValue = (dueDate) => {
+  if (!dueDate) return '';
+
+  const date = new Date(dueDate);
+  if (isNaN(date.getTime())) return '';
+
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+export const fromDateTimeLocalValue = (value) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Una tarea completada nunca está vencida
+export const isOverdue = (task, now = Date.now()) => {
+  if (!task || task.completed || !task.dueDate) return false;
+
+  const due = new Date(task.dueDate).getTime();
+  return !isNaN(due) && due < now;
+};
+
+export const countOverdue = (tasks, now = Date.now()) =>
+  tasks.filter((task) => isOverdue(task, now)).length;
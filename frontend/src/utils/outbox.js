@@ -0,0 +1,30 @@
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+const BASE_RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+// Backoff exponencial con un poco de aleatoriedad para no reintentar todos a la vez
+export const getRetryDelay = (attempts) => {
+  const delay = Math.min(BASE_RETRY_DELAY * 2 ** attempts, MAX_RETRY_DELAY);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Siguiente lote a enviar. El outbox sale en orden, así que si la primera
+// entrada pendiente aún espera su backoff no sale ninguna: `waitFor` dice
+// cuántos ms faltan. `hasMore` indica que quedan pendientes tras el lote.
+export const getNextBatch = (entries, maxSize, now = Date.now()) => {
+  const pending = entries.filter(entry => entry.status === OUTBOX_STATUS.PENDING);
+  if (pending.length === 0) return { batch: [], waitFor: 0, hasMore: false };
+
+  const waitFor = pending[0].nextAttemptAt - now;
+  if (waitFor > 0) return { batch: [], waitFor, hasMore: true };
+
+  return {
+    batch: pending.slice(0, maxSize),
+    waitFor: 0,
+    hasMore: pending.length > maxSize
+  };
+};
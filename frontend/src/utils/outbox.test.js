@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { OUTBOX_STATUS, getNextBatch, getRetryDelay } from './outbox';
+
+const NOW = 1_000_000;
+
+const entry = (seq, fields = {}) => ({
+  seq,
+  status: OUTBOX_STATUS.PENDING,
+  attempts: 0,
+  nextAttemptAt: 0,
+  ...fields
+});
+
+describe('getRetryDelay', () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it('doubles the delay with each attempt up to five minutes', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+
+    expect([0, 1, 2, 3].map(getRetryDelay)).toEqual([2000, 4000, 8000, 16000]);
+    expect(getRetryDelay(20)).toBe(5 * 60 * 1000);
+  });
+
+  it('spreads retries by up to 20% either way', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect(getRetryDelay(1)).toBe(3200);
+
+    Math.random.mockReturnValue(0.999999);
+    expect(getRetryDelay(1)).toBe(4800);
+  });
+});
+
+describe('getNextBatch', () => {
+  it('sends pending entries in order, up to the batch size', () => {
+    const entries = [1, 2, 3].map(seq => entry(seq));
+
+    const { batch, waitFor, hasMore } = getNextBatch(entries, 2, NOW);
+
+    expect(batch.map(e => e.seq)).toEqual([1, 2]);
+    expect(waitFor).toBe(0);
+    expect(hasMore).toBe(true);
+  });
+
+  it('leaves out entries that failed for good', () => {
+    const entries = [entry(1, { status: OUTBOX_STATUS.FAILED }), entry(2)];
+
+    const { batch, hasMore } = getNextBatch(entries, 10, NOW);
+
+    expect(batch.map(e => e.seq)).toEqual([2]);
+    expect(hasMore).toBe(false);
+  });
+
+  it('waits while the first entry is backing off', () => {
+    const entries = [entry(1, { attempts: 2, nextAttemptAt: NOW + 5000 }), entry(2)];
+
+    expect(getNextBatch(entries, 10, NOW)).toEqual({ batch: [], waitFor: 5000, hasMore: true });
+  });
+
+  it('sends entries whose retry time has come', () => {
+    const entries = [entry(1, { attempts: 2, nextAttemptAt: NOW }), entry(2)];
+
+    expect(getNextBatch(entries, 10, NOW).batch.map(e => e.seq)).toEqual([1, 2]);
+  });
+
+  it('has nothing to send on an empty outbox', () => {
+    expect(getNextBatch([], 10, NOW)).toEqual({ batch: [], waitFor: 0, hasMore: false });
+  });
+});
@@ -0,0 +1,58 @@
+import { moveChecklistItem } from './checklist';
+
+// Valores especiales del selector de proyectos; el resto son IDs de proyecto
+export const ALL_PROJECTS = 'all';
+export const NO_PROJECT = 'none';
+
+// Colores que ofrece el editor de proyectos (el servidor acepta cualquier #rrggbb)
+export const PROJECT_COLORS = [
+  '#3b82f6',
+  '#10b981',
+  '#f59e0b',
+  '#ef4444',
+  '#8b5cf6',
+  '#ec4899',
+  '#14b8a6',
+  '#6b7280'
+];
+
+// Mismo orden que el servidor: por posición y después por nombre
+export const sortProjects = (projects) =>
+  [...projects].sort((a, b) => a.position - b.position || a.name.localeCompare(b.name));
+
+// Papeles con los que se comparte una lista, de menos a más permisos. El
+// propietario está por encima de todos y no se puede asignar.
+export const PROJECT_ROLES = ['viewer', 'editor', 'admin'];
+export const ROLE_LABELS = {
+  viewer: 'Lector',
+  editor: 'Editor',
+  admin: 'Administrador',
+  owner: 'Propietario'
+};
+const ROLE_RANK = { viewer: 0, editor: 1, admin: 2, owner: 3 };
+
+// Si el papel del usuario en el proyecto llega a `role`. Los proyectos
+// guardados antes de poder compartirlos no traen papel: son propios.
+export const hasProjectRole = (project, role) =>
+  ROLE_RANK[project.role || 'owner'] >= ROLE_RANK[role];
+
+// Compartido: además del propietario hay algún miembro
+export const isSharedProject = (project) =>
+  Boolean(project.members && project.members.length > 1);
+
+// Si la tarea entra en lo elegido en el selector
+export const isInProject = (task, selection) =>
+  selection === ALL_PROJECTS ||
+  (task.projectId || null) === (selection === NO_PROJECT ? null : selection);
+
+// Valor de `?project=` en GET /stats; sin valor si se ven todos
+export const toProjectQuery = (selection) =>
+  selection === ALL_PROJECTS ? undefined : selection;
+
+// Mueve un proyecto como los elementos de una lista de comprobación y
+// devuelve solo los proyectos cuya posición cambió
+export const moveProject = (projects, index, offset) => {
+  const positions = new Map(projects.map(project => [project.id, project.position]));
+  return moveChecklistItem(projects, index, offset)
+    .filter(project => positions.get(project.id) !== project.position);
+};
@@ -0,0 +1,263 @@
+import { generateNameBasedId } from './uuid';
+
+// Subconjunto de RRULE de iCalendar: FREQ, INTERVAL, BYDAY (DAILY/WEEKLY),
+// COUNT y UNTIL. Es el mismo cálculo que backend/lib/recurrence.js: cliente y
+// servidor tienen que llegar a la misma siguiente ocurrencia para que, si las
+// dos partes la crean, el servidor vea un create duplicado y no una tarea nueva.
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+// Mismo orden que Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+// La semana empieza en lunes, como el WKST por defecto de RRULE
+export const WEEKDAY_ORDER = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const MAX_STEPS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Debe coincidir con OCCURRENCE_NAMESPACE del backend
+const OCCURRENCE_NAMESPACE = '8f0d6a52-3c1e-4f8b-9a57-2d4b6c1e7a90';
+
+export const WEEKDAY_LABELS = {
+  MO: 'lu', TU: 'ma', WE: 'mi', TH: 'ju', FR: 'vi', SA: 'sá', SU: 'do'
+};
+
+const FREQUENCY_UNITS = {
+  DAILY: ['día', 'días'],
+  WEEKLY: ['semana', 'semanas'],
+  MONTHLY: ['mes', 'meses'],
+  YEARLY: ['año', 'años']
+};
+
+export const getNextOccurrenceId = (taskId) =>
+  generateNameBasedId(taskId, OCCURRENCE_NAMESPACE);
+
+export const getLocalTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  const until = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return isNaN(until.getTime()) ? null : until;
+};
+
+const formatUntil = (date) =>
+  date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4" -> { freq, interval, byDay, count, until }.
+// Devuelve null si la regla no es válida (el servidor la rechazaría con un 400).
+export const parseRule = (rule) => {
+  if (typeof rule !== 'string' || !rule.trim()) return null;
+
+  const parts = {};
+  for (const part of rule.trim().replace(/^RRULE:/i, '').split(';')) {
+    if (!part) continue;
+    const [key, value] = part.split('=');
+    if (!value) return null;
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const { FREQ, INTERVAL, BYDAY, COUNT, UNTIL, ...rest } = parts;
+  if (Object.keys(rest).length > 0 || !FREQUENCIES.includes(FREQ)) return null;
+
+  const interval = INTERVAL === undefined ? 1 : Number(INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1) return null;
+
+  let byDay = null;
+  if (BYDAY !== undefined) {
+    if (FREQ !== 'DAILY' && FREQ !== 'WEEKLY') return null;
+    byDay = [...new Set(BYDAY.split(','))];
+    if (byDay.some((day) => !WEEKDAYS.includes(day))) return null;
+    byDay.sort((a, b) => WEEKDAY_ORDER.indexOf(a) - WEEKDAY_ORDER.indexOf(b));
+  }
+
+  if (COUNT !== undefined && UNTIL !== undefined) return null;
+
+  const count = COUNT === undefined ? null : Number(COUNT);
+  if (count !== null && (!Number.isInteger(count) || count < 1)) return null;
+
+  const until = UNTIL === undefined ? null : parseUntil(UNTIL);
+  if (UNTIL !== undefined && !until) return null;
+
+  return { freq: FREQ, interval, byDay, count, until };
+};
+
+// Forma canónica: cliente y servidor guardan exactamente la misma cadena
+export const formatRule = ({ freq, interval = 1, byDay = null, count = null, until = null }) =>
+  [
+    `FREQ=${freq}`,
+    interval > 1 && `INTERVAL=${interval}`,
+    byDay && byDay.length > 0 && `BYDAY=${byDay.join(',')}`,
+    count && `COUNT=${count}`,
+    until && `UNTIL=${formatUntil(until)}`
+  ].filter(Boolean).join(';');
+
+// "Cada 2 semanas: lu, mi · 3 veces"
+export const describeRule = (rule) => {
+  const parsed = typeof rule === 'string' ? parseRule(rule) : rule;
+  if (!parsed) return '';
+
+  const [singular, plural] = FREQUENCY_UNITS[parsed.freq];
+  let text = parsed.interval > 1 ? `Cada ${parsed.interval} ${plural}` : `Cada ${singular}`;
+
+  if (parsed.byDay) {
+    text += `: ${parsed.byDay.map((day) => WEEKDAY_LABELS[day]).join(', ')}`;
+  }
+  if (parsed.count) {
+    text += parsed.count === 1 ? ' · última vez' : ` · ${parsed.count} veces`;
+  }
+  if (parsed.until) {
+    text += ` · hasta ${parsed.until.toLocaleDateString('es-ES')}`;
+  }
+  return text;
+};
+
+// --- Aritmética de calendario en hora local de la zona de la tarea ---
+// Las ocurrencias se repiten a la misma hora local aunque cambie el horario de
+// verano. Se calcula sobre valores { year, month, day } sin zona.
+
+const getWallClock = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const wall = {};
+  for (const { type, value } of parts) {
+    if (type !== 'literal') wall[type] = Number(value);
+  }
+  return wall;
+};
+
+const wallToUtcMs = ({ year, month, day, hour = 0, minute = 0, second = 0 }) =>
+  Date.UTC(year, month - 1, day, hour, minute, second);
+
+// Busca el instante que muestra `wall` en `timeZone`; dos pasadas ajustan el desfase
+const wallToDate = (wall, timeZone) => {
+  const target = wallToUtcMs(wall);
+  let guess = target;
+  for (let pass = 0; pass < 2; pass += 1) {
+    const offset = wallToUtcMs(getWallClock(new Date(guess), timeZone)) - guess;
+    guess = target - offset;
+  }
+  return new Date(guess);
+};
+
+const addDays = (wall, days) => {
+  const date = new Date(wallToUtcMs({ ...wall, hour: 0 }) + days * DAY_MS);
+  return {
+    ...wall,
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate()
+  };
+};
+
+const getWeekday = (wall) =>
+  WEEKDAYS[new Date(wallToUtcMs({ ...wall, hour: 0 })).getUTCDay()];
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const nextDaily = ({ interval, byDay }, wall) => {
+  for (let step = 1; step <= MAX_STEPS; step += 1) {
+    const candidate = addDays(wall, step * interval);
+    if (!byDay || byDay.includes(getWeekday(candidate))) return candidate;
+  }
+  return null;
+};
+
+// Con BYDAY, cada día indicado de una de cada INTERVAL semanas
+const nextWeekly = ({ interval, byDay }, wall) => {
+  if (!byDay) return addDays(wall, 7 * interval);
+
+  const weekStart = addDays(wall, -WEEKDAY_ORDER.indexOf(getWeekday(wall)));
+  for (let step = 1; step <= 7 * interval + 7; step += 1) {
+    const candidate = addDays(wall, step);
+    const weeks = Math.floor(
+      (wallToUtcMs({ ...candidate, hour: 0 }) - wallToUtcMs({ ...weekStart, hour: 0 })) / (7 * DAY_MS)
+    );
+    if (weeks % interval === 0 && byDay.includes(getWeekday(candidate))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+// Se saltan los meses (o años) sin ese día, como el 31 o el 29 de febrero
+const nextMonthly = ({ interval }, wall, monthsPerStep = 1) => {
+  for (let step = 1; step <= MAX_STEPS; step += 1) {
+    const months = wall.month - 1 + step * interval * monthsPerStep;
+    const year = wall.year + Math.floor(months / 12);
+    const month = (months % 12) + 1;
+    if (wall.day <= daysInMonth(year, month)) return { ...wall, year, month };
+  }
+  return null;
+};
+
+const STEPPERS = {
+  DAILY: nextDaily,
+  WEEKLY: nextWeekly,
+  MONTHLY: nextMonthly,
+  YEARLY: (rule, wall) => nextMonthly(rule, wall, 12)
+};
+
+// Fecha límite y regla de la ocurrencia siguiente, o null si la serie acaba.
+// COUNT se descuenta en cada tarea generada, así la regla no necesita estado.
+export const getNextOccurrence = ({ recurrence, dueDate, timeZone }) => {
+  if (!recurrence || !dueDate) return null;
+
+  const rule = parseRule(recurrence);
+  if (!rule || rule.count === 1) return null;
+
+  const zone = timeZone || 'UTC';
+  const wall = getWallClock(new Date(dueDate), zone);
+  const nextWall = STEPPERS[rule.freq](rule, wall);
+  if (!nextWall) return null;
+
+  const next = wallToDate(nextWall, zone);
+  if (rule.until && next > rule.until) return null;
+
+  return {
+    dueDate: next.toISOString(),
+    recurrence: formatRule({ ...rule, count: rule.count ? rule.count - 1 : null })
+  };
+};
+
+// Tarea siguiente de una ocurrencia recién completada, con el mismo ID que le
+// daría el servidor
+export const buildNextOccurrence = async (task) => {
+  const next = getNextOccurrence(task);
+  if (!next) return null;
+
+  return {
+    id: await getNextOccurrenceId(task.id),
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    completed: false,
+    dueDate: next.dueDate,
+    recurrence: next.recurrence,
+    timeZone: task.timeZone,
+    tags: task.tags || [],
+    projectId: task.projectId || null,
+    // Elementos sin marcar, con IDs derivados igual que el de la tarea
+    checklist: await Promise.all((task.checklist || []).map(async (item) => ({
+      id: await getNextOccurrenceId(item.id),
+      text: item.text,
+      done: false,
+      position: item.position
+    })))
+  };
+};
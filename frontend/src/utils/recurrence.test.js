@@ -0,0 +1,67 @@
+import { createRequire } from 'node:module';
+import { describe, it, expect } from 'vitest';
+import { buildNextOccurrence, getNextOccurrence, getNextOccurrenceId, parseRule } from './recurrence';
+
+// El mismo cálculo del backend: si los dos lados no llegan a la misma
+// ocurrencia, con el mismo ID, la tarea se duplica
+const require = createRequire(import.meta.url);
+const server = require('../../../backend/lib/recurrence.js');
+
+const CASES = [
+  ['FREQ=DAILY', '2026-01-05T09:00:00.000Z', 'UTC'],
+  ['FREQ=DAILY;INTERVAL=3', '2026-01-05T09:00:00.000Z', 'UTC'],
+  ['FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR', '2026-01-09T09:00:00.000Z', 'Europe/Madrid'],
+  ['FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH', '2026-01-08T18:30:00.000Z', 'America/New_York'],
+  ['FREQ=WEEKLY;BYDAY=SU', '2026-03-07T23:30:00.000Z', 'America/New_York'],
+  ['FREQ=MONTHLY', '2026-01-31T10:00:00.000Z', 'Asia/Tokyo'],
+  ['FREQ=YEARLY', '2028-02-29T10:00:00.000Z', 'UTC'],
+  ['FREQ=DAILY;COUNT=2', '2026-03-28T08:00:00.000Z', 'Europe/Madrid'],
+  ['FREQ=DAILY;COUNT=1', '2026-03-28T08:00:00.000Z', 'Europe/Madrid'],
+  ['FREQ=WEEKLY;UNTIL=20261101T000000Z', '2026-10-20T07:00:00.000Z', 'Europe/Madrid'],
+  ['FREQ=WEEKLY;UNTIL=20261101T000000Z', '2026-10-27T08:00:00.000Z', 'Europe/Madrid'],
+  ['FREQ=DAILY', '2026-11-01T05:30:00.000Z', 'America/Sao_Paulo'],
+  ['FREQ=DAILY', '2026-03-28T08:00:00.000Z', null]
+];
+
+describe('recurrence', () => {
+  it.each(CASES)('gets the same next occurrence as the server for %s from %s in %s', (recurrence, dueDate, timeZone) => {
+    const task = { recurrence, dueDate, timeZone };
+
+    expect(getNextOccurrence(task)).toEqual(server.getNextOccurrence(task));
+  });
+
+  it('reads rules like the server', () => {
+    const rule = 'rrule:freq=weekly;byday=fr,mo;until=20261231';
+
+    expect(parseRule(rule)).toEqual(server.parseRule(rule));
+    expect(parseRule('FREQ=HOURLY')).toBeNull();
+  });
+
+  it('derives the same ids as the server', async () => {
+    const taskId = crypto.randomUUID();
+
+    expect(await getNextOccurrenceId(taskId)).toBe(server.getNextOccurrenceId(taskId));
+  });
+
+  it('builds the same next task as the server', async () => {
+    const task = {
+      id: crypto.randomUUID(),
+      title: 'Regar las plantas',
+      description: 'Las del balcón',
+      priority: 'high',
+      completed: true,
+      dueDate: '2026-03-28T08:00:00.000Z',
+      recurrence: 'FREQ=DAILY;COUNT=3',
+      timeZone: 'Europe/Madrid',
+      tags: ['casa'],
+      projectId: null,
+      checklist: [{ id: crypto.randomUUID(), text: 'Regadera', done: true, position: 0 }]
+    };
+
+    // El cliente añade `completed: false`, que el servidor pone por su cuenta
+    const { completed, ...client } = await buildNextOccurrence(task);
+
+    expect(completed).toBe(false);
+    expect(client).toEqual(server.buildNextOccurrence(task));
+  });
+});
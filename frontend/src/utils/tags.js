@@ -0,0 +1,58 @@
+// Mismas reglas que el servidor (ver backend/lib/tasks.js): las etiquetas no
+// distinguen mayúsculas, el '#' inicial sobra y la coma separa etiquetas en
+// el campo de texto, así que no puede formar parte de una.
+
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 40;
+
+// Devuelve la etiqueta normalizada o null si no es válida
+export const normalizeTag = (tag) => {
+  if (typeof tag !== 'string') return null;
+
+  const normalized = tag
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+  if (!normalized || normalized.includes(',') || normalized.length > MAX_TAG_LENGTH) {
+    return null;
+  }
+  return normalized;
+};
+
+// Ordenadas y sin duplicados, como las guarda el servidor
+export const normalizeTags = (tags = []) =>
+  [...new Set((Array.isArray(tags) ? tags : []).map(normalizeTag).filter(Boolean))]
+    .sort()
+    .slice(0, MAX_TAGS);
+
+// Número de tareas por etiqueta, como `tags` en GET /api/stats
+export const countTags = (tasks) =>
+  tasks.reduce((counts, task) => {
+    for (const tag of task.tags || []) {
+      counts[tag] = (counts[tag] || 0) + 1;
+    }
+    return counts;
+  }, {});
+
+// Clases completas para que Tailwind las incluya en el CSS generado
+const TAG_COLORS = [
+  'bg-sky-100 text-sky-800 border-sky-200',
+  'bg-emerald-100 text-emerald-800 border-emerald-200',
+  'bg-amber-100 text-amber-800 border-amber-200',
+  'bg-rose-100 text-rose-800 border-rose-200',
+  'bg-violet-100 text-violet-800 border-violet-200',
+  'bg-teal-100 text-teal-800 border-teal-200',
+  'bg-orange-100 text-orange-800 border-orange-200',
+  'bg-fuchsia-100 text-fuchsia-800 border-fuchsia-200'
+];
+
+// El color sale del nombre, así una etiqueta tiene el mismo color en todas
+// las tarjetas y en todos los dispositivos
+export const getTagColor = (tag) => {
+  let hash = 0;
+  for (const char of tag) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return TAG_COLORS[Math.abs(hash) % TAG_COLORS.length];
+};
@@ -0,0 +1,96 @@
+// Campos que se comparan al resolver conflictos de sincronización
+export const MERGE_FIELDS = ['title', 'description', 'priority', 'dueDate', 'recurrence', 'tags', 'projectId', 'completed', 'photo'];
+
+export const FIELD_LABELS = {
+  title: 'Título',
+  description: 'Descripción',
+  priority: 'Prioridad',
+  dueDate: 'Fecha límite',
+  recurrence: 'Repetición',
+  tags: 'Etiquetas',
+  projectId: 'Proyecto',
+  completed: 'Estado',
+  photo: 'Foto'
+};
+
+// Las tareas locales guardan la foto en `image`, las del servidor también en `photo`
+export const getFieldValue = (task, field) => {
+  if (field === 'dueDate' || field === 'recurrence' || field === 'projectId') {
+    return task[field] || null;
+  }
+  if (field === 'tags') return task.tags || [];
+  if (field !== 'photo') {
+    return task[field] ?? (field === 'completed' ? false : '');
+  }
+
+  if (task.photo) return task.photo;
+  if (task.image && task.image.data) {
+    return task.image.data.startsWith('data:')
+      ? task.image.data
+      : `data:image/jpeg;base64,${task.image.data}`;
+  }
+  return null;
+};
+
+export const sameValue = (field, a, b) => {
+  if (field === 'photo') {
+    // Comparar solo el contenido base64, sin el prefijo data:image/...
+    const strip = (value) => (value || '').replace(/^data:image\/[a-z]+;base64,/, '');
+    return strip(a) === strip(b);
+  }
+  if (field === 'tags') {
+    // Ambas listas llegan ordenadas y sin duplicados
+    return a.join(',') === b.join(',');
+  }
+  return a === b;
+};
+
+export const pickMergeFields = (task) =>
+  MERGE_FIELDS.reduce((values, field) => {
+    values[field] = getFieldValue(task, field);
+    return values;
+  }, {});
+
+// Aplica valores de campos a una tarea, manteniendo `image` y `photo` coherentes
+export const applyMergeFields = (task, values) => {
+  const { photo, ...rest } = values;
+  const updated = { ...task, ...rest };
+
+  if (photo !== undefined) {
+    updated.photo = photo;
+    updated.image = photo ? { data: photo, type: 'image/jpeg' } : null;
+  }
+  return updated;
+};
+
+// Fusión a tres bandas contra la versión de la que partió la edición local.
+// Un campo cambiado solo en un lado se toma de ese lado; si cambió en ambos
+// con valores distintos queda en `conflicts` para que decida el usuario. Sin
+// `base` no se puede saber quién cambió qué, así que toda diferencia es conflicto.
+export const mergeTask = (base, local, server) => {
+  const merged = {};
+  const conflicts = [];
+
+  for (const field of MERGE_FIELDS) {
+    const localValue = getFieldValue(local, field);
+    const serverValue = getFieldValue(server, field);
+
+    if (sameValue(field, localValue, serverValue)) {
+      merged[field] = serverValue;
+      continue;
+    }
+
+    const baseValue = base ? getFieldValue(base, field) : undefined;
+    const localChanged = !base || !sameValue(field, baseValue, localValue);
+    const serverChanged = !base || !sameValue(field, baseValue, serverValue);
+
+    if (localChanged && serverChanged) {
+      conflicts.push(field);
+      merged[field] = localValue;
+    } else {
+      merged[field] = localChanged ? localValue : serverValue;
+    }
+  }
+
+  return { merged, conflicts };
+};
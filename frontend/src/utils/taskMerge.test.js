@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { applyMergeFields, getFieldValue, mergeTask, pickMergeFields, sameValue } from './taskMerge';
+
+const base = {
+  title: 'Comprar pan',
+  description: '',
+  priority: 'medium',
+  dueDate: null,
+  recurrence: null,
+  tags: ['casa'],
+  projectId: null,
+  completed: false,
+  image: null
+};
+
+describe('mergeTask', () => {
+  it('takes each field from the side that changed it', () => {
+    const local = { ...base, title: 'Comprar pan integral' };
+    const server = { ...base, priority: 'high', tags: ['casa', 'compras'] };
+
+    const { merged, conflicts } = mergeTask(base, local, server);
+
+    expect(conflicts).toEqual([]);
+    expect(merged).toMatchObject({
+      title: 'Comprar pan integral',
+      priority: 'high',
+      tags: ['casa', 'compras'],
+      completed: false
+    });
+  });
+
+  it('reports fields both sides changed to different values', () => {
+    const local = { ...base, title: 'Local', completed: true };
+    const server = { ...base, title: 'Servidor', completed: true };
+
+    const { merged, conflicts } = mergeTask(base, local, server);
+
+    // El mismo cambio en los dos lados no es un conflicto
+    expect(conflicts).toEqual(['title']);
+    expect(merged.title).toBe('Local');
+    expect(merged.completed).toBe(true);
+  });
+
+  it('treats every difference as a conflict without a base', () => {
+    const local = { ...base, title: 'Local' };
+    const server = { ...base, description: 'Nueva' };
+
+    const { conflicts } = mergeTask(null, local, server);
+
+    expect(conflicts).toEqual(['title', 'description']);
+  });
+
+  it('compares photos by their base64 content', () => {
+    const local = { ...base, image: { data: 'aGVsbG8=', type: 'image/jpeg' } };
+    const server = { ...base, photo: 'data:image/jpeg;base64,aGVsbG8=' };
+
+    const { conflicts } = mergeTask(base, local, server);
+
+    expect(conflicts).toEqual([]);
+  });
+});
+
+describe('getFieldValue', () => {
+  it('fills in missing fields', () => {
+    const task = { title: 'Sin más' };
+
+    expect(getFieldValue(task, 'description')).toBe('');
+    expect(getFieldValue(task, 'completed')).toBe(false);
+    expect(getFieldValue(task, 'tags')).toEqual([]);
+    expect(getFieldValue(task, 'dueDate')).toBeNull();
+    expect(getFieldValue(task, 'photo')).toBeNull();
+  });
+
+  it('reads the photo from `image` as a data URL', () => {
+    expect(getFieldValue({ image: { data: 'aGVsbG8=' } }, 'photo'))
+      .toBe('data:image/jpeg;base64,aGVsbG8=');
+  });
+});
+
+describe('sameValue', () => {
+  it('compares tags as lists', () => {
+    expect(sameValue('tags', ['a', 'b'], ['a', 'b'])).toBe(true);
+    expect(sameValue('tags', ['a', 'b'], ['a'])).toBe(false);
+  });
+});
+
+describe('applyMergeFields', () => {
+  it('keeps `image` and `photo` in step', () => {
+    const task = { id: 't1', ...base, image: { data: 'b2xk', type: 'image/jpeg' } };
+
+    const withPhoto = applyMergeFields(task, { title: 'Nuevo', photo: 'bmV3' });
+    expect(withPhoto).toMatchObject({ id: 't1', title: 'Nuevo', photo: 'bmV3' });
+    expect(withPhoto.image).toEqual({ data: 'bmV3', type: 'image/jpeg' });
+
+    const withoutPhoto = applyMergeFields(task, { photo: null });
+    expect(withoutPhoto.image).toBeNull();
+  });
+
+  it('round-trips the fields it picks', () => {
+    const task = { id: 't1', ...base, title: 'Ida y vuelta' };
+
+    expect(applyMergeFields(task, pickMergeFields(task))).toMatchObject({
+      title: 'Ida y vuelta',
+      tags: ['casa'],
+      photo: null,
+      image: null
+    });
+  });
+});
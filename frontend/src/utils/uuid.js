@@ -0,0 +1,38 @@
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// UUID v4 generado en el cliente: la tarea conserva el mismo ID offline y en el servidor
+export const generateId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  // Fuera de contextos seguros randomUUID no existe, pero getRandomValues sí
+  return formatUuid(crypto.getRandomValues(new Uint8Array(16)), 0x40);
+};
+
+// Fija versión y variante sobre 16 bytes y los formatea como UUID
+const formatUuid = (bytes, version) => {
+  bytes[6] = (bytes[6] & 0x0f) | version;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// UUID v5 (SHA-1 de espacio de nombres + nombre): el mismo nombre da siempre el
+// mismo ID, igual que `uuid.v5` en el backend. crypto.subtle solo existe en
+// contextos seguros, los mismos en los que funciona el service worker.
+export const generateNameBasedId = async (name, namespace) => {
+  const namespaceBytes = Uint8Array.from(
+    namespace.replace(/-/g, '').match(/../g),
+    (pair) => parseInt(pair, 16)
+  );
+  const nameBytes = new TextEncoder().encode(name);
+  const input = new Uint8Array(namespaceBytes.length + nameBytes.length);
+  input.set(namespaceBytes);
+  input.set(nameBytes, namespaceBytes.length);
+
+  const hash = await crypto.subtle.digest('SHA-1', input);
+  return formatUuid(new Uint8Array(hash).slice(0, 16), 0x50);
+};
+
+export const isUuid = (id) => typeof id === 'string' && UUID_PATTERN.test(id);
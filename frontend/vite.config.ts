@@ -1,9 +1,44 @@
-import { defineConfig } from 'vite';
+import { createHash } from 'node:crypto';
+import { defineConfig, type Plugin } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// Archivos de public/ que también forman parte del app shell
+const PUBLIC_PRECACHE = ['/manifest.json'];
+
+// Genera precache-manifest.js con la lista de archivos del build para que
+// sw.js los cachee en la instalación. El service worker lo carga con
+// importScripts, así que cada deploy cambia su contenido y el navegador
+// detecta que hay una versión nueva del worker.
+const precacheManifest = (): Plugin => ({
+  name: 'precache-manifest',
+  apply: 'build',
+  generateBundle(_options, bundle) {
+    const files = [
+      '/index.html',
+      ...Object.keys(bundle)
+        .filter((fileName) => fileName !== 'index.html')
+        .map((fileName) => `/${fileName}`),
+      ...PUBLIC_PRECACHE,
+    ].sort();
+
+    const hash = createHash('sha256');
+    for (const file of Object.values(bundle)) {
+      hash.update(file.fileName);
+      if (file.type === 'asset') hash.update(file.source);
+    }
+
+    const manifest = { version: hash.digest('hex').slice(0, 12), files };
+    this.emitFile({
+      type: 'asset',
+      fileName: 'precache-manifest.js',
+      source: `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`,
+    });
+  },
+});
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
   optimizeDeps: {
     exclude: ['lucide-react'],
   },